@@ -1,5 +1,60 @@
-import React, { useState, useEffect, useRef } from 'react'
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react'
 import axios from 'axios'
+import type { Analysis, Dependencies, Walkthrough, VerifiedReference, Review, ReviewFile, ReviewNote, ReviewRisk, Comparison, ComparisonHighlight, FileChanges, DependencyChanges, LanguageShift } from '../../shared/types'
+
+// As served, references are verified against the file and pinned to lines
+type Verified<T> = Omit<T, 'references'> & { references: VerifiedReference[] }
+type WalkthroughResult = Verified<Walkthrough>
+type ReviewFileResult = Omit<ReviewFile, 'risks' | 'missing_tests' | 'questions'> & { risks: Verified<ReviewRisk>[], missing_tests: Verified<ReviewNote>[], questions: Verified<ReviewNote>[] }
+type ReviewResult = Omit<Review, 'files'> & { files: ReviewFileResult[] }
+type ComparedReference = VerifiedReference & { side: 'base' | 'head' }
+type ComparisonResult = Omit<Comparison, 'highlights'> & { highlights: (Omit<ComparisonHighlight, 'references'> & { references: ComparedReference[] })[] }
+type OpenFile = (path: string, startLine?: number, endLine?: number) => void
+// Opens a file of another repository at a commit (a pull request's head)
+type OpenFileAt = (repo: string, commit: string, path: string, startLine?: number, endLine?: number) => void
+
+// The server's API key, if it asks for one. Sent as a bearer token on every axios request;
+// EventSource can't set headers, so job streams pass it as ?api_key= instead.
+const API_KEY_KEY = 'repostack.apiKey'
+let apiKey = localStorage.getItem(API_KEY_KEY) || ''
+
+function setApiKey(key: string) {
+  apiKey = key.trim()
+  if (apiKey) {
+    localStorage.setItem(API_KEY_KEY, apiKey)
+    axios.defaults.headers.common['Authorization'] = `Bearer ${apiKey}`
+  } else {
+    localStorage.removeItem(API_KEY_KEY)
+    delete axios.defaults.headers.common['Authorization']
+  }
+}
+setApiKey(apiKey)
+
+// Follows a background job's events. After a dropped connection EventSource reconnects by
+// itself with Last-Event-ID, and the server replays only what was missed. onLost runs if the
+// stream can't be reopened (e.g. the job expired).
+function followJob(id: string, onEvent: (event: string, data: any) => void, onLost: () => void) {
+  const es = new EventSource(`http://localhost:4000/api/jobs/${id}/events${apiKey ? `?api_key=${encodeURIComponent(apiKey)}` : ''}`)
+  for (const event of ['log', 'delta', 'result', 'error']) {
+    // The native connection `error` event has no data
+    es.addEventListener(event, (e: any)=>{ if (e.data) onEvent(event, JSON.parse(e.data)) })
+  }
+  es.onerror = ()=>{ if (es.readyState === EventSource.CLOSED) onLost() }
+  return es
+}
+
+// Jobs this tab is following, kept in sessionStorage so a reload can pick them back up
+type ActiveJobs = { repo: string, ref: string, analyze?: string, ask?: { id: string, sessionId: string } }
+const ACTIVE_JOBS_KEY = 'repostack.activeJobs'
+
+function loadActiveJobs(): ActiveJobs | null {
+  try { return JSON.parse(sessionStorage.getItem(ACTIVE_JOBS_KEY) || 'null') } catch { return null }
+}
+
+function saveActiveJobs(jobs: ActiveJobs) {
+  if (jobs.analyze || jobs.ask) sessionStorage.setItem(ACTIVE_JOBS_KEY, JSON.stringify(jobs))
+  else sessionStorage.removeItem(ACTIVE_JOBS_KEY)
+}
 
 function Badge({ text }: { text: string }) {
   return <span className="inline-block bg-gradient-to-r from-[#00a884] to-[#00675b] text-black px-3 py-1 rounded-full text-sm mr-2">{text}</span>
@@ -17,7 +72,7 @@ function LogPanel({ logs, collapsed, onToggle }: any) {
   )
 }
 
-function ReferenceCard({ refData }: any) {
+function ReferenceCard({ refData, onOpen }: { refData: VerifiedReference, onOpen: OpenFile }) {
   const [open, setOpen] = useState(false)
   const excerpt = refData?.excerpt || ''
   const truncated = excerpt.length > 400 ? excerpt.slice(0, 400) + '\n\n...TRUNCATED...' : excerpt
@@ -36,8 +91,14 @@ function ReferenceCard({ refData }: any) {
   return (
     <div className="p-3 bg-[rgba(255,255,255,0.01)] rounded border border-[rgba(255,255,255,0.03)]">
       <div className="flex items-start justify-between">
-        <div className="text-sm font-medium text-gray-100">{refData.path}</div>
+        <div className="text-sm font-medium text-gray-100">
+          {refData.path}
+          <span className="ml-2 text-xs text-gray-400 font-mono">L{refData.start_line}{refData.end_line !== refData.start_line ? `–${refData.end_line}` : ''}</span>
+          {refData.match !== 'exact' && <span className="ml-2 text-[10px] text-yellow-300" title="The cited excerpt didn't match the file exactly and was replaced with the file's text">corrected</span>}
+        </div>
         <div className="flex gap-2">
+          <button onClick={()=>onOpen(refData.path, refData.start_line, refData.end_line)} className="text-xs px-2 py-1 bg-[rgba(255,255,255,0.03)] rounded">Open</button>
+          {refData.permalink && <a href={refData.permalink} target="_blank" rel="noreferrer" className="text-xs px-2 py-1 bg-[rgba(255,255,255,0.03)] rounded">Permalink</a>}
           <button onClick={()=>setOpen(o=>!o)} className="text-xs px-2 py-1 bg-[rgba(255,255,255,0.03)] rounded">{open ? 'Hide' : 'Show'}</button>
           <button onClick={copyToClipboard} className="text-xs px-2 py-1 bg-[rgba(255,255,255,0.03)] rounded">Copy</button>
         </div>
@@ -53,167 +114,1439 @@ function ReferenceCard({ refData }: any) {
   )
 }
 
-// Per-repo RuleManager removed temporarily
+function RefPicker({ refs, value, onChange, loading }: any) {
+  return (
+    <select value={value} onChange={e=>onChange(e.target.value)} disabled={loading} className="p-3 bg-transparent border border-dotted border-gray-600 rounded-md text-sm max-w-[12rem]" title="Branch, tag or commit">
+      <option value="" className="bg-[#001021]">{refs?.default_branch ? `${refs.default_branch} (default)` : (loading ? 'Loading refs…' : 'Default branch')}</option>
+      {refs?.url_ref && !refs.branches?.some((b:any)=>b.name===refs.url_ref) && !refs.tags?.some((t:any)=>t.name===refs.url_ref) && (
+        <option value={refs.url_ref} className="bg-[#001021]">{refs.url_ref}</option>
+      )}
+      {refs?.branches?.length>0 && (
+        <optgroup label="Branches" className="bg-[#001021]">
+          {refs.branches.map((b:any)=>(<option key={'b:'+b.name} value={b.name}>{b.name}</option>))}
+        </optgroup>
+      )}
+      {refs?.tags?.length>0 && (
+        <optgroup label="Tags" className="bg-[#001021]">
+          {refs.tags.map((t:any)=>(<option key={'t:'+t.name} value={t.name}>{t.name}</option>))}
+        </optgroup>
+      )}
+    </select>
+  )
+}
+
+function Paragraphs({ text }: { text: string }) {
+  return <>{text.split(/\n\n+/).map((p,i)=>(<p key={i} className="mb-3 leading-relaxed whitespace-pre-wrap">{p}</p>))}</>
+}
+
+// One walkthrough answer: its own missing list, answer, trace and references
+function WalkthroughView({ walkthrough, onOpenFile }: { walkthrough: WalkthroughResult, onOpenFile: OpenFile }) {
+  return (
+    <div>
+      {walkthrough.cannot_answer && (
+        <div className="mb-4 p-3 border border-red-500/40 bg-red-900/20 rounded">
+          <div className="text-sm font-semibold text-red-300 mb-1">Cannot answer from repository</div>
+          <div className="text-xs text-red-200 whitespace-pre-wrap">{walkthrough.reason || 'Requested information not present in repository.'}</div>
+        </div>
+      )}
+      {!walkthrough.cannot_answer && walkthrough.missing && walkthrough.missing.length>0 && (
+        <div className="mb-4 p-3 border border-amber-500/40 bg-amber-900/20 rounded">
+          <div className="text-xs text-amber-200 mb-2">Not found in repo:</div>
+          <div className="flex flex-wrap gap-2">
+            {walkthrough.missing.map((m,i)=>(
+              <span key={i} className="px-2 py-1 text-[11px] rounded bg-amber-500/20 border border-amber-400/30 text-amber-200">{m}</span>
+            ))}
+          </div>
+        </div>
+      )}
+      {/* Answer: render paragraphs for readability */}
+      <div className="text-sm text-gray-100 mb-4">
+        <Paragraphs text={walkthrough.answer} />
+      </div>
+
+      {/* Trace steps (if any) */}
+      {walkthrough.trace && walkthrough.trace.length>0 && (
+        <div className="mb-4">
+          <h4 className="text-sm mb-2">Trace</h4>
+          <ol className="list-decimal pl-5 text-sm text-gray-200">
+            {walkthrough.trace.map((t,i)=>(<li key={i} className="mb-2">{t}</li>))}
+          </ol>
+        </div>
+      )}
+
+      {/* References: show as expandable cards with excerpt and copy */}
+      {walkthrough.references && walkthrough.references.length>0 && (
+        <div>
+          <h4 className="text-sm mb-2">References</h4>
+          <div className="space-y-3">
+            {walkthrough.references.map((r,i)=> (
+              <ReferenceCard key={i} refData={r} onOpen={onOpenFile} />
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// One question of a conversation and its answer (or error, while pending neither).
+// draft is the answer text streamed so far, before the verified result arrives.
+type Turn = { question: string, walkthrough?: WalkthroughResult, usage?: Usage, error?: string, draft?: string, cancelled?: boolean }
+
+// What a run cost, as the server accounted it: one line, expanding to the breakdown and stage timings
+type Usage = {
+  duration_ms: number,
+  stages: Record<string, number>,
+  upstream: { requests: number, errors: number, not_modified: number, bytes: number, rate_limit: { host: string, remaining: number, limit: number | null, reset_at: string | null } | null },
+  files: { read: number, bytes: number },
+  embeddings: { requests: number, inputs: number, tokens: number },
+  llm: { calls: number, prompt_tokens: number, completion_tokens: number },
+  cost: { usd: number, estimated: boolean, unpriced_models: string[] }
+}
+
+const formatBytes = (n: number) => n >= 1048576 ? `${(n / 1048576).toFixed(1)} MB` : `${(n / 1024).toFixed(1)} KB`
+const formatSeconds = (ms: number) => `${(ms / 1000).toFixed(1)}s`
+
+function UsageSummary({ usage }: { usage?: Usage | null }) {
+  const [open, setOpen] = useState(false)
+  if (!usage) return null
+  const { upstream, files, embeddings, llm, cost } = usage
+  const rl = upstream.rate_limit
+  const priced = cost.unpriced_models.length === 0
+  const costText = priced ? `~$${cost.usd.toFixed(4)}` : cost.usd > 0 ? `~$${cost.usd.toFixed(4)} + unpriced` : 'cost unknown'
+  const rows: [string, string][] = [
+    ['Upstream', `${upstream.requests} request(s)${upstream.errors ? `, ${upstream.errors} failed` : ''}${upstream.not_modified ? `, ${upstream.not_modified} not modified` : ''}, ${formatBytes(upstream.bytes)}`],
+    ['Rate limit', rl ? `${rl.remaining}${rl.limit !== null ? `/${rl.limit}` : ''} left on ${rl.host}${rl.reset_at ? `, resets ${new Date(rl.reset_at).toLocaleTimeString()}` : ''}` : 'not reported'],
+    ['Files', `${files.read} read, ${formatBytes(files.bytes)}`],
+    ['Completions', `${llm.calls} call(s), ${llm.prompt_tokens.toLocaleString()} prompt + ${llm.completion_tokens.toLocaleString()} completion tokens`],
+    ['Embeddings', `${embeddings.tokens.toLocaleString()} tokens in ${embeddings.requests} request(s)`],
+    ['Cost', priced ? `$${cost.usd.toFixed(6)} (estimate)` : `$${cost.usd.toFixed(6)}; no price for ${cost.unpriced_models.join(', ')}`],
+    ...Object.entries(usage.stages).map(([name, ms]): [string, string] => [`Stage ${name}`, formatSeconds(ms)])
+  ]
+  return (
+    <div className="mt-3 text-xs text-gray-400">
+      <button onClick={()=>setOpen(!open)} className="hover:text-gray-200">{open ? '▾' : '▸'} {formatSeconds(usage.duration_ms)} · {(llm.prompt_tokens + llm.completion_tokens).toLocaleString()} tokens · {costText} · {upstream.requests} upstream request(s)</button>
+      {open && (
+        <div className="mt-2 grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 font-mono">
+          {rows.map(([label, value])=>(<React.Fragment key={label}><div>{label}</div><div className="text-gray-300">{value}</div></React.Fragment>))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function ChatTurn({ turn, onOpenFile }: { turn: Turn, onOpenFile: OpenFile }) {
+  return (
+    <div className="mb-6">
+      <div className="flex justify-end mb-2">
+        <div className="max-w-[85%] px-3 py-2 rounded-lg bg-gradient-to-r from-[#7b6bff] to-[#5a3cff] text-sm whitespace-pre-wrap">{turn.question}</div>
+      </div>
+      <div className="p-4 bg-[rgba(255,255,255,0.02)] rounded">
+        {turn.walkthrough ? (
+          <>
+            <WalkthroughView walkthrough={turn.walkthrough} onOpenFile={onOpenFile} />
+            <UsageSummary usage={turn.usage} />
+          </>
+        ) : turn.error ? (
+          <div className="text-xs text-red-300">Error: {turn.error}</div>
+        ) : turn.cancelled ? (
+          <div>
+            {turn.draft && <div className="text-sm text-gray-400"><Paragraphs text={turn.draft} /></div>}
+            <div className="text-xs text-gray-400">Cancelled</div>
+          </div>
+        ) : turn.draft ? (
+          <div className="text-sm text-gray-100"><Paragraphs text={turn.draft} /><span className="animate-pulse">▍</span></div>
+        ) : (
+          <div className="text-xs text-gray-400 animate-pulse">Thinking…</div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Parsed manifests: frameworks with the package that identified them, licenses, then one
+// collapsible row per manifest with its dependencies and scripts
+function AnalysisSummary({ analysis, onOpenFile }: { analysis: Analysis, onOpenFile: OpenFile }) {
+  return (
+    <div>
+      <p className="mb-2">{analysis.project_summary}</p>
+      <div className="mb-2"><strong>Languages:</strong> {analysis.primary_languages.map(l=>(<Badge key={l} text={l} />))}</div>
+      <div className="mb-2"><strong>Frameworks:</strong> {analysis.key_frameworks.map(l=>(<Badge key={l} text={l} />))}</div>
+      <DependenciesView deps={analysis.dependencies} onOpenFile={onOpenFile} />
+      <div className="mb-2"><strong>Use Cases:</strong>
+        <div className="mt-2 grid grid-cols-2 gap-2">{analysis.possible_use_cases.map((u,i)=>(<div key={i} className="p-2 bg-[rgba(255,255,255,0.02)] rounded">{u}</div>))}</div>
+      </div>
+      <div className="mt-4 p-3 inline-block bg-gradient-to-r from-[#7ef3d1] to-[#00a884] text-black rounded">Difficulty: {analysis.difficulty_rating}</div>
+    </div>
+  )
+}
+
+function DependenciesView({ deps, onOpenFile }: { deps: Dependencies, onOpenFile: OpenFile }) {
+  if (!deps.manifests.length) return <div className="mb-2 text-sm text-gray-400">No dependency manifests found.</div>
+  const licenses = Array.from(new Set(deps.licenses.map(l => l.license)))
+  return (
+    <div className="mb-2">
+      <strong>Dependencies:</strong> <span className="text-sm text-gray-400">{deps.manifests.length} manifest(s) · {deps.ecosystems.join(', ')}{deps.truncated ? ' · more not shown' : ''}</span>
+      {deps.frameworks.length > 0 && (
+        <div className="mt-2 flex flex-wrap gap-2 text-xs">
+          {deps.frameworks.map(f => (
+            <span key={f.name} title={`${f.package} in ${f.manifests.join(', ')}`} className="px-2 py-1 rounded bg-[rgba(255,255,255,0.05)]">{f.name}{f.version ? ` ${f.version}` : ''} <span className="text-gray-400">{f.category}</span></span>
+          ))}
+        </div>
+      )}
+      {licenses.length > 0 && <div className="mt-2 text-sm"><span className="text-gray-400">License:</span> {licenses.join(', ')}</div>}
+      <div className="mt-2 text-sm">
+        {deps.manifests.map(m => (
+          <details key={m.path} className="mb-1">
+            <summary className="cursor-pointer">
+              <button onClick={e => { e.preventDefault(); onOpenFile(m.path) }} className="font-mono text-xs underline">{m.path}</button>
+              <span className="ml-2 text-xs text-gray-400">{m.manager}{m.name ? ` · ${m.name}` : ''} · {m.dependencies.length} deps{m.workspace_root ? ` · workspace of ${m.workspace_root}` : ''}</span>
+              {m.error && <span className="ml-2 text-xs text-red-300">{m.error}</span>}
+            </summary>
+            <div className="ml-4 mt-1 text-xs font-mono text-gray-300">
+              {m.workspaces.length > 0 && <div className="mb-1 text-gray-400">workspaces: {m.workspaces.join(', ')}</div>}
+              {m.dependencies.map((d, i) => (
+                <div key={i}>{d.name}{d.version ? ` ${d.version}` : ''}{d.scope !== 'runtime' && <span className="text-gray-500"> ({d.scope})</span>}</div>
+              ))}
+              {m.scripts.length > 0 && <div className="mt-1 text-gray-400">scripts: {m.scripts.map(sc => sc.name).join(', ')}</div>}
+            </div>
+          </details>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+type ViewerState = { path: string, startLine?: number, endLine?: number, content?: string, commit?: string, error?: string }
+
+// Full file at the answer's commit with line numbers; the cited lines are highlighted and scrolled to
+function FileViewer({ file, onClose }: { file: ViewerState, onClose: () => void }) {
+  const firstCited = useRef<HTMLDivElement | null>(null)
+
+  useEffect(()=>{
+    if (firstCited.current) firstCited.current.scrollIntoView({ block: 'center' })
+  }, [file.content, file.startLine])
+
+  useEffect(()=>{
+    const onKey = (e: KeyboardEvent) => { if (e.key === 'Escape') onClose() }
+    window.addEventListener('keydown', onKey)
+    return ()=>window.removeEventListener('keydown', onKey)
+  }, [onClose])
+
+  const cited = (n:number) => file.startLine !== undefined && n >= file.startLine && n <= (file.endLine ?? file.startLine)
+  const lines = file.content !== undefined ? file.content.split('\n') : []
+
+  return (
+    <div className="fixed inset-y-0 right-0 w-full md:w-[52rem] bg-[#00181f] border-l border-[rgba(255,255,255,0.08)] shadow-2xl flex flex-col z-50">
+      <div className="flex items-center justify-between p-3 border-b border-[rgba(255,255,255,0.08)]">
+        <div className="text-sm font-mono text-gray-100 truncate">
+          {file.path}
+          {file.startLine !== undefined && <span className="ml-2 text-gray-400">L{file.startLine}{file.endLine && file.endLine !== file.startLine ? `–${file.endLine}` : ''}</span>}
+          {file.commit && <span className="ml-2 text-xs text-gray-500">@ {file.commit.slice(0, 12)}</span>}
+        </div>
+        <button onClick={onClose} className="text-xs px-2 py-1 bg-[rgba(255,255,255,0.06)] rounded">Close</button>
+      </div>
+      <div className="flex-1 overflow-auto font-mono text-[12px] text-gray-200">
+        {file.error ? (
+          <div className="p-3 text-red-300">{file.error}</div>
+        ) : file.content === undefined ? (
+          <div className="p-3 text-gray-400 animate-pulse">Loading…</div>
+        ) : (
+          lines.map((line, i)=>{
+            const n = i + 1
+            const hit = cited(n)
+            return (
+              <div key={i} ref={hit && n === file.startLine ? firstCited : undefined} className={`flex ${hit ? 'bg-[rgba(0,168,132,0.18)]' : ''}`}>
+                <span className="select-none text-right text-gray-500 pr-3 pl-2 w-14 shrink-0">{n}</span>
+                <pre className="whitespace-pre-wrap break-all pr-3">{line || ' '}</pre>
+              </div>
+            )
+          })
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Per-repo rule set editor: globs one per line, boosts as "pattern weight", with a selection preview
+function RuleManager({ repo, gitRef }: { repo: string, gitRef: string }) {
+  const [open, setOpen] = useState(false)
+  const [form, setForm] = useState<any>(null)
+  const [saved, setSaved] = useState(false)
+  const [status, setStatus] = useState('')
+  const [preview, setPreview] = useState<any>(null)
+
+  const toForm = (r:any) => ({
+    include: (r.include || []).join('\n'),
+    exclude: (r.exclude || []).join('\n'),
+    always_include: (r.always_include || []).join('\n'),
+    boosts: (r.boosts || []).map((b:any)=>`${b.pattern} ${b.weight}`).join('\n'),
+    respect_gitignore: r.respect_gitignore !== false,
+    respect_gitattributes: r.respect_gitattributes !== false
+  })
+  const lines = (v:string) => v.split('\n').map(l=>l.trim()).filter(Boolean)
+  const toRules = () => ({
+    include: lines(form.include),
+    exclude: lines(form.exclude),
+    always_include: lines(form.always_include),
+    boosts: lines(form.boosts).map(l=>{ const m = l.match(/^(.*?)\s+(-?[\d.]+)$/); return m ? { pattern: m[1], weight: Number(m[2]) } : { pattern: l, weight: 0.1 } }),
+    respect_gitignore: form.respect_gitignore,
+    respect_gitattributes: form.respect_gitattributes
+  })
+  const errorOf = (err:any) => err?.response?.data?.message || err?.response?.data?.error || err?.message || String(err)
+
+  const load = async () => {
+    setPreview(null)
+    setStatus('')
+    try{
+      const r = await axios.get(`http://localhost:4000/api/rules?repo=${encodeURIComponent(repo)}`)
+      setForm(toForm(r.data.rules))
+      setSaved(r.data.saved)
+    }catch(err){ setStatus(errorOf(err)) }
+  }
+
+  useEffect(()=>{ setForm(null); if (open && repo.trim()) load() }, [repo, open])
+
+  const save = async () => {
+    try{
+      const r = await axios.put(`http://localhost:4000/api/rules?repo=${encodeURIComponent(repo)}`, toRules())
+      setForm(toForm(r.data.rules))
+      setSaved(true)
+      setStatus('Saved')
+    }catch(err){ setStatus(errorOf(err)) }
+  }
+
+  const reset = async () => {
+    try{
+      // With an API key only the key's own rule set is removed; a shared one stays (404)
+      if (saved) await axios.delete(`http://localhost:4000/api/rules?repo=${encodeURIComponent(repo)}`).catch((err) => { if (err?.response?.status !== 404) throw err })
+      await load()
+      setStatus('Reset to defaults')
+    }catch(err){ setStatus(errorOf(err)) }
+  }
+
+  const runPreview = async () => {
+    setStatus('Previewing…')
+    try{
+      const refQuery = gitRef ? `&ref=${encodeURIComponent(gitRef)}` : ''
+      const r = await axios.post(`http://localhost:4000/api/rules/preview?repo=${encodeURIComponent(repo)}${refQuery}`, toRules())
+      setPreview(r.data)
+      setStatus('')
+    }catch(err){ setStatus(errorOf(err)) }
+  }
+
+  const field = (name:string, label:string, placeholder:string) => (
+    <label className="block text-xs text-gray-300">
+      {label}
+      <textarea value={form[name]} onChange={e=>setForm({ ...form, [name]: e.target.value })} rows={3} placeholder={placeholder} className="mt-1 w-full p-2 bg-transparent border border-dashed border-gray-600 rounded-md font-mono text-[12px] resize-y" />
+    </label>
+  )
+
+  return (
+    <div className="mt-4">
+      <button onClick={()=>setOpen(o=>!o)} disabled={!repo.trim()} className="text-sm underline text-gray-300 disabled:opacity-50">{open ? 'Hide file rules' : 'File rules'}</button>
+      {open && form && (
+        <div className="mt-3 p-4 bg-[rgba(255,255,255,0.02)] rounded border border-[rgba(255,255,255,0.05)]">
+          <div className="text-xs text-gray-400 mb-2">{saved ? 'Using this repository\'s saved rule set.' : 'No saved rule set; built-in defaults apply.'} One glob per line (gitignore syntax).</div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {field('include', 'Include', 'src/**\n*.py')}
+            {field('exclude', 'Exclude', '**/*.test.ts\ndocs/')}
+            {field('always_include', 'Always include', 'README.md')}
+            {field('boosts', 'Priority boosts (pattern weight)', 'src/auth/** 0.3')}
+          </div>
+          <div className="flex gap-4 mt-3 text-xs text-gray-300">
+            <label><input type="checkbox" checked={form.respect_gitignore} onChange={e=>setForm({ ...form, respect_gitignore: e.target.checked })} className="mr-1" />Honor .gitignore</label>
+            <label><input type="checkbox" checked={form.respect_gitattributes} onChange={e=>setForm({ ...form, respect_gitattributes: e.target.checked })} className="mr-1" />Skip linguist-generated/vendored</label>
+          </div>
+          <div className="flex gap-2 mt-3 items-center">
+            <button onClick={save} className="text-xs px-3 py-1 bg-[rgba(255,255,255,0.06)] rounded">Save</button>
+            <button onClick={reset} className="text-xs px-3 py-1 bg-[rgba(255,255,255,0.03)] rounded">Reset</button>
+            <button onClick={runPreview} className="text-xs px-3 py-1 bg-[rgba(255,255,255,0.03)] rounded">Preview selection</button>
+            {status && <span className="text-xs text-gray-400">{status}</span>}
+          </div>
+          {preview && (
+            <div className="mt-3 text-xs">
+              <div className="text-gray-300 mb-1">
+                {preview.selected.length} files selected at {String(preview.commit).slice(0, 12)}; {preview.excluded.length} excluded
+                {Object.keys(preview.excluded_by_reason).length>0 && ` (${Object.entries(preview.excluded_by_reason).map(([k,v])=>`${k}: ${v}`).join(', ')})`}
+              </div>
+              <div className="max-h-48 overflow-auto font-mono text-[12px] text-gray-200">
+                {preview.selected.map((f:any)=>(
+                  <div key={f.path} className="flex justify-between gap-2">
+                    <span>{f.path}</span>
+                    <span className="text-gray-400">{f.reason}{f.boost ? ` +${f.boost}` : ''}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+type GraphNode = { path: string, language: string, exports: string[], external: string[] }
+type GraphEdge = { from: string, to: string, kind: string, symbols: string[] }
+type GraphData = { commit: string, focus: string | null, nodes: GraphNode[], edges: GraphEdge[], stats: { modules: number, imports: number, languages: Record<string, number> } }
+
+const LANGUAGE_COLORS: Record<string, string> = { javascript: '#f7df1e', typescript: '#3178c6', python: '#7ef3d1' }
+// Larger graphs show their best-connected modules; focusing a file shows its neighbourhood
+const MAX_GRAPH_NODES = 150
+const GRAPH_WIDTH = 900
+const GRAPH_HEIGHT = 520
+
+// Force-directed layout (Fruchterman-Reingold): every pair repels, imports pull together.
+// Starts from a circle, so the same graph always gets the same picture.
+function layoutGraph(paths: string[], edges: GraphEdge[]) {
+  const n = paths.length
+  const index = new Map(paths.map((p, i) => [p, i]))
+  const pos = paths.map((_, i) => ({ x: GRAPH_WIDTH/2 + Math.cos(2*Math.PI*i/n) * GRAPH_WIDTH/3, y: GRAPH_HEIGHT/2 + Math.sin(2*Math.PI*i/n) * GRAPH_HEIGHT/3 }))
+  const links = edges.map(e => [index.get(e.from), index.get(e.to)]).filter(([a, b]) => a !== undefined && b !== undefined) as [number, number][]
+  const k = Math.sqrt(GRAPH_WIDTH * GRAPH_HEIGHT / Math.max(n, 1)) * 0.6
+  const iterations = 200
+  for (let iter = 0; iter < iterations; iter++) {
+    const disp = pos.map(() => ({ x: 0, y: 0 }))
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const dx = pos[i].x - pos[j].x, dy = pos[i].y - pos[j].y
+        const f = k * k / Math.max(dx*dx + dy*dy, 0.01)
+        disp[i].x += dx*f; disp[i].y += dy*f; disp[j].x -= dx*f; disp[j].y -= dy*f
+      }
+    }
+    for (const [a, b] of links) {
+      const dx = pos[a].x - pos[b].x, dy = pos[a].y - pos[b].y
+      const f = Math.sqrt(dx*dx + dy*dy) / k
+      disp[a].x -= dx*f; disp[a].y -= dy*f; disp[b].x += dx*f; disp[b].y += dy*f
+    }
+    const step = (GRAPH_WIDTH / 10) * (1 - iter / iterations)
+    for (let i = 0; i < n; i++) {
+      const d = Math.hypot(disp[i].x, disp[i].y) || 1
+      pos[i].x = Math.min(GRAPH_WIDTH - 20, Math.max(20, pos[i].x + disp[i].x / d * Math.min(d, step)))
+      pos[i].y = Math.min(GRAPH_HEIGHT - 20, Math.max(20, pos[i].y + disp[i].y / d * Math.min(d, step)))
+    }
+  }
+  return new Map(paths.map((p, i) => [p, pos[i]]))
+}
+
+// Import graph of the JS/TS/Python files: hover a module to highlight its imports, click to open it,
+// focus to see one file's neighbourhood. Drag to pan, scroll to zoom.
+function ModuleGraph({ repo, gitRef, onOpenFile }: { repo: string, gitRef: string, onOpenFile: OpenFile }) {
+  const [open, setOpen] = useState(false)
+  const [data, setData] = useState<GraphData | null>(null)
+  const [status, setStatus] = useState('')
+  const [focus, setFocus] = useState('')
+  const [depth, setDepth] = useState(1)
+  const [hover, setHover] = useState<string | null>(null)
+  const [view, setView] = useState({ x: 0, y: 0, k: 1 })
+  const drag = useRef<{ x: number, y: number, moved: boolean } | null>(null)
+
+  const load = async (path: string, hops = depth) => {
+    setStatus('Loading module graph…')
+    try{
+      const refQuery = gitRef ? `&ref=${encodeURIComponent(gitRef)}` : ''
+      const focusQuery = path ? `&path=${encodeURIComponent(path)}&depth=${hops}` : ''
+      const r = await axios.get(`http://localhost:4000/api/graph?repo=${encodeURIComponent(repo)}${refQuery}${focusQuery}`)
+      setData(r.data)
+      setView({ x: 0, y: 0, k: 1 })
+      setStatus('')
+    }catch(err:any){ setStatus(err?.response?.data?.error || err?.message || String(err)) }
+  }
+
+  useEffect(()=>{ setData(null); setFocus(''); if (open && repo.trim()) load('') }, [repo, gitRef, open])
+
+  const shown = useMemo(()=>{
+    if (!data) return null
+    const degree = new Map<string, number>()
+    for (const e of data.edges) { degree.set(e.from, (degree.get(e.from) || 0) + 1); degree.set(e.to, (degree.get(e.to) || 0) + 1) }
+    const nodes = data.nodes.length > MAX_GRAPH_NODES
+      ? data.nodes.slice().sort((a, b) => (degree.get(b.path) || 0) - (degree.get(a.path) || 0)).slice(0, MAX_GRAPH_NODES)
+      : data.nodes
+    const keep = new Set(nodes.map(n => n.path))
+    const edges = data.edges.filter(e => keep.has(e.from) && keep.has(e.to))
+    return { nodes, edges, positions: layoutGraph(nodes.map(n => n.path), edges) }
+  }, [data])
+
+  const linked = useMemo(()=>{
+    const set = new Set<string>()
+    if (hover && shown) for (const e of shown.edges) { if (e.from === hover) set.add(e.to); if (e.to === hover) set.add(e.from) }
+    return set
+  }, [hover, shown])
+
+  const onWheel = (e: React.WheelEvent) => {
+    const k = Math.min(4, Math.max(0.3, view.k * (e.deltaY < 0 ? 1.1 : 0.9)))
+    setView({ ...view, k })
+  }
+  const onMouseMove = (e: React.MouseEvent) => {
+    if (!drag.current) return
+    const dx = e.clientX - drag.current.x, dy = e.clientY - drag.current.y
+    if (Math.abs(dx) + Math.abs(dy) > 2) drag.current.moved = true
+    drag.current.x = e.clientX; drag.current.y = e.clientY
+    setView(v => ({ ...v, x: v.x + dx / v.k, y: v.y + dy / v.k }))
+  }
+
+  return (
+    <section className="mb-6 p-6 bg-[rgba(255,255,255,0.02)] rounded-xl">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl">Module graph</h2>
+        <button onClick={()=>setOpen(o=>!o)} disabled={!repo.trim()} className="text-sm underline text-gray-300 disabled:opacity-50">{open ? 'Hide' : 'Show'}</button>
+      </div>
+      {open && (
+        <div className="mt-3">
+          <div className="flex flex-wrap gap-2 items-center text-xs">
+            <input list="module-graph-paths" value={focus} onChange={e=>setFocus(e.target.value)} placeholder="Focus on a file (e.g. src/index.ts)" className="flex-1 min-w-[16rem] p-2 bg-transparent border border-dashed border-gray-600 rounded-md font-mono" />
+            <datalist id="module-graph-paths">{data?.nodes.map(n => <option key={n.path} value={n.path} />)}</datalist>
+            <select value={depth} onChange={e=>setDepth(Number(e.target.value))} className="p-2 bg-transparent border border-gray-600 rounded-md">
+              {[1, 2, 3].map(d => <option key={d} value={d} className="bg-[#0b0f14]">{d} hop{d > 1 ? 's' : ''}</option>)}
+            </select>
+            <button onClick={()=>load(focus.trim())} className="px-3 py-1 bg-[rgba(255,255,255,0.06)] rounded">{focus.trim() ? 'Focus' : 'Reload'}</button>
+            {data?.focus && <button onClick={()=>{ setFocus(''); load('') }} className="px-3 py-1 bg-[rgba(255,255,255,0.03)] rounded">Whole repository</button>}
+            {status && <span className="text-gray-400">{status}</span>}
+          </div>
+          {data && shown && (
+            <div className="mt-2">
+              <div className="text-xs text-gray-400 mb-1">
+                {data.focus ? `${shown.nodes.length} modules around ${data.focus}` : `${data.stats.modules} modules, ${data.stats.imports} imports`} at {data.commit.slice(0, 12)}
+                {shown.nodes.length < data.nodes.length && ` · showing the ${shown.nodes.length} best-connected; focus a file to see the rest`}
+                {' · '}{Object.entries(data.stats.languages).map(([l, c]) => <span key={l} className="mr-2"><span style={{ color: LANGUAGE_COLORS[l] }}>●</span> {l} {c}</span>)}
+              </div>
+              {shown.nodes.length === 0 ? (
+                <div className="text-sm text-gray-400">No JavaScript, TypeScript or Python modules in the indexed files.</div>
+              ) : (
+                <svg viewBox={`0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`} className="w-full h-[520px] bg-[rgba(0,0,0,0.2)] rounded cursor-grab select-none"
+                  onWheel={onWheel} onMouseDown={e=>{ drag.current = { x: e.clientX, y: e.clientY, moved: false } }} onMouseMove={onMouseMove} onMouseUp={()=>{ setTimeout(()=>{ drag.current = null }) }} onMouseLeave={()=>{ drag.current = null }}>
+                  <defs>
+                    <marker id="module-graph-arrow" viewBox="0 0 10 10" refX="16" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="#6b7280" /></marker>
+                  </defs>
+                  <g transform={`translate(${GRAPH_WIDTH/2} ${GRAPH_HEIGHT/2}) scale(${view.k}) translate(${-GRAPH_WIDTH/2 + view.x} ${-GRAPH_HEIGHT/2 + view.y})`}>
+                    {shown.edges.map(e => {
+                      const a = shown.positions.get(e.from)!, b = shown.positions.get(e.to)!
+                      const active = hover === e.from || hover === e.to
+                      return (
+                        <line key={`${e.from}>${e.to}`} x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke={active ? '#00a884' : '#4b5563'} strokeOpacity={hover && !active ? 0.15 : 0.7} strokeWidth={active ? 1.5 : 1} markerEnd="url(#module-graph-arrow)">
+                          <title>{`${e.from} → ${e.to}${e.symbols.length ? `: ${e.symbols.join(', ')}` : ''}`}</title>
+                        </line>
+                      )
+                    })}
+                    {shown.nodes.map(n => {
+                      const p = shown.positions.get(n.path)!
+                      const dim = hover && hover !== n.path && !linked.has(n.path)
+                      return (
+                        <g key={n.path} transform={`translate(${p.x} ${p.y})`} opacity={dim ? 0.25 : 1} className="cursor-pointer"
+                          onMouseEnter={()=>setHover(n.path)} onMouseLeave={()=>setHover(null)} onClick={()=>{ if (!drag.current?.moved) onOpenFile(n.path) }}>
+                          <circle r={n.path === data.focus ? 8 : 6} fill={LANGUAGE_COLORS[n.language] || '#9ca3af'} stroke={n.path === data.focus ? '#fff' : 'none'} />
+                          <text x={9} y={4} fontSize={10} fill="#d1d5db">{n.path.split('/').pop()}</text>
+                          <title>{`${n.path}${n.exports.length ? `\nexports: ${n.exports.join(', ')}` : ''}${n.external.length ? `\npackages: ${n.external.join(', ')}` : ''}`}</title>
+                        </g>
+                      )
+                    })}
+                  </g>
+                </svg>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  )
+}
+
+type DiffHunk = { header: string, old_start: number, old_lines: number, new_start: number, new_lines: number, text: string }
+type PullFile = { path: string, previous_path: string | null, status: string, additions: number, deletions: number, hunks: DiffHunk[] }
+type PullRequest = { number: number, title: string, body: string, state: string, url: string, author: string | null, base: { ref: string, sha: string }, head: { ref: string, sha: string }, files: PullFile[] }
+type ReviewData = { review: ReviewResult, pull: PullRequest, repo: string, commit: string, model: string, usage?: Usage }
+
+// The review job this tab follows, kept across reloads like the repository jobs
+const REVIEW_JOB_KEY = 'repostack.reviewJob'
+const SEVERITY_STYLES: Record<string, string> = { high: 'bg-red-500/80 text-white', medium: 'bg-amber-400 text-black', low: 'bg-gray-500/60 text-white' }
+
+function Severity({ level }: { level: string }) {
+  return <span className={`inline-block text-[10px] uppercase px-2 py-0.5 rounded mr-2 ${SEVERITY_STYLES[level] || SEVERITY_STYLES.low}`}>{level}</span>
+}
+
+function DiffText({ text }: { text: string }) {
+  return (
+    <pre className="text-[12px] font-mono overflow-auto max-h-80 bg-[rgba(0,0,0,0.25)] rounded p-2">
+      {text.split('\n').map((line, i)=>(
+        <div key={i} className={line.startsWith('+') ? 'text-green-300 bg-green-900/20' : line.startsWith('-') ? 'text-red-300 bg-red-900/20' : line.startsWith('@@') ? 'text-cyan-300' : 'text-gray-300'}>{line || ' '}</div>
+      ))}
+    </pre>
+  )
+}
+
+type Finding = { kind: 'risk' | 'test' | 'question', hunk: string | null, detail: string, severity?: string, references: VerifiedReference[] }
+
+function FindingList({ findings, onOpen }: { findings: Finding[], onOpen: OpenFile }) {
+  const labels = { risk: 'Risk', test: 'Missing test', question: 'Question' }
+  return (
+    <div className="space-y-2">
+      {findings.map((f, i)=>(
+        <div key={i} className="p-2 rounded bg-[rgba(255,255,255,0.02)]">
+          <div className="text-sm">
+            {f.severity && <Severity level={f.severity} />}
+            <span className="text-xs text-gray-400 mr-2">{labels[f.kind]}</span>
+            {f.detail}
+          </div>
+          {f.references.length>0 && <div className="mt-2 space-y-2">{f.references.map((r, j)=>(<ReferenceCard key={j} refData={r} onOpen={onOpen} />))}</div>}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// One changed file: the model's summary, whole-file findings, then each hunk with its findings
+function ReviewFileView({ file, review, onOpen }: { file: PullFile, review?: ReviewFileResult, onOpen: OpenFile }) {
+  const [showDiff, setShowDiff] = useState(false)
+  const findings: Finding[] = review ? [
+    ...review.risks.map(r=>({ kind: 'risk' as const, ...r })),
+    ...review.missing_tests.map(n=>({ kind: 'test' as const, ...n })),
+    ...review.questions.map(n=>({ kind: 'question' as const, ...n }))
+  ] : []
+  const wholeFile = findings.filter(f=>f.hunk === null)
+  return (
+    <div className="mb-4 p-4 bg-[rgba(255,255,255,0.02)] rounded-xl">
+      <div className="flex items-center justify-between">
+        <div className="font-mono text-sm text-gray-100">
+          {file.path}
+          {file.previous_path && <span className="ml-2 text-xs text-gray-400">from {file.previous_path}</span>}
+        </div>
+        <div className="text-xs text-gray-400">
+          {file.status} <span className="text-green-300">+{file.additions}</span> <span className="text-red-300">−{file.deletions}</span>
+          {file.hunks.length>0 && <button onClick={()=>setShowDiff(v=>!v)} className="ml-3 underline">{showDiff ? 'Hide diff' : 'Show diff'}</button>}
+        </div>
+      </div>
+      {review?.summary && <p className="mt-2 text-sm text-gray-200">{review.summary}</p>}
+      {!review && <p className="mt-2 text-xs text-gray-500">No findings for this file.</p>}
+      {wholeFile.length>0 && <div className="mt-3"><FindingList findings={wholeFile} onOpen={onOpen} /></div>}
+      {file.hunks.length===0 && <p className="mt-2 text-xs text-gray-500">No textual diff (binary file or diff too large).</p>}
+      {file.hunks.map(h=>{
+        const anchored = findings.filter(f=>f.hunk === h.header)
+        if (!showDiff && !anchored.length) return null
+        return (
+          <div key={h.header} className="mt-3">
+            <DiffText text={h.text} />
+            {anchored.length>0 && <div className="mt-2"><FindingList findings={anchored} onOpen={onOpen} /></div>}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+// A job run from one panel (review, compare): its logs, the draft streamed as `delta` events and
+// the result. The running job and the panel's inputs are kept in sessionStorage under storageKey,
+// so a reload reattaches to it.
+function ReviewResultView({ result, onOpenFileAt }: { result: ReviewData, onOpenFileAt: OpenFileAt }) {
+  const { review, pull } = result
+  const open: OpenFile = (path, startLine, endLine) => onOpenFileAt(result.repo, result.commit, path, startLine, endLine)
+  return (
+    <div>
+      <div className="mb-4 p-4 bg-[rgba(255,255,255,0.02)] rounded-xl">
+        <a href={pull.url} target="_blank" rel="noreferrer" className="text-lg hover:underline">#{pull.number} {pull.title}</a>
+        <div className="text-xs text-gray-400 font-mono mt-1">{pull.author ? `${pull.author} · ` : ''}{pull.head.ref} → {pull.base.ref} · reviewed at {result.commit.slice(0, 12)}</div>
+        {review.cannot_review ? (
+          <div className="mt-3 p-3 border border-red-500/40 bg-red-900/20 rounded text-xs text-red-200">{review.reason || 'This pull request could not be reviewed.'}</div>
+        ) : (
+          <div className="mt-3 text-sm"><Severity level={review.risk} />{review.summary}</div>
+        )}
+      </div>
+      {pull.files.map(f=>(<ReviewFileView key={f.path} file={f} review={review.files.find(r=>r.path === f.path)} onOpen={open} />))}
+    </div>
+  )
+}
+
+function usePanelJob<T, I>(storageKey: string, label: string, onResult?: (result: T) => void) {
+  const resume = useRef<{ id: string, inputs: I } | null>((()=>{ try { return JSON.parse(sessionStorage.getItem(storageKey) || 'null') } catch { return null } })())
+  const [logs, setLogs] = useState<string[]>([])
+  const [running, setRunning] = useState(false)
+  const [draft, setDraft] = useState('')
+  const [result, setResult] = useState<T | null>(null)
+  const sourceRef = useRef<EventSource | null>(null)
+  const jobRef = useRef<string | null>(null)
+
+  const addLog = (msg: string) => setLogs(s=>[...s, msg])
+
+  const follow = (id: string) => {
+    sourceRef.current?.close()
+    jobRef.current = id
+    setRunning(true)
+    const finish = ()=>{
+      es.close()
+      if (sourceRef.current !== es) return
+      sourceRef.current = null
+      jobRef.current = null
+      setRunning(false)
+      sessionStorage.removeItem(storageKey)
+    }
+    const es = followJob(id, (event, d)=>{
+      if (event === 'log') addLog(d.message)
+      else if (event === 'delta') setDraft(s=> d.reset ? '' : s + d.text)
+      else if (event === 'result') { setResult(d); onResult?.(d); finish() }
+      else if (event === 'error') { addLog(d.cancelled ? `${label[0].toUpperCase()}${label.slice(1)} cancelled` : 'ERROR: '+(d.message||JSON.stringify(d))); finish() }
+    }, ()=>{ addLog(`Lost the connection to the ${label} job`); finish() })
+    sourceRef.current = es
+  }
+
+  useEffect(()=>{
+    if (resume.current) { addLog(`Reattaching to the running ${label}`); follow(resume.current.id) }
+    // Leaving the page only stops listening; the job keeps running on the server
+    return ()=>{ sourceRef.current?.close() }
+  }, [])
+
+  const start = async (body: Record<string, unknown>, inputs: I) => {
+    if (jobRef.current) return
+    setLogs([])
+    setResult(null)
+    setDraft('')
+    setRunning(true)
+    try{
+      const r = await axios.post('http://localhost:4000/api/jobs', body)
+      sessionStorage.setItem(storageKey, JSON.stringify({ id: r.data.id, inputs }))
+      follow(r.data.id)
+    }catch(err:any){
+      addLog('ERROR: '+(err?.response?.data?.message || err?.response?.data?.error || err?.message || String(err)))
+      setRunning(false)
+    }
+  }
+
+  // The server stops the job and reports it on the stream as a cancelled `error`
+  const cancel = () => {
+    const id = jobRef.current
+    if (id) axios.delete(`http://localhost:4000/api/jobs/${id}`).catch(err=>console.warn(err))
+  }
+
+  return { resumed: resume.current?.inputs ?? null, logs, running, draft, result, start, cancel }
+}
+
+// Pull request review tab: runs a review job for a PR URL and shows findings per file and hunk
+function ReviewPanel({ onOpenFileAt, onResult }: { onOpenFileAt: OpenFileAt, onResult: () => void }) {
+  const job = usePanelJob<ReviewData, { pr: string }>(REVIEW_JOB_KEY, 'review', onResult)
+  const [pr, setPr] = useState(job.resumed?.pr || '')
+  const [collapsed, setCollapsed] = useState(false)
+  const { logs, running, draft, result, cancel } = job
+
+  const start = () => {
+    if (pr.trim() && !running) job.start({ type: 'review', pr: pr.trim() }, { pr: pr.trim() })
+  }
+
+  return (
+    <>
+      <section className="mb-6 p-6 bg-[rgba(255,255,255,0.03)] rounded-xl shadow-lg">
+        <div className="flex gap-2">
+          <input className="flex-1 p-3 bg-transparent border border-dotted border-gray-600 rounded-md" placeholder="https://github.com/owner/repo/pull/123" value={pr} onChange={e=>setPr(e.target.value)} onKeyDown={e=>{ if (e.key==='Enter') start() }} />
+          {running ? (
+            <button onClick={cancel} className="px-4 py-2 bg-[rgba(255,255,255,0.08)] rounded">Cancel</button>
+          ) : (
+            <button onClick={start} disabled={!pr.trim()} className="px-4 py-2 bg-gradient-to-r from-[#7b6bff] to-[#5a3cff] hover:shadow-[0_0_20px_rgba(123,107,255,0.4)] rounded disabled:opacity-50">Review</button>
+          )}
+        </div>
+        <div className="text-xs text-gray-400 mt-2">Reviews the pull request's diff against the changed files and the code around them at the head commit.</div>
+      </section>
+
+      <section className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className="md:col-span-2">
+          {result ? (
+            <>
+              <ReviewResultView result={result} onOpenFileAt={onOpenFileAt} />
+              <UsageSummary usage={result.usage} />
+            </>
+          ) : draft ? (
+            <p className="p-4">{draft}{running && <span className="animate-pulse">▍</span>}</p>
+          ) : (
+            <div className="p-4 text-gray-400">{running ? 'Reviewing…' : 'No review yet. Paste a pull request URL and click Review.'}</div>
+          )}
+        </div>
+        <div className="p-6 bg-[rgba(255,255,255,0.02)] rounded-xl">
+          <LogPanel logs={logs} collapsed={collapsed} onToggle={()=>setCollapsed(!collapsed)} />
+        </div>
+      </section>
+    </>
+  )
+}
+
+// analysis is null when both sides are the same commit and neither was analysed
+type CompareSide = { repo: string, ref: string, commit: string, analysis: Analysis | null }
+type CompareData = { comparison: ComparisonResult, base: CompareSide, head: CompareSide, files: FileChanges, dependencies: DependencyChanges, languages: LanguageShift, model: string, usage?: Usage }
+type CompareInputs = { base: string, baseRef: string, head: string, headRef: string }
+
+const COMPARE_JOB_KEY = 'repostack.compareJob'
+
+const sideLabel = (s: CompareSide) => `${s.repo.replace(/^https?:\/\/(www\.)?/, '')} @ ${s.ref} (${s.commit.slice(0, 7)})`
+const percent = (x: number) => `${(x * 100).toFixed(1)}%`
+
+// The two sides' analyses field by field
+function AnalysisColumns({ base, head }: { base: CompareSide, head: CompareSide }) {
+  const rows: [string, (a: Analysis) => React.ReactNode][] = [
+    ['Summary', a=>a.project_summary],
+    ['Languages', a=>a.primary_languages.map(l=>(<Badge key={l} text={l} />))],
+    ['Frameworks', a=>a.key_frameworks.map(l=>(<Badge key={l} text={l} />))],
+    ['Use cases', a=>(<ul className="list-disc ml-4">{a.possible_use_cases.map((u,i)=>(<li key={i}>{u}</li>))}</ul>)],
+    ['Difficulty', a=>a.difficulty_rating]
+  ]
+  const baseAnalysis = base.analysis
+  const headAnalysis = head.analysis
+  return (
+    <div className="grid grid-cols-[6rem_1fr_1fr] gap-x-4 gap-y-3 text-sm">
+      <div />
+      <div className="text-xs text-gray-400 font-mono break-all">Base: {sideLabel(base)}</div>
+      <div className="text-xs text-gray-400 font-mono break-all">Head: {sideLabel(head)}</div>
+      {baseAnalysis && headAnalysis && rows.map(([label, render])=>(
+        <React.Fragment key={label}>
+          <div className="text-gray-400">{label}</div>
+          <div>{render(baseAnalysis)}</div>
+          <div>{render(headAnalysis)}</div>
+        </React.Fragment>
+      ))}
+    </div>
+  )
+}
+
+function PathList({ title, count, paths }: { title: string, count: number, paths: string[] }) {
+  if (!count) return null
+  return (
+    <details className="mb-2">
+      <summary className="cursor-pointer text-sm">{title} ({count})</summary>
+      <div className="mt-1 max-h-48 overflow-auto font-mono text-xs text-gray-300">
+        {paths.map(p=>(<div key={p}>{p}</div>))}
+        {paths.length < count && <div className="text-gray-500">…and {count - paths.length} more</div>}
+      </div>
+    </details>
+  )
+}
+
+function ChangeSections({ data }: { data: CompareData }) {
+  const { files, dependencies, languages } = data
+  const c = files.counts
+  const movedFrameworks = [...dependencies.frameworks_added.map(f=>`+ ${f}`), ...dependencies.frameworks_removed.map(f=>`− ${f}`)]
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div className="p-4 bg-[rgba(255,255,255,0.02)] rounded-xl">
+        <h3 className="text-lg mb-2">Files</h3>
+        <div className="text-xs text-gray-300 mb-3">
+          <span className="text-green-300">+{c.added}</span> <span className="text-red-300">−{c.removed}</span> <span className="text-amber-300">~{c.changed}</span> · {c.renamed} renamed · {c.unchanged} unchanged{c.uncertain ? ` · ${c.uncertain} not comparable` : ''}
+        </div>
+        {files.directories.length>0 && (
+          <table className="w-full text-xs mb-3">
+            <tbody>{files.directories.slice(0, 10).map(d=>(
+              <tr key={d.directory}><td className="font-mono pr-2 truncate">{d.directory}</td><td className="text-green-300">+{d.added}</td><td className="text-red-300">−{d.removed}</td><td className="text-amber-300">~{d.changed}</td></tr>
+            ))}</tbody>
+          </table>
+        )}
+        <PathList title="Added" count={c.added} paths={files.added} />
+        <PathList title="Removed" count={c.removed} paths={files.removed} />
+        <PathList title="Changed" count={c.changed} paths={files.changed} />
+        <PathList title="Renamed" count={c.renamed} paths={files.renamed.map(r=>`${r.from} → ${r.to}`)} />
+      </div>
+      <div className="p-4 bg-[rgba(255,255,255,0.02)] rounded-xl">
+        <h3 className="text-lg mb-2">Dependencies</h3>
+        {movedFrameworks.length>0 && <div className="text-xs mb-2">Frameworks: {movedFrameworks.join(', ')}</div>}
+        {dependencies.licenses_added.length + dependencies.licenses_removed.length>0 && <div className="text-xs mb-2">Licenses: {[...dependencies.licenses_added.map(l=>`+ ${l}`), ...dependencies.licenses_removed.map(l=>`− ${l}`)].join(', ')}</div>}
+        {dependencies.dependencies.length ? (
+          <div className="max-h-64 overflow-auto">
+            <table className="w-full text-xs">
+              <tbody>{dependencies.dependencies.map(d=>(
+                <tr key={`${d.ecosystem}:${d.name}`}>
+                  <td className={d.change === 'added' ? 'text-green-300' : d.change === 'removed' ? 'text-red-300' : 'text-amber-300'}>{d.change === 'added' ? '+' : d.change === 'removed' ? '−' : '~'}</td>
+                  <td className="font-mono pr-2 break-all">{d.name}<span className="text-gray-500"> {d.ecosystem}</span></td>
+                  <td className="font-mono text-gray-300">{d.change === 'changed' ? `${d.base_version || '?'} → ${d.head_version || '?'}` : (d.head_version || d.base_version || '')}</td>
+                </tr>
+              ))}</tbody>
+            </table>
+          </div>
+        ) : <div className="text-xs text-gray-400">No direct dependency changes.</div>}
+      </div>
+      <div className="p-4 bg-[rgba(255,255,255,0.02)] rounded-xl">
+        <h3 className="text-lg mb-2">Languages</h3>
+        <div className="text-xs text-gray-400 mb-2">Share of {languages.measure}, base → head</div>
+        {languages.languages.map(l=>(
+          <div key={l.language} className="mb-2 text-xs">
+            <div className="flex justify-between"><span>{l.language}</span><span className="font-mono">{percent(l.base)} → {percent(l.head)}</span></div>
+            <div className="h-1.5 bg-[rgba(255,255,255,0.05)] rounded mt-1"><div className="h-1.5 bg-gray-400/60 rounded" style={{ width: percent(l.base) }} /></div>
+            <div className="h-1.5 bg-[rgba(255,255,255,0.05)] rounded mt-0.5"><div className="h-1.5 bg-[#00a884] rounded" style={{ width: percent(l.head) }} /></div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// Compare tab: two repositories (e.g. a fork and its upstream) or two refs of one, side by side
+function ComparisonSummary({ result, onOpenFileAt }: { result: CompareData, onOpenFileAt: OpenFileAt }) {
+  const { comparison } = result
+  const openOn = (side: CompareSide): OpenFile => (path, startLine, endLine) => onOpenFileAt(side.repo, side.commit, path, startLine, endLine)
+  if (comparison.cannot_compare) return <div className="p-3 border border-amber-500/40 bg-amber-900/20 rounded text-xs text-amber-200">{comparison.reason}</div>
+  return (
+    <div>
+      <Paragraphs text={comparison.summary} />
+      {comparison.highlights.map((h, i)=>(
+        <div key={i} className="mb-4">
+          <div className="font-medium">{h.title}</div>
+          <div className="text-sm text-gray-200 mb-2">{h.detail}</div>
+          <div className="space-y-2">{h.references.map((r, j)=>(
+            <div key={j}>
+              <div className="text-[10px] uppercase text-gray-400 mb-1">{r.side}</div>
+              <ReferenceCard refData={r} onOpen={openOn(r.side === 'base' ? result.base : result.head)} />
+            </div>
+          ))}</div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function ComparePanel({ onOpenFileAt, onResult }: { onOpenFileAt: OpenFileAt, onResult: () => void }) {
+  const job = usePanelJob<CompareData, CompareInputs>(COMPARE_JOB_KEY, 'comparison', onResult)
+  const [inputs, setInputs] = useState<CompareInputs>(job.resumed || { base: '', baseRef: '', head: '', headRef: '' })
+  const [collapsed, setCollapsed] = useState(false)
+  const { logs, running, draft, result, cancel } = job
+  const set = (patch: Partial<CompareInputs>) => setInputs(v=>({ ...v, ...patch }))
+
+  const start = () => {
+    if (!inputs.base.trim() || running) return
+    job.start({ type: 'compare', base: inputs.base.trim(), base_ref: inputs.baseRef.trim() || undefined, head: inputs.head.trim() || undefined, head_ref: inputs.headRef.trim() || undefined }, inputs)
+  }
+
+  const field = 'p-3 bg-transparent border border-dotted border-gray-600 rounded-md'
+
+  return (
+    <>
+      <section className="mb-6 p-6 bg-[rgba(255,255,255,0.03)] rounded-xl shadow-lg">
+        <div className="grid grid-cols-[1fr_10rem] gap-2">
+          <input className={field} placeholder="Base: https://github.com/owner/repo (e.g. upstream)" value={inputs.base} onChange={e=>set({ base: e.target.value })} />
+          <input className={field} placeholder="ref (default branch)" value={inputs.baseRef} onChange={e=>set({ baseRef: e.target.value })} />
+          <input className={field} placeholder="Head: another repository (e.g. a fork), or empty for the same one" value={inputs.head} onChange={e=>set({ head: e.target.value })} />
+          <input className={field} placeholder="ref (default branch)" value={inputs.headRef} onChange={e=>set({ headRef: e.target.value })} onKeyDown={e=>{ if (e.key==='Enter') start() }} />
+        </div>
+        <div className="flex items-center justify-between mt-3">
+          <div className="text-xs text-gray-400">Compare a fork with its upstream, or two refs of one repository (e.g. v1 and v2).</div>
+          {running ? (
+            <button onClick={cancel} className="px-4 py-2 bg-[rgba(255,255,255,0.08)] rounded">Cancel</button>
+          ) : (
+            <button onClick={start} disabled={!inputs.base.trim()} className="px-4 py-2 bg-gradient-to-r from-[#00373a] to-[#00a884] hover:shadow-[0_0_20px_rgba(0,168,132,0.5)] rounded disabled:opacity-50">Compare</button>
+          )}
+        </div>
+      </section>
+
+      <section className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className="md:col-span-2 p-6 bg-[rgba(255,255,255,0.02)] rounded-xl">
+          <h2 className="text-xl mb-2">Differences</h2>
+          {result ? (
+            <>
+              <ComparisonSummary result={result} onOpenFileAt={onOpenFileAt} />
+              <UsageSummary usage={result.usage} />
+            </>
+          ) : draft ? (
+            <p>{draft}{running && <span className="animate-pulse">▍</span>}</p>
+          ) : (
+            <div className="text-gray-400">{running ? 'Analyzing both sides…' : 'No comparison yet. Enter a base and a head and click Compare.'}</div>
+          )}
+        </div>
+        <div className="p-6 bg-[rgba(255,255,255,0.02)] rounded-xl">
+          <LogPanel logs={logs} collapsed={collapsed} onToggle={()=>setCollapsed(!collapsed)} />
+        </div>
+      </section>
+
+      {result && (
+        <>
+          <section className="mb-6 p-6 bg-[rgba(255,255,255,0.02)] rounded-xl">
+            <h2 className="text-xl mb-3">Analysis side by side</h2>
+            <AnalysisColumns base={result.base} head={result.head} />
+          </section>
+          <section className="mb-6"><ChangeSections data={result} /></section>
+        </>
+      )}
+    </>
+  )
+}
+
+type RunType = 'analyze' | 'walkthrough' | 'review' | 'compare'
+type RunSummary = { id: string, type: RunType, repo: string, ref: string, commit: string, question: string | null, title: string, model: string | null, created_at: string }
+type SavedRun = RunSummary & { result: any }
+
+const RUN_LABELS: Record<RunType, string> = { analyze: 'Analysis', walkthrough: 'Walkthrough', review: 'Review', compare: 'Comparison' }
+const EXPORT_FORMATS = [['markdown', 'MD'], ['json', 'JSON'], ['html', 'HTML']] as const
+
+// Fetched through axios rather than a plain link so the API key goes along
+async function downloadExport(url: string){
+  const r = await axios.get(url, { responseType: 'blob' })
+  const name = /filename="?([^";]+)"?/.exec(r.headers['content-disposition'] || '')?.[1] || 'repostack-report'
+  const href = URL.createObjectURL(r.data)
+  const a = document.createElement('a')
+  a.href = href
+  a.download = name
+  a.click()
+  URL.revokeObjectURL(href)
+}
+
+function ExportButtons({ url }: { url: string }) {
+  const [error, setError] = useState('')
+  const run = (format: string) => {
+    setError('')
+    downloadExport(`${url}${url.includes('?') ? '&' : '?'}format=${format}`).catch((err:any)=>setError(err?.message || String(err)))
+  }
+  return (
+    <span className="inline-flex items-center gap-1">
+      {EXPORT_FORMATS.map(([format, label])=>(<button key={format} onClick={()=>run(format)} className="px-2 py-0.5 text-xs bg-[rgba(255,255,255,0.08)] rounded">{label}</button>))}
+      {error && <span className="text-xs text-red-300">{error}</span>}
+    </span>
+  )
+}
+
+// Saved runs, newest first; limited to the repository in the input unless "All" is picked
+function HistorySidebar({ repo, refreshKey, selected, onSelect }: { repo: string, refreshKey: number, selected: string | null, onSelect: (id: string) => void }) {
+  const [runs, setRuns] = useState<RunSummary[]>([])
+  const [all, setAll] = useState(false)
+  const [status, setStatus] = useState('')
+  const filter = all || !repo.trim() ? '' : repo.trim()
+
+  // Debounced: the server saves a run just after sending its result
+  useEffect(()=>{
+    let cancelled = false
+    const t = setTimeout(async ()=>{
+      try{
+        const r = await axios.get(`http://localhost:4000/api/history${filter ? `?repo=${encodeURIComponent(filter)}` : ''}`)
+        if (!cancelled) { setRuns(r.data.runs); setStatus('') }
+      }catch(err:any){
+        if (!cancelled) setStatus(err?.response?.data?.message || err?.response?.data?.error || err?.message || String(err))
+      }
+    }, 600)
+    return ()=>{ cancelled = true; clearTimeout(t) }
+  }, [filter, refreshKey])
+
+  return (
+    <aside className="w-64 shrink-0 p-4 bg-[rgba(255,255,255,0.03)] rounded-xl self-start">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg">History</h2>
+        <div className="text-xs flex gap-2">
+          <button onClick={()=>setAll(false)} disabled={!repo.trim()} className={!filter ? 'text-gray-400 disabled:opacity-50' : 'underline'}>This repo</button>
+          <button onClick={()=>setAll(true)} className={filter ? 'text-gray-400' : 'underline'}>All</button>
+        </div>
+      </div>
+      {filter && runs.length > 0 && <div className="mb-2 text-xs text-gray-400 flex items-center gap-2">Export all <ExportButtons url={`http://localhost:4000/api/history/export?repo=${encodeURIComponent(filter)}`} /></div>}
+      {status && <div className="text-xs text-red-300 mb-2">{status}</div>}
+      {!runs.length && !status && <div className="text-xs text-gray-400">No saved runs yet.</div>}
+      <ul className="space-y-1 max-h-[70vh] overflow-auto">
+        {runs.map(r=>(
+          <li key={r.id}>
+            <button onClick={()=>onSelect(r.id)} className={`w-full text-left p-2 rounded text-sm ${selected === r.id ? 'bg-[rgba(255,255,255,0.1)]' : 'hover:bg-[rgba(255,255,255,0.05)]'}`}>
+              <div className="truncate">{r.title}</div>
+              <div className="text-[10px] text-gray-400">{RUN_LABELS[r.type]} · {r.ref} · {new Date(r.created_at).toLocaleString()}</div>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  )
+}
+
+// A saved run, read-only, with its exports
+function RunView({ id, onOpenFileAt, onDeleted }: { id: string, onOpenFileAt: OpenFileAt, onDeleted: () => void }) {
+  const [run, setRun] = useState<SavedRun | null>(null)
+  const [status, setStatus] = useState('')
+
+  useEffect(()=>{
+    let cancelled = false
+    setRun(null)
+    setStatus('Loading…')
+    axios.get(`http://localhost:4000/api/history/${id}`)
+      .then(r=>{ if (!cancelled) { setRun(r.data); setStatus('') } })
+      .catch((err:any)=>{ if (!cancelled) setStatus(err?.response?.data?.error || err?.message || String(err)) })
+    return ()=>{ cancelled = true }
+  }, [id])
+
+  const remove = async () => {
+    if (!window.confirm('Delete this run from the history?')) return
+    try{
+      await axios.delete(`http://localhost:4000/api/history/${id}`)
+      onDeleted()
+    }catch(err:any){ setStatus(err?.response?.data?.error || err?.message || String(err)) }
+  }
+
+  if (!run) return <div className="p-4 text-gray-400">{status}</div>
+  const openFile: OpenFile = (path, startLine, endLine) => onOpenFileAt(run.repo, run.commit, path, startLine, endLine)
+  return (
+    <section className="mb-6 p-6 bg-[rgba(255,255,255,0.02)] rounded-xl">
+      <div className="mb-4 flex items-start justify-between gap-4">
+        <div>
+          <div className="text-xs uppercase text-gray-400">{RUN_LABELS[run.type]}</div>
+          <h2 className="text-xl">{run.title}</h2>
+          <div className="text-xs text-gray-400 font-mono mt-1">{run.repo} @ {run.ref} ({run.commit.slice(0, 12)}){run.model ? ` · ${run.model}` : ''} · {new Date(run.created_at).toLocaleString()}</div>
+          <UsageSummary usage={run.result.usage} />
+        </div>
+        <div className="flex items-center gap-2 shrink-0">
+          <ExportButtons url={`http://localhost:4000/api/history/${run.id}/export`} />
+          <button onClick={remove} className="px-2 py-0.5 text-xs text-red-300 bg-[rgba(255,255,255,0.08)] rounded">Delete</button>
+        </div>
+      </div>
+      {status && <div className="text-xs text-red-300 mb-2">{status}</div>}
+      {run.type === 'analyze' && <AnalysisSummary analysis={run.result.analysis} onOpenFile={openFile} />}
+      {run.type === 'walkthrough' && <WalkthroughView walkthrough={run.result.walkthrough} onOpenFile={openFile} />}
+      {run.type === 'review' && <ReviewResultView result={run.result} onOpenFileAt={onOpenFileAt} />}
+      {run.type === 'compare' && (
+        <>
+          <ComparisonSummary result={run.result} onOpenFileAt={onOpenFileAt} />
+          <div className="mt-6"><AnalysisColumns base={run.result.base} head={run.result.head} /></div>
+          <div className="mt-6"><ChangeSections data={run.result} /></div>
+        </>
+      )}
+    </section>
+  )
+}
+
+// Only needed when the server requires API keys
+function ApiKeyField(){
+  const [key, setKey] = useState(apiKey)
+  const [me, setMe] = useState<string | null>(null)
+
+  useEffect(()=>{
+    setApiKey(key)
+    let cancelled = false
+    const t = setTimeout(async ()=>{
+      try{
+        const r = await axios.get('http://localhost:4000/api/me')
+        if (!cancelled) setMe(r.data.anonymous ? null : `${r.data.key_id}${r.data.team ? ` (${r.data.team})` : ''}`)
+      }catch(err:any){
+        if (!cancelled) setMe(err?.response?.status === 401 ? 'key required' : null)
+      }
+    }, 400)
+    return ()=>{ cancelled = true; clearTimeout(t) }
+  }, [key])
+
+  return (
+    <div className="text-right">
+      <input type="password" className="p-2 w-56 text-sm bg-transparent border border-dotted border-gray-600 rounded-md" placeholder="API key (if required)" value={key} onChange={e=>setKey(e.target.value)} />
+      {me && <div className="mt-1 text-xs text-gray-400">{me}</div>}
+    </div>
+  )
+}
 
 export default function App(){
-  const [repo, setRepo] = useState('')
+  // Jobs left running by a previous load of this tab; cleared once the repo or ref changes
+  const resumeRef = useRef<ActiveJobs | null>(loadActiveJobs())
+  const [repo, setRepo] = useState(resumeRef.current?.repo || '')
   const [logs, setLogs] = useState<string[]>([])
   const [collapsed, setCollapsed] = useState(false)
-  const [analysis, setAnalysis] = useState<any>(null)
+  const [analysis, setAnalysis] = useState<Analysis | null>(null)
+  const [analysisUsage, setAnalysisUsage] = useState<Usage | null>(null)
   const [question, setQuestion] = useState('Give me a high-level walkthrough of the codebase and where authentication is handled.')
-  const [walkthrough, setWalkthrough] = useState<any>(null)
+  const [sessionId, setSessionId] = useState<string | null>(null)
+  const [turns, setTurns] = useState<Turn[]>([])
+  const [asking, setAsking] = useState(false)
+  const [refs, setRefs] = useState<any>(null)
+  const [refsLoading, setRefsLoading] = useState(false)
+  const [ref, setRef] = useState(resumeRef.current?.ref || '')
+  const [commit, setCommit] = useState<string | null>(null)
+  const [viewer, setViewer] = useState<ViewerState | null>(null)
+  const [analyzing, setAnalyzing] = useState(false)
+  const [summaryDraft, setSummaryDraft] = useState('')
+  // Open the tab whose job a reload is reattaching to
+  const [tab, setTab] = useState<'repo' | 'review' | 'compare' | 'history'>(sessionStorage.getItem(REVIEW_JOB_KEY) ? 'review' : sessionStorage.getItem(COMPARE_JOB_KEY) ? 'compare' : 'repo')
+  const [showHistory, setShowHistory] = useState(true)
+  const [historyRun, setHistoryRun] = useState<string | null>(null)
+  // Bumped whenever a run finishes, so the history sidebar refetches
+  const [historyTick, setHistoryTick] = useState(0)
+  const bumpHistory = useCallback(()=>setHistoryTick(n=>n + 1), [])
   const evtSourceRef = useRef<EventSource | null>(null)
+  const analyzeJobRef = useRef<string | null>(null)
+  const askSourceRef = useRef<EventSource | null>(null)
+  const askJobRef = useRef<string | null>(null)
+  const askAbortRef = useRef<AbortController | null>(null)
+
+  // Leaving the page only stops listening; the jobs keep running on the server
+  useEffect(()=>{ return ()=>{ evtSourceRef.current?.close(); askSourceRef.current?.close(); askAbortRef.current?.abort() } }, [])
 
-  useEffect(()=>{ return ()=>{ if (evtSourceRef.current) evtSourceRef.current.close() } }, [])
+  // Load branches/tags for the ref picker once the repo URL settles
+  useEffect(()=>{
+    setRefs(null)
+    // Keep the ref a resumed job was started with
+    const resuming = resumeRef.current?.repo === repo
+    if (!resuming) { setRef(''); setCommit(null) }
+    if (!repo.trim()) return
+    let cancelled = false
+    const t = setTimeout(async ()=>{
+      setRefsLoading(true)
+      try{
+        const r = await axios.get(`http://localhost:4000/api/refs?repo=${encodeURIComponent(repo)}`)
+        if (!cancelled) { setRefs(r.data); if (r.data.url_ref && !resuming) setRef(r.data.url_ref) }
+      }catch(err){ console.warn(err) }
+      finally{ if (!cancelled) setRefsLoading(false) }
+    }, 600)
+    return ()=>{ cancelled = true; clearTimeout(t) }
+  }, [repo])
+
+  // A conversation is bound to one repo + ref; changing either starts a new one
+  useEffect(()=>{
+    const resume = resumeRef.current
+    if (resume && resume.repo === repo && resume.ref === ref) return
+    resumeRef.current = null
+    setSessionId(null); setTurns([]); setViewer(null)
+  }, [repo, ref])
 
   function addLog(msg:string){ setLogs(s=>[...s, msg]) }
 
+  // Record (or with undefined, forget) a job this tab follows for the current repo + ref
+  function rememberJob(patch: Partial<ActiveJobs>){
+    const current = loadActiveJobs()
+    const base = current && current.repo === repo && current.ref === ref ? current : { repo, ref }
+    saveActiveJobs({ ...base, ...patch })
+  }
+
+  const followAnalysis = (id: string) => {
+    evtSourceRef.current?.close()
+    analyzeJobRef.current = id
+    setAnalyzing(true)
+    const finish = ()=>{
+      es.close()
+      if (evtSourceRef.current !== es) return
+      evtSourceRef.current = null
+      analyzeJobRef.current = null
+      setAnalyzing(false)
+      rememberJob({ analyze: undefined })
+    }
+    const es = followJob(id, (event, d)=>{
+      if (event === 'log') addLog(d.message)
+      else if (event === 'delta') setSummaryDraft(s=> d.reset ? '' : s + d.text)
+      else if (event === 'result') { setAnalysis(d.analysis); setAnalysisUsage(d.usage || null); setCommit(d.commit || null); bumpHistory(); finish() }
+      else if (event === 'error') { addLog(d.cancelled ? 'Analysis cancelled' : 'ERROR: '+(d.message||JSON.stringify(d))); finish() }
+    }, ()=>{ addLog('Lost the connection to the analysis job'); finish() })
+    evtSourceRef.current = es
+  }
+
   const analyze = async () => {
     setLogs([])
     setAnalysis(null)
-    if (evtSourceRef.current) evtSourceRef.current.close()
-    const url = `http://localhost:4000/api/analyze?repo=${encodeURIComponent(repo)}`
-    const es = new EventSource(url)
-    evtSourceRef.current = es
-    es.addEventListener('log', (e:any)=>{ const d=JSON.parse(e.data); addLog(d.message) })
-    es.addEventListener('result', (e:any)=>{ const d=JSON.parse(e.data); setAnalysis(d.analysis) })
-    es.addEventListener('error', (e:any)=>{ const d=JSON.parse(e.data); addLog('ERROR: '+(d.message||JSON.stringify(d))) })
-    es.onerror = (ev)=>{ addLog('EventSource error'); es.close(); }
+    setAnalysisUsage(null)
+    setSummaryDraft('')
+    setAnalyzing(true)
+    try{
+      const r = await axios.post('http://localhost:4000/api/jobs', { type: 'analyze', repo, ref: ref || undefined })
+      rememberJob({ analyze: r.data.id })
+      followAnalysis(r.data.id)
+    }catch(err:any){
+      addLog('ERROR: '+(err?.response?.data?.message || err?.response?.data?.error || err?.message || String(err)))
+      setAnalyzing(false)
+    }
+  }
+
+  // The server stops the job and reports it on the stream as a cancelled `error`
+  const cancelAnalyze = () => {
+    const id = analyzeJobRef.current
+    if (id) axios.delete(`http://localhost:4000/api/jobs/${id}`).catch(err=>console.warn(err))
+  }
+
+  const updateTurn = (index:number, patch:Partial<Turn>) => setTurns(ts=>ts.map((t,i)=> i===index ? { ...t, ...patch } : t))
+
+  const followAsk = (id: string, index: number) => {
+    askSourceRef.current?.close()
+    askJobRef.current = id
+    setAsking(true)
+    const finish = ()=>{
+      es.close()
+      if (askSourceRef.current !== es) return
+      askSourceRef.current = null
+      askJobRef.current = null
+      setAsking(false)
+      rememberJob({ ask: undefined })
+    }
+    const es = followJob(id, (event, d)=>{
+      if (event === 'log') addLog(d.message)
+      else if (event === 'delta') setTurns(ts=>ts.map((t,i)=> i===index ? { ...t, draft: d.reset ? '' : (t.draft || '') + d.text } : t))
+      else if (event === 'result') { updateTurn(index, { walkthrough: d.walkthrough, usage: d.usage }); setCommit(d.commit || null); bumpHistory(); finish() }
+      else if (event === 'error') {
+        if (d.cancelled) { addLog('Walkthrough cancelled'); updateTurn(index, { cancelled: true }) }
+        else { addLog('ERROR: '+(d.message||JSON.stringify(d))); updateTurn(index, { error: d.message || 'unknown error' }) }
+        finish()
+      }
+    }, ()=>{ addLog('Lost the connection to the walkthrough job'); updateTurn(index, { error: 'connection to the job was lost' }); finish() })
+    askSourceRef.current = es
   }
 
   const askWalkthrough = async () => {
+    if (!question.trim() || asking) return
     setLogs([])
-    setWalkthrough(null)
-    if (evtSourceRef.current) evtSourceRef.current.close()
-    const url = `http://localhost:4000/api/walkthrough?repo=${encodeURIComponent(repo)}&question=${encodeURIComponent(question)}`
-    const es = new EventSource(url)
-    evtSourceRef.current = es
-    es.addEventListener('log', (e:any)=>{ const d=JSON.parse(e.data); addLog(d.message) })
-    es.addEventListener('result', (e:any)=>{ const d=JSON.parse(e.data); setWalkthrough(d.walkthrough) })
-    es.addEventListener('error', (e:any)=>{ try{ const d=JSON.parse(e.data); addLog('ERROR: '+(d.message||JSON.stringify(d))) }catch{ addLog('Unknown error event') } })
-    es.onerror = (ev)=>{ addLog('EventSource error'); es.close(); }
+    setAsking(true)
+    const index = turns.length
+    setTurns(ts=>[...ts, { question }])
+    setQuestion('')
+    // Covers the requests made before the job exists; after that, cancelling goes through the job
+    const controller = new AbortController()
+    askAbortRef.current = controller
+    try{
+      let id = sessionId
+      if (!id) {
+        const r = await axios.post('http://localhost:4000/api/sessions', { repo, ref: ref || undefined }, { signal: controller.signal })
+        id = r.data.id as string
+        setSessionId(id)
+        setCommit(r.data.commit || null)
+        addLog(`Started conversation on ${r.data.ref} (${String(r.data.commit).slice(0, 12)})`)
+      }
+      const r = await axios.post('http://localhost:4000/api/jobs', { type: 'walkthrough', session_id: id, question }, { signal: controller.signal })
+      rememberJob({ ask: { id: r.data.id, sessionId: id } })
+      followAsk(r.data.id, index)
+    }catch(err:any){
+      setAsking(false)
+      if (controller.signal.aborted) {
+        addLog('Walkthrough cancelled')
+        updateTurn(index, { cancelled: true })
+        return
+      }
+      const message = err?.response?.data?.message || err?.response?.data?.error || err?.message || String(err)
+      addLog('ERROR: '+message)
+      updateTurn(index, { error: message })
+    }finally{
+      if (askAbortRef.current === controller) askAbortRef.current = null
+    }
+  }
+
+  const cancelAsk = () => {
+    askAbortRef.current?.abort()
+    const id = askJobRef.current
+    if (id) axios.delete(`http://localhost:4000/api/jobs/${id}`).catch(err=>console.warn(err))
   }
 
-  const fetchFullFile = async (path:string)=>{
+  // Rebuild the conversation from the server, then follow the question still being answered
+  const resumeAsk = async ({ id, sessionId }: { id: string, sessionId: string }) => {
     try{
-      const r = await axios.get(`http://localhost:4000/api/file?repo=${encodeURIComponent(repo)}&path=${encodeURIComponent(path)}`)
-      return r.data.content
-    }catch(err){ console.warn(err); return null }
+      const [session, job] = await Promise.all([
+        axios.get(`http://localhost:4000/api/sessions/${sessionId}`),
+        axios.get(`http://localhost:4000/api/jobs/${id}`)
+      ])
+      const done: Turn[] = session.data.turns.map((t:any)=>({ question: t.question, walkthrough: t.walkthrough }))
+      setSessionId(sessionId)
+      setCommit(session.data.commit || null)
+      if (job.data.status === 'succeeded') {
+        setTurns(done)
+        rememberJob({ ask: undefined })
+        return
+      }
+      setTurns([...done, { question: job.data.question }])
+      followAsk(id, done.length)
+    }catch(err){
+      console.warn(err)
+      addLog('Could not resume the previous walkthrough (it may have expired)')
+      rememberJob({ ask: undefined })
+    }
   }
 
+  // Pick up jobs that were still running when this tab was reloaded
+  useEffect(()=>{
+    const resume = resumeRef.current
+    if (!resume) return
+    if (resume.analyze) { addLog('Reattaching to the running analysis'); followAnalysis(resume.analyze) }
+    if (resume.ask) resumeAsk(resume.ask)
+  }, [])
+
+  const newConversation = () => { setSessionId(null); setTurns([]) }
+
+  const closeViewer = useCallback(()=>setViewer(null), [])
+
+  const openFileAt: OpenFileAt = async (fileRepo, at, path, startLine, endLine)=>{
+    setViewer({ path, startLine, endLine })
+    try{
+      const pinned = at ? `&ref=${encodeURIComponent(at)}` : ''
+      const r = await axios.get(`http://localhost:4000/api/file?repo=${encodeURIComponent(fileRepo)}&path=${encodeURIComponent(path)}${pinned}`)
+      setViewer(v=> v && v.path === path ? { ...v, content: r.data.content, commit: r.data.commit } : v)
+    }catch(err:any){
+      const message = err?.response?.data?.error || err?.message || String(err)
+      setViewer(v=> v && v.path === path ? { ...v, error: message } : v)
+    }
+  }
+
+  // Pin to the commit the answer was produced from, if we know it
+  const openFile: OpenFile = (path, startLine, endLine) => openFileAt(repo, commit || ref, path, startLine, endLine)
+
   return (
     <div className="min-h-screen bg-gradient-to-b from-[#001021] via-[#00373a] to-[#00a884] text-white p-8 font-sans">
-      <div className="max-w-4xl mx-auto">
-        <header className="mb-6">
-          <h1 className="text-3xl font-bold">RepoStackAI</h1>
-          <p className="text-sm text-gray-300">Mission control for repository analysis</p>
-        </header>
-
-        <section className="mb-6 p-6 bg-[rgba(255,255,255,0.03)] rounded-xl shadow-lg">
-          <div className="flex gap-2">
-            <input className="flex-1 p-3 bg-transparent border border-dotted border-gray-600 rounded-md" placeholder="https://github.com/owner/repo" value={repo} onChange={e=>setRepo(e.target.value)} />
-            <button onClick={analyze} className="px-4 py-2 bg-gradient-to-r from-[#00373a] to-[#00a884] hover:shadow-[0_0_20px_rgba(0,168,132,0.5)] rounded">Analyze</button>
-            <button onClick={askWalkthrough} className="px-4 py-2 bg-gradient-to-r from-[#7b6bff] to-[#5a3cff] hover:shadow-[0_0_20px_rgba(123,107,255,0.4)] rounded">Deep Dive</button>
+      <div className={`${showHistory ? 'max-w-6xl' : 'max-w-4xl'} mx-auto`}>
+        <header className="mb-6 flex items-start justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold">RepoStackAI</h1>
+            <p className="text-sm text-gray-300">Mission control for repository analysis</p>
           </div>
-          {/* RuleManager removed */}
-          <div className="mt-3">
-            <input value={question} onChange={e=>setQuestion(e.target.value)} className="w-full p-2 bg-transparent border border-dashed border-gray-600 rounded-md text-sm" />
-            <div className="text-xs text-gray-400 mt-1">Ask targeted questions about the codebase (e.g., "Where is auth handled?", "Trace request X").</div>
+          <div className="flex items-start gap-3">
+            <button onClick={()=>setShowHistory(!showHistory)} className="p-2 text-sm bg-[rgba(255,255,255,0.08)] rounded-md">{showHistory ? 'Hide history' : 'History'}</button>
+            <ApiKeyField />
           </div>
-        </section>
-
-        <section className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
-          <div className="md:col-span-2 p-6 bg-[rgba(255,255,255,0.02)] rounded-xl">
-            <h2 className="text-xl mb-2">Summary</h2>
-            {analysis ? (
-              <div>
-                <p className="mb-2">{analysis.project_summary}</p>
-                <div className="mb-2"><strong>Languages:</strong> {analysis.primary_languages?.map((l:string)=>(<Badge key={l} text={l} />))}</div>
-                <div className="mb-2"><strong>Frameworks:</strong> {analysis.key_frameworks?.map((l:string)=>(<Badge key={l} text={l} />))}</div>
-                <div className="mb-2"><strong>Use Cases:</strong>
-                  <div className="mt-2 grid grid-cols-2 gap-2">{analysis.possible_use_cases?.map((u:string,i:number)=>(<div key={i} className="p-2 bg-[rgba(255,255,255,0.02)] rounded">{u}</div>))}</div>
-                </div>
-                <div className="mt-4 p-3 inline-block bg-gradient-to-r from-[#7ef3d1] to-[#00a884] text-black rounded">Difficulty: {analysis.difficulty_rating}</div>
-              </div>
-            ) : (
-              <div className="text-gray-400">No analysis yet. Provide a GitHub repo URL and click Analyze.</div>
-            )}
-
-            {walkthrough ? (
-              <div className="mt-6 p-4 bg-[rgba(255,255,255,0.02)] rounded">
-                <h3 className="text-lg mb-3">Walkthrough</h3>
-                {walkthrough.cannot_answer && (
-                  <div className="mb-4 p-3 border border-red-500/40 bg-red-900/20 rounded">
-                    <div className="text-sm font-semibold text-red-300 mb-1">Cannot answer from repository</div>
-                    <div className="text-xs text-red-200 whitespace-pre-wrap">{walkthrough.reason || 'Requested information not present in repository.'}</div>
-                  </div>
-                )}
-                {!walkthrough.cannot_answer && walkthrough.missing && walkthrough.missing.length>0 && (
-                  <div className="mb-4 p-3 border border-amber-500/40 bg-amber-900/20 rounded">
-                    <div className="text-xs text-amber-200 mb-2">Not found in repo:</div>
-                    <div className="flex flex-wrap gap-2">
-                      {walkthrough.missing.map((m:string,i:number)=>(
-                        <span key={i} className="px-2 py-1 text-[11px] rounded bg-amber-500/20 border border-amber-400/30 text-amber-200">{m}</span>
-                      ))}
-                    </div>
-                  </div>
-                )}
-                {/* Answer: render paragraphs for readability */}
-                <div className="text-sm text-gray-100 mb-4">
-                  {typeof walkthrough.answer === 'string' ? (
-                    walkthrough.answer.split(/\n\n+/).map((p:string,i:number)=>(
-                      <p key={i} className="mb-3 leading-relaxed">{p}</p>
-                    ))
+        </header>
+
+        <div className="flex gap-6">
+          {showHistory && <HistorySidebar repo={repo} refreshKey={historyTick} selected={tab === 'history' ? historyRun : null} onSelect={id=>{ setHistoryRun(id); setTab('history') }} />}
+          <div className="flex-1 min-w-0">
+            <nav className="mb-4 flex gap-2 text-sm">
+              {([['repo', 'Repository'], ['review', 'PR review'], ['compare', 'Compare'], ...(historyRun ? [['history', 'Saved run']] as const : [])] as const).map(([id, label])=>(
+                <button key={id} onClick={()=>setTab(id)} className={`px-4 py-2 rounded-t ${tab === id ? 'bg-[rgba(255,255,255,0.08)] text-white' : 'text-gray-400 hover:text-gray-200'}`}>{label}</button>
+              ))}
+            </nav>
+
+            {tab === 'history' && historyRun && <RunView id={historyRun} onOpenFileAt={openFileAt} onDeleted={()=>{ setHistoryRun(null); setTab('repo'); bumpHistory() }} />}
+
+            {/* The other tabs stay mounted so switching doesn't drop a running job's stream */}
+            <div className={tab === 'review' ? '' : 'hidden'}>
+              <ReviewPanel onOpenFileAt={openFileAt} onResult={bumpHistory} />
+            </div>
+            <div className={tab === 'compare' ? '' : 'hidden'}>
+              <ComparePanel onOpenFileAt={openFileAt} onResult={bumpHistory} />
+            </div>
+
+            <div className={tab === 'repo' ? '' : 'hidden'}>
+              <section className="mb-6 p-6 bg-[rgba(255,255,255,0.03)] rounded-xl shadow-lg">
+                <div className="flex gap-2">
+                  <input className="flex-1 p-3 bg-transparent border border-dotted border-gray-600 rounded-md" placeholder="https://github.com/owner/repo, GitLab/Bitbucket URL or file:// path" value={repo} onChange={e=>setRepo(e.target.value)} />
+                  <RefPicker refs={refs} value={ref} onChange={setRef} loading={refsLoading} />
+                  {analyzing ? (
+                    <button onClick={cancelAnalyze} className="px-4 py-2 bg-[rgba(255,255,255,0.08)] rounded">Cancel</button>
                   ) : (
-                    <pre className="whitespace-pre-wrap font-mono text-xs">{JSON.stringify(walkthrough.answer, null, 2)}</pre>
+                    <button onClick={analyze} className="px-4 py-2 bg-gradient-to-r from-[#00373a] to-[#00a884] hover:shadow-[0_0_20px_rgba(0,168,132,0.5)] rounded">Analyze</button>
                   )}
                 </div>
+                {commit && <div className="mt-2 text-xs text-gray-400 font-mono">Results pinned to commit {commit.slice(0, 12)}</div>}
+                <RuleManager repo={repo} gitRef={ref} />
+              </section>
 
-                {/* Trace steps (if any) */}
-                {walkthrough.trace && walkthrough.trace.length>0 && (
-                  <div className="mb-4">
-                    <h4 className="text-sm mb-2">Trace</h4>
-                    <ol className="list-decimal pl-5 text-sm text-gray-200">
-                      {walkthrough.trace.map((t:any,i:number)=>(<li key={i} className="mb-2">{t}</li>))}
-                    </ol>
-                  </div>
-                )}
-
-                {/* References: show as expandable cards with excerpt and copy */}
-                {walkthrough.references && walkthrough.references.length>0 && (
-                  <div>
-                    <h4 className="text-sm mb-2">References</h4>
-                    <div className="space-y-3">
-                      {walkthrough.references.map((r:any,i:number)=> (
-                        <div key={i}>
-                          <ReferenceCard refData={r} />
-                          {r.excerpt && r.excerpt.length < 50 && r.path && (
-                            <div className="mt-2 text-xs text-gray-400">Excerpt truncated. <button className="underline" onClick={async ()=>{
-                              const content = await fetchFullFile(r.path)
-                              if (content) {
-                                // show full content in alert for now
-                                // eslint-disable-next-line no-alert
-                                alert(content.slice(0,2000))
-                              } else {
-                                // eslint-disable-next-line no-alert
-                                alert('Failed to fetch file content')
-                              }
-                            }}>Fetch full file</button></div>
-                          )}
-                        </div>
-                      ))}
+              <section className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                <div className="md:col-span-2 p-6 bg-[rgba(255,255,255,0.02)] rounded-xl">
+                  <h2 className="text-xl mb-2">Summary</h2>
+                  {analysis ? (
+                    <>
+                  <AnalysisSummary analysis={analysis} onOpenFile={openFile} />
+                  <UsageSummary usage={analysisUsage} />
+                </>
+                  ) : summaryDraft ? (
+                    <p className="mb-2">{summaryDraft}{analyzing && <span className="animate-pulse">▍</span>}</p>
+                  ) : (
+                    <div className="text-gray-400">{analyzing ? 'Analyzing…' : 'No analysis yet. Provide a repository URL and click Analyze.'}</div>
+                  )}
+
+                  <div className="mt-6 pt-4 border-t border-[rgba(255,255,255,0.05)]">
+                    <div className="flex items-center justify-between mb-3">
+                      <h3 className="text-lg">Walkthrough</h3>
+                      {turns.length>0 && <button onClick={newConversation} disabled={asking} className="text-xs underline text-gray-300">New conversation</button>}
+                    </div>
+                    {turns.map((t,i)=>(<ChatTurn key={i} turn={t} onOpenFile={openFile} />))}
+                    <div className="flex gap-2">
+                      <textarea value={question} onChange={e=>setQuestion(e.target.value)} onKeyDown={e=>{ if (e.key==='Enter' && !e.shiftKey) { e.preventDefault(); askWalkthrough() } }} rows={2} placeholder={turns.length ? 'Ask a follow-up (e.g. "now show me where that token is validated")' : 'Ask about the codebase'} className="flex-1 p-2 bg-transparent border border-dashed border-gray-600 rounded-md text-sm resize-none" />
+                      {asking ? (
+                        <button onClick={cancelAsk} className="px-4 py-2 bg-[rgba(255,255,255,0.08)] rounded">Cancel</button>
+                      ) : (
+                        <button onClick={askWalkthrough} disabled={!repo.trim()} className="px-4 py-2 bg-gradient-to-r from-[#7b6bff] to-[#5a3cff] hover:shadow-[0_0_20px_rgba(123,107,255,0.4)] rounded disabled:opacity-50">{turns.length ? 'Ask' : 'Deep Dive'}</button>
+                      )}
                     </div>
+                    <div className="text-xs text-gray-400 mt-1">Ask targeted questions about the codebase (e.g., "Where is auth handled?", "Trace request X"). Follow-ups keep the conversation's context.</div>
                   </div>
-                )}
-              </div>
-            ) : null}
-          </div>
 
-          <div className="p-6 bg-[rgba(255,255,255,0.02)] rounded-xl">
-            <LogPanel logs={logs} collapsed={collapsed} onToggle={()=>setCollapsed(!collapsed)} />
+                </div>
+
+                <div className="p-6 bg-[rgba(255,255,255,0.02)] rounded-xl">
+                  <LogPanel logs={logs} collapsed={collapsed} onToggle={()=>setCollapsed(!collapsed)} />
+                </div>
+              </section>
+
+              <ModuleGraph repo={repo} gitRef={ref} onOpenFile={openFile} />
+            </div>
           </div>
-        </section>
+        </div>
       </div>
+      {viewer && <FileViewer file={viewer} onClose={closeViewer} />}
     </div>
   )
 }
@@ -0,0 +1,33 @@
+from datetime import datetime, timedelta, timezone
+import hashlib
+
+import jwt
+from fastapi import Depends, HTTPException
+from fastapi.security import HTTPAuthorizationCredentials, HTTPBearer
+
+from app.config import settings
+
+bearer = HTTPBearer()
+
+
+def hash_password(password: str) -> str:
+    return hashlib.sha256(password.encode()).hexdigest()
+
+
+def create_token(user_id: int) -> str:
+    expires = datetime.now(timezone.utc) + timedelta(minutes=settings.token_ttl_minutes)
+    return jwt.encode({"sub": str(user_id), "exp": expires}, settings.jwt_secret, algorithm="HS256")
+
+
+def verify_token(token: str) -> int:
+    try:
+        claims = jwt.decode(token, settings.jwt_secret, algorithms=["HS256"])
+    except jwt.ExpiredSignatureError:
+        raise HTTPException(status_code=401, detail="token expired")
+    except jwt.InvalidTokenError:
+        raise HTTPException(status_code=401, detail="invalid token")
+    return int(claims["sub"])
+
+
+def current_user(credentials: HTTPAuthorizationCredentials = Depends(bearer)) -> int:
+    return verify_token(credentials.credentials)
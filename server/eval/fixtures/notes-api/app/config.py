@@ -0,0 +1,20 @@
+import os
+from dataclasses import dataclass
+
+
+@dataclass(frozen=True)
+class Settings:
+    db_url: str
+    jwt_secret: str
+    token_ttl_minutes: int
+
+
+def load_settings() -> Settings:
+    return Settings(
+        db_url=os.environ.get("NOTES_DB_URL", "sqlite:///notes.db"),
+        jwt_secret=os.environ["NOTES_JWT_SECRET"],
+        token_ttl_minutes=int(os.environ.get("NOTES_TOKEN_TTL_MINUTES", "60")),
+    )
+
+
+settings = load_settings()
@@ -0,0 +1,18 @@
+from fastapi import FastAPI
+
+from app.db import init_db
+from app.routes import notes, tokens
+
+app = FastAPI(title="notes-api")
+app.include_router(tokens.router)
+app.include_router(notes.router, prefix="/notes")
+
+
+@app.on_event("startup")
+def startup() -> None:
+    init_db()
+
+
+@app.get("/health")
+def health() -> dict:
+    return {"status": "ok"}
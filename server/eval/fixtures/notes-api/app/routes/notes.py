@@ -0,0 +1,40 @@
+from fastapi import APIRouter, Depends, HTTPException
+from pydantic import BaseModel
+from sqlalchemy.orm import Session
+
+from app.auth import current_user
+from app.db import get_session
+from app.models import Note
+from app.search import search_notes
+
+router = APIRouter()
+
+
+class NoteIn(BaseModel):
+    title: str
+    body: str = ""
+
+
+@router.post("", status_code=201)
+def create_note(note: NoteIn, user_id: int = Depends(current_user), session: Session = Depends(get_session)) -> dict:
+    if not note.title.strip():
+        raise HTTPException(status_code=422, detail="title must not be empty")
+    row = Note(owner_id=user_id, title=note.title.strip(), body=note.body)
+    session.add(row)
+    session.commit()
+    return {"id": row.id, "title": row.title}
+
+
+@router.get("")
+def list_notes(q: str | None = None, user_id: int = Depends(current_user), session: Session = Depends(get_session)) -> list[dict]:
+    notes = search_notes(session, user_id, q) if q else session.query(Note).filter_by(owner_id=user_id).all()
+    return [{"id": n.id, "title": n.title} for n in notes]
+
+
+@router.delete("/{note_id}", status_code=204)
+def delete_note(note_id: int, user_id: int = Depends(current_user), session: Session = Depends(get_session)) -> None:
+    note = session.get(Note, note_id)
+    if note is None or note.owner_id != user_id:
+        raise HTTPException(status_code=404, detail="note not found")
+    session.delete(note)
+    session.commit()
@@ -0,0 +1,23 @@
+from fastapi import APIRouter, Depends, HTTPException
+from pydantic import BaseModel
+from sqlalchemy import select
+from sqlalchemy.orm import Session
+
+from app.auth import create_token, hash_password
+from app.db import get_session
+from app.models import User
+
+router = APIRouter()
+
+
+class Login(BaseModel):
+    email: str
+    password: str
+
+
+@router.post("/token")
+def issue_token(login: Login, session: Session = Depends(get_session)) -> dict:
+    user = session.scalar(select(User).where(User.email == login.email))
+    if user is None or user.password_hash != hash_password(login.password):
+        raise HTTPException(status_code=401, detail="wrong email or password")
+    return {"access_token": create_token(user.id), "token_type": "bearer"}
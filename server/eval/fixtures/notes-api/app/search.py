@@ -0,0 +1,13 @@
+from sqlalchemy import or_, select
+from sqlalchemy.orm import Session
+
+from app.models import Note
+
+
+def search_notes(session: Session, owner_id: int, query: str, limit: int = 20) -> list[Note]:
+    """Case-insensitive match of every word of the query against title or body."""
+    statement = select(Note).where(Note.owner_id == owner_id)
+    for word in query.split():
+        pattern = f"%{word}%"
+        statement = statement.where(or_(Note.title.ilike(pattern), Note.body.ilike(pattern)))
+    return list(session.scalars(statement.order_by(Note.created_at.desc()).limit(limit)))
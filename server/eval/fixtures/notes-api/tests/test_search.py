@@ -0,0 +1,8 @@
+from app.models import Note
+from app.search import search_notes
+
+
+def test_every_word_must_match(session, user):
+    session.add_all([Note(owner_id=user.id, title="Groceries", body="milk eggs"), Note(owner_id=user.id, title="Ideas", body="milk tea shop")])
+    session.commit()
+    assert [n.title for n in search_notes(session, user.id, "milk tea")] == ["Ideas"]
@@ -0,0 +1,30 @@
+const { priceOf, withTax } = require('./prices');
+
+class Cart {
+  constructor() {
+    this.items = new Map();
+    this.discount = null;
+  }
+
+  addItem(sku, quantity) {
+    this.items.set(sku, (this.items.get(sku) || 0) + quantity);
+  }
+
+  subtotal() {
+    let sum = 0;
+    for (const [sku, quantity] of this.items) sum += priceOf(sku) * quantity;
+    return sum;
+  }
+
+  // Discount first, then tax on what is left
+  total() {
+    const discounted = this.discount ? this.discount.apply(this.subtotal()) : this.subtotal();
+    return withTax(discounted);
+  }
+
+  summary() {
+    return { items: Object.fromEntries(this.items), discount: this.discount ? this.discount.code : null, total: this.total() };
+  }
+}
+
+module.exports = { Cart };
@@ -0,0 +1,15 @@
+const PRODUCTS = [
+  { sku: 'tee-black-m', name: 'Black tee (M)', category: 'apparel', price: 1900 },
+  { sku: 'cap-grey', name: 'Grey cap', category: 'apparel', price: 1500 },
+  { sku: 'mug-logo', name: 'Logo mug', category: 'home', price: 1200 },
+];
+
+function listProducts({ category } = {}) {
+  return category ? PRODUCTS.filter(p => p.category === category) : PRODUCTS;
+}
+
+function findProduct(sku) {
+  return PRODUCTS.find(p => p.sku === sku) || null;
+}
+
+module.exports = { listProducts, findProduct };
@@ -0,0 +1,26 @@
+const CODES = {
+  WELCOME10: { kind: 'percent', value: 10, minimum: 0 },
+  SPRING500: { kind: 'fixed', value: 500, minimum: 2000 },
+};
+
+function makeDiscount(code, rule) {
+  return {
+    code,
+    apply(amount) {
+      if (rule.kind === 'percent') return Math.round(amount * (100 - rule.value) / 100);
+      return Math.max(0, amount - rule.value);
+    },
+  };
+}
+
+// A code applies when it exists and the subtotal reaches its minimum; one code per cart
+function applyDiscount(cart, code) {
+  const rule = CODES[String(code || '').toUpperCase()];
+  if (!rule) return { ok: false, reason: 'unknown discount code' };
+  if (cart.discount) return { ok: false, reason: 'a discount code is already applied' };
+  if (cart.subtotal() < rule.minimum) return { ok: false, reason: `subtotal must be at least ${rule.minimum}` };
+  cart.discount = makeDiscount(code.toUpperCase(), rule);
+  return { ok: true };
+}
+
+module.exports = { applyDiscount, CODES };
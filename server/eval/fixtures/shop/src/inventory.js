@@ -0,0 +1,21 @@
+const stock = new Map([
+  ['tee-black-m', 12],
+  ['mug-logo', 3],
+  ['cap-grey', 0],
+]);
+
+class OutOfStockError extends Error {
+  constructor(sku, available) {
+    super(`only ${available} of ${sku} left`);
+    this.available = available;
+  }
+}
+
+// Take quantity units of sku out of stock, or throw OutOfStockError without taking any
+function reserveStock(sku, quantity) {
+  const available = stock.get(sku) || 0;
+  if (available < quantity) throw new OutOfStockError(sku, available);
+  stock.set(sku, available - quantity);
+}
+
+module.exports = { reserveStock, OutOfStockError };
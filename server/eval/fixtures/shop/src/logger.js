@@ -0,0 +1,10 @@
+// One line per request: method, path, status and duration
+function logRequests(req, res, next) {
+  const started = Date.now();
+  res.on('finish', () => {
+    console.log(`${req.method} ${req.originalUrl} ${res.statusCode} ${Date.now() - started}ms`);
+  });
+  next();
+}
+
+module.exports = { logRequests };
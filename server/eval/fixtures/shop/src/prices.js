@@ -0,0 +1,16 @@
+const { findProduct } = require('./catalog');
+
+const TAX_RATE = 0.2;
+
+function priceOf(sku) {
+  const product = findProduct(sku);
+  if (!product) throw Object.assign(new Error(`unknown product ${sku}`), { status: 404 });
+  return product.price;
+}
+
+// Prices are in cents; tax is rounded half up to the cent
+function withTax(amount) {
+  return Math.round(amount * (1 + TAX_RATE));
+}
+
+module.exports = { priceOf, withTax, TAX_RATE };
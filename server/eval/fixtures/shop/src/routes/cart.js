@@ -0,0 +1,38 @@
+const express = require('express');
+const { Cart } = require('../cart');
+const { applyDiscount } = require('../discount');
+const { reserveStock, OutOfStockError } = require('../inventory');
+
+const router = express.Router();
+const carts = new Map();
+
+function cartFor(req) {
+  const id = req.get('X-Client-Id') || 'anonymous';
+  if (!carts.has(id)) carts.set(id, new Cart());
+  return carts.get(id);
+}
+
+router.post('/items', (req, res, next) => {
+  const { sku, quantity = 1 } = req.body;
+  try {
+    reserveStock(sku, quantity);
+  } catch (err) {
+    if (err instanceof OutOfStockError) return res.status(409).json({ error: err.message, available: err.available });
+    return next(err);
+  }
+  cartFor(req).addItem(sku, quantity);
+  res.status(201).json(cartFor(req).summary());
+});
+
+router.post('/discount', (req, res) => {
+  const cart = cartFor(req);
+  const result = applyDiscount(cart, req.body.code);
+  if (!result.ok) return res.status(400).json({ error: result.reason });
+  res.json(cart.summary());
+});
+
+router.get('/total', (req, res) => {
+  res.json({ total: cartFor(req).total() });
+});
+
+module.exports = router;
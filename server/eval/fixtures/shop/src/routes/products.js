@@ -0,0 +1,16 @@
+const express = require('express');
+const { listProducts, findProduct } = require('../catalog');
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json(listProducts({ category: req.query.category }));
+});
+
+router.get('/:sku', (req, res) => {
+  const product = findProduct(req.params.sku);
+  if (!product) return res.status(404).json({ error: 'unknown product' });
+  res.json(product);
+});
+
+module.exports = router;
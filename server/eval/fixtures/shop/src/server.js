@@ -0,0 +1,22 @@
+const express = require('express');
+const products = require('./routes/products');
+const cart = require('./routes/cart');
+const { logRequests } = require('./logger');
+
+const app = express();
+app.use(express.json());
+app.use(logRequests);
+
+app.use('/products', products);
+app.use('/cart', cart);
+
+app.use((err, req, res, next) => {
+  res.status(err.status || 500).json({ error: err.message });
+});
+
+if (require.main === module) {
+  const port = process.env.PORT || 3000;
+  app.listen(port, () => console.log(`shop listening on ${port}`));
+}
+
+module.exports = app;
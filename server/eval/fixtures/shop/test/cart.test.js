@@ -0,0 +1,15 @@
+const { Cart } = require('../src/cart');
+const { applyDiscount } = require('../src/discount');
+
+test('total adds tax after the discount', () => {
+  const cart = new Cart();
+  cart.addItem('tee-black-m', 2);
+  expect(applyDiscount(cart, 'welcome10')).toEqual({ ok: true });
+  expect(cart.total()).toBe(Math.round(3420 * 1.2));
+});
+
+test('fixed discounts need a minimum subtotal', () => {
+  const cart = new Cart();
+  cart.addItem('mug-logo', 1);
+  expect(applyDiscount(cart, 'SPRING500').ok).toBe(false);
+});
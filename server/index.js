@@ -1,527 +1,864 @@
+// Load .env before anything else: lib modules read their settings from process.env
+require('dotenv').config();
+const crypto = require('crypto');
+const { AsyncResource } = require('async_hooks');
 const express = require('express');
 const cors = require('cors');
-const dotenv = require('dotenv');
-const axios = require('axios');
-const OpenAI = require('openai');
-
-dotenv.config();
+const { describeFetchError } = require('./lib/http');
+const { parsePullRequestUrl, resolveProvider, resolveRequestRef } = require('./lib/providers');
+const { createSnapshotCache } = require('./lib/cache');
+const { createLLMFromEnv, createEmbedderFromEnv } = require('./lib/llm');
+const { languageOf } = require('./lib/graph');
+const { createPipelines } = require('./lib/pipelines');
+const { createSessionStore } = require('./lib/sessions');
+const { createJobQueue, isFinished } = require('./lib/jobs');
+const { createKeyStore, authMiddleware } = require('./lib/auth');
+const { createLimiter, createRateStoreFromEnv, withRequestContext, requestContext } = require('./lib/limits');
+const { createUsage, trackUsage, onRecord, meterCompletions, configurePrices } = require('./lib/usage');
+const { createRegistry } = require('./lib/metrics');
+const { createHistoryStore, describeRun, repoName, TYPES: RUN_TYPES } = require('./lib/history');
+const { exportRuns } = require('./lib/report');
+const { repoKey, normalizeRules, createRuleStore, loadRepoMarkers, selectFiles, EMPTY_RULES } = require('./lib/rules');
 
 const app = express();
-app.use(cors());
+// TRUST_PROXY: behind a load balancer, the hops to trust for the client IP (e.g. 1), true, or
+// anything else Express's "trust proxy" takes
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY === 'true' ? true : TRUST_PROXY);
+
+// CORS_ORIGINS: comma-separated origins allowed to call the API from a browser, or * for any.
+// Keys travel in headers rather than cookies, so * doesn't expose them to other sites.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*').split(',').map(s => s.trim()).filter(Boolean);
+app.use(cors({
+  origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+  exposedHeaders: ['Location', 'X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
+}));
 app.use(express.json());
 
-// Simple in-memory rate limiter (per IP). Configurable via env vars.
-const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10); // 1 minute
-const RATE_LIMIT_MAX = parseInt(process.env.RATE_LIMIT_MAX || '10', 10); // 10 requests per window
-const rateStore = new Map();
+// Metrics for GET /metrics (lib/metrics, Prometheus text format) and one JSON log line per
+// request and per run on stdout. REQUEST_LOG=off drops the log lines.
+const REQUEST_LOG = (process.env.REQUEST_LOG || 'json').toLowerCase() !== 'off';
+const metrics = createRegistry();
+const httpRequests = metrics.counter('repostack_http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('repostack_http_request_duration_seconds', 'HTTP request duration, to the end of the response (streams included)', ['method', 'route']);
+
+function logEvent(fields) {
+  if (REQUEST_LOG) console.log(JSON.stringify({ time: new Date().toISOString(), level: 'info', ...fields }));
+}
 
-// Helper to build GitHub headers with version + auth
-function buildGitHubHeaders(token) {
-  const headers = {
-    'Accept': 'application/vnd.github+json',
-    'X-GitHub-Api-Version': '2022-11-28'
+// Every request gets an id (the caller's X-Request-Id if it looks sane), echoed in the response
+// and in its log lines. The route is the matched pattern (/api/jobs/:id), so ids don't become labels.
+app.use((req, res, next) => {
+  const started = process.hrtime.bigint();
+  const given = req.get('X-Request-Id');
+  req.id = given && /^[\w.:-]{1,128}$/.test(given) ? given : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  let logged = false;
+  const done = () => {
+    if (logged) return;
+    logged = true;
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    // A client that left before the response ended gets status 499, as nginx logs it
+    const status = res.writableFinished ? res.statusCode : 499;
+    httpRequests.inc({ method: req.method, route, status });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    logEvent({ msg: 'request', request_id: req.id, method: req.method, route, path: req.path, status, duration_ms: Math.round(seconds * 1000), principal: req.principal ? req.principal.id : null });
   };
-  if (token) headers.Authorization = `token ${token}`;
-  return headers;
+  res.on('finish', done);
+  res.on('close', done);
+  next();
+});
+
+// API keys (lib/auth) and per-key rate limits and quotas (lib/limits), counted in memory or in
+// Redis (RATE_LIMIT_STORE / REDIS_URL) so that replicas share them
+const keyStore = createKeyStore();
+const limiter = createLimiter({ store: createRateStoreFromEnv() });
+// Requests that run the model (paths below /api); everything else is limited as `api`
+const LLM_ROUTES = ['/analyze', '/walkthrough', '/review', '/compare'];
+const bucketOf = (req) => (LLM_ROUTES.includes(req.path)
+  || (req.method === 'POST' && (req.path === '/jobs' || /^\/sessions(\/[^/]+\/messages)?$/.test(req.path))) ? 'llm' : 'api');
+app.use('/api', authMiddleware(keyStore), withRequestContext, limiter.middleware(bucketOf));
+
+// Jobs and sessions started with a key are only visible to that key
+const ownerOf = (req) => (req.principal.anonymous ? null : req.principal.id);
+const ownedBy = (resource, req) => !resource.owner || resource.owner === req.principal.id;
+
+const PORT = process.env.PORT || 4000;
+
+// Chat + embedding providers (see lib/llm). LLM_PROVIDER picks the vendor; LLM_BASE_URL points
+// at any OpenAI-compatible server (vLLM, Ollama, llama.cpp, ...)
+let llm = null;
+try {
+  llm = createLLMFromEnv();
+} catch (err) {
+  console.warn('LLM provider initialization failed:', err && err.message ? err.message : err);
+}
+if (!llm) {
+  console.warn('Warning: no LLM provider configured (set OPENAI_API_KEY, or LLM_PROVIDER/LLM_BASE_URL). LLM calls will fail until it is configured. Endpoints will return helpful errors.');
+} else if (!llm.chatModel) {
+  console.warn('Warning: CHAT_MODEL is not set; requests must pass a model explicitly.');
+}
+// Tokens each completion spends count against the caller's quota, and into the run's usage
+llm = meterCompletions(limiter.meter(llm));
+const embedder = createEmbedderFromEnv(llm, process.env, (err) => {
+  console.warn('Embeddings unavailable from the configured provider, using BM25 ranking only:', err && err.message ? err.message : err);
+});
+const sessions = createSessionStore();
+
+// Per-repo include/exclude rule sets (glob based), persisted under DATA_DIR. A key's own rule
+// sets apply to its runs (jobs keep the request context), the shared ones to everybody else.
+const ruleStore = createRuleStore();
+const ruleOwner = () => {
+  const ctx = requestContext.getStore();
+  return ctx && ctx.principal && !ctx.principal.anonymous ? ctx.principal.id : null;
+};
+
+// On-disk snapshot cache (trees per commit, blobs per blob SHA, ETags). SNAPSHOT_CACHE=off disables it.
+const snapshotCache = process.env.SNAPSHOT_CACHE === 'off' ? null : createSnapshotCache();
+
+// Analysis, walkthrough, review and comparison pipelines (lib/pipelines), also used by the CLI
+const { resolveChatModel, openProvider, snapshotSelection, readSnapshotFiles, snapshotGraph, runAnalysis, runWalkthrough, runRepoWalkthrough, runReview, runCompare } = createPipelines({ llm, embedder, ruleStore, snapshotCache, ruleOwner });
+
+// Abort everything a streaming request started (upstream fetches, the LLM call) once the
+// client goes away, whether it closed the EventSource, hit Cancel or lost the connection
+function abortOnDisconnect(res, label) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (res.writableEnded) return;
+    console.log(`${label}: client disconnected, cancelling`);
+    controller.abort(new Error(`${label} cancelled by client`));
+  });
+  return controller.signal;
 }
 
-function rateLimitMiddleware(req, res, next) {
-  try {
-    const ip = req.ip || req.connection?.remoteAddress || 'unknown';
-    const now = Date.now();
-    const entry = rateStore.get(ip) || { count: 0, windowStart: now };
-    if (now - entry.windowStart > RATE_LIMIT_WINDOW_MS) {
-      entry.count = 0;
-      entry.windowStart = now;
-    }
-    entry.count += 1;
-    rateStore.set(ip, entry);
-    if (entry.count > RATE_LIMIT_MAX) {
-      return res.status(429).json({ error: 'rate_limited', message: `Too many requests. Limit is ${RATE_LIMIT_MAX} per ${RATE_LIMIT_WINDOW_MS/1000}s` });
-    }
-    next();
-  } catch (err) {
-    // don't block on rate limiter errors
-    next();
-  }
+// id (optional) lets an EventSource resume with Last-Event-ID after a dropped connection
+function sendSSE(res, event, data, id = null) {
+  // The client may already be gone (cancelled); there's nobody left to tell
+  if (res.destroyed || res.writableEnded) return;
+  if (id !== null) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+function startSSE(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
 }
 
-// Apply rate limiter to analysis endpoints
-app.use(['/api/analyze', '/api/walkthrough'], rateLimitMiddleware);
+// `error` event data for a failed analysis or walkthrough, with the model's invalid reply if any
+function errorEvent(err) {
+  return { message: err.message || String(err), ...(err.raw ? { raw: err.raw, validation_errors: err.validationErrors } : {}) };
+}
 
-const PORT = process.env.PORT || 4000;
+// Usage accounting (lib/usage). Upstream requests, files, tokens and cost also feed the metrics
+// as they happen, inside a run or not (GET /api/refs, /api/file, ...).
+try {
+  configurePrices();
+} catch (err) {
+  console.warn(`Ignoring LLM_PRICES: ${err.message}`);
+}
+const RUN_BUCKETS = [1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+const runCount = metrics.counter('repostack_runs_total', 'Analyses, walkthroughs, reviews and comparisons by outcome', ['type', 'status']);
+const runDuration = metrics.histogram('repostack_run_duration_seconds', 'Run duration', ['type'], RUN_BUCKETS);
+const stageDuration = metrics.histogram('repostack_run_stage_duration_seconds', 'Time per stage of a run', ['type', 'stage'], RUN_BUCKETS);
+const upstreamRequests = metrics.counter('repostack_upstream_requests_total', 'GitHub/GitLab/Bitbucket API requests (every attempt) by host and status', ['host', 'status']);
+const upstreamBytes = metrics.counter('repostack_upstream_bytes_total', 'Bytes received from GitHub/GitLab/Bitbucket', ['host']);
+const rateLimitRemaining = metrics.gauge('repostack_upstream_rate_limit_remaining', 'Requests left in the upstream rate-limit window, as last reported', ['host']);
+const filesRead = metrics.counter('repostack_files_read_total', 'Repository files read (from the snapshot cache or upstream)');
+const fileBytes = metrics.counter('repostack_file_bytes_read_total', 'Bytes of repository files read');
+const llmRequests = metrics.counter('repostack_llm_requests_total', 'Chat completions', ['model']);
+const llmTokens = metrics.counter('repostack_llm_tokens_total', 'Chat completion tokens', ['model', 'kind']);
+const embeddingRequests = metrics.counter('repostack_embedding_requests_total', 'Embedding requests', ['model']);
+const embeddingTokens = metrics.counter('repostack_embedding_tokens_total', 'Embedding input tokens', ['model']);
+const costTotal = metrics.counter('repostack_llm_cost_usd_total', 'Estimated LLM and embedding spend in USD (priced models only, see LLM_PRICES)', ['model']);
+
+onRecord((kind, f) => {
+  if (kind === 'upstream') {
+    upstreamRequests.inc({ host: f.host, status: f.status || 'error' });
+    upstreamBytes.inc({ host: f.host }, f.bytes);
+    if (f.rate_limit) rateLimitRemaining.set({ host: f.host }, f.rate_limit.remaining);
+  } else if (kind === 'file') {
+    filesRead.inc();
+    fileBytes.inc({}, f.bytes);
+  } else if (kind === 'embeddings') {
+    embeddingRequests.inc({ model: f.model });
+    embeddingTokens.inc({ model: f.model }, f.tokens);
+    if (f.usd) costTotal.inc({ model: f.model }, f.usd);
+  } else if (kind === 'completion') {
+    llmRequests.inc({ model: f.model });
+    llmTokens.inc({ model: f.model, kind: 'prompt' }, f.prompt_tokens);
+    llmTokens.inc({ model: f.model, kind: 'completion' }, f.completion_tokens);
+    if (f.usd) costTotal.inc({ model: f.model }, f.usd);
+  }
+});
 
-let openai = null;
-if (!process.env.OPENAI_API_KEY) {
-  console.warn('Warning: OPENAI_API_KEY is not set. OpenAI calls will fail until it is configured. Endpoints will return helpful errors.');
-} else {
+// Run a pipeline with usage accounting: its result gets `usage`, and the run is counted in the
+// metrics and logged as one JSON line. fields (repo, job_id, ...) go into the log line; signal
+// tells a cancelled run from a failed one.
+async function accounted(type, fields, signal, fn) {
+  const usage = createUsage();
+  let result = null;
+  let error = null;
   try {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    result = await trackUsage(usage, fn);
   } catch (err) {
-    console.warn('OpenAI client initialization failed:', err && err.message ? err.message : err);
-    openai = null;
+    error = err;
   }
+  const record = usage.finish();
+  const status = !error ? 'succeeded' : signal && signal.aborted ? 'cancelled' : 'failed';
+  runCount.inc({ type, status });
+  runDuration.observe({ type }, record.duration_ms / 1000);
+  for (const [name, ms] of Object.entries(record.stages)) stageDuration.observe({ type, stage: name }, ms / 1000);
+  const ctx = requestContext.getStore();
+  logEvent({
+    level: status === 'failed' ? 'error' : 'info',
+    msg: 'run',
+    request_id: ctx ? ctx.requestId : null,
+    principal: ctx && ctx.principal ? ctx.principal.id : null,
+    type,
+    status,
+    ...fields,
+    model: result ? result.model : null,
+    ...(status === 'failed' ? { error: error.message || String(error) } : {}),
+    usage: record
+  });
+  if (error) throw error;
+  return { ...result, usage: record };
 }
 
-// (Per-repo rules feature temporarily removed)
+app.get('/api/analyze', async (req, res) => {
+  const repo = req.query.repo;
+  if (!repo) return res.status(400).json({ error: 'missing repo query parameter' });
+  const signal = abortOnDisconnect(res, 'analyze');
+  let provider;
+  let model;
+  try {
+    provider = openProvider(repo, { signal });
+    model = resolveChatModel(req.query.model);
+  } catch (err) {
+    return res.status(400).json({ error: err.status ? 'invalid model' : 'invalid repo url', message: err.message });
+  }
 
+  startSSE(res);
+  sendSSE(res, 'log', { message: 'Starting analysis' });
+  try {
+    const result = await accounted('analyze', { repo }, signal, () => runAnalysis({ repo, provider, ref: req.query.ref, model, signal }, (event, data) => sendSSE(res, event, data)));
+    sendSSE(res, 'result', result);
+    res.end();
+    recordRun('analyze', { repo, ref: req.query.ref || null }, result, ownerOf(req));
+  } catch (err) {
+    if (signal.aborted) return res.end();
+    sendSSE(res, 'error', errorEvent(err));
+    res.end();
+  }
+});
 
-function sendSSE(res, event, data) {
-  res.write(`event: ${event}\n`);
-  res.write(`data: ${JSON.stringify(data)}\n\n`);
-}
+// Walkthrough / Q&A endpoint: accepts repo and question, streams logs and final JSON result
+app.get('/api/walkthrough', async (req, res) => {
+  const repo = req.query.repo;
+  const question = req.query.question;
+  if (!repo) return res.status(400).json({ error: 'missing repo query parameter' });
+  if (!question) return res.status(400).json({ error: 'missing question query parameter' });
+  const signal = abortOnDisconnect(res, 'walkthrough');
+  let provider;
+  let model;
+  try {
+    provider = openProvider(repo, { signal });
+    model = resolveChatModel(req.query.model);
+  } catch (err) {
+    return res.status(400).json({ error: err.status ? 'invalid model' : 'invalid repo url', message: err.message });
+  }
 
-// axios get with retry/backoff
-async function axiosGetWithRetry(url, opts = {}, attempts = 3, backoff = 300) {
-  let lastErr = null;
-  for (let i = 0; i < attempts; i++) {
-    try {
-      return await axios.get(url, opts);
-    } catch (err) {
-      lastErr = err;
-      // exponential backoff
-      await new Promise(r => setTimeout(r, backoff * Math.pow(2, i)));
-    }
+  startSSE(res);
+  sendSSE(res, 'log', { message: 'Starting walkthrough' });
+  try {
+    const result = await accounted('walkthrough', { repo }, signal, () => runRepoWalkthrough({ provider, ref: req.query.ref, question, model, signal }, (event, data) => sendSSE(res, event, data)));
+    sendSSE(res, 'result', result);
+    res.end();
+    recordRun('walkthrough', { repo, ref: req.query.ref || null, question }, result, ownerOf(req));
+  } catch (err) {
+    if (signal.aborted) return res.end();
+    sendSSE(res, 'error', errorEvent(err));
+    res.end();
   }
-  throw lastErr;
+});
+
+// Conversational walkthrough sessions: create for repo+ref, then post questions.
+// History, cited files and per-turn retrieval context live server-side.
+function sessionView(session) {
+  return { id: session.id, repo: session.repo, ref: session.ref, commit: session.commit, model: session.model, created_at: session.createdAt, turns: session.turns };
 }
 
-async function fetchRepoContents(owner, repo, token) {
-  const headers = buildGitHubHeaders(token);
-  const base = `https://api.github.com/repos/${owner}/${repo}`;
-  const result = { readme: null, languages: null, files: [] };
+app.post('/api/sessions', async (req, res) => {
+  const { repo, ref } = req.body || {};
+  if (!repo) return res.status(400).json({ error: 'missing repo' });
+  let provider;
+  let model;
   try {
-    const readmeRes = await axios.get(`${base}/readme`, { headers });
-    if (readmeRes.data && readmeRes.data.content) {
-      const buff = Buffer.from(readmeRes.data.content, readmeRes.data.encoding || 'base64');
-      result.readme = buff.toString('utf8');
-    }
+    provider = openProvider(repo);
+    model = resolveChatModel(req.body.model);
   } catch (err) {
-    // ignore README fetch errors
+    return res.status(400).json({ error: err.status ? 'invalid model' : 'invalid repo url', message: err.message });
   }
   try {
-    const langRes = await axios.get(`${base}/languages`, { headers });
-    result.languages = Object.keys(langRes.data || {});
+    const resolved = await resolveRequestRef(provider, ref);
+    const session = sessions.create({ repo, ref: resolved.ref, commit: resolved.sha, model, owner: ownerOf(req) });
+    res.status(201).json(sessionView(session));
   } catch (err) {
-    // ignore
-  }
-  // Try to fetch common dependency files at repo root
-  const depFiles = ['package.json', 'requirements.txt', 'pyproject.toml'];
-  for (const f of depFiles) {
-    try {
-      const r = await axios.get(`${base}/contents/${f}`, { headers });
-      if (r.data && r.data.content) {
-        const buff = Buffer.from(r.data.content, r.data.encoding || 'base64');
-        result.files.push({ path: f, content: buff.toString('utf8') });
-      }
-    } catch (err) {
-      // skip
-    }
+    res.status(err.status || 500).json({ error: err.message || String(err) });
   }
-  return result;
-}
+});
 
-async function fetchRepoTreeAndFiles(owner, repo, token, opts = {}, logger = null, question = '') {
-  // opts: { maxFiles = 50, maxBytes = 200000 }
-  const maxFiles = opts.maxFiles || 50;
-  const maxBytes = opts.maxBytes || 200000; // 200 KB
-  const headers = buildGitHubHeaders(token);
-  const base = `https://api.github.com/repos/${owner}/${repo}`;
-  const result = { files: [], totalBytes: 0 };
-  try {
-    // Get default branch
-  const repoRes = await axiosGetWithRetry(base, { headers });
-    const defaultBranch = repoRes.data.default_branch || 'main';
-    if (logger) try { logger('Determined default branch: ' + defaultBranch) } catch(e){}
-    // Get git tree recursively
-    let treeRes;
-    try {
-      treeRes = await axiosGetWithRetry(`${base}/git/trees/${encodeURIComponent(defaultBranch)}?recursive=1`, { headers });
-    } catch (err) {
-      if (err.response && err.response.status === 403) {
-        const rlRemain = err.response.headers?.['x-ratelimit-remaining'];
-        const rlReset = err.response.headers?.['x-ratelimit-reset'];
-        const resetSeconds = rlReset ? Math.max(0, (parseInt(rlReset,10)*1000 - Date.now())/1000).toFixed(0) : null;
-        if (logger) try { logger(`GitHub 403 (tree fetch). Remaining=${rlRemain} reset_in_s=${resetSeconds || 'n/a'} – add or update GITHUB_TOKEN.`); } catch(e){}
-      }
-      throw err;
-    }
-    const tree = treeRes.data.tree || [];
-    // Filter blobs and keep common source file extensions
-    const exts = ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.go', '.rs', '.c', '.cpp', '.cs', '.rb', '.php', '.json', '.md', '.html', '.css'];
-    const candidates = tree.filter(t => t.type === 'blob' && exts.some(e => t.path.endsWith(e)));
-  // Skip well-known vendor / third-party directories (per-repo override rules temporarily disabled)
-    const skipPatterns = ['node_modules/', 'vendor/', 'third_party/', 'site-packages/', 'dist/', 'build/', 'coverage/', '.pytest_cache/', '.venv/', '__pycache__/', '.git/'];
-    const filteredCandidates = candidates.filter(t => !skipPatterns.some(p => t.path.includes(p)));
-    // Sort by path length (prefer top-level) and then by size if available
-    filteredCandidates.sort((a, b) => (a.path.split('/').length - b.path.split('/').length) || ((b.size || 0) - (a.size || 0)));
-
-    // Prepare keywords (fallback) and an initial candidate window to fetch content for scoring
-    const keywords = (question || '').toLowerCase().split(/\W+/).filter(w => w.length > 3);
-    // Fetch a larger window for potential semantic reranking
-    let topCandidates = filteredCandidates.slice(0, 500);
-
-    // Ensure dependency files (package.json, pyproject.toml, requirements.txt) are included later
-    const depFilesSet = new Set(['package.json','requirements.txt','pyproject.toml']);
-
-    // Two-pass: fetch content for top candidates and compute content-based relevance using keywords
-    const scoredFiles = [];
-    for (const item of topCandidates) {
-      if (result.files.length >= maxFiles) break;
-      if (result.totalBytes >= maxBytes) break;
-      try {
-        const fileRes = await axiosGetWithRetry(`${base}/contents/${encodeURIComponent(item.path)}?ref=${encodeURIComponent(defaultBranch)}`, { headers });
-        if (fileRes.data && fileRes.data.content) {
-          const buff = Buffer.from(fileRes.data.content, fileRes.data.encoding || 'base64');
-          const content = buff.toString('utf8');
-          // truncate very large files at fetch level
-          const truncated = content.length > 100000 ? content.slice(0, 100000) + '\n\n...TRUNCATED...' : content;
-          // compute a simple relevance score using keywords in path and content
-          let score = 0;
-          const pathLower = item.path.toLowerCase();
-          for (const k of keywords) { if (pathLower.includes(k)) score += 10; }
-          const contentLower = truncated.toLowerCase();
-          for (const k of keywords) {
-            const occ = (contentLower.match(new RegExp(k, 'g')) || []).length;
-            score += Math.min(occ, 20); // cap per keyword
-          }
-          scoredFiles.push({ path: item.path, content: truncated, bytes: Buffer.byteLength(truncated, 'utf8'), score, originalItem: item });
-        }
-      } catch (err) {
-        if (logger) try { logger(`Skipped ${item.path} due to fetch error`); } catch(e){}
-        // skip file fetch errors
-      }
-    }
+app.get('/api/sessions/:id', (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session || !ownedBy(session, req)) return res.status(404).json({ error: 'session not found' });
+  res.json(sessionView(session));
+});
 
-    // If we have a question and OpenAI embeddings available, compute embeddings to re-rank semantically
-    if (question && openai && openai.embeddings && scoredFiles.length > 0) {
-      try {
-        const texts = [question].concat(scoredFiles.map(f => f.content.slice(0, 2000)));
-        const embRes = await openai.embeddings.create({ model: 'text-embedding-3-large', input: texts });
-        const vectors = embRes.data.map(d => d.embedding);
-        const qVec = vectors[0];
-        const fileVecs = vectors.slice(1);
-        // cosine similarity helpers
-        function dot(a,b){let s=0;for(let i=0;i<a.length;i++)s+=a[i]*b[i];return s}
-        function norm(a){let s=0;for(let i=0;i<a.length;i++)s+=a[i]*a[i];return Math.sqrt(s)}
-        const qNorm = norm(qVec);
-        scoredFiles.forEach((f, idx)=>{
-          const fv = fileVecs[idx];
-          const sim = qNorm===0 ? 0 : dot(qVec,fv)/(qNorm*norm(fv));
-          f.semanticScore = sim;
-          // combine with fallback score
-          f.finalScore = (f.score || 0) * 0.2 + sim * 100;
-        });
-        scoredFiles.sort((a,b)=> (b.finalScore - a.finalScore) || (a.path.split('/').length - b.path.split('/').length));
-      } catch (err) {
-        // fallback to keyword ranking
-        scoredFiles.sort((a,b)=> (b.score - a.score) || (a.path.split('/').length - b.path.split('/').length));
-      }
-    } else {
-      // Sort by score and then by path depth
-      scoredFiles.sort((a,b)=> (b.score - a.score) || (a.path.split('/').length - b.path.split('/').length));
-    }
+app.delete('/api/sessions/:id', (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session || !ownedBy(session, req)) return res.status(404).json({ error: 'session not found' });
+  sessions.remove(session.id);
+  res.status(204).end();
+});
 
-    // Add top scored files until limits hit and include metadata about truncation
-    for (const f of scoredFiles) {
-      if (result.files.length >= maxFiles) break;
-      if (result.totalBytes + f.bytes > maxBytes) break;
-      const isTruncated = f.content.endsWith('\n\n...TRUNCATED...');
-      result.files.push({ path: f.path, content: isTruncated ? f.content.replace('\n\n...TRUNCATED...','') : f.content, truncated: isTruncated, bytes: f.bytes, score: f.finalScore || f.score });
-      result.totalBytes += f.bytes;
-    }
+// Answer the next question of a session and record the turn. A cancelled turn (signal) throws
+// before anything is recorded. The caller holds session.busy.
+async function runSessionTurn(session, { question, model, signal = null }, send) {
+  send('log', { message: `Turn ${session.turns.length + 1} on ${session.ref} (${session.commit})`, commit: session.commit });
+  const result = await runWalkthrough({
+    // Opened per turn so cancelling this answer can't affect later ones; snapshots come from the cache
+    provider: openProvider(session.repo, { signal }),
+    sha: session.commit,
+    question,
+    model,
+    history: session.turns,
+    boostPaths: session.citedFiles,
+    signal
+  }, send);
+  const turn = sessions.addTurn(session, {
+    question,
+    model: result.model,
+    walkthrough: result.walkthrough,
+    context: result.files.map(f => ({ path: f.path, ranges: f.ranges || null }))
+  });
+  return { session_id: session.id, turn_id: turn.id, walkthrough: result.walkthrough, ref: session.ref, commit: session.commit, model: result.model };
+}
 
-    // Always ensure dependency files are present (fetch them if they exist and we still have headroom)
-    for (const dep of Array.from(depFilesSet)) {
-      if (result.files.some(ff => ff.path === dep)) continue;
-      try {
-        const r = await axiosGetWithRetry(`${base}/contents/${dep}`, { headers });
-        if (r.data && r.data.content) {
-          const buff = Buffer.from(r.data.content, r.data.encoding || 'base64');
-          const content = buff.toString('utf8');
-          const bytes = Buffer.byteLength(content, 'utf8');
-          if (result.totalBytes + bytes <= maxBytes) {
-            result.files.push({ path: dep, content });
-            result.totalBytes += bytes;
-          }
-        }
-      } catch (err) {
-        // ignore missing dep files
-      }
-    }
+// Ask the next question; the answer streams back as SSE (log/result/error) on this response
+app.post('/api/sessions/:id/messages', async (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session || !ownedBy(session, req)) return res.status(404).json({ error: 'session not found' });
+  const question = req.body && req.body.question;
+  if (!question) return res.status(400).json({ error: 'missing question' });
+  if (session.busy) return res.status(409).json({ error: 'session is already answering a question' });
+  let model;
+  try {
+    model = req.body.model ? resolveChatModel(req.body.model) : session.model;
   } catch (err) {
-    if (logger) {
-      try {
-        let detail = err && err.message ? err.message : String(err);
-        if (err.response) {
-          detail += ` (status=${err.response.status}`;
-          if (err.response.status === 403) {
-            const rlRemain = err.response.headers?.['x-ratelimit-remaining'];
-            const rlLimit = err.response.headers?.['x-ratelimit-limit'];
-            const rlReset = err.response.headers?.['x-ratelimit-reset'];
-            const resetETA = rlReset ? new Date(parseInt(rlReset,10)*1000).toISOString() : 'unknown';
-            detail += ` rate_limit_remaining=${rlRemain}/${rlLimit} reset_at=${resetETA}`;
-          }
-          if (err.response.data && typeof err.response.data === 'object') {
-            const msg = err.response.data.message || err.response.data.error;
-            if (msg) detail += ` api_message="${msg}"`;
-          }
-          detail += ')';
-        }
-        logger('Error while building file list: ' + detail);
-      } catch(e){}
-    }
-    // return partial result
+    return res.status(400).json({ error: 'invalid model', message: err.message });
   }
-  return result;
-}
-
-function makePrompt(repoUrl, data) {
-  return `You are a repository analysis agent. Analyze the repository at ${repoUrl} and respond with ONLY valid JSON exactly matching the schema: {"project_summary":string,"primary_languages": [string],"key_frameworks":[string],"possible_use_cases":[string],"difficulty_rating":string}.\n\nREADME:\n${data.readme || ''}\n\nDependency files:\n${data.files.map(f => `--- ${f.path}\n${f.content}`).join('\n\n')}`;
-}
 
-app.get('/api/analyze', async (req, res) => {
-  const repo = req.query.repo;
-  if (!repo) return res.status(400).json({ error: 'missing repo query parameter' });
-  // Parse owner/repo
-  const m = repo.match(/github.com\/(.+?)\/(.+?)(?:$|\/|\.)/i);
-  if (!m) return res.status(400).json({ error: 'invalid github repo url' });
-  const owner = m[1];
-  const repoName = m[2];
+  startSSE(res);
+  session.busy = true;
+  const signal = abortOnDisconnect(res, `session ${session.id}`);
+  try {
+    const result = await accounted('walkthrough', { repo: session.repo, session_id: session.id }, signal, () => runSessionTurn(session, { question, model, signal }, (event, data) => sendSSE(res, event, data)));
+    sendSSE(res, 'result', result);
+    recordRun('walkthrough', { repo: session.repo, ref: session.ref, question, session_id: session.id }, result, ownerOf(req));
+  } catch (err) {
+    // A cancelled turn is simply not recorded
+    if (!signal.aborted) sendSSE(res, 'error', errorEvent(err));
+  } finally {
+    session.busy = false;
+    res.end();
+  }
+});
 
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders();
+// Review endpoint: pr (a GitHub pull request URL), optional model; streams logs, `delta` events
+// for the summary and the final review
+app.get('/api/review', async (req, res) => {
+  const pr = req.query.pr;
+  if (!pr) return res.status(400).json({ error: 'missing pr query parameter' });
+  if (!parsePullRequestUrl(pr)) return res.status(400).json({ error: 'invalid pull request url', message: 'Expected https://github.com/<owner>/<repo>/pull/<number>' });
+  const signal = abortOnDisconnect(res, 'review');
+  let model;
+  try {
+    model = resolveChatModel(req.query.model);
+  } catch (err) {
+    return res.status(400).json({ error: 'invalid model', message: err.message });
+  }
 
-  sendSSE(res, 'log', { message: 'Starting analysis' });
+  startSSE(res);
+  sendSSE(res, 'log', { message: 'Starting review' });
   try {
-    sendSSE(res, 'log', { message: 'Fetching repository contents' });
-    const data = await fetchRepoContents(owner, repoName, process.env.GITHUB_TOKEN);
-    sendSSE(res, 'log', { message: 'Fetched README and dependency files' });
-
-    const prompt = makePrompt(repo, data);
-    sendSSE(res, 'log', { message: 'Sending data to OpenAI for structured analysis' });
-      if (!openai) {
-        sendSSE(res, 'error', { message: 'OpenAI API key not configured on server. Set OPENAI_API_KEY to enable analysis.' });
-        res.end();
-        return;
-      }
-
-      const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [{ role: 'system', content: 'You output strict JSON only.' }, { role: 'user', content: prompt }],
-      max_tokens: 800,
-      temperature: 0.1
-    });
+    const result = await accounted('review', { pr }, signal, () => runReview({ pr, model, signal }, (event, data) => sendSSE(res, event, data)));
+    sendSSE(res, 'result', result);
+    res.end();
+    recordRun('review', { pr }, result, ownerOf(req));
+  } catch (err) {
+    if (signal.aborted) return res.end();
+    sendSSE(res, 'error', errorEvent(err));
+    res.end();
+  }
+});
 
-    const text = completion.choices?.[0]?.message?.content || completion.choices?.[0]?.text || '';
-    // Try to parse JSON out of the response
-    let json = null;
+// Base and head of a comparison from a query or job body: { base, base_ref, head, head_ref }.
+// head defaults to the base repository, so two refs of one repo only need head_ref. Throws a
+// 400 error when a repository is missing or unsupported, or both sides are the same.
+function compareSides({ base, base_ref: baseRef, head, head_ref: headRef } = {}) {
+  const fail = (error, message) => Object.assign(new Error(message || error), { status: 400, error });
+  if (!base) throw fail('missing base');
+  const headRepo = head || base;
+  if (headRepo === base && (baseRef || '') === (headRef || '')) throw fail('nothing to compare', 'Give a second repository (head) or a different ref (base_ref / head_ref)');
+  for (const repo of [base, headRepo]) {
     try {
-      json = JSON.parse(text);
+      resolveProvider(repo);
     } catch (err) {
-      // Attempt to extract JSON substring
-      const start = text.indexOf('{');
-      const end = text.lastIndexOf('}');
-      if (start !== -1 && end !== -1) {
-        try { json = JSON.parse(text.slice(start, end + 1)); } catch (e) { }
-      }
+      throw fail('invalid repo url', err.message);
     }
+  }
+  return { base: { repo: base, ref: baseRef || null }, head: { repo: headRepo, ref: headRef || null } };
+}
 
-    if (!json) {
-      sendSSE(res, 'error', { message: 'OpenAI did not return parseable JSON', raw: text });
-      res.end();
-      return;
-    }
+// Compare endpoint: base (repo URL), head (defaults to base), base_ref, head_ref, model; streams
+// both sides' analysis logs, `delta` events for the summary and the final comparison
+app.get('/api/compare', async (req, res) => {
+  let sides;
+  let model;
+  try {
+    sides = compareSides(req.query);
+    model = resolveChatModel(req.query.model);
+  } catch (err) {
+    return res.status(400).json({ error: err.error || 'invalid model', message: err.message });
+  }
+  const signal = abortOnDisconnect(res, 'compare');
 
-    sendSSE(res, 'log', { message: 'Received analysis from OpenAI' });
-    sendSSE(res, 'result', { analysis: json });
+  startSSE(res);
+  sendSSE(res, 'log', { message: 'Starting comparison' });
+  try {
+    const result = await accounted('compare', { base: sides.base.repo, head: sides.head.repo }, signal, () => runCompare({ ...sides, model, signal }, (event, data) => sendSSE(res, event, data)));
+    sendSSE(res, 'result', result);
     res.end();
+    recordRun('compare', { base: sides.base.repo, base_ref: sides.base.ref, head: sides.head.repo, head_ref: sides.head.ref }, result, ownerOf(req));
   } catch (err) {
-    sendSSE(res, 'error', { message: err.message || String(err) });
+    if (signal.aborted) return res.end();
+    sendSSE(res, 'error', errorEvent(err));
     res.end();
   }
 });
 
-// Walkthrough / Q&A endpoint: accepts repo and question, streams logs and final JSON result
-app.get('/api/walkthrough', async (req, res) => {
-  const repo = req.query.repo;
-  const question = req.query.question;
-  if (!repo) return res.status(400).json({ error: 'missing repo query parameter' });
-  if (!question) return res.status(400).json({ error: 'missing question query parameter' });
-  const m = repo.match(/github.com\/(.+?)\/(.+?)(?:$|\/|\.)/i);
-  if (!m) return res.status(400).json({ error: 'invalid github repo url' });
-  const owner = m[1];
-  const repoName = m[2];
+// Background jobs: an analysis, walkthrough, review or comparison that keeps running (up to JOB_CONCURRENCY at once)
+// whether or not a client is listening. Its events can be streamed, and replayed from any
+// point with Last-Event-ID, until JOB_RETENTION_MS after it finishes.
+const jobs = createJobQueue({ errorEvent });
+// Comment frames on idle job streams so proxies don't time them out
+const JOB_HEARTBEAT_MS = 15000;
+
+function jobView(job) {
+  const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    ...job.params,
+    created_at: iso(job.createdAt),
+    started_at: iso(job.startedAt),
+    finished_at: iso(job.finishedAt),
+    expires_at: iso(job.finishedAt && job.finishedAt + jobs.retentionMs),
+    queue_position: jobs.position(job),
+    last_event_id: job.events.length,
+    result: job.result,
+    error: job.error
+  };
+}
 
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders();
+// Start a job: { type: 'analyze' | 'walkthrough' | 'review' | 'compare', repo, ref, model,
+// question, session_id, pr, base, base_ref, head, head_ref }. A walkthrough with session_id
+// answers that session's next question and records the turn; a review takes pr (a pull request
+// URL) and a comparison base/head instead of repo.
+app.post('/api/jobs', (req, res) => {
+  const { type, repo, ref, question, session_id: sessionId, pr } = req.body || {};
+  if (!['analyze', 'walkthrough', 'review', 'compare'].includes(type)) return res.status(400).json({ error: 'type must be "analyze", "walkthrough", "review" or "compare"' });
+  let sides = null;
+  if (type === 'compare') {
+    try {
+      sides = compareSides(req.body);
+    } catch (err) {
+      return res.status(400).json({ error: err.error, message: err.message });
+    }
+  }
+  if (type === 'walkthrough' && !question) return res.status(400).json({ error: 'missing question' });
+  if (type === 'review') {
+    if (!pr) return res.status(400).json({ error: 'missing pr' });
+    if (!parsePullRequestUrl(pr)) return res.status(400).json({ error: 'invalid pull request url', message: 'Expected https://github.com/<owner>/<repo>/pull/<number>' });
+  }
+  let session = null;
+  if (type === 'walkthrough' && sessionId) {
+    session = sessions.get(sessionId);
+    if (!session || !ownedBy(session, req)) return res.status(404).json({ error: 'session not found' });
+    if (session.busy) return res.status(409).json({ error: 'session is already answering a question' });
+  } else if (!repo && type !== 'review' && type !== 'compare') {
+    return res.status(400).json({ error: 'missing repo' });
+  }
+  let model;
+  try {
+    // Only validates the URL; the job opens its own provider, bound to the job's signal
+    if (!session && type !== 'review' && type !== 'compare') resolveProvider(repo);
+    model = session && !req.body.model ? session.model : resolveChatModel(req.body.model);
+  } catch (err) {
+    return res.status(400).json({ error: err.status ? 'invalid model' : 'invalid repo url', message: err.message });
+  }
 
-  sendSSE(res, 'log', { message: 'Starting walkthrough' });
+  let run;
+  let params;
+  if (type === 'analyze') {
+    params = { repo, ref: ref || null };
+    run = ({ send, signal }) => runAnalysis({ repo, provider: openProvider(repo, { signal }), ref, model, signal }, send);
+  } else if (type === 'review') {
+    params = { pr };
+    run = ({ send, signal }) => runReview({ pr, model, signal }, send);
+  } else if (type === 'compare') {
+    params = { base: sides.base.repo, base_ref: sides.base.ref, head: sides.head.repo, head_ref: sides.head.ref };
+    run = ({ send, signal }) => runCompare({ ...sides, model, signal }, send);
+  } else if (session) {
+    params = { repo: session.repo, ref: session.ref, question, session_id: session.id };
+    run = ({ send, signal }) => runSessionTurn(session, { question, model, signal }, send);
+  } else {
+    params = { repo, ref: ref || null, question };
+    run = ({ send, signal }) => runRepoWalkthrough({ provider: openProvider(repo, { signal }), ref, question, model, signal }, send);
+  }
+  // A queued turn already claims the session, so a second question can't overtake it
+  if (session) session.busy = true;
+  const owner = ownerOf(req);
+  const onSettled = (job) => {
+    if (session) session.busy = false;
+    if (job.status === 'succeeded') recordRun(type, params, job.result, owner);
+  };
+  // Questions stay out of the logs
+  const { question: _question, ...logged } = params;
+  const accountedRun = (ctx) => accounted(type, { job_id: ctx.id, ...logged }, ctx.signal, () => run(ctx));
   try {
-  sendSSE(res, 'log', { message: 'Fetching repository tree and source files (limited)' });
-  const filesData = await fetchRepoTreeAndFiles(owner, repoName, process.env.GITHUB_TOKEN, { maxFiles: 60, maxBytes: 300000 }, (m)=>sendSSE(res,'log',{message:m}), question);
-    sendSSE(res, 'log', { message: `Fetched ${filesData.files.length} files (${filesData.totalBytes} bytes)` });
+    // Bound to this request's context, so the job's LLM tokens count against the caller's quota
+    const job = jobs.enqueue({ type, params, owner, run: AsyncResource.bind(accountedRun), onSettled });
+    res.status(202).location(`/api/jobs/${job.id}`).json(jobView(job));
+  } catch (err) {
+    if (session) session.busy = false;
+    res.status(err.status || 500).json({ error: err.message || String(err) });
+  }
+});
 
-    // Early exit if no files were fetched (rate limit, private repo, invalid URL, etc.)
-    if (!filesData.files || filesData.files.length === 0) {
-      sendSSE(res, 'log', { message: 'No repository files fetched; cannot produce walkthrough.' });
-      const reason = 'No files could be fetched from GitHub (possible 403 rate limit, missing GITHUB_TOKEN for private repo, or invalid repository). Configure GITHUB_TOKEN and try again.';
-      sendSSE(res, 'result', { walkthrough: { answer: '', references: [], trace: [], sources: [], missing: [], cannot_answer: true, reason } });
-      res.end();
-      return;
-    }
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !ownedBy(job, req)) return res.status(404).json({ error: 'job not found' });
+  res.json(jobView(job));
+});
 
-    // Build a detailed prompt that includes the question and the collected files
-    let prompt = `You are an expert code reviewer and software engineer. The user asked: "${question}"\n\n`;
-    prompt += 'Use the provided repository files to answer the question in depth. When referencing code, include file paths and short code snippets. If you trace a request or function across files, show the step-by-step trace. If you cannot find an answer in the provided files, be explicit about what is missing and where to look. Output ONLY valid JSON matching the schema: {"answer":"string","references":[{"path":"string","excerpt":"string"}],"trace": ["step descriptions"]}.\n\n';
-    prompt += 'Repository files:\n';
-    for (const f of filesData.files) {
-      prompt += `--- ${f.path}\n${f.content}\n\n`;
-    }
+// Cancel a queued or running job; deleting a finished one discards its result
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !ownedBy(job, req)) return res.status(404).json({ error: 'job not found' });
+  if (jobs.cancel(job)) return res.json(jobView(job));
+  jobs.remove(job.id);
+  res.status(204).end();
+});
 
-    sendSSE(res, 'log', { message: 'Sending data to OpenAI for walkthrough answer' });
+// The job's events as SSE, each with its id. Reconnecting with Last-Event-ID (EventSource does
+// this by itself) or ?after=<id> replays only what came after; the stream ends with the job.
+// Disconnecting does not cancel the job.
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !ownedBy(job, req)) return res.status(404).json({ error: 'job not found' });
+  const after = parseInt(req.get('Last-Event-ID') || req.query.after || '0', 10) || 0;
+
+  startSSE(res);
+  const heartbeat = setInterval(() => { if (!res.writableEnded) res.write(': keep-alive\n\n'); }, JOB_HEARTBEAT_MS);
+  const unsubscribe = jobs.subscribe(job, after, (entry) => {
+    sendSSE(res, entry.event, entry.data, entry.id);
+    // The job's last event (result or error): nothing more will follow
+    if (isFinished(job) && entry.id === job.events.length && !res.writableEnded) res.end();
+  });
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+  if (isFinished(job) && !res.writableEnded) res.end();
+});
 
-    if (!openai) {
-      sendSSE(res, 'error', { message: 'OpenAI API key not configured on server. Set OPENAI_API_KEY to enable walkthroughs.' });
-      res.end();
-      return;
-    }
+// History: every finished analysis, walkthrough answer, review and comparison is saved with its
+// full result (lib/history) and can be exported as Markdown, JSON or HTML (lib/report)
+const history = createHistoryStore();
+const historyKey = (repo) => {
+  try {
+    return repoKey(resolveProvider(repo));
+  } catch (err) {
+    return String(repo);
+  }
+};
 
-  // Updated system instruction: allow partial answers & explicitly call out missing aspects.
-  // Schema now includes a "missing" array listing requested concepts/features not found.
-  // Only use repository files; NEVER invent functionality. Provide high-level summaries when asked.
-  const systemMsg = `You are a disciplined repository code analyst. You MUST use ONLY the repository files provided in the user's message.\nReturn ONLY valid JSON exactly matching the schema: {"answer":"string","references":[{"path":"string","excerpt":"string"}],"trace":["string"],"sources":["string"],"missing":["string"],"cannot_answer":boolean,"reason":string}.\nGuidelines:\n- Always attempt to answer with what IS present in the provided files.\n- Never mention or reference a file path that is not EXACTLY one of the provided file paths.\n- For each explicit feature or concept the user asks about that is NOT present (e.g. authentication, payment, database), add a short phrase to the 'missing' array (e.g. "authentication") and DO NOT fabricate implementation details.\n- Do NOT hallucinate code, files, libraries, or frameworks.\n- If some relevant information exists, set cannot_answer=false even if some requested concepts are missing; list those missing concepts in 'missing'.\n- Only set cannot_answer=true when NOTHING in the repo can help answer ANY part of the question. In that case answer='', references=[], trace=[], missing=[], and give a concise reason.\n- Provide at least one reference and list each file you drew from in 'sources'.\n- References excerpts must be exact substrings from the file content.\n- Keep the answer concise and scoped strictly to the repository contents.`;
+// Save a finished run; failing to save is only logged, the caller already has its result
+function recordRun(type, params, result, owner) {
+  if (!history.enabled) return;
+  let described;
+  try {
+    described = describeRun(type, params, result);
+  } catch (err) {
+    console.warn(`Not saving ${type} run to history:`, err.message || err);
+    return;
+  }
+  const repos = type === 'compare' ? [result.base.repo, result.head.repo] : [described.repo];
+  history.record({ type, ...described, repo_keys: Array.from(new Set(repos.map(historyKey))), owner, model: result.model || null, params, result })
+    .catch(err => console.warn(`Could not save ${type} run to history:`, err.message || err));
+}
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [{ role: 'system', content: systemMsg }, { role: 'user', content: prompt }],
-      max_tokens: 1500,
-      temperature: 0.0
-    });
+const historyView = ({ repo_keys: _keys, owner: _owner, ...run }) => run;
 
-    const text = completion.choices?.[0]?.message?.content || completion.choices?.[0]?.text || '';
-    let json = null;
-    try { json = JSON.parse(text); } catch (err) {
-      const start = text.indexOf('{');
-      const end = text.lastIndexOf('}');
-      if (start !== -1 && end !== -1) {
-        try { json = JSON.parse(text.slice(start, end + 1)); } catch (e) { }
-      }
-    }
+// Runs matching ?repo= (either side of a comparison) and ?type=, visible to the caller
+function historyFilter(req) {
+  const { repo, type } = req.query;
+  if (type && !RUN_TYPES.includes(type)) throw Object.assign(new Error(`type must be one of ${RUN_TYPES.join(', ')}`), { status: 400 });
+  const key = repo ? historyKey(repo) : null;
+  return (run) => ownedBy(run, req) && (!key || run.repo_keys.includes(key)) && (!type || run.type === type);
+}
 
-    if (!json) {
-      sendSSE(res, 'error', { message: 'OpenAI did not return parseable JSON for walkthrough', raw: text });
-      res.end();
-      return;
-    }
+function sendExport(res, runs, opts) {
+  const { body, type, filename } = exportRuns(runs, opts);
+  res.type(type).attachment(filename).send(body);
+}
 
-    // Validate returned references/sources; allow auto-fix if missing.
-    const availablePaths = new Set(filesData.files.map(f => f.path));
-    const allFetched = filesData.files.map(f => f.path);
+// Saved runs, newest first, without their results: ?repo=&type=&limit= (default 100)
+app.get('/api/history', (req, res) => {
+  try {
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit || '100', 10) || 100));
+    res.json({ runs: history.list(historyFilter(req)).slice(0, limit).map(historyView) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message || String(err) });
+  }
+});
 
-    if (!Array.isArray(json.sources)) json.sources = [];
-    if (!Array.isArray(json.references)) json.references = [];
-    if (!Array.isArray(json.missing)) json.missing = [];
+// A repository's whole history (?repo=, optionally ?type=) as one report, oldest run first
+app.get('/api/history/export', async (req, res) => {
+  if (!req.query.repo) return res.status(400).json({ error: 'missing repo query parameter' });
+  try {
+    const summaries = history.list(historyFilter(req)).reverse();
+    const runs = (await Promise.all(summaries.map(r => history.get(r.id)))).filter(Boolean).map(historyView);
+    sendExport(res, runs, { format: req.query.format, title: `History of ${repoName(req.query.repo)}`, name: `history-${repoName(req.query.repo)}` });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message || String(err) });
+  }
+});
 
-    // Filter invalid sources
-    json.sources = json.sources.filter(s => typeof s === 'string' && availablePaths.has(s));
-    // Filter invalid references
-    json.references = json.references.filter(r => r && typeof r.path === 'string' && availablePaths.has(r.path));
+app.get('/api/history/:id', async (req, res) => {
+  const run = await history.get(req.params.id);
+  if (!run || !ownedBy(run, req)) return res.status(404).json({ error: 'run not found' });
+  res.json(historyView(run));
+});
 
-    // Auto-populate sources if empty but we have fetched files
-    if (json.sources.length === 0 && allFetched.length > 0 && json.cannot_answer !== true) {
-      json.sources = allFetched.slice(0, Math.min(5, allFetched.length));
-    }
+// One run: ?format=markdown (default, or md) | json | html
+app.get('/api/history/:id/export', async (req, res) => {
+  const run = await history.get(req.params.id);
+  if (!run || !ownedBy(run, req)) return res.status(404).json({ error: 'run not found' });
+  try {
+    sendExport(res, [historyView(run)], { format: req.query.format, name: `${run.type}-${run.title}-${run.created_at.slice(0, 10)}` });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message || String(err) });
+  }
+});
 
-    // If references empty but sources exist, synthesize a simple reference (first file snippet)
-    if (json.references.length === 0 && json.sources.length > 0 && json.cannot_answer !== true) {
-      const first = filesData.files.find(f => f.path === json.sources[0]);
-      if (first) {
-        json.references.push({ path: first.path, excerpt: (first.content || '').slice(0, 300) });
-      }
-    }
+app.delete('/api/history/:id', async (req, res) => {
+  const run = history.list(r => r.id === req.params.id)[0];
+  if (!run || !ownedBy(run, req)) return res.status(404).json({ error: 'run not found' });
+  try {
+    await history.remove(run.id);
+    res.status(204).end();
+  } catch (err) {
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
 
-    // Decide final cannot_answer: only true if explicitly set OR still no references and answer is empty
-    if (json.cannot_answer === true || (json.references.length === 0 && (!json.answer || json.answer.trim()===''))) {
-      json.cannot_answer = true;
-      json.answer = '';
-      json.references = [];
-      json.trace = [];
-      json.missing = [];
-      if (!json.reason) json.reason = 'The information required to answer this question is not present in the provided repository files.';
-      sendSSE(res, 'log', { message: 'Walkthrough: no in-repo basis for answer (cannot_answer=true)' });
-      sendSSE(res, 'result', { walkthrough: json });
-      res.end();
-      return;
-    } else {
-      json.cannot_answer = false;
-      if (!json.reason) json.reason = '';
-    }
+// Per-repo rule sets: include / exclude / always_include globs and priority boosts. With a key,
+// rule sets are saved and removed as the key's own; reads fall back to the shared ones.
+app.get('/api/rules', (req, res) => {
+  if (!req.query.repo) return res.json({ rules: ruleStore.list(ownerOf(req)) });
+  let provider;
+  try {
+    provider = resolveProvider(req.query.repo);
+  } catch (err) {
+    return res.status(400).json({ error: 'invalid repo url', message: err.message });
+  }
+  const key = repoKey(provider);
+  const saved = ruleStore.get(key, ownerOf(req));
+  res.json({ key, saved: !!saved, rules: saved || { repo: req.query.repo, ...EMPTY_RULES } });
+});
 
-    // Hallucination mitigation: detect file names mentioned in answer that were not fetched
-    const answerText = typeof json.answer === 'string' ? json.answer : '';
-    if (answerText) {
-      const fileLikeRegex = /[A-Za-z0-9_\-\.\/]+\.(?:js|jsx|ts|tsx|py|java|go|rb|php|rs|c|cpp|cs|json|md|html|css)/g;
-      const mentioned = Array.from(new Set(answerText.match(fileLikeRegex) || []));
-      const availablePaths = new Set(filesData.files.map(f => f.path));
-      const unknown = mentioned.filter(m => !availablePaths.has(m));
-      if (unknown.length > 0) {
-        // Remove paragraphs that solely describe unknown files
-        const paras = answerText.split(/\n\n+/);
-        const filteredParas = paras.filter(p => !unknown.some(u => p.includes(u)) || availablePaths.has(p.trim()));
-        let newAnswer = filteredParas.join('\n\n').trim();
-        if (!newAnswer) {
-          json.cannot_answer = false; // we still can provide partial high-level answer using existing files
-          newAnswer = 'Some requested components or files are not present in this repository.';
-        }
-        json.answer = newAnswer;
-        // Add unknown file concepts to missing (without duplicates, remove extensions to treat as concept?)
-        const additions = unknown.map(u => u.replace(/\.[^.]+$/, '')); // strip extension for concept tag
-        additions.forEach(a => { if (!json.missing.includes(a)) json.missing.push(a); });
-        // Add a short note in reason if reason empty
-        if (!json.reason) json.reason = 'Removed references to files not present in repository.';
-      }
-    }
+app.put('/api/rules', async (req, res) => {
+  let provider;
+  let rules;
+  try {
+    provider = resolveProvider(req.query.repo);
+    rules = normalizeRules(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.status ? 'invalid rules' : 'invalid repo url', message: err.message });
+  }
+  try {
+    const key = repoKey(provider);
+    res.json({ key, saved: true, rules: await ruleStore.put(key, req.query.repo, rules, ownerOf(req)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
 
-    sendSSE(res, 'log', { message: 'Walkthrough answer (repo-scoped) ready' });
-    sendSSE(res, 'result', { walkthrough: json });
-    res.end();
+app.delete('/api/rules', async (req, res) => {
+  let provider;
+  try {
+    provider = resolveProvider(req.query.repo);
   } catch (err) {
-    sendSSE(res, 'error', { message: err.message || String(err) });
-    res.end();
+    return res.status(400).json({ error: 'invalid repo url', message: err.message });
+  }
+  try {
+    if (!(await ruleStore.remove(repoKey(provider), ownerOf(req)))) return res.status(404).json({ error: 'no rule set for repo' });
+    res.status(204).end();
+  } catch (err) {
+    res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-// (Per-repo rules endpoints removed temporarily)
+// Which files would be selected under the saved rules, or under unsaved rules in the body
+app.post('/api/rules/preview', async (req, res) => {
+  let provider;
+  let rules;
+  try {
+    provider = openProvider(req.query.repo);
+    const body = req.body && Object.keys(req.body).length ? req.body : null;
+    rules = body ? normalizeRules(body) : (ruleStore.get(repoKey(provider), ownerOf(req)) || EMPTY_RULES);
+  } catch (err) {
+    return res.status(400).json({ error: err.status ? 'invalid rules' : 'invalid repo url', message: err.message });
+  }
+  try {
+    const { ref, sha } = await resolveRequestRef(provider, req.query.ref);
+    const tree = await provider.listTree(sha);
+    const markers = await loadRepoMarkers(provider, sha, tree, rules);
+    const { selected, excluded } = selectFiles(tree, rules, markers);
+    const excludedByReason = {};
+    for (const e of excluded) excludedByReason[e.reason] = (excludedByReason[e.reason] || 0) + 1;
+    res.json({
+      ref,
+      commit: sha,
+      selected: selected.map(({ path, size, boost, reason }) => ({ path, size, boost, reason })),
+      excluded,
+      excluded_by_reason: excludedByReason
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message || String(err) });
+  }
+});
+
+// Module graph of a snapshot: JS/TS and Python files among the indexed selection, their
+// imports and exports. `path` (with `depth`, default 1) narrows it to a file's neighbourhood.
+app.get('/api/graph', async (req, res) => {
+  const repo = req.query.repo;
+  if (!repo) return res.status(400).json({ error: 'missing repo query parameter' });
+  const depth = req.query.depth === undefined ? 1 : parseInt(req.query.depth, 10);
+  if (!(depth >= 1 && depth <= 5)) return res.status(400).json({ error: 'depth must be between 1 and 5' });
+  let provider;
+  try {
+    provider = openProvider(repo);
+  } catch (err) {
+    return res.status(400).json({ error: 'invalid repo url', message: err.message });
+  }
+  try {
+    const { ref, sha } = await resolveRequestRef(provider, req.query.ref);
+    const tree = await provider.listTree(sha);
+    const { indexCandidates } = await snapshotSelection(provider, sha, tree);
+    const graph = await snapshotGraph(provider, sha, indexCandidates, () => readSnapshotFiles(provider, sha, indexCandidates.map(t => t.path).filter(languageOf)));
+    const focus = req.query.path || null;
+    if (focus && !graph.has(focus)) return res.status(404).json({ error: `${focus} is not in the module graph` });
+    const { nodes, edges } = focus ? graph.around(focus, depth) : graph;
+    const languages = {};
+    for (const n of graph.nodes) languages[n.language] = (languages[n.language] || 0) + 1;
+    res.json({ ref, commit: sha, focus, depth: focus ? depth : null, nodes, edges, stats: { modules: graph.nodes.length, imports: graph.edges.length, languages } });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: describeFetchError(err) });
+  }
+});
 
 // Fetch single file content on-demand (bypasses truncation)
 app.get('/api/file', async (req, res) => {
   const repo = req.query.repo;
   const path = req.query.path;
   if (!repo || !path) return res.status(400).json({ error: 'missing repo or path query parameter' });
-  const m = repo.match(/github.com\/(.+?)\/(.+?)(?:$|\/|\.)/i);
-  if (!m) return res.status(400).json({ error: 'invalid github repo url' });
-  const owner = m[1];
-  const repoName = m[2];
-  try {
-    const headers = process.env.GITHUB_TOKEN ? { Authorization: `token ${process.env.GITHUB_TOKEN}` } : {};
-    const repoRes = await axios.get(`https://api.github.com/repos/${owner}/${repoName}` , { headers });
-    const defaultBranch = repoRes.data.default_branch || 'main';
-    const fileRes = await axios.get(`https://api.github.com/repos/${owner}/${repoName}/contents/${encodeURIComponent(path)}?ref=${encodeURIComponent(defaultBranch)}`, { headers });
-    if (fileRes.data && fileRes.data.content) {
-      const buff = Buffer.from(fileRes.data.content, fileRes.data.encoding || 'base64');
-      const content = buff.toString('utf8');
-      res.json({ path, content });
+  let provider;
+  try {
+    provider = openProvider(repo);
+  } catch (err) {
+    return res.status(400).json({ error: 'invalid repo url', message: err.message });
+  }
+  try {
+    const { ref, sha } = await resolveRequestRef(provider, req.query.ref);
+    const content = await provider.readFile(path, sha);
+    if (content !== null) {
+      res.json({ path, content, ref, commit: sha });
       return;
     }
     res.status(404).json({ error: 'file not found' });
   } catch (err) {
-    res.status(500).json({ error: err.message || String(err) });
+    res.status(err.status || 500).json({ error: err.message || String(err) });
   }
 });
 
-app.listen(PORT, () => console.log(`Server listening on ${PORT}`));
+// Branches and tags for the client's ref picker
+app.get('/api/refs', async (req, res) => {
+  const repo = req.query.repo;
+  if (!repo) return res.status(400).json({ error: 'missing repo query parameter' });
+  let provider;
+  try {
+    provider = openProvider(repo);
+  } catch (err) {
+    return res.status(400).json({ error: 'invalid repo url', message: err.message });
+  }
+  try {
+    const defaultBranch = await provider.getDefaultBranch();
+    const { branches, tags } = await provider.listRefs();
+    res.json({ default_branch: defaultBranch, url_ref: provider.urlRef, branches, tags });
+  } catch (err) {
+    res.status(500).json({ error: describeFetchError(err) });
+  }
+});
+
+// Who the caller is, their limits and what they've used so far
+app.get('/api/me', async (req, res) => {
+  const { id, key_id: keyId, team, anonymous } = req.principal;
+  try {
+    res.json({ id, key_id: keyId, team, anonymous, limits: limiter.limitsOf(req.principal), usage: await limiter.usage(req.principal) });
+  } catch (err) {
+    res.status(503).json({ error: `rate limit store unavailable: ${err.message || err}` });
+  }
+});
+
+// Prometheus scrape endpoint, outside /api so scrapers need no API key. METRICS=off removes it;
+// with METRICS_TOKEN set it wants Authorization: Bearer <token>.
+metrics.gauge('repostack_jobs', 'Background jobs waiting or running', ['state'], () => {
+  const { queued, running } = jobs.stats();
+  return [{ labels: { state: 'queued' }, value: queued }, { labels: { state: 'running' }, value: running }];
+});
+if ((process.env.METRICS || '').toLowerCase() !== 'off') {
+  const token = process.env.METRICS_TOKEN || '';
+  app.get('/metrics', (req, res) => {
+    const given = Buffer.from((/^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '') || [])[1] || '');
+    const expected = Buffer.from(token);
+    if (token && !(given.length === expected.length && crypto.timingSafeEqual(given, expected))) {
+      return res.status(401).json({ error: 'unauthorized' });
+    }
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+  });
+}
+
+app.listen(PORT, () => {
+  console.log(`Server listening on ${PORT}`);
+  const mode = (process.env.API_AUTH || '').toLowerCase();
+  const auth = mode === 'off' ? 'off' : mode === 'required' || keyStore.configured() ? 'required' : 'not required (no keys configured)';
+  console.log(`API keys: ${auth}; rate limits kept in ${limiter.store.name}; CORS origins: ${CORS_ORIGINS.join(', ')}`);
+});
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { dataDir } = require('./rules');
+
+// API keys, kept in a JSON file (API_KEYS_FILE, default .data/api-keys.json) as
+// { keys: [{ id, team, key_sha256, limits, created_at, disabled }] }. Only the SHA-256 of each
+// key is stored; scripts/api-keys.js issues and revokes them. The file is re-read when it
+// changes, so keys added or removed while the server runs take effect without a restart.
+
+// Per-key limits; each overrides the env default of the same name in upper case (see lib/limits)
+const LIMIT_NAMES = ['rate_limit_window_ms', 'rate_limit_max', 'api_rate_limit_max', 'quota_requests_per_day', 'quota_llm_tokens_per_day'];
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+const generateKey = () => `rsk_${crypto.randomBytes(24).toString('base64url')}`;
+
+function normalizeLimits(limits) {
+  const out = {};
+  for (const [name, value] of Object.entries(limits || {})) {
+    if (!LIMIT_NAMES.includes(name)) throw new Error(`unknown limit "${name}" (expected one of ${LIMIT_NAMES.join(', ')})`);
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`limit ${name} must be a whole number >= 0, got "${value}"`);
+    out[name] = n;
+  }
+  return out;
+}
+
+function createKeyStore({ file = process.env.API_KEYS_FILE || path.join(dataDir(), 'api-keys.json') } = {}) {
+  let data = { keys: [] };
+  let byHash = new Map();
+  let mtime = null;
+  let checkedAt = 0;
+  let unreadable = false;
+
+  // At most one stat per second. A missing file means no keys; a file that can't be read keeps
+  // the keys loaded before and still counts as configured, so auth stays on
+  function load() {
+    const now = Date.now();
+    if (now - checkedAt < 1000) return;
+    checkedAt = now;
+    let stat = null;
+    try {
+      stat = fs.statSync(file);
+    } catch (err) {
+      // no file
+    }
+    const current = stat ? stat.mtimeMs : null;
+    if (current === mtime) return;
+    mtime = current;
+    unreadable = false;
+    let next = { keys: [] };
+    if (stat) {
+      try {
+        const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+        next = { ...parsed, keys: Array.isArray(parsed.keys) ? parsed.keys : [] };
+      } catch (err) {
+        console.warn(`Could not read API keys from ${file}:`, err.message || err);
+        unreadable = true;
+        return;
+      }
+    }
+    data = next;
+    byHash = new Map(data.keys.filter(k => k && k.key_sha256 && !k.disabled).map(k => [k.key_sha256, k]));
+  }
+
+  function loadForWrite() {
+    load();
+    if (unreadable) throw new Error(`${file} could not be read; fix or remove it first`);
+  }
+
+  async function save() {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+    await fs.promises.rename(tmp, file);
+    checkedAt = 0;
+  }
+
+  return {
+    file,
+    // Whether any key is set up, i.e. whether callers need one by default
+    configured() {
+      load();
+      return byHash.size > 0 || unreadable;
+    },
+    lookup(key) {
+      load();
+      return byHash.get(hashKey(key)) || null;
+    },
+    list() {
+      load();
+      return data.keys.map(({ key_sha256: _hash, ...k }) => k);
+    },
+    // Issue a key; the plain key is only ever returned here
+    async add({ id, team = null, limits = {} }) {
+      loadForWrite();
+      if (!id || !/^[\w.@-]+$/.test(id)) throw new Error('key id must be letters, digits, _ . @ or -');
+      if (data.keys.some(k => k.id === id)) throw new Error(`a key with id "${id}" already exists`);
+      const key = generateKey();
+      const entry = { id, team, key_sha256: hashKey(key), limits: normalizeLimits(limits), created_at: new Date().toISOString() };
+      data.keys.push(entry);
+      await save();
+      return { key, entry };
+    },
+    async remove(id) {
+      loadForWrite();
+      const before = data.keys.length;
+      data.keys = data.keys.filter(k => k.id !== id);
+      if (data.keys.length === before) return false;
+      await save();
+      return true;
+    }
+  };
+}
+
+// The caller's key: Authorization: Bearer <key>, X-API-Key: <key>, or ?api_key=<key> for
+// clients that can't set headers (EventSource)
+function presentedKey(req) {
+  const auth = req.get('Authorization') || '';
+  const m = /^Bearer\s+(\S+)$/i.exec(auth);
+  if (m) return m[1];
+  return req.get('X-API-Key') || (typeof req.query.api_key === 'string' ? req.query.api_key : null) || null;
+}
+
+// Sets req.principal: { id, key_id, team, limits, anonymous }. API_AUTH=required demands a key,
+// off ignores keys (every caller is anonymous, limited per IP); by default keys are required
+// once the key file holds any.
+function authMiddleware(keyStore, { mode = (process.env.API_AUTH || '').toLowerCase() } = {}) {
+  const anonymous = (req) => ({ id: `ip:${req.ip}`, key_id: null, team: null, limits: {}, anonymous: true });
+  return (req, res, next) => {
+    if (mode === 'off') {
+      req.principal = anonymous(req);
+      return next();
+    }
+    const required = mode === 'required' || keyStore.configured();
+    const key = presentedKey(req);
+    const entry = key ? keyStore.lookup(key) : null;
+    if (!entry && !required) {
+      req.principal = anonymous(req);
+      return next();
+    }
+    if (!key) {
+      res.set('WWW-Authenticate', 'Bearer realm="repostack"');
+      return res.status(401).json({ error: 'unauthorized', message: 'An API key is required: send Authorization: Bearer <key> or X-API-Key' });
+    }
+    if (!entry) {
+      res.set('WWW-Authenticate', 'Bearer realm="repostack", error="invalid_token"');
+      return res.status(401).json({ error: 'unauthorized', message: 'Unknown or revoked API key' });
+    }
+    req.principal = { id: `key:${entry.id}`, key_id: entry.id, team: entry.team || null, limits: entry.limits || {}, anonymous: false };
+    next();
+  };
+}
+
+module.exports = { createKeyStore, authMiddleware, presentedKey, hashKey, normalizeLimits, LIMIT_NAMES };
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Read when a cache is created, so a .env loaded after this module still applies.
+// tarballThreshold: download a whole snapshot as a tarball once this many files would otherwise
+// be fetched one by one. maxBytes: the size the cache is pruned back to (0 for no limit).
+function cacheSettings(env = process.env) {
+  return {
+    dir: env.SNAPSHOT_CACHE_DIR || path.join(__dirname, '..', '.cache'),
+    tarballThreshold: parseInt(env.SNAPSHOT_TARBALL_THRESHOLD || '100', 10),
+    maxBytes: parseFloat(env.SNAPSHOT_CACHE_MAX_MB || '2048') * 1024 * 1024
+  };
+}
+
+// Pruning removes the least recently used files until the cache is this share of maxBytes
+const PRUNE_TO = 0.9;
+
+const FULL_SHA = /^[0-9a-f]{40}$/i;
+
+// Same id git uses for blobs, so tarball contents line up with tree entries
+function gitBlobSha(content) {
+  const buf = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+  return crypto.createHash('sha1').update(`blob ${buf.length}\0`).update(buf).digest('hex');
+}
+
+function safeSegment(s) {
+  return String(s).replace(/[^A-Za-z0-9._-]+/g, '_');
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+// Every cache file with its size and last use (its mtime, bumped on every hit)
+async function listFiles(dir, out = []) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    return out;
+  }
+  for (const e of entries) {
+    const full = path.join(dir, e.name);
+    if (e.isDirectory()) {
+      await listFiles(full, out);
+    } else if (e.isFile() && !e.name.endsWith('.tmp')) {
+      const stat = await fs.promises.stat(full).catch(() => null);
+      if (stat) out.push({ file: full, size: stat.size, used: stat.mtimeMs });
+    }
+  }
+  return out;
+}
+
+// Write via a temp file + rename so concurrent readers never see partial entries
+async function writeAtomic(file, data) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.promises.writeFile(tmp, data);
+  await fs.promises.rename(tmp, file);
+}
+
+// Entries are written once and never go stale, so the only limit is size: once writes take the
+// cache past maxBytes, the least recently used files are removed (a missing file is just a miss).
+function createSnapshotCache(options = {}) {
+  const { dir, tarballThreshold, maxBytes } = { ...cacheSettings(), ...options };
+  const treeFile = (kind, id, sha) => path.join(dir, 'trees', safeSegment(kind), safeSegment(id), `${sha}.json`);
+  const blobFile = (sha) => path.join(dir, 'blobs', sha.slice(0, 2), sha);
+  // variant distinguishes indexes over different file selections of the same commit
+  const indexFile = ({ kind, id, sha, variant = 'all', embedderId }) => path.join(dir, 'index', safeSegment(kind), safeSegment(id), `${sha}.${safeSegment(variant)}.${safeSegment(embedderId)}.json`);
+  // Area summaries of large snapshots (see context.js), per file selection and chat model
+  const summaryFile = ({ kind, id, sha, variant = 'all', model }) => path.join(dir, 'summaries', safeSegment(kind), safeSegment(id), `${sha}.${safeSegment(variant)}.${safeSegment(model)}.json`);
+  // Module graphs (see graph.js), per file selection
+  const graphFile = ({ kind, id, sha, variant = 'all' }) => path.join(dir, 'graphs', safeSegment(kind), safeSegment(id), `${sha}.${safeSegment(variant)}.json`);
+  const httpFile = (url) => path.join(dir, 'http', `${crypto.createHash('sha1').update(url).digest('hex')}.json`);
+
+  // Estimated size of the cache: measured by each prune, then grown by every write. Unknown until
+  // the first write, which prunes (and so measures) right away.
+  let size = null;
+  let pruning = null;
+
+  // Remove the least recently used files until the cache is under PRUNE_TO of maxBytes.
+  // Resolves to { files, bytes, removed, freed }; concurrent calls share one pass.
+  function prune() {
+    if (pruning) return pruning;
+    pruning = (async () => {
+      const files = await listFiles(dir);
+      let bytes = files.reduce((sum, f) => sum + f.size, 0);
+      let removed = 0;
+      let freed = 0;
+      if (maxBytes > 0 && bytes > maxBytes) {
+        files.sort((a, b) => a.used - b.used);
+        for (const f of files) {
+          if (bytes <= maxBytes * PRUNE_TO) break;
+          await fs.promises.unlink(f.file).catch(() => {});
+          bytes -= f.size;
+          freed += f.size;
+          removed += 1;
+        }
+      }
+      size = bytes;
+      return { files: files.length - removed, bytes, removed, freed };
+    })().finally(() => { pruning = null; });
+    return pruning;
+  }
+
+  async function write(file, data) {
+    await writeAtomic(file, data);
+    if (!(maxBytes > 0)) return;
+    size = size === null ? null : size + Buffer.byteLength(data);
+    if (size === null || size > maxBytes) prune().catch(() => {});
+  }
+
+  // A hit marks the file as recently used
+  const touch = (file) => {
+    const now = new Date();
+    fs.promises.utimes(file, now, now).catch(() => {});
+  };
+  const read = async (file) => {
+    const data = await readJson(file);
+    if (data !== null) touch(file);
+    return data;
+  };
+
+  return {
+    dir,
+    tarballThreshold,
+    maxBytes,
+    prune,
+    getTree: (kind, id, sha) => read(treeFile(kind, id, sha)),
+    putTree: (kind, id, sha, tree) => write(treeFile(kind, id, sha), JSON.stringify(tree)),
+    async getBlob(sha) {
+      try {
+        const content = await fs.promises.readFile(blobFile(sha), 'utf8');
+        touch(blobFile(sha));
+        return content;
+      } catch (err) {
+        return null;
+      }
+    },
+    hasBlob: (sha) => fs.promises.access(blobFile(sha)).then(() => true, () => false),
+    putBlob: (sha, content) => write(blobFile(sha), content),
+    // Chunk indexes (see semantic-index.js), one per snapshot and embedder
+    getIndex: (key) => read(indexFile(key)),
+    putIndex: (key, data) => write(indexFile(key), JSON.stringify(data)),
+    getSummaries: (key) => read(summaryFile(key)),
+    putSummaries: (key, data) => write(summaryFile(key), JSON.stringify(data)),
+    getGraph: (key) => read(graphFile(key)),
+    putGraph: (key, data) => write(graphFile(key), JSON.stringify(data)),
+    // ETag store used for conditional requests
+    http: {
+      get: (url) => read(httpFile(url)),
+      set: (url, entry) => write(httpFile(url), JSON.stringify(entry))
+    }
+  };
+}
+
+// Wrap a provider so trees are cached per commit SHA and file contents per blob SHA.
+// Only full commit SHAs are cached: branch names move, commits don't.
+function withSnapshotCache(provider, cache) {
+  if (!cache) return provider;
+  const stats = { commit: null, treeCached: false, blobsReused: 0, blobsFetched: 0, tarball: false };
+  const trees = new Map();
+
+  async function treeFor(ref, fetchIfMissing) {
+    if (!ref || !FULL_SHA.test(ref)) return null;
+    if (trees.has(ref)) return trees.get(ref);
+    let tree = await cache.getTree(provider.kind, provider.id, ref);
+    if (tree) {
+      stats.treeCached = true;
+    } else if (fetchIfMissing) {
+      tree = await provider.listTree(ref);
+      await cache.putTree(provider.kind, provider.id, ref, tree).catch(() => {});
+    }
+    if (tree) trees.set(ref, new Map(tree.map(t => [t.path, t])));
+    return tree ? trees.get(ref) : null;
+  }
+
+  return {
+    ...provider,
+
+    async listTree(ref) {
+      const byPath = await treeFor(ref, true);
+      if (!byPath) return provider.listTree(ref);
+      stats.commit = ref;
+      return Array.from(byPath.values());
+    },
+
+    async readFile(filePath, ref) {
+      const byPath = await treeFor(ref, false);
+      // Known snapshot without that path: no need to ask upstream
+      if (byPath && !byPath.has(filePath)) return null;
+      const sha = byPath && byPath.get(filePath)?.sha;
+      if (sha) {
+        const cached = await cache.getBlob(sha);
+        if (cached !== null) {
+          stats.blobsReused += 1;
+          return cached;
+        }
+      }
+      const content = await provider.readFile(filePath, ref);
+      if (content !== null) {
+        stats.blobsFetched += 1;
+        if (sha) await cache.putBlob(sha, content).catch(() => {});
+      }
+      return content;
+    },
+
+    // Pull a whole snapshot in one request when many of the wanted blobs are uncached
+    async prefetch(paths, ref) {
+      if (typeof provider.downloadSnapshot !== 'function') return;
+      const byPath = await treeFor(ref, false);
+      if (!byPath) return;
+      let missing = 0;
+      for (const p of paths) {
+        const sha = byPath.get(p)?.sha;
+        if (sha && !(await cache.hasBlob(sha))) missing += 1;
+      }
+      if (missing < cache.tarballThreshold) return;
+      const files = await provider.downloadSnapshot(ref);
+      for (const f of files) {
+        const entry = byPath.get(f.path);
+        if (!entry || entry.type !== 'blob') continue;
+        const sha = gitBlobSha(f.content);
+        if (sha === entry.sha) await cache.putBlob(sha, f.content.toString('utf8')).catch(() => {});
+      }
+      stats.tarball = true;
+    },
+
+    cacheStats: () => ({ ...stats }),
+
+    // e.g. "tree cached at abc1234, 412/430 blobs reused"
+    cacheSummary() {
+      const total = stats.blobsReused + stats.blobsFetched;
+      const where = stats.commit ? ` at ${stats.commit.slice(0, 7)}` : '';
+      return `tree ${stats.treeCached ? 'cached' : 'fetched'}${where}, ${stats.blobsReused}/${total} blobs reused${stats.tarball ? ' (snapshot tarball downloaded)' : ''}`;
+    }
+  };
+}
+
+module.exports = { createSnapshotCache, withSnapshotCache, gitBlobSha, cacheSettings };
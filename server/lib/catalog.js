@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const { describeFetchError } = require('./http');
+
+// Batch catalog of many repositories (scripts/repostack.js catalog): each one is analyzed and
+// reduced to a row (summary, languages, frameworks, difficulty). Progress is saved to a state
+// file after every repository, so a run that was interrupted or partly failed can resume: done
+// repositories are skipped and failed ones retried.
+
+const COLUMNS = ['repo', 'status', 'ref', 'commit', 'summary', 'languages', 'frameworks', 'difficulty', 'use_cases', 'model', 'cost_usd', 'error', 'attempts', 'analyzed_at'];
+const FORMATS = ['csv', 'json'];
+
+// Repository URLs from a list file: one per line; blank lines and # comments are skipped
+function parseRepoList(text) {
+  const repos = String(text).split(/\r?\n/).map(line => line.replace(/#.*$/, '').trim()).filter(Boolean);
+  return Array.from(new Set(repos));
+}
+
+// The row of a finished analysis. languages are the provider's (by size, largest first); the
+// model's primary_languages only stand in when the provider reports none.
+function catalogRow(repo, result, languages = null) {
+  const a = result.analysis;
+  return {
+    repo,
+    status: 'done',
+    ref: result.ref,
+    commit: result.commit,
+    summary: a.project_summary,
+    languages: languages && languages.length ? languages : a.primary_languages,
+    frameworks: a.key_frameworks,
+    difficulty: a.difficulty_rating,
+    use_cases: a.possible_use_cases,
+    model: result.model || null,
+    // Unknown when the model has no price (see LLM_PRICES)
+    cost_usd: result.usage && !result.usage.cost.unpriced_models.length ? result.usage.cost.usd : null,
+    error: null,
+    analyzed_at: new Date().toISOString()
+  };
+}
+
+const csvCell = (value) => {
+  const s = value === null || value === undefined ? '' : Array.isArray(value) ? value.join('; ') : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// rows as CSV (lists joined with "; ") or as JSON { generated_at, repositories }
+function renderCatalog(rows, format) {
+  if (format === 'json') return `${JSON.stringify({ generated_at: new Date().toISOString(), repositories: rows }, null, 2)}\n`;
+  if (format === 'csv') return `${[COLUMNS.join(','), ...rows.map(row => COLUMNS.map(c => csvCell(row[c])).join(','))].join('\n')}\n`;
+  throw new Error(`format must be one of ${FORMATS.join(', ')}`);
+}
+
+// The run's progress in `file`: { repos: { [repo]: row } }, where failed repositories have
+// status 'failed' and an error. Starts empty unless resume. Writes are serialized and atomic.
+function createCatalogState(file, { resume = false } = {}) {
+  let data = { repos: {} };
+  if (resume) {
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!data || typeof data.repos !== 'object') throw new Error('not a catalog state file');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw new Error(`Cannot resume from ${file}: ${err.message}`);
+      data = { repos: {} };
+    }
+  }
+  let writing = Promise.resolve();
+  return {
+    file,
+    get: (repo) => data.repos[repo] || null,
+    put(row) {
+      data.repos[row.repo] = row;
+      const body = JSON.stringify(data, null, 2);
+      const next = writing.then(async () => {
+        await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, body);
+        await fs.promises.rename(tmp, file);
+      });
+      // A failed write rejects its own put only; the next one writes the whole state again
+      writing = next.catch(() => {});
+      return next;
+    }
+  };
+}
+
+// Analyze every repository that isn't done yet, `concurrency` at a time. analyze(repo) resolves
+// to its row or throws; onProgress({ repo, row, finished, total }) follows along. Once signal
+// aborts no new repository starts, and the ones it interrupted stay pending. Resolves to
+// { rows (in the order of repos, pending ones included), skipped (done in an earlier run) }.
+async function runCatalog({ repos, state, analyze, concurrency = 3, signal = null, onProgress = () => {} }) {
+  const pending = repos.filter(repo => (state.get(repo) || {}).status !== 'done');
+  let next = 0;
+  let finished = repos.length - pending.length;
+  const aborted = () => !!(signal && signal.aborted);
+
+  async function worker() {
+    while (next < pending.length && !aborted()) {
+      const repo = pending[next++];
+      const attempts = ((state.get(repo) || {}).attempts || 0) + 1;
+      let row;
+      try {
+        row = { ...(await analyze(repo)), attempts };
+      } catch (err) {
+        if (aborted()) return;
+        row = { repo, status: 'failed', error: describeFetchError(err), attempts, analyzed_at: new Date().toISOString() };
+      }
+      await state.put(row);
+      finished += 1;
+      onProgress({ repo, row, finished, total: repos.length });
+    }
+  }
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, pending.length)) }, worker));
+  return {
+    rows: repos.map(repo => state.get(repo) || { repo, status: 'pending' }),
+    skipped: repos.length - pending.length
+  };
+}
+
+module.exports = { parseRepoList, catalogRow, renderCatalog, createCatalogState, runCatalog, COLUMNS, FORMATS };
@@ -0,0 +1,71 @@
+const path = require('path');
+
+const MIN_CHUNK_LINES = 6;
+const MAX_CHUNK_LINES = 80;
+const WINDOW_LINES = 60;
+
+// Lines that start a new function/class-sized unit, per language family
+const BOUNDARIES = {
+  js: /^(export\s+)?(default\s+)?((async\s+)?function\b|(abstract\s+)?class\b|(const|let|var)\s+[\w$]+\s*=\s*(async\s*)?(\(|function\b|[\w$]+\s*=>)|interface\b|type\s+\w+\s*=|enum\b)|^(app|router)\.(get|post|put|patch|delete|use)\(/,
+  py: /^(async\s+def|def|class)\s/,
+  go: /^(func|type)\s/,
+  rs: /^(pub(\([^)]*\))?\s+)?(async\s+)?(fn|struct|enum|impl|trait|mod)\b/,
+  rb: /^\s{0,2}(def|class|module)\s/,
+  // C-like languages: members are usually indented one level inside a class
+  c: /^\s{0,4}((public|private|protected|internal|static|final|abstract|override|virtual|async)\s+)+[\w<>\[\],\s]+\(|^\s{0,4}(public\s+|abstract\s+|final\s+)*(class|interface|enum|record|struct)\s/,
+  md: /^#{1,3}\s/
+};
+
+const FAMILY = {
+  '.js': 'js', '.jsx': 'js', '.ts': 'js', '.tsx': 'js', '.mjs': 'js', '.cjs': 'js',
+  '.py': 'py', '.go': 'go', '.rs': 'rs', '.rb': 'rb', '.php': 'c',
+  '.java': 'c', '.cs': 'c', '.kt': 'c', '.scala': 'c', '.c': 'c', '.cpp': 'c', '.h': 'c', '.hpp': 'c',
+  '.md': 'md'
+};
+
+function windows(start, end) {
+  const out = [];
+  for (let s = start; s < end; s += WINDOW_LINES) out.push([s, Math.min(end, s + WINDOW_LINES), start]);
+  return out;
+}
+
+// Split a file into function/class-sized chunks: { path, startLine, endLine, symbol, text }.
+// Line numbers are 1-based and inclusive. Files without recognisable structure fall
+// back to fixed windows.
+function chunkFile(filePath, content) {
+  const lines = content.split('\n');
+  const boundary = BOUNDARIES[FAMILY[path.extname(filePath).toLowerCase()]];
+  const starts = [0];
+  if (boundary) {
+    for (let i = 1; i < lines.length; i++) {
+      if (!boundary.test(lines[i])) continue;
+      // Keep decorators / doc comments directly above a declaration with it
+      let s = i;
+      while (s > 0 && /^\s*(@|\/\/\/?|\*|\/\*\*|#\[)/.test(lines[s - 1])) s--;
+      if (s > starts[starts.length - 1]) starts.push(s);
+    }
+  }
+  starts.push(lines.length);
+
+  // Merge tiny segments into the following one, then window oversized ones
+  const segments = [];
+  let segStart = starts[0];
+  for (let i = 1; i < starts.length; i++) {
+    const end = starts[i];
+    if (end - segStart < MIN_CHUNK_LINES && i < starts.length - 1) continue;
+    if (end - segStart > MAX_CHUNK_LINES) segments.push(...windows(segStart, end));
+    else segments.push([segStart, end, segStart]);
+    segStart = end;
+  }
+
+  return segments
+    .map(([s, e, parentStart]) => {
+      const text = lines.slice(s, e).join('\n');
+      // Windows of a long function are labelled with the function they belong to
+      const symbolLine = boundary ? lines.slice(parentStart, e).find(l => boundary.test(l)) : null;
+      return { path: filePath, startLine: s + 1, endLine: e, symbol: symbolLine ? symbolLine.trim().slice(0, 120) : null, text };
+    })
+    .filter(c => c.text.trim().length > 0);
+}
+
+module.exports = { chunkFile };
@@ -0,0 +1,255 @@
+const path = require('path');
+const { isVendorPath } = require('./rules');
+const { parserFor } = require('./manifests/parsers');
+
+// Differences between two snapshots (two repositories, or two refs of one) computed without the
+// model: which files were added, removed, changed or renamed, how direct dependencies and
+// frameworks moved, and how the language mix shifted.
+
+// Paths listed per kind of file change; counts stay exact past this
+const MAX_LISTED = 500;
+const MAX_DIRECTORIES = 30;
+// Languages below this share (0..1) on both sides are left out of the shift
+const MIN_LANGUAGE_SHARE = 0.005;
+
+const LANGUAGES = {
+  js: 'JavaScript', jsx: 'JavaScript', mjs: 'JavaScript', cjs: 'JavaScript', ts: 'TypeScript', tsx: 'TypeScript', mts: 'TypeScript', cts: 'TypeScript',
+  py: 'Python', pyi: 'Python', go: 'Go', rs: 'Rust', java: 'Java', kt: 'Kotlin', kts: 'Kotlin', scala: 'Scala', groovy: 'Groovy',
+  rb: 'Ruby', php: 'PHP', cs: 'C#', fs: 'F#', vb: 'Visual Basic', c: 'C', h: 'C', cc: 'C++', cpp: 'C++', cxx: 'C++', hpp: 'C++',
+  m: 'Objective-C', mm: 'Objective-C', swift: 'Swift', dart: 'Dart', ex: 'Elixir', exs: 'Elixir', erl: 'Erlang', hs: 'Haskell',
+  clj: 'Clojure', lua: 'Lua', r: 'R', jl: 'Julia', pl: 'Perl', sh: 'Shell', bash: 'Shell', zsh: 'Shell', ps1: 'PowerShell',
+  sql: 'SQL', html: 'HTML', css: 'CSS', scss: 'SCSS', sass: 'Sass', less: 'Less', vue: 'Vue', svelte: 'Svelte', astro: 'Astro'
+};
+
+function languageOfPath(p) {
+  const ext = path.posix.extname(p).slice(1).toLowerCase();
+  return LANGUAGES[ext] || null;
+}
+
+const blobsOf = (tree) => new Map(tree.filter(t => t.type === 'blob' && !isVendorPath(t.path)).map(t => [t.path, t]));
+const topDirectory = (p) => (p.includes('/') ? p.slice(0, p.indexOf('/')) : '(root)');
+
+// Whether a file present on both sides differs: by blob SHA when both sides have one, else by
+// size (same size counts as unknown). Returns true, false or null.
+function blobChanged(a, b) {
+  if (a.sha && b.sha) return a.sha !== b.sha;
+  if (a.size !== undefined && b.size !== undefined && a.size !== null && b.size !== null) return a.size !== b.size ? true : null;
+  return null;
+}
+
+// File-level differences between two trees ({ path, type, size, sha } entries, vendor
+// directories skipped). Files that moved without changing are reported as renames.
+function diffTrees(baseTree, headTree) {
+  const base = blobsOf(baseTree);
+  const head = blobsOf(headTree);
+  let added = Array.from(head.keys()).filter(p => !base.has(p));
+  let removed = Array.from(base.keys()).filter(p => !head.has(p));
+  const changed = [];
+  let unchanged = 0;
+  let uncertain = 0;
+  for (const [p, b] of base) {
+    const h = head.get(p);
+    if (!h) continue;
+    const diff = blobChanged(b, h);
+    if (diff === true) changed.push(p);
+    else if (diff === false) unchanged++;
+    else uncertain++;
+  }
+
+  // Same blob under a new path: a rename, paired one to one
+  const renamed = [];
+  const removedBySha = new Map();
+  for (const p of removed) {
+    const sha = base.get(p).sha;
+    if (!sha) continue;
+    if (!removedBySha.has(sha)) removedBySha.set(sha, []);
+    removedBySha.get(sha).push(p);
+  }
+  const renamedFrom = new Set();
+  const renamedTo = new Set();
+  for (const p of added) {
+    const candidates = removedBySha.get(head.get(p).sha);
+    if (!candidates || !candidates.length) continue;
+    const from = candidates.shift();
+    renamed.push({ from, to: p });
+    renamedFrom.add(from);
+    renamedTo.add(p);
+  }
+  added = added.filter(p => !renamedTo.has(p));
+  removed = removed.filter(p => !renamedFrom.has(p));
+
+  const directories = new Map();
+  const bump = (p, kind) => {
+    const d = topDirectory(p);
+    if (!directories.has(d)) directories.set(d, { directory: d, added: 0, removed: 0, changed: 0 });
+    directories.get(d)[kind]++;
+  };
+  added.forEach(p => bump(p, 'added'));
+  removed.forEach(p => bump(p, 'removed'));
+  changed.forEach(p => bump(p, 'changed'));
+  const total = (d) => d.added + d.removed + d.changed;
+
+  const sorted = (list) => list.sort((a, b) => a.localeCompare(b));
+  return {
+    counts: { added: added.length, removed: removed.length, changed: changed.length, renamed: renamed.length, unchanged, uncertain },
+    added: sorted(added).slice(0, MAX_LISTED),
+    removed: sorted(removed).slice(0, MAX_LISTED),
+    changed: sorted(changed).slice(0, MAX_LISTED),
+    renamed: renamed.sort((a, b) => a.to.localeCompare(b.to)).slice(0, MAX_LISTED),
+    truncated: [added, removed, changed, renamed].some(l => l.length > MAX_LISTED),
+    directories: Array.from(directories.values()).sort((a, b) => total(b) - total(a) || a.directory.localeCompare(b.directory)).slice(0, MAX_DIRECTORIES)
+  };
+}
+
+// Direct dependencies of every manifest, merged per ecosystem and package name
+function directDependencies(deps) {
+  const out = new Map();
+  for (const m of (deps && deps.manifests) || []) {
+    for (const d of m.dependencies) {
+      if (d.scope === 'indirect' || d.scope === 'managed') continue;
+      const key = `${m.ecosystem}:${d.name}`;
+      if (!out.has(key)) out.set(key, { ecosystem: m.ecosystem, name: d.name, versions: new Set(), scopes: new Set() });
+      const entry = out.get(key);
+      if (d.version) entry.versions.add(d.version);
+      entry.scopes.add(d.scope);
+    }
+  }
+  for (const entry of out.values()) {
+    entry.version = entry.versions.size ? Array.from(entry.versions).sort().join(', ') : null;
+    entry.scope = entry.scopes.has('runtime') ? 'runtime' : Array.from(entry.scopes)[0];
+  }
+  return out;
+}
+
+// Dependency, framework, ecosystem and license differences between two `dependencies`
+// sections (see lib/manifests)
+function diffDependencies(baseDeps, headDeps) {
+  const base = directDependencies(baseDeps);
+  const head = directDependencies(headDeps);
+  const dependencies = [];
+  for (const [key, h] of head) {
+    const b = base.get(key);
+    if (!b) dependencies.push({ ecosystem: h.ecosystem, name: h.name, change: 'added', scope: h.scope, base_version: null, head_version: h.version });
+    else if (b.version !== h.version) dependencies.push({ ecosystem: h.ecosystem, name: h.name, change: 'changed', scope: h.scope, base_version: b.version, head_version: h.version });
+  }
+  for (const [key, b] of base) {
+    if (!head.has(key)) dependencies.push({ ecosystem: b.ecosystem, name: b.name, change: 'removed', scope: b.scope, base_version: b.version, head_version: null });
+  }
+  const order = { added: 0, removed: 1, changed: 2 };
+  dependencies.sort((a, b) => order[a.change] - order[b.change] || a.ecosystem.localeCompare(b.ecosystem) || a.name.localeCompare(b.name));
+
+  const setDiff = (a, b) => Array.from(new Set(a)).filter(x => !b.includes(x)).sort();
+  const names = (deps, pick) => (deps ? pick(deps) : []);
+  const frameworks = [names(baseDeps, d => d.frameworks.map(f => f.name)), names(headDeps, d => d.frameworks.map(f => f.name))];
+  const ecosystems = [names(baseDeps, d => d.ecosystems), names(headDeps, d => d.ecosystems)];
+  const licenses = [names(baseDeps, d => d.licenses.map(l => l.license)), names(headDeps, d => d.licenses.map(l => l.license))];
+  return {
+    dependencies,
+    frameworks_added: setDiff(frameworks[1], frameworks[0]),
+    frameworks_removed: setDiff(frameworks[0], frameworks[1]),
+    ecosystems_added: setDiff(ecosystems[1], ecosystems[0]),
+    ecosystems_removed: setDiff(ecosystems[0], ecosystems[1]),
+    licenses_added: setDiff(licenses[1], licenses[0]),
+    licenses_removed: setDiff(licenses[0], licenses[1])
+  };
+}
+
+// Share (0..1) of each language on both sides, by bytes when every file has a size, else by
+// file count. Sorted by the head's share.
+function languageShift(baseTree, headTree) {
+  const base = Array.from(blobsOf(baseTree).values());
+  const head = Array.from(blobsOf(headTree).values());
+  const bySize = base.concat(head).every(t => typeof t.size === 'number');
+  const shares = (blobs) => {
+    const totals = new Map();
+    let sum = 0;
+    for (const t of blobs) {
+      const language = languageOfPath(t.path);
+      if (!language) continue;
+      const weight = bySize ? t.size : 1;
+      totals.set(language, (totals.get(language) || 0) + weight);
+      sum += weight;
+    }
+    return new Map(Array.from(totals, ([l, n]) => [l, sum ? n / sum : 0]));
+  };
+  const b = shares(base);
+  const h = shares(head);
+  const round = (x) => Math.round(x * 1000) / 1000;
+  const languages = Array.from(new Set([...b.keys(), ...h.keys()]))
+    .map(language => ({ language, base: round(b.get(language) || 0), head: round(h.get(language) || 0) }))
+    .filter(l => l.base >= MIN_LANGUAGE_SHARE || l.head >= MIN_LANGUAGE_SHARE)
+    .map(l => ({ ...l, change: round(l.head - l.base) }))
+    .sort((x, y) => y.head - x.head || y.base - x.base);
+  return { measure: bySize ? 'bytes' : 'files', languages };
+}
+
+// Files worth showing the model, most telling first: changed manifests, then changed, added and
+// removed source files, larger changes first. Returns [{ path, sides: ['base'?, 'head'?] }].
+function excerptCandidates(files, baseTree, headTree) {
+  const base = blobsOf(baseTree);
+  const head = blobsOf(headTree);
+  const size = (t) => (t && typeof t.size === 'number' ? t.size : 0);
+  const isSource = (p) => !!languageOfPath(p);
+  const manifests = files.changed.concat(files.added, files.removed).filter(p => parserFor(p));
+  const bySize = (list, weight) => list.filter(isSource).sort((a, b) => weight(b) - weight(a));
+  const changed = bySize(files.changed, p => Math.abs(size(head.get(p)) - size(base.get(p))) || 1);
+  const added = bySize(files.added, p => size(head.get(p)));
+  const removed = bySize(files.removed, p => size(base.get(p)));
+  const sidesOf = (p) => [base.has(p) && 'base', head.has(p) && 'head'].filter(Boolean);
+  const seen = new Set();
+  const out = [];
+  // Interleave so added and removed files are not crowded out by a long list of edits
+  const queues = [manifests, changed, added, removed];
+  while (queues.some(q => q.length)) {
+    for (const q of queues) {
+      const p = q.shift();
+      if (p === undefined || seen.has(p)) continue;
+      seen.add(p);
+      out.push({ path: p, sides: sidesOf(p) });
+    }
+  }
+  return out;
+}
+
+// The computed differences as prompt text
+function describeChanges({ files, dependencies, languages }) {
+  const lines = [];
+  const c = files.counts;
+  lines.push(`Files: ${c.added} added, ${c.removed} removed, ${c.changed} changed, ${c.renamed} renamed, ${c.unchanged} unchanged${c.uncertain ? `, ${c.uncertain} not comparable` : ''}`);
+  if (files.directories.length) {
+    lines.push('By top-level directory (added/removed/changed):');
+    for (const d of files.directories) lines.push(`- ${d.directory}: +${d.added} -${d.removed} ~${d.changed}`);
+  }
+  const list = (label, items) => {
+    if (items.length) lines.push(`${label}: ${items.slice(0, 60).join(', ')}${items.length > 60 ? `, and ${items.length - 60} more` : ''}`);
+  };
+  list('Added files', files.added);
+  list('Removed files', files.removed);
+  list('Renamed files', files.renamed.map(r => `${r.from} -> ${r.to}`));
+  list('Changed files', files.changed);
+
+  list('Frameworks added', dependencies.frameworks_added);
+  list('Frameworks removed', dependencies.frameworks_removed);
+  list('Ecosystems added', dependencies.ecosystems_added);
+  list('Ecosystems removed', dependencies.ecosystems_removed);
+  list('Licenses added', dependencies.licenses_added);
+  list('Licenses removed', dependencies.licenses_removed);
+  const deps = dependencies.dependencies;
+  if (deps.length) {
+    lines.push(`Dependency changes (${deps.length}):`);
+    for (const d of deps.slice(0, 80)) {
+      const versions = d.change === 'changed' ? `${d.base_version || '?'} -> ${d.head_version || '?'}` : (d.head_version || d.base_version || '');
+      lines.push(`- ${d.change} ${d.ecosystem}/${d.name}${versions ? ` ${versions}` : ''}${d.scope === 'runtime' ? '' : ` (${d.scope})`}`);
+    }
+    if (deps.length > 80) lines.push(`- and ${deps.length - 80} more`);
+  } else {
+    lines.push('Dependency changes: none');
+  }
+  const pct = (x) => `${(x * 100).toFixed(1)}%`;
+  if (languages.languages.length) {
+    lines.push(`Languages (share of ${languages.measure}, base -> head): ${languages.languages.map(l => `${l.language} ${pct(l.base)} -> ${pct(l.head)}`).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = { diffTrees, diffDependencies, languageShift, excerptCandidates, describeChanges, languageOfPath };
@@ -0,0 +1,297 @@
+const { completeStructured } = require('./llm/structured');
+const { schemas } = require('./schema');
+const { isAbortError } = require('./http');
+
+// Token-budgeted walkthrough context. When the whole (selected) snapshot fits the budget it is
+// sent as is; otherwise the best-ranked chunks are packed until the budget is spent. For large
+// repositories a map-reduce pass runs first: directory areas are summarized (map), the model
+// picks the areas relevant to the question (reduce), and packing drills into those areas first,
+// leaving whatever budget they don't need to the best chunks elsewhere.
+
+// Areas the snapshot is split into for summarization
+const MAX_AREAS = 40;
+// Per-area digest (file list + declarations) sent to the map step
+const AREA_DIGEST_CHARS = 3000;
+// Digests per map call, in tokens
+const SUMMARY_BATCH_TOKENS = 12000;
+const MAX_SELECTED_AREAS = 6;
+// Code rarely averages more than this many characters per token, so larger snapshots can't
+// fit and aren't counted exactly
+const MAX_CHARS_PER_TOKEN = 6;
+// Whole files (e.g. dependency manifests) passed in `pinned` may use at most this share of the budget
+const PINNED_SHARE = 0.25;
+
+// Prompt block for one file; the packing budget counts these headers too
+const fileHeader = (path, label = '') => `--- ${path}${label}\n`;
+
+// Take the best-scoring chunks whose tokens still fit, then stitch each file's chunks back
+// together in line order. Adjacent chunks are joined so excerpts stay exact substrings.
+// cost(chunk) is its token count; chunkCounts maps path -> chunks in the file.
+function packChunks(hits, { budget, cost, countHeader, chunkCounts }) {
+  const selected = new Map();
+  let tokens = 0;
+  for (const h of hits) {
+    if (budget - tokens < 16) break;
+    const extra = selected.has(h.path) ? 2 : countHeader(h.path) + 2;
+    const c = cost(h) + extra;
+    if (tokens + c > budget) continue;
+    if (!selected.has(h.path)) selected.set(h.path, []);
+    selected.get(h.path).push(h);
+    tokens += c;
+  }
+  const files = [];
+  for (const [path, chunks] of selected) {
+    chunks.sort((a, b) => a.startLine - b.startLine);
+    let content = '';
+    const ranges = [];
+    for (const c of chunks) {
+      const last = ranges[ranges.length - 1];
+      if (last && last[1] + 1 === c.startLine) {
+        content += '\n' + c.text;
+        last[1] = c.endLine;
+      } else {
+        content += (content ? '\n...\n' : '') + c.text;
+        ranges.push([c.startLine, c.endLine]);
+      }
+    }
+    files.push({
+      path,
+      content,
+      partial: chunks.length < (chunkCounts.get(path) || 0),
+      ranges,
+      chunks: chunks.length,
+      score: Math.max(...chunks.map(c => c.score))
+    });
+  }
+  return { files, tokens };
+}
+
+// Split the snapshot into directory areas: start from the top level and keep splitting the
+// largest area into its subdirectories while there is room. Files directly inside a split
+// directory stay together as "<dir>/*".
+function groupAreas(chunks, maxAreas = MAX_AREAS) {
+  const files = new Map();
+  for (const c of chunks) {
+    const f = files.get(c.path) || { path: c.path, chars: 0, symbols: [] };
+    f.chars += c.text.length;
+    if (c.symbol && !f.symbols.includes(c.symbol)) f.symbols.push(c.symbol);
+    files.set(c.path, f);
+  }
+  const make = (prefix, list, direct) => ({
+    area: direct ? `${prefix || '.'}/*` : prefix || '.',
+    prefix,
+    direct,
+    files: list,
+    chars: list.reduce((n, f) => n + f.chars, 0)
+  });
+  const split = (area) => {
+    const depth = area.prefix ? area.prefix.split('/').length : 0;
+    const groups = new Map();
+    const own = [];
+    for (const f of area.files) {
+      const parts = f.path.split('/');
+      if (parts.length <= depth + 1) own.push(f);
+      else {
+        const key = parts.slice(0, depth + 1).join('/');
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(f);
+      }
+    }
+    const out = Array.from(groups, ([prefix, list]) => make(prefix, list, false));
+    if (own.length) out.push(make(area.prefix, own, true));
+    return out;
+  };
+
+  let areas = [make('', Array.from(files.values()), false)];
+  while (true) {
+    const candidates = areas.filter(a => !a.direct && a.files.length > 1).sort((a, b) => b.chars - a.chars);
+    let changed = false;
+    for (const area of candidates) {
+      let parts = split(area);
+      // A directory holding a single subdirectory says nothing; descend until it branches
+      while (parts.length === 1 && !parts[0].direct && parts[0].files.length > 1) parts = split(parts[0]);
+      if (parts.length === 1) {
+        areas = areas.map(a => (a === area ? { ...parts[0], area: parts[0].prefix || '.', direct: true } : a));
+        changed = true;
+        break;
+      }
+      if (areas.length - 1 + parts.length > maxAreas) continue;
+      areas = areas.filter(a => a !== area).concat(parts);
+      changed = true;
+      break;
+    }
+    if (!changed) break;
+  }
+  return areas.sort((a, b) => a.area.localeCompare(b.area));
+}
+
+// What the map step sees of an area: its files with the declarations found in them
+function areaDigest(area) {
+  let out = `=== ${area.area} (${area.files.length} file(s))\n`;
+  for (let i = 0; i < area.files.length; i++) {
+    const f = area.files[i];
+    const line = `${f.path}${f.symbols.length ? ': ' + f.symbols.slice(0, 12).join(' | ') : ''}\n`;
+    if (out.length + line.length > AREA_DIGEST_CHARS) {
+      out += `... ${area.files.length - i} more file(s)\n`;
+      break;
+    }
+    out += line;
+  }
+  return out;
+}
+
+// Map step: summaries for every area, batched into as few calls as the batch size allows.
+// cached: { [area]: summary } from an earlier question on the same snapshot.
+async function summarizeAreas({ llm, model, areas, counter, cached = {}, signal = null, log }) {
+  const summaries = { ...cached };
+  const todo = areas.filter(a => !summaries[a.area]);
+  const batches = [];
+  let batch = [];
+  let batchTokens = 0;
+  for (const area of todo) {
+    const digest = areaDigest(area);
+    const tokens = counter.count(digest);
+    if (batch.length && batchTokens + tokens > SUMMARY_BATCH_TOKENS) {
+      batches.push(batch);
+      batch = [];
+      batchTokens = 0;
+    }
+    batch.push({ area, digest });
+    batchTokens += tokens;
+  }
+  if (batch.length) batches.push(batch);
+  if (todo.length) log(`Summarizing ${todo.length} area(s) in ${batches.length} call(s)${areas.length > todo.length ? ` (${areas.length - todo.length} cached)` : ''}`);
+  else log(`Area summaries for ${areas.length} areas loaded from cache`);
+
+  for (const b of batches) {
+    const prompt = `Summarize what the code in each repository area below does, in one or two sentences per area, for someone deciding where to look. Use the area labels exactly as given (the text after ===).\n\n${b.map(x => x.digest).join('\n')}`;
+    const completion = await completeStructured(llm, {
+      model,
+      messages: [{ role: 'system', content: 'You output strict JSON only.' }, { role: 'user', content: prompt }],
+      maxTokens: Math.min(4000, 80 * b.length + 200),
+      temperature: 0,
+      schema: schemas.AreaSummaries,
+      repairAttempts: 1,
+      signal
+    });
+    const wanted = new Set(b.map(x => x.area.area));
+    for (const s of completion.value.areas) if (wanted.has(s.area) && s.summary) summaries[s.area] = s.summary.trim();
+  }
+  // Areas the model skipped still get a plain description
+  for (const area of areas) {
+    if (!summaries[area.area]) summaries[area.area] = `${area.files.length} file(s): ${area.files.slice(0, 5).map(f => f.path.split('/').pop()).join(', ')}${area.files.length > 5 ? ', ...' : ''}`;
+  }
+  return summaries;
+}
+
+// Reduce step: the areas worth reading for this question, most relevant first
+async function chooseAreas({ llm, model, question, areas, summaries, signal = null }) {
+  const list = areas.map(a => `- ${a.area} (${a.files.length} file(s)): ${summaries[a.area]}`).join('\n');
+  const prompt = `A user asked about a repository: "${question}"\n\nThe repository is divided into these areas:\n${list}\n\nPick the areas (at most ${MAX_SELECTED_AREAS}) whose code is needed to answer, most relevant first, using the labels exactly as listed.`;
+  const completion = await completeStructured(llm, {
+    model,
+    messages: [{ role: 'system', content: 'You output strict JSON only.' }, { role: 'user', content: prompt }],
+    maxTokens: 400,
+    temperature: 0,
+    schema: schemas.AreaSelection,
+    repairAttempts: 1,
+    signal
+  });
+  const known = new Set(areas.map(a => a.area));
+  const picked = Array.from(new Set(completion.value.areas.filter(a => known.has(a)))).slice(0, MAX_SELECTED_AREAS);
+  return { areas: picked, reason: completion.value.reason || '' };
+}
+
+// The "repository map" block sent alongside the files when areas were summarized
+function renderAreaMap(areas) {
+  return areas.map(a => `- ${a.area}${a.selected ? ' (selected)' : ''}: ${a.summary}`).join('\n');
+}
+
+// Plan the walkthrough context.
+// chunks: every chunk of the index; hits: the same chunks ranked for the question;
+// pinned: whole files ([{ path, content }]) to include ahead of the ranked chunks;
+// counter: see tokens.js; summaryCache: { get() => { [area]: summary } | null, put(map) } or null.
+// llm/model enable the map-reduce pass (hierarchical: false turns it off).
+// Resolves to { files, tokens, budget, mode: 'all' | 'retrieval' | 'hierarchical', areas, dropped }.
+async function planContext({ chunks, hits, pinned = [], question, budget, counter, llm = null, model = null, hierarchical = true, summaryCache = null, signal = null, log = () => {} }) {
+  const memo = new Map();
+  const cost = (c) => {
+    if (!memo.has(c.hash)) memo.set(c.hash, counter.count(c.text));
+    return memo.get(c.hash);
+  };
+  const countHeader = (path) => counter.count(fileHeader(path));
+  const chunkCounts = new Map();
+  for (const c of chunks) chunkCounts.set(c.path, (chunkCounts.get(c.path) || 0) + 1);
+
+  // Pinned files first, up to their share of the budget
+  const files = [];
+  let tokens = 0;
+  const pinnedPaths = new Set();
+  for (const f of pinned) {
+    const t = counter.count(f.content) + countHeader(f.path) + 2;
+    if (tokens + t > budget * PINNED_SHARE) continue;
+    files.push({ path: f.path, content: f.content });
+    pinnedPaths.add(f.path);
+    tokens += t;
+  }
+  let remaining = budget - tokens;
+  const candidates = chunks.filter(c => !pinnedPaths.has(c.path));
+  const rest = hits.filter(h => !pinnedPaths.has(h.path));
+
+  const totalChars = candidates.reduce((n, c) => n + c.text.length, 0);
+  let fits = totalChars <= remaining * MAX_CHARS_PER_TOKEN;
+  if (fits) {
+    let total = 0;
+    for (const c of candidates) total += cost(c) + 2;
+    total += Array.from(new Set(candidates.map(c => c.path)), countHeader).reduce((n, t) => n + t, 0);
+    fits = total <= remaining;
+  }
+
+  let mode = fits ? 'all' : 'retrieval';
+  let areas = null;
+  let ranked = rest;
+  const grouped = !fits && hierarchical && llm ? groupAreas(candidates) : [];
+  if (grouped.length > 1) {
+    try {
+      const cached = (summaryCache && (await summaryCache.get())) || {};
+      const summaries = await summarizeAreas({ llm, model, areas: grouped, counter, cached, signal, log });
+      if (summaryCache && Object.keys(summaries).some(k => cached[k] !== summaries[k])) await summaryCache.put(summaries);
+      const choice = await chooseAreas({ llm, model, question, areas: grouped, summaries, signal });
+      if (choice.areas.length) {
+        mode = 'hierarchical';
+        const chosen = new Set(choice.areas);
+        areas = grouped.map(a => ({ area: a.area, summary: summaries[a.area], files: a.files.length, selected: chosen.has(a.area) }));
+        log(`Selected area(s) ${choice.areas.join(', ')}${choice.reason ? ` (${choice.reason})` : ''}`);
+        const inArea = new Set();
+        for (const a of grouped) if (chosen.has(a.area)) for (const f of a.files) inArea.add(f.path);
+        ranked = rest.filter(h => inArea.has(h.path)).concat(rest.filter(h => !inArea.has(h.path)));
+        // The map of every area travels with the files and is paid for from the same budget
+        remaining -= counter.count(renderAreaMap(areas)) + 16;
+      } else {
+        log('No area selected for the question; falling back to ranked chunks from the whole repository');
+      }
+    } catch (err) {
+      if (isAbortError(err) || (signal && signal.aborted)) throw err;
+      log(`Area summarization failed, falling back to ranked chunks from the whole repository: ${err.message || err}`);
+    }
+  }
+
+  const packed = packChunks(ranked, { budget: Math.max(0, remaining), cost, countHeader, chunkCounts });
+  files.push(...packed.files);
+  tokens = budget - remaining + packed.tokens;
+
+  const includedChunks = packed.files.reduce((n, f) => n + f.chunks, 0);
+  const includedPaths = new Set(files.map(f => f.path));
+  const droppedFiles = new Set(candidates.filter(c => !includedPaths.has(c.path)).map(c => c.path));
+  return {
+    files,
+    tokens,
+    budget,
+    mode,
+    areas,
+    pinned: pinnedPaths.size,
+    dropped: { chunks: candidates.length - includedChunks, files: droppedFiles.size }
+  };
+}
+
+module.exports = { planContext, packChunks, groupAreas, renderAreaMap };
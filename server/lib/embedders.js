@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const { recordEmbeddings } = require('./usage');
+
+// An embedder is { id, embed(texts, { signal }?) => Promise<number[][]> }. `id` keys persisted
+// vectors, so it must change whenever the vector space does.
+
+const EMBEDDING_BATCH = 64;
+const EMBEDDING_MAX_CHARS = 8000;
+
+function createOpenAIEmbedder(client, { model = 'text-embedding-3-large', dimensions = 512 } = {}) {
+  return {
+    id: `openai-${model}-${dimensions}`,
+    async embed(texts, { signal = null } = {}) {
+      const out = [];
+      for (let i = 0; i < texts.length; i += EMBEDDING_BATCH) {
+        const input = texts.slice(i, i + EMBEDDING_BATCH).map(t => t.slice(0, EMBEDDING_MAX_CHARS) || ' ');
+        const res = await client.embeddings.create({ model, input, dimensions }, signal ? { signal } : undefined);
+        recordEmbeddings({ model, inputs: input.length, tokens: res.usage ? res.usage.total_tokens || res.usage.prompt_tokens || 0 : 0 });
+        out.push(...res.data.map(d => d.embedding));
+      }
+      return out;
+    }
+  };
+}
+
+// Deterministic feature-hashing embedder. No network, so it works offline and
+// gives reproducible rankings in tests; quality is roughly "fuzzy bag of words".
+function createHashEmbedder({ dimensions = 256 } = {}) {
+  return {
+    id: `hash-${dimensions}`,
+    async embed(texts) {
+      return texts.map(text => {
+        const v = new Array(dimensions).fill(0);
+        for (const tok of String(text).toLowerCase().split(/[^a-z0-9_]+/).filter(t => t.length > 1)) {
+          const h = crypto.createHash('md5').update(tok).digest();
+          v[h.readUInt32LE(0) % dimensions] += (h[4] & 1) ? 1 : -1;
+        }
+        return v;
+      });
+    }
+  };
+}
+
+module.exports = { createOpenAIEmbedder, createHashEmbedder };
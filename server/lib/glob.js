@@ -0,0 +1,53 @@
+// gitignore-style globs: `*` and `?` stay within a path segment, `**` spans segments,
+// `{a,b}` alternatives, `[abc]` classes. Patterns without a slash match at any depth,
+// a leading slash anchors to the base, a trailing slash matches directories only.
+// A pattern that matches a directory matches everything beneath it.
+
+const escapeChar = (c) => /[.+^${}()|[\]\\]/.test(c) ? '\\' + c : c;
+
+function translate(p) {
+  let re = '';
+  for (let i = 0; i < p.length; i++) {
+    const c = p[i];
+    if (c === '*') {
+      if (p[i + 1] === '*') {
+        if (p[i + 2] === '/') { re += '(?:.*/)?'; i += 2; }
+        else { re += '.*'; i += 1; }
+      } else {
+        re += '[^/]*';
+      }
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{' && p.indexOf('}', i) > i) {
+      const end = p.indexOf('}', i);
+      re += '(?:' + p.slice(i + 1, end).split(',').map(translate).join('|') + ')';
+      i = end;
+    } else if (c === '[' && p.indexOf(']', i) > i + 1) {
+      const end = p.indexOf(']', i);
+      re += '[' + p.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+      i = end;
+    } else if (c === '\\' && i + 1 < p.length) {
+      re += escapeChar(p[++i]);
+    } else {
+      re += escapeChar(c);
+    }
+  }
+  return re;
+}
+
+function globToRegExp(pattern) {
+  let p = String(pattern).trim();
+  const dirOnly = p.endsWith('/');
+  p = p.replace(/\/+$/, '');
+  const anchored = p.startsWith('/') || p.includes('/');
+  p = p.replace(/^\/+/, '');
+  return new RegExp((anchored ? '^' : '^(?:.*/)?') + translate(p) + (dirOnly ? '/.*' : '(?:/.*)?') + '$');
+}
+
+// Compile a list of globs into one predicate
+function globMatcher(patterns) {
+  const res = (patterns || []).filter(p => p && String(p).trim()).map(globToRegExp);
+  return (path) => res.some(re => re.test(path));
+}
+
+module.exports = { globToRegExp, globMatcher };
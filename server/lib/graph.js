@@ -0,0 +1,281 @@
+const path = require('path');
+
+// Static module graph of a snapshot: which files import which (JS/TS `import` / `require` /
+// re-exports / dynamic `import()`, Python `import` / `from ... import`), the symbols each import
+// names, and what every module exports. Regex based, so it needs no parser per language and
+// tolerates files that don't compile; imports built from expressions are not followed.
+
+const GRAPH_VERSION = 1;
+
+const LANGUAGES = {
+  '.js': 'javascript', '.jsx': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript',
+  '.ts': 'typescript', '.tsx': 'typescript', '.mts': 'typescript', '.cts': 'typescript',
+  '.py': 'python', '.pyi': 'python'
+};
+const JS_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts'];
+// Common path aliases (`@/components/x`, `~/lib/y`) point at src/ or the root
+const JS_ALIASES = [[/^[@~]\//, ['src/', '']]];
+// Where absolute Python imports are looked up, besides the importing file's own directory
+const PYTHON_ROOTS = ['', 'src/'];
+
+const languageOf = (p) => LANGUAGES[path.posix.extname(p)] || null;
+
+// `{ a, b as c, type d }` / `X, { y }` / `* as ns` -> imported names ('default', '*')
+function clauseSymbols(clause) {
+  const out = [];
+  const named = clause.match(/\{([^}]*)\}/);
+  if (named) {
+    for (const part of named[1].split(',')) {
+      const name = part.trim().replace(/^type\s+/, '').split(/\s+as\s+|\s*:\s*/)[0].trim();
+      if (name) out.push(name);
+    }
+  }
+  const rest = clause.replace(/\{[^}]*\}/, '').split(',').map(s => s.trim()).filter(Boolean);
+  for (const r of rest) out.push(r.startsWith('*') ? '*' : 'default');
+  return out;
+}
+
+function extractJs(content) {
+  // Comments out (keeping `//` inside strings such as URLs), so commented-out imports don't count
+  const text = content.replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|[^:'"`\\])\/\/.*$/gm, '$1');
+  const imports = [];
+  const exports = new Set();
+  for (const m of text.matchAll(/\bimport\s+(?:type\s+)?([\w$*{}\s,]+?)\s+from\s+['"]([^'"\n]+)['"]/g)) imports.push({ specifier: m[2], kind: 'import', symbols: clauseSymbols(m[1]) });
+  for (const m of text.matchAll(/\bimport\s+['"]([^'"\n]+)['"]/g)) imports.push({ specifier: m[1], kind: 'import', symbols: [] });
+  for (const m of text.matchAll(/\bimport\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g)) imports.push({ specifier: m[1], kind: 'dynamic', symbols: [] });
+  for (const m of text.matchAll(/\bexport\s+(?:type\s+)?(\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s+from\s+['"]([^'"\n]+)['"]/g)) {
+    imports.push({ specifier: m[2], kind: 'reexport', symbols: clauseSymbols(m[1]) });
+    const alias = m[1].match(/^\*\s+as\s+([\w$]+)/);
+    if (alias) exports.add(alias[1]);
+    else if (m[1].startsWith('{')) for (const part of m[1].slice(1, -1).split(',')) { const name = part.trim().split(/\s+as\s+/).pop(); if (name) exports.add(name); }
+  }
+  for (const m of text.matchAll(/(?:\b(?:const|let|var)\s+(\{[^}]*\}|[\w$]+)\s*=\s*)?\brequire\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g)) {
+    imports.push({ specifier: m[2], kind: 'require', symbols: m[1] && m[1].startsWith('{') ? clauseSymbols(m[1]) : [] });
+  }
+
+  for (const m of text.matchAll(/\bexport\s+(default\s+)?(?:declare\s+)?(?:async\s+)?(?:abstract\s+)?(?:function\*?|class|const|let|var|interface|type|enum)\s+([\w$]+)/g)) exports.add(m[1] ? 'default' : m[2]);
+  if (/\bexport\s+default\b/.test(text)) exports.add('default');
+  for (const m of text.matchAll(/\bexport\s*\{([^}]*)\}(?!\s*from)/g)) {
+    for (const part of m[1].split(',')) { const name = part.trim().replace(/^type\s+/, '').split(/\s+as\s+/).pop(); if (name) exports.add(name); }
+  }
+  // CommonJS: module.exports = { a, b: c }, module.exports = name, exports.x = ...
+  const cjs = text.match(/\bmodule\.exports\s*=\s*(\{[^}]*\}|[\w$]+)/);
+  if (cjs) {
+    if (cjs[1].startsWith('{')) for (const part of cjs[1].slice(1, -1).split(',')) { const name = part.trim().split(/\s*:/)[0].trim(); if (/^[\w$]+$/.test(name)) exports.add(name); }
+    else exports.add(cjs[1]);
+  }
+  for (const m of text.matchAll(/\b(?:module\.)?exports\.([\w$]+)\s*=/g)) exports.add(m[1]);
+  return { imports, exports: Array.from(exports) };
+}
+
+function extractPython(content) {
+  const text = content.replace(/("""|''')[\s\S]*?\1/g, '').replace(/#.*$/gm, '');
+  const imports = [];
+  for (const m of text.matchAll(/^[ \t]*import[ \t]+([\w. \t,]+)$/gm)) {
+    for (const part of m[1].split(',')) {
+      const mod = part.trim().split(/\s+as\s+/)[0].trim();
+      if (mod) imports.push({ specifier: mod, kind: 'import', symbols: [] });
+    }
+  }
+  for (const m of text.matchAll(/^[ \t]*from[ \t]+(\.*[\w.]*)[ \t]+import[ \t]+(\([^)]*\)|[^\n]+)/gm)) {
+    const names = m[2].replace(/[()\\]/g, ' ').split(',').map(s => s.trim().split(/\s+as\s+/)[0].trim()).filter(Boolean);
+    imports.push({ specifier: m[1], kind: 'from', symbols: names });
+  }
+  let exports;
+  const all = text.match(/^__all__\s*(?::[^=]*)?=\s*[[(]([^\])]*)[\])]/m);
+  if (all) {
+    exports = Array.from(all[1].matchAll(/['"]([\w]+)['"]/g), x => x[1]);
+  } else {
+    exports = Array.from(text.matchAll(/^(?:async[ \t]+)?(?:def|class)[ \t]+([A-Za-z]\w*)/gm), x => x[1]);
+  }
+  return { imports, exports: Array.from(new Set(exports)) };
+}
+
+// { imports: [{ specifier, kind, symbols }], exports: [name] } for a source file, or null for
+// languages the graph doesn't cover
+function extractModule(filePath, content) {
+  const language = languageOf(filePath);
+  if (!language) return null;
+  return { language, ...(language === 'python' ? extractPython(content) : extractJs(content)) };
+}
+
+// npm package a bare specifier belongs to (`@scope/pkg/sub` -> `@scope/pkg`, `node:fs` stays)
+function packageName(specifier) {
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+function resolveJs(from, specifier, files) {
+  const tryPaths = (base) => {
+    const candidates = [base, ...JS_EXTENSIONS.map(e => base + e), ...JS_EXTENSIONS.map(e => `${base}/index${e}`)];
+    // TypeScript ESM imports name the compiled file: './x.js' is ./x.ts in the source tree
+    const compiled = base.match(/^(.*)\.(m|c)?js$/);
+    if (compiled) candidates.push(...['.ts', '.tsx', '.mts', '.cts'].map(e => compiled[1] + e));
+    return candidates.find(c => files.has(c)) || null;
+  };
+  if (specifier.startsWith('.') || specifier.startsWith('/')) {
+    const base = specifier.startsWith('/') ? specifier.slice(1) : path.posix.join(path.posix.dirname(from), specifier);
+    return { to: tryPaths(path.posix.normalize(base).replace(/^\.\//, '')) };
+  }
+  for (const [re, roots] of JS_ALIASES) {
+    if (!re.test(specifier)) continue;
+    for (const root of roots) {
+      const hit = tryPaths(root + specifier.replace(re, ''));
+      if (hit) return { to: hit };
+    }
+  }
+  return { external: packageName(specifier) };
+}
+
+function resolvePython(from, specifier, symbols, files) {
+  const level = specifier.match(/^\.*/)[0].length;
+  const dotted = specifier.slice(level);
+  const parts = dotted ? dotted.split('.') : [];
+  const moduleFile = (dir, segs) => {
+    const base = [dir.replace(/\/$/, ''), ...segs].filter(Boolean).join('/');
+    for (const c of [`${base}.py`, `${base}.pyi`, `${base}/__init__.py`]) if (base && files.has(c)) return c;
+    return null;
+  };
+  // Longest prefix of the dotted path that is a module under one of the bases
+  const lookup = (bases) => {
+    for (const base of bases) {
+      for (let n = parts.length; n > 0; n--) {
+        const hit = moduleFile(base, parts.slice(0, n));
+        if (hit) return hit;
+      }
+    }
+    return null;
+  };
+  let bases;
+  if (level) {
+    let dir = path.posix.dirname(from);
+    for (let i = 1; i < level; i++) dir = path.posix.dirname(dir);
+    bases = [dir === '.' ? '' : dir];
+  } else {
+    const own = path.posix.dirname(from);
+    bases = [...PYTHON_ROOTS, own === '.' ? '' : own];
+  }
+  // `from pkg import mod` names a submodule when pkg/mod.py exists
+  const targets = [];
+  const submodules = new Set();
+  for (const base of symbols.length ? bases : []) {
+    for (const s of symbols) {
+      const sub = moduleFile(base, [...parts, s]);
+      if (sub) { targets.push({ to: sub, symbols: [] }); submodules.add(s); }
+    }
+    if (targets.length) break;
+  }
+  const to = parts.length ? lookup(bases) : moduleFile(bases[0], []);
+  if (to) targets.push({ to, symbols: symbols.filter(s => !submodules.has(s)) });
+  if (targets.length) return targets;
+  return level ? [] : [{ external: parts[0] }];
+}
+
+// Graph data for a set of files ([{ path, content }]):
+// { version, nodes: [{ path, language, exports, external }], edges: [{ from, to, kind, symbols }] }
+function buildModuleGraph(files) {
+  const paths = new Set(files.map(f => f.path));
+  const nodes = [];
+  const edges = new Map();
+  for (const f of files) {
+    const info = extractModule(f.path, f.content);
+    if (!info) continue;
+    const external = new Set();
+    const addEdge = (to, kind, symbols) => {
+      if (to === f.path) return;
+      const key = `${f.path}\n${to}`;
+      const edge = edges.get(key) || { from: f.path, to, kind, symbols: [] };
+      for (const s of symbols) if (!edge.symbols.includes(s)) edge.symbols.push(s);
+      edges.set(key, edge);
+    };
+    for (const imp of info.imports) {
+      if (info.language === 'python') {
+        for (const r of resolvePython(f.path, imp.specifier, imp.symbols, paths)) {
+          if (r.to) addEdge(r.to, imp.kind, r.symbols);
+          else external.add(r.external);
+        }
+      } else {
+        const r = resolveJs(f.path, imp.specifier, paths);
+        if (r.to) addEdge(r.to, imp.kind, imp.symbols);
+        else if (r.external && !imp.specifier.startsWith('.')) external.add(r.external);
+      }
+    }
+    nodes.push({ path: f.path, language: info.language, exports: info.exports, external: Array.from(external).sort() });
+  }
+  return { version: GRAPH_VERSION, nodes, edges: Array.from(edges.values()) };
+}
+
+// Queryable view over stored graph data
+function hydrateGraph(data) {
+  const out = new Map();
+  const incoming = new Map();
+  for (const e of data.edges) {
+    if (!out.has(e.from)) out.set(e.from, []);
+    if (!incoming.has(e.to)) incoming.set(e.to, []);
+    out.get(e.from).push(e);
+    incoming.get(e.to).push(e);
+  }
+  return {
+    nodes: data.nodes,
+    edges: data.edges,
+    has: (p) => out.has(p) || incoming.has(p) || data.nodes.some(n => n.path === p),
+
+    // Files a file imports and files importing it
+    neighbors(p) {
+      return {
+        imports: (out.get(p) || []).map(e => e.to),
+        importedBy: (incoming.get(p) || []).map(e => e.from)
+      };
+    },
+
+    // Nodes within `depth` hops of `p` (either direction) and the edges between them
+    around(p, depth = 1) {
+      const seen = new Set([p]);
+      let frontier = [p];
+      for (let d = 0; d < depth; d++) {
+        const next = [];
+        for (const q of frontier) {
+          for (const e of out.get(q) || []) if (!seen.has(e.to)) { seen.add(e.to); next.push(e.to); }
+          for (const e of incoming.get(q) || []) if (!seen.has(e.from)) { seen.add(e.from); next.push(e.from); }
+        }
+        frontier = next;
+      }
+      return {
+        nodes: data.nodes.filter(n => seen.has(n.path)),
+        edges: data.edges.filter(e => seen.has(e.from) && seen.has(e.to))
+      };
+    },
+
+    // Edges among a set of paths, for prompts
+    between(paths) {
+      const set = new Set(paths);
+      return data.edges.filter(e => set.has(e.from) && set.has(e.to));
+    }
+  };
+}
+
+// Build (or load) the module graph of one snapshot. Same contract as loadOrBuildIndex:
+// readFiles: () => Promise<[{ path, content }]>, only called when building;
+// store: { getGraph(key), putGraph(key, data) } or null.
+async function loadOrBuildGraph({ key, readFiles, store = null, logger = null }) {
+  const log = (m) => { if (logger) try { logger(m); } catch (e) {} };
+  if (store) {
+    const existing = await store.getGraph(key);
+    if (existing && existing.version === GRAPH_VERSION) {
+      log(`Module graph loaded (${existing.nodes.length} modules, ${existing.edges.length} imports)`);
+      return hydrateGraph(existing);
+    }
+  }
+  const files = await readFiles();
+  const data = buildModuleGraph(files);
+  log(`Module graph built (${data.nodes.length} modules, ${data.edges.length} imports)`);
+  if (store) await store.putGraph(key, data).catch(() => {});
+  return hydrateGraph(data);
+}
+
+// One line per import edge: "a.js -> b.js (x, y)"
+function renderEdges(edges) {
+  return edges.map(e => `${e.from} -> ${e.to}${e.symbols.length ? ` (${e.symbols.join(', ')})` : ''}`).join('\n');
+}
+
+module.exports = { buildModuleGraph, loadOrBuildGraph, hydrateGraph, extractModule, renderEdges, languageOf };
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { dataDir } = require('./rules');
+
+const TYPES = ['analyze', 'walkthrough', 'review', 'compare'];
+
+// Short display name of a repo URL or path: owner/name, or the directory name
+function repoName(repo) {
+  const s = String(repo || '').replace(/[?#].*$/, '').replace(/\.git$/, '').replace(/\/+$/, '');
+  const m = /^https?:\/\/[^/]+\/(.+?)(?:\/(?:-\/)?(?:tree|src|pull)\/.*)?$/.exec(s);
+  return m ? m[1] : path.basename(s.replace(/^file:\/\//, '')) || s;
+}
+
+// The searchable facts of a finished run: { repo, ref, commit, question, title }.
+// params are the job's parameters, result the `result` event's data.
+function describeRun(type, params, result) {
+  switch (type) {
+    case 'analyze':
+      return { repo: params.repo, ref: result.ref, commit: result.commit, question: null, title: repoName(params.repo) };
+    case 'walkthrough':
+      return { repo: params.repo, ref: result.ref, commit: result.commit, question: params.question, title: params.question };
+    case 'review':
+      return { repo: result.repo, ref: result.pull.head.ref, commit: result.commit, question: null, title: `#${result.pull.number} ${result.pull.title}` };
+    case 'compare': {
+      const side = (s) => `${repoName(s.repo)}@${s.ref}`;
+      return { repo: result.base.repo, ref: `${result.base.ref}...${result.head.ref}`, commit: result.head.commit, question: null, title: `${side(result.base)} vs ${side(result.head)}` };
+    }
+    default:
+      throw new Error(`unknown run type "${type}"`);
+  }
+}
+
+// Finished runs (analyses, walkthrough answers, reviews, comparisons) on disk under `dir`
+// (HISTORY_DIR, default DATA_DIR/history): one <id>.json per run with the full result, and
+// index.json with the summaries that listing and filtering need. Beyond `max` runs the oldest
+// are dropped (HISTORY_MAX, default 500; 0 turns history off). Writes are serialized so
+// concurrent runs can't lose each other's index entries.
+function createHistoryStore({ dir = process.env.HISTORY_DIR || path.join(dataDir(), 'history'), max = parseInt(process.env.HISTORY_MAX || '500', 10) } = {}) {
+  const indexFile = path.join(dir, 'index.json');
+  let index = null;
+  let writing = Promise.resolve();
+
+  function load() {
+    if (index) return index;
+    try {
+      index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+      if (!Array.isArray(index)) index = [];
+    } catch (err) {
+      index = [];
+    }
+    return index;
+  }
+  async function writeJson(file, data) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(data));
+    await fs.promises.rename(tmp, file);
+  }
+  const runFile = (id) => path.join(dir, `${id}.json`);
+  const serialize = (task) => {
+    const next = writing.then(task);
+    writing = next.catch(() => {});
+    return next;
+  };
+
+  return {
+    enabled: max > 0,
+
+    // entry: { type, repo_keys, owner, model, params, result } plus describeRun's fields.
+    // Resolves to the stored summary.
+    record(entry) {
+      return serialize(async () => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const { result, ...summary } = { id: crypto.randomUUID(), ...entry, created_at: new Date().toISOString() };
+        await writeJson(runFile(summary.id), { ...summary, result });
+        const runs = load();
+        runs.push(summary);
+        const dropped = runs.splice(0, Math.max(0, runs.length - max));
+        await writeJson(indexFile, runs);
+        for (const d of dropped) await fs.promises.rm(runFile(d.id), { force: true });
+        return summary;
+      });
+    },
+
+    // Summaries, newest first. filter(summary) picks which.
+    list(filter = () => true) {
+      return load().filter(filter).reverse();
+    },
+
+    // The full run, or null
+    async get(id) {
+      if (!load().some(r => r.id === id)) return null;
+      try {
+        return JSON.parse(await fs.promises.readFile(runFile(id), 'utf8'));
+      } catch (err) {
+        return null;
+      }
+    },
+
+    remove(id) {
+      return serialize(async () => {
+        const runs = load();
+        const i = runs.findIndex(r => r.id === id);
+        if (i === -1) return false;
+        runs.splice(i, 1);
+        await writeJson(indexFile, runs);
+        await fs.promises.rm(runFile(id), { force: true });
+        return true;
+      });
+    }
+  };
+}
+
+module.exports = { createHistoryStore, describeRun, repoName, TYPES };
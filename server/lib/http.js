@@ -0,0 +1,76 @@
+const axios = require('axios');
+const { recordUpstream } = require('./usage');
+
+// axios get with retry/backoff; every attempt is recorded (see usage.js)
+async function axiosGetWithRetry(url, opts = {}, attempts = 3, backoff = 300) {
+  let lastErr = null;
+  for (let i = 0; i < attempts; i++) {
+    try {
+      const res = await axios.get(url, opts);
+      recordUpstream(url, { res });
+      return res;
+    } catch (err) {
+      lastErr = err;
+      if (!isAbortError(err)) recordUpstream(url, { err });
+      // 404s won't get better by retrying, and cancelled requests are not retried
+      if (err.response && err.response.status === 404) break;
+      if (isAbortError(err)) throw err;
+      // exponential backoff
+      await new Promise(r => setTimeout(r, backoff * Math.pow(2, i)));
+      if (opts.signal && opts.signal.aborted) throw abortError(opts.signal);
+    }
+  }
+  throw lastErr;
+}
+
+// GET that revalidates against a stored ETag. A 304 answers from the store and,
+// on GitHub, doesn't count against the rate limit. httpCache: { get(url), set(url, entry) }
+async function conditionalGet(url, opts = {}, httpCache = null) {
+  if (!httpCache) return axiosGetWithRetry(url, opts);
+  const cached = await httpCache.get(url);
+  const headers = { ...(opts.headers || {}) };
+  if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+  const res = await axiosGetWithRetry(url, { ...opts, headers, validateStatus: s => (s >= 200 && s < 300) || s === 304 });
+  if (res.status === 304 && cached) return { ...res, data: cached.data, notModified: true };
+  if (res.headers?.etag) await httpCache.set(url, { etag: res.headers.etag, data: res.data }).catch(() => {});
+  return res;
+}
+
+// Human readable summary of an upstream (GitHub/GitLab/Bitbucket) request failure
+function describeFetchError(err) {
+  let detail = err && err.message ? err.message : String(err);
+  if (err && err.response) {
+    detail += ` (status=${err.response.status}`;
+    if (err.response.status === 403 || err.response.status === 429) {
+      const rlRemain = err.response.headers?.['x-ratelimit-remaining'];
+      const rlLimit = err.response.headers?.['x-ratelimit-limit'];
+      const rlReset = err.response.headers?.['x-ratelimit-reset'];
+      const resetETA = rlReset ? new Date(parseInt(rlReset, 10) * 1000).toISOString() : 'unknown';
+      detail += ` rate_limit_remaining=${rlRemain}/${rlLimit} reset_at=${resetETA}`;
+    }
+    if (err.response.data && typeof err.response.data === 'object') {
+      const msg = err.response.data.message || err.response.data.error;
+      if (msg) detail += ` api_message="${typeof msg === 'string' ? msg : JSON.stringify(msg)}"`;
+    }
+    detail += ')';
+  }
+  return detail;
+}
+
+// True for errors caused by an AbortSignal (axios, OpenAI SDK, child_process, fetch)
+function isAbortError(err) {
+  return !!err && (err.name === 'AbortError' || err.name === 'CanceledError' || err.name === 'APIUserAbortError' || err.code === 'ERR_CANCELED' || err.code === 'ABORT_ERR');
+}
+
+function abortError(signal) {
+  const err = new Error(signal && signal.reason && signal.reason.message ? signal.reason.message : 'request cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
+// Repo-relative path for use in a URL, keeping the slashes
+function encodePath(p) {
+  return p.split('/').map(encodeURIComponent).join('/');
+}
+
+module.exports = { axiosGetWithRetry, conditionalGet, describeFetchError, encodePath, isAbortError, abortError };
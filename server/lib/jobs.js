@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+
+// Defaults from JOB_CONCURRENCY, JOB_QUEUE_MAX (jobs waiting to start) and JOB_RETENTION_MS
+// (after finishing, 1 hour). Read when a queue is created, so a .env loaded after this module
+// still applies.
+const setting = (name, fallback) => parseInt(process.env[name] || String(fallback), 10);
+
+const FINISHED = new Set(['succeeded', 'failed', 'cancelled']);
+
+const isFinished = (job) => FINISHED.has(job.status);
+
+// In-memory background jobs. At most `concurrency` run at once; the rest wait in FIFO order.
+// Every event a job emits is kept with a sequential id (1, 2, ...) so a client that lost its
+// stream can reattach and replay what it missed. The last event is always `result` or `error`.
+// Finished jobs (and their events) stay readable for `retentionMs`.
+// errorEvent(err) turns a failure into the `error` event's data.
+function createJobQueue({ concurrency = setting('JOB_CONCURRENCY', 2), queueMax = setting('JOB_QUEUE_MAX', 100), retentionMs = setting('JOB_RETENTION_MS', 60 * 60 * 1000), errorEvent = (err) => ({ message: err.message || String(err) }) } = {}) {
+  const jobs = new Map();
+  const queue = [];
+  let running = 0;
+
+  function sweep() {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && now - job.finishedAt > retentionMs) jobs.delete(id);
+    }
+  }
+  setInterval(sweep, Math.max(1000, Math.min(retentionMs, 60 * 1000))).unref();
+
+  function emit(job, event, data) {
+    const entry = { id: job.events.length + 1, event, data };
+    job.events.push(entry);
+    for (const listener of job.listeners) listener(entry);
+  }
+
+  // The status flips before the final event goes out, so listeners can tell it's the last one
+  function settle(job, status, event, data) {
+    job.status = status;
+    job.finishedAt = Date.now();
+    if (status === 'succeeded') job.result = data;
+    else job.error = data;
+    emit(job, event, data);
+    job.listeners.clear();
+    if (job.onSettled) job.onSettled(job);
+  }
+
+  async function start(job) {
+    running += 1;
+    job.status = 'running';
+    job.startedAt = Date.now();
+    try {
+      const result = await job.run({ id: job.id, send: (event, data) => emit(job, event, data), signal: job.controller.signal });
+      settle(job, 'succeeded', 'result', result);
+    } catch (err) {
+      if (job.controller.signal.aborted) settle(job, 'cancelled', 'error', { message: 'Job cancelled', cancelled: true });
+      else settle(job, 'failed', 'error', errorEvent(err));
+    } finally {
+      running -= 1;
+      pump();
+    }
+  }
+
+  function pump() {
+    while (running < concurrency && queue.length) start(queue.shift());
+  }
+
+  return {
+    // run({ id, send, signal }) does the work, reporting progress through send(event, data), and
+    // resolves to the `result` event's data. onSettled(job) runs once however the job ends,
+    // including cancellation before it started. owner is whoever may see the job (null: anyone).
+    // Throws (status 503) when the queue is full.
+    enqueue({ type, params = {}, owner = null, run, onSettled = null }) {
+      sweep();
+      if (queue.length >= queueMax) {
+        const err = new Error(`job queue is full (${queueMax} waiting); try again later`);
+        err.status = 503;
+        throw err;
+      }
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        params,
+        owner,
+        status: 'queued',
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+        error: null,
+        events: [],
+        listeners: new Set(),
+        controller: new AbortController(),
+        run,
+        onSettled
+      };
+      jobs.set(job.id, job);
+      queue.push(job);
+      if (running >= concurrency) emit(job, 'log', { message: `Queued behind ${running + queue.length - 1} other job(s)` });
+      pump();
+      return job;
+    },
+
+    get(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      if (job.finishedAt && Date.now() - job.finishedAt > retentionMs) {
+        jobs.delete(id);
+        return null;
+      }
+      return job;
+    },
+
+    // 0-based place in line for a queued job, null otherwise
+    position: (job) => (job.status === 'queued' ? queue.indexOf(job) : null),
+
+    // Replay the events after `afterId`, then call listener for each new one until the job
+    // finishes. Returns an unsubscribe function.
+    subscribe(job, afterId, listener) {
+      for (const entry of job.events) if (entry.id > afterId) listener(entry);
+      if (isFinished(job)) return () => {};
+      job.listeners.add(listener);
+      return () => job.listeners.delete(listener);
+    },
+
+    // Stop a queued or running job; false if it had already finished
+    cancel(job) {
+      if (isFinished(job)) return false;
+      const i = queue.indexOf(job);
+      if (i !== -1) {
+        queue.splice(i, 1);
+        settle(job, 'cancelled', 'error', { message: 'Job cancelled', cancelled: true });
+      } else {
+        job.controller.abort(new Error('Job cancelled'));
+      }
+      return true;
+    },
+
+    remove: (id) => jobs.delete(id),
+
+    // Jobs waiting and running right now
+    stats: () => ({ queued: queue.length, running }),
+
+    retentionMs
+  };
+}
+
+module.exports = { createJobQueue, isFinished };
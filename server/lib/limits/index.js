@@ -0,0 +1,157 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { createMemoryStore } = require('./memory');
+const { createRedisStore } = require('./redis');
+
+// Rate limits and quotas per principal (an API key, or a client IP when auth is off), counted
+// in fixed windows in a pluggable store. Two buckets: `llm` for requests that run the model,
+// `api` for everything else. LLM requests also count against a daily request quota, and the
+// tokens the model spends on them against a daily token quota.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Env defaults; an API key's `limits` override any of them. 0 means no limit.
+function limitDefaults(env = process.env) {
+  return {
+    rate_limit_window_ms: parseInt(env.RATE_LIMIT_WINDOW_MS || '60000', 10), // 1 minute
+    rate_limit_max: parseInt(env.RATE_LIMIT_MAX || '10', 10), // LLM requests per window
+    api_rate_limit_max: parseInt(env.API_RATE_LIMIT_MAX || '120', 10), // other /api requests per window
+    quota_requests_per_day: parseInt(env.QUOTA_REQUESTS_PER_DAY || '0', 10), // LLM requests per UTC day
+    quota_llm_tokens_per_day: parseInt(env.QUOTA_LLM_TOKENS_PER_DAY || '0', 10) // prompt + completion tokens per UTC day
+  };
+}
+
+// RATE_LIMIT_STORE: memory (default) or redis (default when REDIS_URL is set)
+function createRateStoreFromEnv(env = process.env) {
+  const kind = (env.RATE_LIMIT_STORE || (env.REDIS_URL ? 'redis' : 'memory')).toLowerCase();
+  if (kind === 'memory') return createMemoryStore();
+  if (kind === 'redis') {
+    if (!env.REDIS_URL) throw new Error('RATE_LIMIT_STORE=redis needs REDIS_URL');
+    return createRedisStore({ url: env.REDIS_URL, prefix: env.RATE_LIMIT_PREFIX || 'repostack:', timeoutMs: parseInt(env.REDIS_TIMEOUT_MS || '2000', 10) });
+  }
+  throw new Error(`unknown RATE_LIMIT_STORE "${kind}"`);
+}
+
+// The principal (and request id) behind the current request, for work that runs outside the
+// handler (LLM calls, queued jobs). Run a job's work through AsyncResource.bind to keep it.
+const requestContext = new AsyncLocalStorage();
+const withRequestContext = (req, res, next) => requestContext.run({ principal: req.principal, requestId: req.id || null }, next);
+
+function createLimiter({ store, defaults = limitDefaults() }) {
+  const limitsOf = (principal) => ({ ...defaults, ...(principal.limits || {}) });
+  const windowAt = (ms, now) => {
+    const start = Math.floor(now / ms) * ms;
+    return { start, resetAt: start + ms };
+  };
+  const keyOf = (principal, name, start) => `${principal.id}:${name}:${start}`;
+
+  // Count one request against the principal's limits. Returns { allowed, error, message,
+  // limit, remaining, resetAt, policy }; limit/remaining/resetAt describe the limit that
+  // refused it, or else the one closest to running out (limit null when nothing applies).
+  async function take(principal, bucket) {
+    const limits = limitsOf(principal);
+    const now = Date.now();
+    const windowMs = limits.rate_limit_window_ms;
+    const win = windowAt(windowMs, now);
+    const day = windowAt(DAY_MS, now);
+    const max = bucket === 'llm' ? limits.rate_limit_max : limits.api_rate_limit_max;
+    const checked = [];
+    const refuse = (c, error, message) => ({ allowed: false, error, message, limit: c.limit, remaining: 0, resetAt: c.resetAt, policy });
+    const policy = [
+      max > 0 ? `${max};w=${Math.round(windowMs / 1000)}` : null,
+      bucket === 'llm' && limits.quota_requests_per_day > 0 ? `${limits.quota_requests_per_day};w=${DAY_MS / 1000}` : null
+    ].filter(Boolean).join(', ');
+
+    // Token quota first: it only reads, so a refused request costs nothing
+    if (bucket === 'llm' && limits.quota_llm_tokens_per_day > 0) {
+      const used = await store.get(keyOf(principal, 'tokens', day.start));
+      if (used >= limits.quota_llm_tokens_per_day) {
+        return refuse({ limit: limits.quota_llm_tokens_per_day, resetAt: day.resetAt }, 'quota_exceeded', `LLM token quota used up (${used}/${limits.quota_llm_tokens_per_day} tokens today); resets at ${new Date(day.resetAt).toISOString()}`);
+      }
+    }
+    if (max > 0) {
+      const count = await store.incr(keyOf(principal, bucket, win.start), 1, windowMs);
+      const c = { limit: max, remaining: Math.max(0, max - count), resetAt: win.resetAt };
+      if (count > max) return refuse(c, 'rate_limited', `Too many requests. Limit is ${max} per ${windowMs / 1000}s`);
+      checked.push(c);
+    }
+    // Only requests inside the rate limit use up the daily quota. Counted even without a quota,
+    // for GET /api/me
+    if (bucket === 'llm') {
+      const quota = limits.quota_requests_per_day;
+      const count = await store.incr(keyOf(principal, 'requests', day.start), 1, DAY_MS);
+      if (quota > 0) {
+        const c = { limit: quota, remaining: Math.max(0, quota - count), resetAt: day.resetAt };
+        if (count > quota) return refuse(c, 'quota_exceeded', `Daily request quota used up (${quota} requests); resets at ${new Date(day.resetAt).toISOString()}`);
+        checked.push(c);
+      }
+    }
+    const tightest = checked.sort((a, b) => a.remaining - b.remaining)[0];
+    return { allowed: true, policy, ...(tightest || { limit: null }) };
+  }
+
+  const recordTokens = (principal, tokens) => store.incr(keyOf(principal, 'tokens', windowAt(DAY_MS, Date.now()).start), tokens, DAY_MS);
+
+  // Counts so far in the current windows, for GET /api/me
+  async function usage(principal) {
+    const limits = limitsOf(principal);
+    const now = Date.now();
+    const win = windowAt(limits.rate_limit_window_ms, now);
+    const day = windowAt(DAY_MS, now);
+    const [llm, api, requests, tokens] = await Promise.all([
+      store.get(keyOf(principal, 'llm', win.start)),
+      store.get(keyOf(principal, 'api', win.start)),
+      store.get(keyOf(principal, 'requests', day.start)),
+      store.get(keyOf(principal, 'tokens', day.start))
+    ]);
+    return {
+      window: { llm_requests: llm, api_requests: api, resets_at: new Date(win.resetAt).toISOString() },
+      day: { llm_requests: requests, llm_tokens: tokens, resets_at: new Date(day.resetAt).toISOString() }
+    };
+  }
+
+  // Express middleware; bucketOf(req) picks 'llm' or 'api'. Sets RateLimit-Limit / -Remaining /
+  // -Reset (seconds) / -Policy, and Retry-After on 429. If the store is unreachable the request
+  // goes through rather than failing.
+  function middleware(bucketOf) {
+    return async (req, res, next) => {
+      let result;
+      try {
+        result = await take(req.principal, bucketOf(req));
+      } catch (err) {
+        console.warn(`Rate limit store (${store.name}) unavailable, not limiting:`, err.message || err);
+        return next();
+      }
+      if (result.limit !== null) {
+        const reset = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+        res.set({ 'RateLimit-Limit': String(result.limit), 'RateLimit-Remaining': String(result.remaining), 'RateLimit-Reset': String(reset) });
+        if (result.policy) res.set('RateLimit-Policy', result.policy);
+        if (!result.allowed) res.set('Retry-After', String(reset));
+      }
+      if (!result.allowed) return res.status(429).json({ error: result.error, message: result.message });
+      next();
+    };
+  }
+
+  // The LLM with every completion's tokens charged to the principal of the request it ran for
+  function meter(llm) {
+    if (!llm) return llm;
+    return {
+      ...llm,
+      async complete(params) {
+        const completion = await llm.complete(params);
+        const ctx = requestContext.getStore();
+        const usage = completion.usage;
+        if (ctx && ctx.principal && usage) {
+          recordTokens(ctx.principal, (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)).catch((err) => {
+            console.warn(`Could not record LLM tokens for ${ctx.principal.id}:`, err.message || err);
+          });
+        }
+        return completion;
+      }
+    };
+  }
+
+  return { take, recordTokens, usage, middleware, meter, limitsOf, store };
+}
+
+module.exports = { createLimiter, createRateStoreFromEnv, createMemoryStore, createRedisStore, requestContext, withRequestContext, limitDefaults, DAY_MS };
@@ -0,0 +1,39 @@
+// Counters in this process's memory: fine for a single server, reset on restart
+function createMemoryStore({ sweepMs = 60 * 1000 } = {}) {
+  const entries = new Map();
+
+  function live(key, now) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) if (entry.expiresAt <= now) entries.delete(key);
+  }, sweepMs).unref();
+
+  return {
+    name: 'memory',
+    // Add amount to key and return the new value; a new key lives for ttlMs
+    async incr(key, amount, ttlMs) {
+      const now = Date.now();
+      let entry = live(key, now);
+      if (!entry) {
+        entry = { value: 0, expiresAt: now + ttlMs };
+        entries.set(key, entry);
+      }
+      entry.value += amount;
+      return entry.value;
+    },
+    async get(key) {
+      const entry = live(key, Date.now());
+      return entry ? entry.value : 0;
+    },
+    close() {}
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,144 @@
+const net = require('net');
+const tls = require('tls');
+
+// Counters in Redis (or anything that speaks its protocol: Valkey, KeyDB, Dragonfly, ...), so
+// every replica sees the same counts. Talks RESP over one lazily opened connection; a failed or
+// timed-out command drops the connection and the next command reconnects.
+
+// INCRBY that sets the expiry when it creates the key, in one round trip and atomically
+const INCR_SCRIPT = "local v = redis.call('INCRBY', KEYS[1], ARGV[1]) if v == tonumber(ARGV[1]) then redis.call('PEXPIRE', KEYS[1], ARGV[2]) end return v";
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const s = String(arg);
+    out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+  }
+  return out;
+}
+
+// One reply starting at `start`: { value, end }, or null while it is still incomplete.
+// Error replies become Error values.
+function parseReply(buf, start) {
+  const lineEnd = buf.indexOf('\r\n', start);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buf[start]);
+  const line = buf.toString('utf8', start + 1, lineEnd);
+  const next = lineEnd + 2;
+  switch (type) {
+    case '+': return { value: line, end: next };
+    case '-': return { value: new Error(line), end: next };
+    case ':': return { value: parseInt(line, 10), end: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length < 0) return { value: null, end: next };
+      if (buf.length < next + length + 2) return null;
+      return { value: buf.toString('utf8', next, next + length), end: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count < 0) return { value: null, end: next };
+      const items = [];
+      let end = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, end);
+        if (!item) return null;
+        items.push(item.value);
+        end = item.end;
+      }
+      return { value: items, end };
+    }
+    default:
+      throw new Error(`unexpected Redis reply type "${type}"`);
+  }
+}
+
+const openSocket = ({ host, port, tls: secure }) => (secure ? tls.connect({ host, port, servername: host }) : net.createConnection({ host, port }));
+
+// redis://[user:password@]host[:port][/db], or rediss:// for TLS. createSocket({ host, port, tls })
+// opens the connection (a net.Socket or anything with its write / destroy / events).
+function createRedisClient(url, { timeoutMs = 2000, createSocket = openSocket } = {}) {
+  const u = new URL(url);
+  if (!['redis:', 'rediss:'].includes(u.protocol)) throw new Error(`REDIS_URL must start with redis:// or rediss://, got "${url}"`);
+  const host = u.hostname || '127.0.0.1';
+  const port = parseInt(u.port || '6379', 10);
+  const username = decodeURIComponent(u.username);
+  const password = decodeURIComponent(u.password);
+  const db = parseInt(u.pathname.slice(1) || '0', 10);
+
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let pending = [];
+
+  function drop(s, err) {
+    if (socket !== s) return;
+    socket = null;
+    buffer = Buffer.alloc(0);
+    const failed = pending;
+    pending = [];
+    for (const p of failed) {
+      clearTimeout(p.timer);
+      p.reject(err);
+    }
+    s.destroy();
+  }
+
+  function connect() {
+    const s = createSocket({ host, port, tls: u.protocol === 'rediss:' });
+    socket = s;
+    if (s.setNoDelay) s.setNoDelay(true);
+    s.on('data', (chunk) => {
+      // Late data from a dropped connection must not answer the next one's commands
+      if (socket !== s) return;
+      buffer = Buffer.concat([buffer, chunk]);
+      let reply;
+      try {
+        while (pending.length && (reply = parseReply(buffer, 0))) {
+          buffer = buffer.subarray(reply.end);
+          const p = pending.shift();
+          clearTimeout(p.timer);
+          if (reply.value instanceof Error) p.reject(reply.value);
+          else p.resolve(reply.value);
+        }
+      } catch (err) {
+        drop(s, err);
+      }
+    });
+    s.on('error', (err) => drop(s, err));
+    s.on('close', () => drop(s, new Error('Redis connection closed')));
+    // Commands queue on the socket until it connects; these go first
+    if (password) write(username ? ['AUTH', username, password] : ['AUTH', password]).catch(() => {});
+    if (db) write(['SELECT', db]).catch(() => {});
+  }
+
+  function write(args) {
+    const s = socket;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => drop(s, new Error(`Redis command ${args[0]} timed out after ${timeoutMs}ms`)), timeoutMs);
+      pending.push({ resolve, reject, timer });
+      s.write(encodeCommand(args));
+    });
+  }
+
+  return {
+    command(...args) {
+      if (!socket) connect();
+      return write(args);
+    },
+    close() {
+      if (socket) drop(socket, new Error('Redis client closed'));
+    }
+  };
+}
+
+function createRedisStore({ url, prefix = 'repostack:', timeoutMs, createSocket } = {}) {
+  const client = createRedisClient(url, { timeoutMs, createSocket });
+  return {
+    name: 'redis',
+    incr: (key, amount, ttlMs) => client.command('EVAL', INCR_SCRIPT, 1, prefix + key, amount, ttlMs).then(Number),
+    get: (key) => client.command('GET', prefix + key).then(v => (v === null ? 0 : Number(v))),
+    close: () => client.close()
+  };
+}
+
+module.exports = { createRedisStore, createRedisClient, parseReply, encodeCommand };
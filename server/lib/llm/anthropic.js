@@ -0,0 +1,80 @@
+const axios = require('axios');
+const { providerSchema } = require('../schema');
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1';
+
+// Anthropic Messages API over plain HTTP. No embeddings endpoint, so retrieval
+// falls back to BM25 unless a separate embedding provider is configured.
+function createAnthropicLLM({ apiKey, baseURL = ANTHROPIC_API_URL, chatModel }) {
+  const headers = { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01', 'content-type': 'application/json' };
+
+  return {
+    name: 'anthropic',
+    chatModel,
+    embedder: null,
+    capabilities: { chat: true, embeddings: false, jsonMode: false, structuredOutput: true },
+
+    // With a schema the reply is forced through a single tool call whose input is the object
+    async complete({ messages, model, maxTokens = 1024, temperature = 0, schema = null, onDelta = null, signal = null }) {
+      // System prompts are a top-level field rather than a message
+      const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+      const rest = messages.filter(m => m.role !== 'system');
+      const res = await axios.post(`${baseURL.replace(/\/+$/, '')}/messages`, {
+        model: model || chatModel,
+        max_tokens: maxTokens,
+        temperature,
+        ...(system ? { system } : {}),
+        ...(schema ? { tools: [{ name: schema.name, description: `Return the ${schema.name} object`, input_schema: providerSchema(schema.schema) }], tool_choice: { type: 'tool', name: schema.name } } : {}),
+        messages: rest,
+        ...(onDelta ? { stream: true } : {})
+      }, { headers, signal: signal || undefined, ...(onDelta ? { responseType: 'stream' } : {}) });
+      if (onDelta) return readStream(res.data, model || chatModel, onDelta);
+      const content = res.data.content || [];
+      const toolUse = schema ? content.find(c => c.type === 'tool_use' && c.name === schema.name) : null;
+      const text = toolUse ? JSON.stringify(toolUse.input) : content.filter(c => c.type === 'text').map(c => c.text).join('');
+      return {
+        text,
+        model: res.data.model || model || chatModel,
+        usage: { prompt_tokens: res.data.usage?.input_tokens || 0, completion_tokens: res.data.usage?.output_tokens || 0 }
+      };
+    }
+  };
+}
+
+// Messages API event stream: text deltas, or the tool input's JSON when a schema forces a tool call
+async function readStream(stream, model, onDelta) {
+  let text = '';
+  const usage = { prompt_tokens: 0, completion_tokens: 0 };
+  let buf = '';
+  const handle = (frame) => {
+    const data = frame.split('\n').filter(l => l.startsWith('data:')).map(l => l.slice(5).trim()).join('');
+    if (!data) return;
+    const evt = JSON.parse(data);
+    if (evt.type === 'message_start') {
+      model = evt.message?.model || model;
+      usage.prompt_tokens = evt.message?.usage?.input_tokens || 0;
+    } else if (evt.type === 'content_block_delta') {
+      const delta = evt.delta?.type === 'text_delta' ? evt.delta.text : evt.delta?.type === 'input_json_delta' ? evt.delta.partial_json : '';
+      if (delta) {
+        text += delta;
+        onDelta(delta);
+      }
+    } else if (evt.type === 'message_delta') {
+      usage.completion_tokens = evt.usage?.output_tokens || usage.completion_tokens;
+    } else if (evt.type === 'error') {
+      throw new Error(evt.error?.message || 'anthropic stream error');
+    }
+  };
+  for await (const chunk of stream) {
+    buf += chunk.toString('utf8');
+    let idx;
+    while ((idx = buf.indexOf('\n\n')) !== -1) {
+      handle(buf.slice(0, idx));
+      buf = buf.slice(idx + 2);
+    }
+  }
+  if (buf.trim()) handle(buf);
+  return { text, model, usage };
+}
+
+module.exports = { createAnthropicLLM };
@@ -0,0 +1,92 @@
+const OpenAI = require('openai');
+const { createOpenAICompatibleLLM } = require('./openai-compatible');
+const { createAnthropicLLM } = require('./anthropic');
+const { createMockLLM } = require('./mock');
+const { completeStructured, jsonFieldStreamer } = require('./structured');
+const { createOpenAIEmbedder, createHashEmbedder } = require('../embedders');
+
+// Every LLM exposes: { name, chatModel, embedder, capabilities, complete({ messages, model, maxTokens, temperature, json, schema, onDelta, signal }) }
+// where complete() resolves to { text, model, usage: { prompt_tokens, completion_tokens } }.
+// With onDelta(text) the reply is streamed and each piece passed on as it arrives; signal aborts the call.
+// schema ({ name, schema } from lib/schema.js) is enforced natively where capabilities.structuredOutput
+// is set; completeStructured() in ./structured validates and repairs the reply either way.
+
+const DEFAULT_CHAT_MODELS = { openai: 'gpt-4o-mini', anthropic: 'claude-3-5-haiku-latest' };
+
+// Chat provider from LLM_PROVIDER (openai | openai-compatible | anthropic | mock).
+// Returns null when the provider isn't configured.
+function createLLMFromEnv(env = process.env) {
+  const provider = (env.LLM_PROVIDER || 'openai').toLowerCase();
+  switch (provider) {
+    case 'openai':
+    case 'openai-compatible': {
+      const apiKey = env.LLM_API_KEY || env.OPENAI_API_KEY;
+      const baseURL = env.LLM_BASE_URL || env.OPENAI_BASE_URL;
+      if (!apiKey && !baseURL) return null;
+      const custom = !!baseURL;
+      return createOpenAICompatibleLLM({
+        name: custom ? 'openai-compatible' : 'openai',
+        apiKey,
+        baseURL,
+        chatModel: env.CHAT_MODEL || (custom ? null : DEFAULT_CHAT_MODELS.openai),
+        // Self-hosted servers name their embedding models freely, so there is no default for them
+        embeddingModel: env.EMBEDDING_MODEL || (custom ? null : 'text-embedding-3-large'),
+        embeddingDimensions: parseInt(env.EMBEDDING_DIMENSIONS || '512', 10),
+        // LLM_JSON_MODE: schema (json_schema structured output; default on OpenAI), json
+        // (json_object; default on custom servers) or off for servers that reject response_format
+        jsonMode: ['schema', 'json', 'off'].includes(env.LLM_JSON_MODE) ? env.LLM_JSON_MODE : (custom ? 'json' : 'schema')
+      });
+    }
+    case 'anthropic': {
+      const apiKey = env.ANTHROPIC_API_KEY || env.LLM_API_KEY;
+      if (!apiKey) return null;
+      return createAnthropicLLM({ apiKey, baseURL: env.LLM_BASE_URL || undefined, chatModel: env.CHAT_MODEL || DEFAULT_CHAT_MODELS.anthropic });
+    }
+    case 'mock':
+      return createMockLLM({ chatModel: env.CHAT_MODEL || 'mock-chat' });
+    default:
+      throw new Error(`unknown LLM_PROVIDER "${provider}"`);
+  }
+}
+
+// Disable an embedder for good once the provider shows it has no embeddings endpoint,
+// instead of failing (and logging) on every question
+function withCapabilityDetection(embedder, onUnsupported) {
+  let available = true;
+  return {
+    id: embedder.id,
+    get available() { return available; },
+    async embed(texts, opts) {
+      if (!available) throw new Error('embeddings are not supported by the configured provider');
+      try {
+        return await embedder.embed(texts, opts);
+      } catch (err) {
+        const status = err.status || err.response?.status;
+        if ([404, 405, 501].includes(status) || (status === 400 && /model|embed/i.test(err.message || ''))) {
+          available = false;
+          if (onUnsupported) onUnsupported(err);
+        }
+        throw err;
+      }
+    }
+  };
+}
+
+// Embedder for the walkthrough index from EMBEDDINGS:
+//   llm (default; alias openai) - the chat provider's embeddings, or a separate
+//                                 OpenAI-compatible endpoint via EMBEDDING_BASE_URL
+//   hash                        - deterministic offline embedder
+//   off                         - BM25 only
+function createEmbedderFromEnv(llm, env = process.env, onUnsupported = null) {
+  const mode = (env.EMBEDDINGS || 'llm').toLowerCase();
+  if (mode === 'off') return null;
+  if (mode === 'hash') return createHashEmbedder();
+  let embedder = llm ? llm.embedder : null;
+  if (env.EMBEDDING_BASE_URL) {
+    const client = new OpenAI({ apiKey: env.EMBEDDING_API_KEY || 'not-needed', baseURL: env.EMBEDDING_BASE_URL });
+    embedder = createOpenAIEmbedder(client, { model: env.EMBEDDING_MODEL || 'text-embedding-3-large', dimensions: parseInt(env.EMBEDDING_DIMENSIONS || '512', 10) });
+  }
+  return embedder ? withCapabilityDetection(embedder, onUnsupported) : null;
+}
+
+module.exports = { createLLMFromEnv, createEmbedderFromEnv, createMockLLM, withCapabilityDetection, completeStructured, jsonFieldStreamer };
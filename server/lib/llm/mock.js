@@ -0,0 +1,118 @@
+const { createHashEmbedder } = require('../embedders');
+const { abortError } = require('../http');
+
+// Pull "--- path" file blocks back out of a walkthrough prompt
+function promptFiles(text) {
+  const files = [];
+  const re = /^--- (\S+)[^\n]*\n([\s\S]*?)(?=^--- \S|(?![\s\S]))/gm;
+  let m;
+  while ((m = re.exec(text)) !== null) files.push({ path: m[1], content: m[2] });
+  return files;
+}
+
+// Deterministic stand-in answer: cites the first provided file with its first non-empty line.
+// Area summaries echo each area's first file; area selection picks the areas whose label shares
+// a word with the question (or the first one). Reviews flag the first hunk of the first changed file;
+// comparisons cite the first file excerpt on either side.
+function defaultRespond(messages, params = {}) {
+  const prompt = messages[messages.length - 1]?.content || '';
+  const schemaName = params.schema && params.schema.name;
+  if (schemaName === 'AreaSummaries') {
+    const areas = [];
+    const re = /^=== (\S+) \(\d+ file\(s\)\)\n(\S+)/gm;
+    let m;
+    while ((m = re.exec(prompt)) !== null) areas.push({ area: m[1], summary: `Code such as ${m[2].replace(/:$/, '')}.` });
+    return JSON.stringify({ areas });
+  }
+  if (schemaName === 'AreaSelection') {
+    const question = (prompt.match(/asked about a repository: "([\s\S]*?)"\n/) || [])[1] || '';
+    const words = new Set(question.toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 2));
+    const labels = Array.from(prompt.matchAll(/^- (\S+) \(\d+ file\(s\)\)/gm), x => x[1]);
+    const hits = labels.filter(l => l.toLowerCase().split(/[^a-z0-9]+/).some(w => words.has(w)));
+    return JSON.stringify({ areas: hits.length ? hits : labels.slice(0, 1), reason: hits.length ? 'area names match the question' : 'first area' });
+  }
+  if (schemaName === 'Review') {
+    // "=== path (...)" diff blocks come first, the head commit's files after them
+    const [diff, context = ''] = prompt.split(/^Repository files at the head commit[^\n]*\n/m);
+    const changed = Array.from(diff.matchAll(/^=== (\S+)[^\n]*\n(@@ [^@\n]*@@)?/gm), x => ({ path: x[1], hunk: x[2] || null }));
+    if (changed.length === 0) return JSON.stringify({ summary: '', risk: 'low', files: [], cannot_review: true, reason: 'No changes provided.' });
+    const files = promptFiles(context);
+    const cited = files.find(f => f.path === changed[0].path) || files[0];
+    const excerpt = cited ? cited.content.split('\n').find(l => l.trim()) || '' : '';
+    return JSON.stringify({
+      summary: `Changes ${changed.map(c => c.path).join(', ')}.`,
+      risk: 'low',
+      files: changed.map((c, i) => ({
+        path: c.path,
+        summary: `Updates ${c.path}.`,
+        risks: i === 0 ? [{ hunk: c.hunk, severity: 'low', detail: `Check the change to ${c.path}.`, references: cited ? [{ path: cited.path, excerpt }] : [] }] : [],
+        missing_tests: [],
+        questions: []
+      })),
+      cannot_review: false,
+      reason: ''
+    });
+  }
+  if (schemaName === 'Comparison') {
+    const block = /^--- (\S+) \((base|head)[^)]*\)\n([\s\S]*?)(?=^--- \S|(?![\s\S]))/m.exec(prompt);
+    const excerpt = block ? block[3].split('\n').find(l => l.trim()) || '' : '';
+    return JSON.stringify({
+      summary: 'Mock comparison.',
+      highlights: block ? [{ title: `Changes to ${block[1]}`, detail: `${block[1]} differs between the two sides.`, references: [{ side: block[2], path: block[1], excerpt }] }] : [],
+      cannot_compare: false,
+      reason: ''
+    });
+  }
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+  // Walkthrough prompts carry the answer schema in the system message
+  if (!system.includes('"answer"') && prompt.includes('"project_summary"')) {
+    return JSON.stringify({ project_summary: 'Mock analysis.', primary_languages: [], possible_use_cases: [], difficulty_rating: 'Unknown' });
+  }
+  const files = promptFiles(prompt);
+  if (files.length === 0) {
+    return JSON.stringify({ answer: '', references: [], trace: [], sources: [], missing: [], cannot_answer: true, reason: 'No files provided.' });
+  }
+  const first = files[0];
+  const excerpt = first.content.split('\n').find(l => l.trim()) || '';
+  return JSON.stringify({
+    answer: `See ${first.path}.`,
+    references: [{ path: first.path, excerpt }],
+    trace: [`Start in ${first.path}`],
+    sources: [first.path],
+    missing: [],
+    cannot_answer: false,
+    reason: ''
+  });
+}
+
+// Offline LLM for tests and demos. respond(messages, params) => string | Promise<string>.
+// Every call is recorded in `calls` so tests can inspect prompts.
+function createMockLLM({ respond = defaultRespond, chatModel = 'mock-chat', embeddings = true } = {}) {
+  const calls = [];
+  return {
+    name: 'mock',
+    chatModel,
+    embedder: embeddings ? createHashEmbedder() : null,
+    capabilities: { chat: true, embeddings, jsonMode: true, structuredOutput: false },
+    calls,
+
+    async complete(params) {
+      calls.push(params);
+      const { signal, onDelta } = params;
+      if (signal && signal.aborted) throw abortError(signal);
+      const text = await respond(params.messages, params);
+      // Streamed in small pieces, yielding between them so cancellation can land mid-answer
+      if (onDelta) {
+        for (let i = 0; i < text.length; i += 16) {
+          await new Promise(r => setImmediate(r));
+          if (signal && signal.aborted) throw abortError(signal);
+          onDelta(text.slice(i, i + 16));
+        }
+      }
+      const promptChars = params.messages.reduce((n, m) => n + String(m.content).length, 0);
+      return { text, model: params.model || chatModel, usage: { prompt_tokens: Math.ceil(promptChars / 4), completion_tokens: Math.ceil(text.length / 4) } };
+    }
+  };
+}
+
+module.exports = { createMockLLM, defaultRespond, promptFiles };
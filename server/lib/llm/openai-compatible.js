@@ -0,0 +1,75 @@
+const OpenAI = require('openai');
+const { createOpenAIEmbedder } = require('../embedders');
+const { providerSchema } = require('../schema');
+
+// OpenAI itself or any server speaking its API (vLLM, Ollama's /v1, llama.cpp server, LM Studio, ...).
+// jsonMode: 'schema' (json_schema structured output), 'json' (json_object) or 'off'.
+function createOpenAICompatibleLLM({ name = 'openai', apiKey, baseURL, chatModel, embeddingModel, embeddingDimensions, jsonMode = 'schema' }) {
+  // Local servers usually ignore the key, but the SDK insists on one
+  const client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL: baseURL || undefined });
+  const embedder = embeddingModel ? createOpenAIEmbedder(client, { model: embeddingModel, dimensions: embeddingDimensions }) : null;
+
+  return {
+    name,
+    chatModel,
+    embedder,
+    capabilities: { chat: true, embeddings: !!embedder, get jsonMode() { return jsonMode !== 'off'; }, get structuredOutput() { return jsonMode === 'schema'; } },
+
+    async complete({ messages, model, maxTokens, temperature = 0, json = false, schema = null, onDelta = null, signal = null }) {
+      const params = { model: model || chatModel, messages, max_tokens: maxTokens, temperature };
+      if (onDelta) {
+        params.stream = true;
+        // Usage in the final chunk; not every compatible server knows the option
+        if (name === 'openai') params.stream_options = { include_usage: true };
+      }
+      const create = () => client.chat.completions.create(params, signal ? { signal } : undefined);
+      if (json && schema && jsonMode === 'schema') {
+        params.response_format = { type: 'json_schema', json_schema: { name: schema.name, schema: providerSchema(schema.schema), strict: true } };
+      } else if (json && jsonMode !== 'off') {
+        params.response_format = { type: 'json_object' };
+      }
+      let completion;
+      try {
+        completion = await create();
+      } catch (err) {
+        // Servers without json_schema support: drop to json_object for good and retry once
+        if (params.response_format?.type !== 'json_schema' || err.status !== 400 || !/response_format|json_schema|schema/i.test(err.message || '')) throw err;
+        jsonMode = 'json';
+        params.response_format = { type: 'json_object' };
+        completion = await create();
+      }
+      if (onDelta) return readStream(completion, params, onDelta);
+      return {
+        text: completion.choices?.[0]?.message?.content || completion.choices?.[0]?.text || '',
+        model: completion.model || params.model,
+        usage: { prompt_tokens: completion.usage?.prompt_tokens || 0, completion_tokens: completion.usage?.completion_tokens || 0 }
+      };
+    }
+  };
+}
+
+// Accumulate a streamed completion, passing each content delta on as it arrives
+async function readStream(stream, params, onDelta) {
+  let text = '';
+  let model = params.model;
+  let usage = null;
+  for await (const chunk of stream) {
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) {
+      text += delta;
+      onDelta(delta);
+    }
+    if (chunk.model) model = chunk.model;
+    if (chunk.usage) usage = chunk.usage;
+  }
+  return {
+    text,
+    model,
+    // Servers that don't report usage for streams get a rough 4-chars-per-token estimate
+    usage: usage
+      ? { prompt_tokens: usage.prompt_tokens || 0, completion_tokens: usage.completion_tokens || 0 }
+      : { prompt_tokens: Math.ceil(params.messages.reduce((n, m) => n + String(m.content).length, 0) / 4), completion_tokens: Math.ceil(text.length / 4) }
+  };
+}
+
+module.exports = { createOpenAICompatibleLLM };
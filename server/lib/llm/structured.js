@@ -0,0 +1,80 @@
+const { validate, parseModelJson } = require('../schema');
+
+// Complete a chat and insist on a reply matching `schema` ({ name, schema } from lib/schema.js).
+// The schema is passed to the provider (structured output / tool use where supported); replies
+// that still fail to parse or validate are sent back with the errors, up to `repairAttempts` times.
+// onDelta(text) streams each reply as it is generated (a repair starts a new reply); signal aborts.
+// Resolves to { value, text, model, usage, attempts }. Throws with err.raw (last reply) and
+// err.validationErrors when the model never produces a valid object.
+async function completeStructured(llm, { messages, model, maxTokens, temperature, schema, repairAttempts = 2, onRepair = null, onDelta = null, signal = null }) {
+  const convo = messages.slice();
+  const usage = { prompt_tokens: 0, completion_tokens: 0 };
+  let last = null;
+  let errors = [];
+  for (let attempt = 1; attempt <= repairAttempts + 1; attempt++) {
+    last = await llm.complete({ messages: convo, model, maxTokens, temperature, json: true, schema, onDelta, signal });
+    usage.prompt_tokens += last.usage?.prompt_tokens || 0;
+    usage.completion_tokens += last.usage?.completion_tokens || 0;
+    const value = parseModelJson(last.text);
+    errors = value === undefined ? ['reply is not valid JSON'] : validate(schema.schema, value);
+    if (errors.length === 0) return { value, text: last.text, model: last.model, usage, attempts: attempt };
+    if (attempt > repairAttempts) break;
+    if (onRepair) onRepair(errors, attempt);
+    convo.push({ role: 'assistant', content: last.text });
+    convo.push({ role: 'user', content: `Your reply does not match the required JSON schema:\n${errors.slice(0, 20).map(e => `- ${e}`).join('\n')}\nReply again with ONLY the corrected JSON object.` });
+  }
+  const err = new Error(`${llm.name} did not return valid ${schema.name} JSON (${errors.slice(0, 3).join('; ')})`);
+  err.raw = last.text;
+  err.validationErrors = errors;
+  throw err;
+}
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+// Incrementally decode one top-level string field out of a JSON reply that is still being
+// streamed, e.g. the walkthrough's "answer". push(delta) calls onText with newly decoded text.
+function jsonFieldStreamer(field, onText) {
+  let raw = '';
+  let pos = -1; // index in raw of the next undecoded character of the value
+  let done = false;
+  const opener = new RegExp(`"${field}"\\s*:\\s*"`);
+  return {
+    push(delta) {
+      if (done) return;
+      raw += delta;
+      if (pos === -1) {
+        const m = opener.exec(raw);
+        if (!m) return;
+        pos = m.index + m[0].length;
+      }
+      let out = '';
+      while (pos < raw.length) {
+        const c = raw[pos];
+        if (c === '"') {
+          done = true;
+          break;
+        }
+        if (c !== '\\') {
+          out += c;
+          pos += 1;
+          continue;
+        }
+        // Escapes may arrive split across deltas: wait for the rest
+        const next = raw[pos + 1];
+        if (next === undefined) break;
+        if (next === 'u') {
+          const hex = raw.slice(pos + 2, pos + 6);
+          if (hex.length < 4) break;
+          out += String.fromCharCode(parseInt(hex, 16));
+          pos += 6;
+        } else {
+          out += ESCAPES[next] !== undefined ? ESCAPES[next] : next;
+          pos += 2;
+        }
+      }
+      if (out) onText(out);
+    }
+  };
+}
+
+module.exports = { completeStructured, jsonFieldStreamer };
@@ -0,0 +1,207 @@
+// Packages that identify a framework, per ecosystem: [ecosystem, package name or RegExp, framework, category].
+// Categories: web (server-side), frontend, mobile, desktop, data, ml, orm, api, cli, styling,
+// testing, tooling. Testing and tooling frameworks are reported but don't count as key frameworks.
+const FRAMEWORKS = [
+  // npm
+  ['npm', 'react', 'React', 'frontend'],
+  ['npm', 'next', 'Next.js', 'frontend'],
+  ['npm', 'vue', 'Vue', 'frontend'],
+  ['npm', 'nuxt', 'Nuxt', 'frontend'],
+  ['npm', '@angular/core', 'Angular', 'frontend'],
+  ['npm', 'svelte', 'Svelte', 'frontend'],
+  ['npm', '@sveltejs/kit', 'SvelteKit', 'frontend'],
+  ['npm', 'solid-js', 'Solid', 'frontend'],
+  ['npm', 'preact', 'Preact', 'frontend'],
+  ['npm', 'astro', 'Astro', 'frontend'],
+  ['npm', '@remix-run/react', 'Remix', 'frontend'],
+  ['npm', 'gatsby', 'Gatsby', 'frontend'],
+  ['npm', 'react-native', 'React Native', 'mobile'],
+  ['npm', 'expo', 'Expo', 'mobile'],
+  ['npm', '@ionic/core', 'Ionic', 'mobile'],
+  ['npm', 'electron', 'Electron', 'desktop'],
+  ['npm', '@tauri-apps/api', 'Tauri', 'desktop'],
+  ['npm', 'express', 'Express', 'web'],
+  ['npm', 'fastify', 'Fastify', 'web'],
+  ['npm', 'koa', 'Koa', 'web'],
+  ['npm', '@hapi/hapi', 'hapi', 'web'],
+  ['npm', '@nestjs/core', 'NestJS', 'web'],
+  ['npm', 'hono', 'Hono', 'web'],
+  ['npm', 'socket.io', 'Socket.IO', 'web'],
+  ['npm', 'graphql', 'GraphQL', 'api'],
+  ['npm', '@apollo/server', 'Apollo Server', 'api'],
+  ['npm', '@trpc/server', 'tRPC', 'api'],
+  ['npm', 'prisma', 'Prisma', 'orm'],
+  ['npm', '@prisma/client', 'Prisma', 'orm'],
+  ['npm', 'typeorm', 'TypeORM', 'orm'],
+  ['npm', 'sequelize', 'Sequelize', 'orm'],
+  ['npm', 'mongoose', 'Mongoose', 'orm'],
+  ['npm', 'drizzle-orm', 'Drizzle', 'orm'],
+  ['npm', 'redux', 'Redux', 'frontend'],
+  ['npm', '@reduxjs/toolkit', 'Redux', 'frontend'],
+  ['npm', 'tailwindcss', 'Tailwind CSS', 'styling'],
+  ['npm', 'bootstrap', 'Bootstrap', 'styling'],
+  ['npm', '@mui/material', 'Material UI', 'styling'],
+  ['npm', 'styled-components', 'styled-components', 'styling'],
+  ['npm', 'three', 'three.js', 'frontend'],
+  ['npm', '@tensorflow/tfjs', 'TensorFlow.js', 'ml'],
+  ['npm', 'commander', 'Commander', 'cli'],
+  ['npm', 'yargs', 'yargs', 'cli'],
+  ['npm', 'vite', 'Vite', 'tooling'],
+  ['npm', 'webpack', 'webpack', 'tooling'],
+  ['npm', 'typescript', 'TypeScript', 'tooling'],
+  ['npm', 'jest', 'Jest', 'testing'],
+  ['npm', 'vitest', 'Vitest', 'testing'],
+  ['npm', 'mocha', 'Mocha', 'testing'],
+  ['npm', '@playwright/test', 'Playwright', 'testing'],
+  ['npm', 'cypress', 'Cypress', 'testing'],
+  // PyPI (names compared case-insensitively with - and _ folded)
+  ['pypi', 'django', 'Django', 'web'],
+  ['pypi', 'djangorestframework', 'Django REST framework', 'api'],
+  ['pypi', 'flask', 'Flask', 'web'],
+  ['pypi', 'fastapi', 'FastAPI', 'web'],
+  ['pypi', 'starlette', 'Starlette', 'web'],
+  ['pypi', 'tornado', 'Tornado', 'web'],
+  ['pypi', 'aiohttp', 'aiohttp', 'web'],
+  ['pypi', 'sanic', 'Sanic', 'web'],
+  ['pypi', 'streamlit', 'Streamlit', 'frontend'],
+  ['pypi', 'gradio', 'Gradio', 'frontend'],
+  ['pypi', 'sqlalchemy', 'SQLAlchemy', 'orm'],
+  ['pypi', 'pydantic', 'Pydantic', 'data'],
+  ['pypi', 'celery', 'Celery', 'web'],
+  ['pypi', 'pandas', 'pandas', 'data'],
+  ['pypi', 'numpy', 'NumPy', 'data'],
+  ['pypi', 'polars', 'Polars', 'data'],
+  ['pypi', 'pyspark', 'PySpark', 'data'],
+  ['pypi', 'torch', 'PyTorch', 'ml'],
+  ['pypi', 'tensorflow', 'TensorFlow', 'ml'],
+  ['pypi', 'jax', 'JAX', 'ml'],
+  ['pypi', 'scikit-learn', 'scikit-learn', 'ml'],
+  ['pypi', 'transformers', 'Hugging Face Transformers', 'ml'],
+  ['pypi', 'langchain', 'LangChain', 'ml'],
+  ['pypi', 'click', 'Click', 'cli'],
+  ['pypi', 'typer', 'Typer', 'cli'],
+  ['pypi', 'pyqt5', 'PyQt', 'desktop'],
+  ['pypi', 'pyqt6', 'PyQt', 'desktop'],
+  ['pypi', 'pytest', 'pytest', 'testing'],
+  // Go modules
+  ['go', 'github.com/gin-gonic/gin', 'Gin', 'web'],
+  ['go', 'github.com/labstack/echo/v4', 'Echo', 'web'],
+  ['go', 'github.com/gofiber/fiber/v2', 'Fiber', 'web'],
+  ['go', 'github.com/go-chi/chi/v5', 'chi', 'web'],
+  ['go', 'github.com/gorilla/mux', 'Gorilla Mux', 'web'],
+  ['go', 'google.golang.org/grpc', 'gRPC', 'api'],
+  ['go', 'gorm.io/gorm', 'GORM', 'orm'],
+  ['go', 'github.com/spf13/cobra', 'Cobra', 'cli'],
+  ['go', 'github.com/urfave/cli/v2', 'urfave/cli', 'cli'],
+  ['go', 'k8s.io/client-go', 'Kubernetes client-go', 'api'],
+  ['go', 'github.com/stretchr/testify', 'testify', 'testing'],
+  // Cargo
+  ['cargo', 'actix-web', 'Actix Web', 'web'],
+  ['cargo', 'axum', 'Axum', 'web'],
+  ['cargo', 'rocket', 'Rocket', 'web'],
+  ['cargo', 'warp', 'warp', 'web'],
+  ['cargo', 'tokio', 'Tokio', 'web'],
+  ['cargo', 'tonic', 'tonic (gRPC)', 'api'],
+  ['cargo', 'diesel', 'Diesel', 'orm'],
+  ['cargo', 'sqlx', 'SQLx', 'orm'],
+  ['cargo', 'serde', 'Serde', 'data'],
+  ['cargo', 'clap', 'clap', 'cli'],
+  ['cargo', 'bevy', 'Bevy', 'desktop'],
+  ['cargo', 'tauri', 'Tauri', 'desktop'],
+  ['cargo', 'yew', 'Yew', 'frontend'],
+  ['cargo', 'leptos', 'Leptos', 'frontend'],
+  // Maven / Gradle (group:artifact; plugin ids for Gradle)
+  ['maven', /^org\.springframework\.boot:/, 'Spring Boot', 'web'],
+  ['maven', 'org.springframework.boot', 'Spring Boot', 'web'],
+  ['maven', /^org\.springframework:spring-(webmvc|context|core)$/, 'Spring Framework', 'web'],
+  ['maven', /^io\.quarkus(\.platform)?:/, 'Quarkus', 'web'],
+  ['maven', /^io\.micronaut(\.platform)?:/, 'Micronaut', 'web'],
+  ['maven', /^io\.ktor:ktor-server/, 'Ktor', 'web'],
+  ['maven', /^io\.vertx:vertx-(core|web)$/, 'Vert.x', 'web'],
+  ['maven', /^jakarta\.platform:jakarta\.jakartaee-api$/, 'Jakarta EE', 'web'],
+  ['maven', /^org\.hibernate(\.orm)?:hibernate-core$/, 'Hibernate', 'orm'],
+  ['maven', /^org\.mybatis:mybatis$/, 'MyBatis', 'orm'],
+  ['maven', 'com.android.application', 'Android', 'mobile'],
+  ['maven', 'com.android.library', 'Android', 'mobile'],
+  ['maven', /^androidx\.compose\./, 'Jetpack Compose', 'mobile'],
+  ['maven', /^org\.apache\.spark:spark-core/, 'Apache Spark', 'data'],
+  ['maven', /^org\.apache\.kafka:kafka-clients$/, 'Apache Kafka', 'data'],
+  ['maven', /^org\.openjfx:/, 'JavaFX', 'desktop'],
+  ['maven', /^org\.junit\.jupiter:/, 'JUnit 5', 'testing'],
+  ['maven', 'junit:junit', 'JUnit 4', 'testing'],
+  // Composer
+  ['packagist', 'laravel/framework', 'Laravel', 'web'],
+  ['packagist', /^symfony\/(framework-bundle|http-kernel)$/, 'Symfony', 'web'],
+  ['packagist', 'slim/slim', 'Slim', 'web'],
+  ['packagist', 'cakephp/cakephp', 'CakePHP', 'web'],
+  ['packagist', 'yiisoft/yii2', 'Yii', 'web'],
+  ['packagist', 'doctrine/orm', 'Doctrine ORM', 'orm'],
+  ['packagist', 'livewire/livewire', 'Livewire', 'frontend'],
+  ['packagist', 'phpunit/phpunit', 'PHPUnit', 'testing'],
+  // Bundler
+  ['rubygems', 'rails', 'Ruby on Rails', 'web'],
+  ['rubygems', 'sinatra', 'Sinatra', 'web'],
+  ['rubygems', 'hanami', 'Hanami', 'web'],
+  ['rubygems', 'grape', 'Grape', 'api'],
+  ['rubygems', 'sidekiq', 'Sidekiq', 'web'],
+  ['rubygems', 'activerecord', 'Active Record', 'orm'],
+  ['rubygems', 'rspec', 'RSpec', 'testing'],
+  ['rubygems', 'rspec-rails', 'RSpec', 'testing'],
+  // NuGet (SDK names count as dependencies, see parsers.js)
+  ['nuget', 'Microsoft.NET.Sdk.Web', 'ASP.NET Core', 'web'],
+  ['nuget', 'Microsoft.AspNetCore.App', 'ASP.NET Core', 'web'],
+  ['nuget', 'Microsoft.NET.Sdk.BlazorWebAssembly', 'Blazor', 'frontend'],
+  ['nuget', /^Microsoft\.AspNetCore\.Components/, 'Blazor', 'frontend'],
+  ['nuget', /^Microsoft\.EntityFrameworkCore/, 'Entity Framework Core', 'orm'],
+  ['nuget', 'Dapper', 'Dapper', 'orm'],
+  ['nuget', /^Microsoft\.Maui/, '.NET MAUI', 'mobile'],
+  ['nuget', 'Xamarin.Forms', 'Xamarin.Forms', 'mobile'],
+  ['nuget', 'Avalonia', 'Avalonia', 'desktop'],
+  ['nuget', 'Microsoft.NET.Sdk.WindowsDesktop', 'WPF / Windows Forms', 'desktop'],
+  ['nuget', 'xunit', 'xUnit', 'testing'],
+  ['nuget', 'NUnit', 'NUnit', 'testing'],
+  ['nuget', 'MSTest.TestFramework', 'MSTest', 'testing']
+];
+
+const NOT_KEY = new Set(['testing', 'tooling']);
+
+// PyPI treats Foo_Bar, foo-bar and foo.bar as the same project
+const normalize = (ecosystem, name) => (ecosystem === 'pypi' ? name.toLowerCase().replace(/[-_.]+/g, '-') : name);
+
+function matches(test, ecosystem, name) {
+  return typeof test === 'string' ? normalize(ecosystem, test) === normalize(ecosystem, name) : test.test(name);
+}
+
+// Frameworks used by a set of parsed manifests, one entry per framework name:
+// { name, category, ecosystem, package, version, manifests }. Sorted with key frameworks
+// (not testing / tooling) first, then by how many manifests use them.
+function detectFrameworks(manifests) {
+  const byName = new Map();
+  for (const m of manifests) {
+    for (const d of m.dependencies) {
+      const hit = FRAMEWORKS.find(([eco, test]) => eco === m.ecosystem && matches(test, eco, d.name));
+      if (!hit) continue;
+      const [, , name, category] = hit;
+      let entry = byName.get(name);
+      if (!entry) {
+        entry = { name, category, ecosystem: m.ecosystem, package: d.name, version: null, manifests: [] };
+        byName.set(name, entry);
+      }
+      // Prefer a concrete version from a direct dependency over a pin or a range-less mention
+      if (d.version && (!entry.version || (d.scope !== 'managed' && entry.versionScope === 'managed'))) {
+        entry.version = d.version;
+        entry.package = d.name;
+        entry.versionScope = d.scope;
+      }
+      if (!entry.manifests.includes(m.path)) entry.manifests.push(m.path);
+    }
+  }
+  return Array.from(byName.values())
+    .map(({ versionScope, ...f }) => f)
+    .sort((a, b) => (NOT_KEY.has(a.category) - NOT_KEY.has(b.category)) || (b.manifests.length - a.manifests.length) || a.name.localeCompare(b.name));
+}
+
+// Framework names worth headlining in the analysis summary
+const keyFrameworks = (frameworks) => frameworks.filter(f => !NOT_KEY.has(f.category)).map(f => f.name);
+
+module.exports = { detectFrameworks, keyFrameworks };
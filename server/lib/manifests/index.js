@@ -0,0 +1,173 @@
+const path = require('path');
+const { isAbortError, abortError } = require('../http');
+const { globMatcher, globToRegExp } = require('../glob');
+const { isVendorPath } = require('../rules');
+const { parserFor } = require('./parsers');
+const { detectFrameworks, keyFrameworks } = require('./frameworks');
+
+// Dependency manifests found anywhere in a snapshot, parsed without the LLM: what each package
+// depends on (with versions and scopes), its scripts, license and workspace layout, plus the
+// frameworks those dependencies imply.
+
+const MAX_MANIFESTS = parseInt(process.env.MANIFEST_MAX_FILES || '200', 10);
+const MAX_MANIFEST_BYTES = 512 * 1024;
+
+// Lockfiles next to (or above) a manifest tell which tool manages it
+const LOCKFILES = {
+  npm: [['pnpm-lock.yaml', 'pnpm'], ['yarn.lock', 'yarn'], ['bun.lockb', 'bun'], ['bun.lock', 'bun'], ['package-lock.json', 'npm'], ['npm-shrinkwrap.json', 'npm']],
+  pypi: [['poetry.lock', 'poetry'], ['uv.lock', 'uv'], ['pdm.lock', 'pdm'], ['Pipfile.lock', 'pipenv']]
+};
+const DEFAULT_MANAGER = { npm: 'npm', pypi: 'pip', go: 'go', cargo: 'cargo', maven: 'maven', packagist: 'composer', rubygems: 'bundler', nuget: 'nuget' };
+
+const LICENSE_FILE = /^(LICEN[CS]E|COPYING|UNLICENSE)([.-][\w.-]+)?$/i;
+// [SPDX id, test] against a license file's text, most specific first
+const LICENSE_TEXTS = [
+  ['AGPL-3.0', (t) => /GNU AFFERO GENERAL PUBLIC LICENSE/i.test(t)],
+  ['LGPL-3.0', (t) => /GNU LESSER GENERAL PUBLIC LICENSE/i.test(t) && /Version 3/i.test(t)],
+  ['LGPL-2.1', (t) => /GNU LESSER GENERAL PUBLIC LICENSE/i.test(t)],
+  ['GPL-3.0', (t) => /GNU GENERAL PUBLIC LICENSE/i.test(t) && /Version 3/i.test(t)],
+  ['GPL-2.0', (t) => /GNU GENERAL PUBLIC LICENSE/i.test(t) && /Version 2/i.test(t)],
+  ['Apache-2.0', (t) => /Apache License/i.test(t) && /Version 2\.0/i.test(t)],
+  ['MPL-2.0', (t) => /Mozilla Public License,? (Version|v\.?) ?2\.0/i.test(t)],
+  ['BSL-1.0', (t) => /Boost Software License/i.test(t)],
+  ['Unlicense', (t) => /This is free and unencumbered software released into the public domain/i.test(t)],
+  ['CC0-1.0', (t) => /CC0 1\.0 Universal/i.test(t)],
+  ['ISC', (t) => /Permission to use, copy, modify, and\/or distribute this software for any purpose/i.test(t)],
+  ['MIT', (t) => /Permission is hereby granted, free of charge/i.test(t)],
+  ['BSD-3-Clause', (t) => /Redistribution and use in source and binary forms/i.test(t) && /Neither the name/i.test(t)],
+  ['BSD-2-Clause', (t) => /Redistribution and use in source and binary forms/i.test(t)]
+];
+
+const dirOf = (p) => {
+  const d = path.posix.dirname(p);
+  return d === '.' ? '' : d;
+};
+
+// Manifest paths in a tree, shallowest first, skipping vendor directories and the rule set's
+// exclude globs. Returns { paths, truncated }.
+function findManifests(tree, { exclude = [] } = {}) {
+  const excluded = globMatcher(exclude);
+  const found = tree
+    .filter(t => t.type === 'blob' && parserFor(t.path) && !isVendorPath(t.path) && !excluded(t.path) && !(t.size > MAX_MANIFEST_BYTES))
+    .map(t => t.path)
+    .sort((a, b) => (a.split('/').length - b.split('/').length) || a.localeCompare(b));
+  return { paths: found.slice(0, MAX_MANIFESTS), truncated: found.length > MAX_MANIFESTS };
+}
+
+function detectLicense(text) {
+  const hit = LICENSE_TEXTS.find(([, test]) => test(text));
+  return hit ? hit[0] : null;
+}
+
+// Manager from the nearest lockfile at or above the manifest's directory
+function managerFor(ecosystem, manifestPath, blobs) {
+  const locks = LOCKFILES[ecosystem];
+  if (!locks) return null;
+  let dir = dirOf(manifestPath);
+  for (;;) {
+    for (const [file, manager] of locks) if (blobs.has(dir ? `${dir}/${file}` : file)) return manager;
+    if (!dir) return null;
+    dir = dirOf(dir);
+  }
+}
+
+// Point each member package at the closest manifest whose workspace globs cover its directory
+function linkWorkspaces(manifests) {
+  const roots = manifests
+    .filter(m => m.workspaces.length)
+    .map(m => ({ m, base: dirOf(m.path), res: m.workspaces.map(w => globToRegExp('/' + w.replace(/^\.\//, '').replace(/\/$/, ''))) }));
+  for (const m of manifests) {
+    const dir = dirOf(m.path);
+    const root = roots.findLast(r => r.m !== m && r.m.ecosystem === m.ecosystem && dir.startsWith(r.base ? r.base + '/' : '') && r.res.some(re => re.test(r.base ? dir.slice(r.base.length + 1) : dir)));
+    m.workspace_root = root ? root.m.path : null;
+  }
+}
+
+// Parse every manifest in a snapshot. Returns the `dependencies` section of an analysis:
+// { manifests, frameworks, ecosystems, licenses, truncated }.
+async function collectDependencies(provider, ref, tree, { exclude = [], signal = null, log = () => {} } = {}) {
+  const { paths, truncated } = findManifests(tree, { exclude });
+  const blobs = new Set(tree.filter(t => t.type === 'blob').map(t => t.path));
+  const licenseFiles = tree.filter(t => t.type === 'blob' && !t.path.includes('/') && LICENSE_FILE.test(t.path)).map(t => t.path);
+  if (truncated) log(`Found more than ${MAX_MANIFESTS} manifests; parsing the ${MAX_MANIFESTS} shallowest (MANIFEST_MAX_FILES)`);
+  if (provider.prefetch && paths.length) {
+    try {
+      await provider.prefetch(paths.concat(licenseFiles), ref);
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+    }
+  }
+
+  const read = async (p) => {
+    if (signal && signal.aborted) throw abortError(signal);
+    try {
+      return await provider.readFile(p, ref);
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      return null;
+    }
+  };
+
+  const manifests = [];
+  for (const p of paths) {
+    const content = await read(p);
+    if (content === null) continue;
+    const { ecosystem, parse } = parserFor(p);
+    let parsed;
+    let error = null;
+    try {
+      parsed = parse(content, p);
+    } catch (err) {
+      error = `could not parse: ${err.message || err}`;
+      parsed = { name: null, version: null, license: null, scripts: [], dependencies: [], workspaces: [] };
+    }
+    manifests.push({
+      path: p,
+      ecosystem,
+      manager: parsed.manager || managerFor(ecosystem, p, blobs) || DEFAULT_MANAGER[ecosystem],
+      name: parsed.name,
+      version: parsed.version,
+      license: parsed.license,
+      targets: parsed.targets || [],
+      scripts: parsed.scripts,
+      dependencies: parsed.dependencies,
+      workspaces: parsed.workspaces,
+      workspace_root: null,
+      error
+    });
+  }
+  linkWorkspaces(manifests);
+
+  const licenses = [];
+  for (const f of licenseFiles) {
+    const text = await read(f);
+    const license = text && detectLicense(text);
+    if (license) licenses.push({ license, source: f });
+  }
+  for (const m of manifests) if (m.license) licenses.push({ license: m.license, source: m.path });
+
+  const frameworks = detectFrameworks(manifests);
+  const ecosystems = Array.from(new Set(manifests.map(m => m.ecosystem)));
+  const depCount = manifests.reduce((n, m) => n + m.dependencies.length, 0);
+  log(`Parsed ${manifests.length} manifest(s) (${ecosystems.join(', ') || 'none'}): ${depCount} dependencies, ${frameworks.length} framework(s) detected`);
+  return { manifests, frameworks, ecosystems, licenses, truncated };
+}
+
+// Compact text version for prompts: frameworks, licenses and each manifest's direct dependencies
+function describeDependencies(deps, { maxPerManifest = 40 } = {}) {
+  if (!deps || !deps.manifests.length) return 'No dependency manifests found.';
+  const lines = [];
+  if (deps.frameworks.length) lines.push(`Frameworks: ${deps.frameworks.map(f => `${f.name} (${f.category})`).join(', ')}`);
+  if (deps.licenses.length) lines.push(`Licenses: ${Array.from(new Set(deps.licenses.map(l => l.license))).join(', ')}`);
+  for (const m of deps.manifests) {
+    const head = `--- ${m.path} [${m.ecosystem}/${m.manager}]${m.name ? ` ${m.name}` : ''}${m.workspaces.length ? ` workspaces: ${m.workspaces.join(', ')}` : ''}${m.error ? ` (${m.error})` : ''}`;
+    lines.push(head);
+    const direct = m.dependencies.filter(d => d.scope !== 'indirect' && d.scope !== 'managed');
+    const listed = direct.slice(0, maxPerManifest).map(d => `${d.name}${d.version ? ` ${d.version}` : ''}${d.scope === 'runtime' ? '' : ` (${d.scope})`}`);
+    if (listed.length) lines.push(`dependencies: ${listed.join(', ')}${direct.length > maxPerManifest ? `, and ${direct.length - maxPerManifest} more` : ''}`);
+    if (m.scripts.length) lines.push(`scripts: ${m.scripts.slice(0, 15).map(s => s.name).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = { collectDependencies, describeDependencies, findManifests, keyFrameworks };
@@ -0,0 +1,416 @@
+const TOML = require('smol-toml');
+
+// One parser per manifest format. Each takes the file's text and returns
+// { name, version, license, scripts: [{ name, command }], dependencies: [{ name, version, scope }],
+//   workspaces: [], manager?, targets? } and throws on content it can't read.
+// scope is runtime | dev | peer | optional | build | test | indirect | managed (version pins
+// such as Maven dependencyManagement, not a dependency by themselves).
+
+const dep = (name, version, scope) => ({ name, version: version ? String(version).trim() || null : null, scope });
+
+function licenseOf(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return value.map(licenseOf).filter(Boolean).join(' OR ') || null;
+  return value.type || value.text || value.name || null;
+}
+
+const scriptList = (obj) => Object.entries(obj || {}).map(([name, command]) => ({ name, command: Array.isArray(command) ? command.join(' && ') : typeof command === 'object' ? JSON.stringify(command) : String(command) }));
+
+const empty = () => ({ name: null, version: null, license: null, scripts: [], dependencies: [], workspaces: [] });
+
+// npm / yarn / pnpm / bun
+function packageJson(content) {
+  const pkg = JSON.parse(content);
+  const deps = [];
+  const add = (obj, scope) => { for (const [name, v] of Object.entries(obj || {})) deps.push(dep(name, typeof v === 'string' ? v : null, scope)); };
+  add(pkg.dependencies, 'runtime');
+  add(pkg.devDependencies, 'dev');
+  add(pkg.peerDependencies, 'peer');
+  add(pkg.optionalDependencies, 'optional');
+  const workspaces = Array.isArray(pkg.workspaces) ? pkg.workspaces : (pkg.workspaces && pkg.workspaces.packages) || [];
+  return {
+    name: pkg.name || null,
+    version: pkg.version || null,
+    license: licenseOf(pkg.license || pkg.licenses),
+    scripts: scriptList(pkg.scripts),
+    dependencies: deps,
+    workspaces,
+    // "packageManager": "pnpm@9.1.0" (corepack)
+    manager: typeof pkg.packageManager === 'string' ? pkg.packageManager.split('@')[0] : null
+  };
+}
+
+// pnpm-workspace.yaml: only the `packages:` list matters
+function pnpmWorkspace(content) {
+  const out = empty();
+  let inPackages = false;
+  for (const line of content.split('\n')) {
+    if (/^packages\s*:/.test(line)) { inPackages = true; continue; }
+    if (inPackages) {
+      const m = line.match(/^\s+-\s*['"]?([^'"#]+?)['"]?\s*(#.*)?$/);
+      if (m) out.workspaces.push(m[1]);
+      else if (/^\S/.test(line)) inPackages = false;
+    }
+  }
+  out.manager = 'pnpm';
+  return out;
+}
+
+// PEP 508: name[extras] (spec) ; marker  or  name @ url
+function pep508(spec, scope) {
+  const m = String(spec).match(/^\s*([A-Za-z0-9][A-Za-z0-9._-]*)\s*(\[[^\]]*\])?\s*(.*)$/);
+  if (!m) return null;
+  const rest = m[3].split(';')[0].trim().replace(/^\(|\)$/g, '').trim();
+  return dep(m[1], rest && !rest.startsWith('@') ? rest : null, scope);
+}
+
+function requirementsTxt(content, path) {
+  const out = empty();
+  const scope = /(^|[/_.-])(dev|test|tests|lint|docs)([/_.-]|$)/i.test(path) ? 'dev' : 'runtime';
+  for (let line of content.split('\n')) {
+    line = line.replace(/\s+#.*$/, '').trim();
+    // Options (-r, -e, --index-url, ...), comments and bare URLs / paths carry no package name
+    if (!line || line.startsWith('#') || line.startsWith('-') || /^[./]|:\/\//.test(line.split(/\s/)[0])) continue;
+    const d = pep508(line, scope);
+    if (d) out.dependencies.push(d);
+  }
+  out.manager = 'pip';
+  return out;
+}
+
+function pyprojectToml(content) {
+  const doc = TOML.parse(content);
+  const project = doc.project || {};
+  const tool = doc.tool || {};
+  const poetry = tool.poetry || null;
+  const out = empty();
+  out.name = project.name || (poetry && poetry.name) || null;
+  out.version = project.version || (poetry && poetry.version) || null;
+  out.license = licenseOf(project.license) || (poetry && licenseOf(poetry.license)) || null;
+  out.scripts = scriptList({ ...(project.scripts || {}), ...((poetry && poetry.scripts) || {}) });
+  const add = (list, scope) => { for (const s of list || []) { const d = typeof s === 'string' ? pep508(s, scope) : null; if (d) out.dependencies.push(d); } };
+  add(project.dependencies, 'runtime');
+  for (const list of Object.values(project['optional-dependencies'] || {})) add(list, 'optional');
+  // PEP 735 dependency groups (include-group entries are tables, skipped)
+  for (const list of Object.values(doc['dependency-groups'] || {})) add(list, 'dev');
+  if (poetry) {
+    const addTable = (table, scope) => {
+      for (const [name, v] of Object.entries(table || {})) {
+        if (name === 'python') continue;
+        out.dependencies.push(dep(name, typeof v === 'string' ? v : v && v.version, scope));
+      }
+    };
+    addTable(poetry.dependencies, 'runtime');
+    addTable(poetry['dev-dependencies'], 'dev');
+    for (const group of Object.values(poetry.group || {})) addTable(group.dependencies, 'dev');
+  }
+  out.workspaces = (tool.uv && tool.uv.workspace && tool.uv.workspace.members) || [];
+  out.manager = poetry ? 'poetry' : tool.pdm ? 'pdm' : tool.uv ? 'uv' : tool.hatch ? 'hatch' : null;
+  return out;
+}
+
+function pipfile(content) {
+  const doc = TOML.parse(content);
+  const out = empty();
+  const add = (table, scope) => {
+    for (const [name, v] of Object.entries(table || {})) {
+      const version = typeof v === 'string' ? v : v && v.version;
+      out.dependencies.push(dep(name, version === '*' ? null : version, scope));
+    }
+  };
+  add(doc.packages, 'runtime');
+  add(doc['dev-packages'], 'dev');
+  out.scripts = scriptList(doc.scripts);
+  out.manager = 'pipenv';
+  return out;
+}
+
+// go.mod: module path, `require` lines or blocks; `// indirect` marks transitive pins
+function goMod(content) {
+  const out = empty();
+  const text = content.replace(/\r/g, '');
+  const mod = text.match(/^module\s+(\S+)/m);
+  out.name = mod ? mod[1].replace(/"/g, '') : null;
+  const go = text.match(/^go\s+(\S+)/m);
+  if (go) out.targets = [`go ${go[1]}`];
+  const requireLine = (line) => {
+    const m = line.trim().match(/^(\S+)\s+(v\S+)(\s*\/\/\s*indirect)?/);
+    if (m) out.dependencies.push(dep(m[1], m[2], m[3] ? 'indirect' : 'runtime'));
+  };
+  for (const block of text.matchAll(/^require\s*\(([\s\S]*?)^\)/gm)) block[1].split('\n').forEach(requireLine);
+  for (const single of text.matchAll(/^require\s+([^(\s][^\n]*)$/gm)) requireLine(single[1]);
+  out.manager = 'go';
+  return out;
+}
+
+function goWork(content) {
+  const out = empty();
+  const uses = [];
+  for (const block of content.matchAll(/^use\s*\(([\s\S]*?)^\)/gm)) uses.push(...block[1].split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('//')));
+  for (const single of content.matchAll(/^use\s+([^(\s]\S*)/gm)) uses.push(single[1]);
+  out.workspaces = uses;
+  out.manager = 'go';
+  return out;
+}
+
+function cargoToml(content) {
+  const doc = TOML.parse(content);
+  const pkg = doc.package || {};
+  const out = empty();
+  // { workspace = true } fields inherit from the workspace root
+  const own = (v) => (typeof v === 'string' ? v : null);
+  out.name = own(pkg.name);
+  out.version = own(pkg.version);
+  out.license = own(pkg.license);
+  const add = (table, scope) => {
+    for (const [name, v] of Object.entries(table || {})) {
+      out.dependencies.push(dep(typeof v === 'object' && v.package ? v.package : name, typeof v === 'string' ? v : v && v.version, scope));
+    }
+  };
+  add(doc.dependencies, 'runtime');
+  add(doc['dev-dependencies'], 'dev');
+  add(doc['build-dependencies'], 'build');
+  for (const target of Object.values(doc.target || {})) {
+    add(target.dependencies, 'runtime');
+    add(target['dev-dependencies'], 'dev');
+  }
+  if (doc.workspace) {
+    out.workspaces = doc.workspace.members || [];
+    add(doc.workspace.dependencies, 'managed');
+  }
+  out.manager = 'cargo';
+  return out;
+}
+
+// Tiny XML helpers: manifests below are regular enough for tag matching
+const stripComments = (xml) => xml.replace(/<!--[\s\S]*?-->/g, '');
+const tag = (xml, name) => {
+  const m = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+  return m ? m[1].trim() : null;
+};
+const tags = (xml, name) => Array.from(xml.matchAll(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'g')), m => m[1]);
+const attr = (element, name) => {
+  const m = element.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`, 'i'));
+  return m ? m[1] : null;
+};
+const removeBlocks = (xml, name) => xml.replace(new RegExp(`<${name}(?:\\s[^>]*)?>[\\s\\S]*?</${name}>`, 'g'), '');
+
+function pomXml(content) {
+  const xml = stripComments(content);
+  const out = empty();
+  const parent = tag(xml, 'parent') || '';
+  const managed = tag(xml, 'dependencyManagement') || '';
+  // What's left describes this project itself
+  let own = xml;
+  for (const block of ['parent', 'dependencyManagement', 'build', 'profiles', 'reporting', 'pluginRepositories', 'repositories']) own = removeBlocks(own, block);
+  const dependencies = tag(own, 'dependencies') || '';
+  own = removeBlocks(own, 'dependencies');
+
+  const groupId = tag(own, 'groupId') || tag(parent, 'groupId');
+  const artifactId = tag(own, 'artifactId');
+  const version = tag(own, 'version') || tag(parent, 'version');
+  const props = { 'project.version': version, 'project.groupId': groupId };
+  const properties = tag(own, 'properties') || '';
+  for (const m of properties.matchAll(/<([\w.-]+)>([^<]*)<\/\1>/g)) props[m[1]] = m[2].trim();
+  const resolve = (v) => (v ? v.replace(/\$\{([^}]+)\}/g, (all, k) => (props[k] !== undefined && props[k] !== null ? props[k] : all)) : v);
+
+  out.name = artifactId ? `${groupId ? groupId + ':' : ''}${artifactId}` : null;
+  out.version = resolve(version);
+  out.license = tags(tag(own, 'licenses') || '', 'license').map(l => tag(l, 'name')).filter(Boolean).join(' OR ') || null;
+  out.workspaces = tags(tag(own, 'modules') || '', 'module').map(s => s.trim());
+  const add = (block, managedScope) => {
+    for (const d of tags(block, 'dependency')) {
+      const scope = managedScope || ({ test: 'test', provided: 'build', system: 'build' }[tag(d, 'scope')] || (tag(d, 'optional') === 'true' ? 'optional' : 'runtime'));
+      out.dependencies.push(dep(`${tag(d, 'groupId')}:${tag(d, 'artifactId')}`, resolve(tag(d, 'version')), scope));
+    }
+  };
+  add(dependencies, null);
+  add(managed, 'managed');
+  if (parent) {
+    const p = `${tag(parent, 'groupId')}:${tag(parent, 'artifactId')}`;
+    // Spring Boot and friends are usually inherited from a parent POM
+    out.dependencies.push(dep(p, resolve(tag(parent, 'version')), 'managed'));
+  }
+  out.manager = 'maven';
+  return out;
+}
+
+const GRADLE_CONFIGS = 'implementation|api|compileOnly|runtimeOnly|testImplementation|testRuntimeOnly|testCompileOnly|androidTestImplementation|debugImplementation|kapt|ksp|annotationProcessor|classpath|compile|testCompile|developmentOnly';
+
+function gradleBuild(content) {
+  const out = empty();
+  const scopeOf = (config) => (/^(test|androidTest)/.test(config) ? 'test' : /^(compileOnly|annotationProcessor|kapt|ksp|classpath|developmentOnly)$/.test(config) ? 'build' : 'runtime');
+  const re = new RegExp(`\\b(${GRADLE_CONFIGS})\\s*\\(?\\s*(?:platform\\s*\\(\\s*|enforcedPlatform\\s*\\(\\s*)?["']([^"':\\s]+):([^"':\\s]+)(?::([^"'\\s]+))?["']`, 'g');
+  for (const m of content.matchAll(re)) out.dependencies.push(dep(`${m[2]}:${m[3]}`, m[4], scopeOf(m[1])));
+  // plugins { id("org.springframework.boot") version "3.2.0" } / id 'x' version 'y' / kotlin("jvm") version "1.9"
+  for (const m of content.matchAll(/\bid\s*\(?\s*["']([^"']+)["']\s*\)?\s*version\s*\(?\s*["']([^"']+)["']/g)) out.dependencies.push(dep(m[1], m[2], 'build'));
+  for (const m of content.matchAll(/\bkotlin\s*\(\s*["']([^"']+)["']\s*\)\s*version\s*["']([^"']+)["']/g)) out.dependencies.push(dep(`org.jetbrains.kotlin.${m[1]}`, m[2], 'build'));
+  const group = content.match(/^\s*group\s*=\s*["']([^"']+)["']/m);
+  const version = content.match(/^\s*version\s*=\s*["']([^"']+)["']/m);
+  out.name = group ? group[1] : null;
+  out.version = version ? version[1] : null;
+  out.manager = 'gradle';
+  return out;
+}
+
+function gradleSettings(content) {
+  const out = empty();
+  const root = content.match(/rootProject\.name\s*=\s*["']([^"']+)["']/);
+  out.name = root ? root[1] : null;
+  for (const m of content.matchAll(/^\s*include\s*\(?([^)\n]*)\)?/gm)) {
+    for (const s of m[1].matchAll(/["']([^"']+)["']/g)) out.workspaces.push(s[1]);
+  }
+  out.manager = 'gradle';
+  return out;
+}
+
+// gradle/libs.versions.toml version catalog
+function gradleCatalog(content) {
+  const doc = TOML.parse(content);
+  const out = empty();
+  const versions = doc.versions || {};
+  const versionOf = (v) => {
+    if (!v) return null;
+    if (typeof v === 'string') return v;
+    if (v.ref) return typeof versions[v.ref] === 'string' ? versions[v.ref] : null;
+    return v.strictly || v.require || v.prefer || null;
+  };
+  for (const lib of Object.values(doc.libraries || {})) {
+    if (typeof lib === 'string') {
+      const [g, a, v] = lib.split(':');
+      out.dependencies.push(dep(`${g}:${a}`, v, 'managed'));
+    } else {
+      const module = lib.module || (lib.group && lib.name ? `${lib.group}:${lib.name}` : null);
+      if (module) out.dependencies.push(dep(module, versionOf(lib.version), 'managed'));
+    }
+  }
+  for (const plugin of Object.values(doc.plugins || {})) {
+    if (typeof plugin === 'string') {
+      const [id, v] = plugin.split(':');
+      out.dependencies.push(dep(id, v, 'build'));
+    } else if (plugin.id) {
+      out.dependencies.push(dep(plugin.id, versionOf(plugin.version), 'build'));
+    }
+  }
+  out.manager = 'gradle';
+  return out;
+}
+
+function composerJson(content) {
+  const pkg = JSON.parse(content);
+  const out = empty();
+  out.name = pkg.name || null;
+  out.version = pkg.version || null;
+  out.license = licenseOf(pkg.license);
+  out.scripts = scriptList(pkg.scripts);
+  // The PHP version and extensions are platform requirements, not packages
+  const platform = (name) => name === 'php' || name.startsWith('ext-') || name.startsWith('lib-');
+  for (const [name, v] of Object.entries(pkg.require || {})) if (!platform(name)) out.dependencies.push(dep(name, v, 'runtime'));
+  for (const [name, v] of Object.entries(pkg['require-dev'] || {})) if (!platform(name)) out.dependencies.push(dep(name, v, 'dev'));
+  out.manager = 'composer';
+  return out;
+}
+
+// Gemfile: `gem` lines, scoped by the `group ... do` blocks around them
+function gemfile(content) {
+  const out = empty();
+  const stack = [];
+  for (const raw of content.split('\n')) {
+    const line = raw.replace(/#.*$/, '');
+    if (/^\s*end\b/.test(line)) { stack.pop(); continue; }
+    const group = line.match(/^\s*group\s+(.*?)\s+do\b/);
+    if (group) { stack.push(/:?test\b/.test(group[1]) ? 'test' : /development/.test(group[1]) ? 'dev' : 'runtime'); continue; }
+    if (/\bdo\s*(\|[^|]*\|)?\s*$/.test(line)) { stack.push(null); continue; }
+    const gem = line.match(/^\s*gem\s+["']([^"']+)["']((?:\s*,\s*["'][^"']*["'])*)(.*)$/);
+    if (!gem) continue;
+    const constraints = Array.from(gem[2].matchAll(/["']([^"']*)["']/g), m => m[1]).join(', ');
+    const inline = gem[3].match(/group:\s*\[?([^\]\n]*)/);
+    const scope = inline ? (/test/.test(inline[1]) ? 'test' : /development/.test(inline[1]) ? 'dev' : 'runtime') : stack.filter(Boolean).pop() || 'runtime';
+    out.dependencies.push(dep(gem[1], constraints, scope));
+  }
+  const ruby = content.match(/^\s*ruby\s+["']([^"']+)["']/m);
+  if (ruby) out.targets = [`ruby ${ruby[1]}`];
+  out.manager = 'bundler';
+  return out;
+}
+
+// SDK-style .csproj / .fsproj / .vbproj
+function msbuildProject(content, path) {
+  const xml = stripComments(content);
+  const out = empty();
+  const sdk = (xml.match(/<Project\s[^>]*Sdk\s*=\s*"([^"]+)"/) || [])[1];
+  // Project properties only: <Version> also appears inside PackageReference elements
+  const props = tags(xml, 'PropertyGroup').join('\n');
+  out.name = tag(props, 'PackageId') || tag(props, 'AssemblyName') || path.split('/').pop().replace(/\.\w+proj$/, '');
+  out.version = tag(props, 'Version');
+  out.license = tag(props, 'PackageLicenseExpression');
+  const frameworks = tag(props, 'TargetFrameworks') || tag(props, 'TargetFramework');
+  if (frameworks) out.targets = frameworks.split(';').map(s => s.trim()).filter(Boolean);
+  // The SDK decides the app model (Microsoft.NET.Sdk.Web is ASP.NET Core)
+  if (sdk) out.dependencies.push(dep(sdk, null, 'build'));
+  for (const m of xml.matchAll(/<PackageReference\b([^>]*?)(\/>|>([\s\S]*?)<\/PackageReference>)/g)) {
+    const name = attr(m[1], 'Include') || attr(m[1], 'Update');
+    if (!name) continue;
+    const version = attr(m[1], 'Version') || (m[3] && tag(m[3], 'Version'));
+    const dev = /all/i.test(attr(m[1], 'PrivateAssets') || (m[3] && tag(m[3], 'PrivateAssets')) || '');
+    out.dependencies.push(dep(name, version, dev ? 'build' : 'runtime'));
+  }
+  for (const m of xml.matchAll(/<FrameworkReference\b([^>]*)\/?>/g)) {
+    const name = attr(m[1], 'Include');
+    if (name) out.dependencies.push(dep(name, null, 'runtime'));
+  }
+  out.manager = 'nuget';
+  return out;
+}
+
+function packagesConfig(content) {
+  const out = empty();
+  for (const m of stripComments(content).matchAll(/<package\b([^>]*)\/?>/g)) {
+    const name = attr(m[1], 'id');
+    if (name) out.dependencies.push(dep(name, attr(m[1], 'version'), attr(m[1], 'developmentDependency') === 'true' ? 'dev' : 'runtime'));
+  }
+  out.manager = 'nuget';
+  return out;
+}
+
+// Directory.Packages.props: central package versions
+function centralPackages(content) {
+  const out = empty();
+  for (const m of stripComments(content).matchAll(/<PackageVersion\b([^>]*)\/?>/g)) {
+    const name = attr(m[1], 'Include');
+    if (name) out.dependencies.push(dep(name, attr(m[1], 'Version'), 'managed'));
+  }
+  out.manager = 'nuget';
+  return out;
+}
+
+// [test(basename, path), ecosystem, parser]
+const PARSERS = [
+  [(b) => b === 'package.json', 'npm', packageJson],
+  [(b) => b === 'pnpm-workspace.yaml', 'npm', pnpmWorkspace],
+  [(b, p) => /^requirements([._-][\w.-]*)?\.txt$/i.test(b) || /(^|\/)requirements\/[\w.-]+\.txt$/i.test(p), 'pypi', requirementsTxt],
+  [(b) => b === 'pyproject.toml', 'pypi', pyprojectToml],
+  [(b) => b === 'Pipfile', 'pypi', pipfile],
+  [(b) => b === 'go.mod', 'go', goMod],
+  [(b) => b === 'go.work', 'go', goWork],
+  [(b) => b === 'Cargo.toml', 'cargo', cargoToml],
+  [(b) => b === 'pom.xml', 'maven', pomXml],
+  [(b) => b === 'build.gradle' || b === 'build.gradle.kts', 'maven', gradleBuild],
+  [(b) => b === 'settings.gradle' || b === 'settings.gradle.kts', 'maven', gradleSettings],
+  [(b) => b.endsWith('.versions.toml'), 'maven', gradleCatalog],
+  [(b) => b === 'composer.json', 'packagist', composerJson],
+  [(b) => b === 'Gemfile', 'rubygems', gemfile],
+  [(b) => /\.(cs|fs|vb)proj$/.test(b), 'nuget', msbuildProject],
+  [(b) => b === 'packages.config', 'nuget', packagesConfig],
+  [(b) => b === 'Directory.Packages.props', 'nuget', centralPackages]
+];
+
+// { ecosystem, parse } for a manifest path, or null
+function parserFor(path) {
+  const base = path.split('/').pop();
+  const hit = PARSERS.find(([test]) => test(base, path));
+  return hit ? { ecosystem: hit[1], parse: hit[2] } : null;
+}
+
+module.exports = { parserFor, pep508 };
@@ -0,0 +1,85 @@
+// Counters, gauges and histograms rendered in the Prometheus text format (version 0.0.4).
+// Series are keyed by their label values; keep labels to bounded sets (route patterns, not URLs).
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const formatLabels = (pairs) => (pairs.length ? `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '');
+const formatValue = (n) => (n === Infinity ? '+Inf' : Number.isInteger(n) ? String(n) : String(Math.round(n * 1e9) / 1e9));
+
+function createRegistry() {
+  const metrics = [];
+
+  function define(type, name, help, labelNames, extra = {}) {
+    if (metrics.some(m => m.name === name)) throw new Error(`metric ${name} is already defined`);
+    const metric = { type, name, help, labelNames, series: new Map(), ...extra };
+    // Without labels there is one series, reported from the start
+    if (!labelNames.length && type !== 'histogram') metric.series.set('[]', 0);
+    metrics.push(metric);
+    return metric;
+  }
+  const seriesKey = (metric, labels = {}) => JSON.stringify(metric.labelNames.map(l => (labels[l] === undefined || labels[l] === null ? '' : String(labels[l]))));
+  const labelPairs = (metric, key) => JSON.parse(key).map((v, i) => [metric.labelNames[i], v]);
+
+  return {
+    counter(name, help, labelNames = []) {
+      const metric = define('counter', name, help, labelNames);
+      return {
+        inc(labels = {}, by = 1) {
+          const key = seriesKey(metric, labels);
+          metric.series.set(key, (metric.series.get(key) || 0) + by);
+        }
+      };
+    },
+
+    // collect() (optional) runs at every scrape and returns [{ labels, value }] to replace the series
+    gauge(name, help, labelNames = [], collect = null) {
+      const metric = define('gauge', name, help, labelNames, { collect });
+      return {
+        set(labels, value) {
+          metric.series.set(seriesKey(metric, labels), value);
+        }
+      };
+    },
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const metric = define('histogram', name, help, labelNames, { buckets: buckets.slice().sort((a, b) => a - b) });
+      return {
+        observe(labels, value) {
+          const key = seriesKey(metric, labels);
+          let s = metric.series.get(key);
+          if (!s) metric.series.set(key, (s = { counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+          metric.buckets.forEach((b, i) => { if (value <= b) s.counts[i] += 1; });
+          s.sum += value;
+          s.count += 1;
+        }
+      };
+    },
+
+    render() {
+      const out = [];
+      for (const metric of metrics) {
+        if (metric.collect) {
+          metric.series.clear();
+          for (const { labels, value } of metric.collect()) metric.series.set(seriesKey(metric, labels), value);
+        }
+        out.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        out.push(`# TYPE ${metric.name} ${metric.type}`);
+        for (const [key, value] of metric.series) {
+          const pairs = labelPairs(metric, key);
+          if (metric.type !== 'histogram') {
+            out.push(`${metric.name}${formatLabels(pairs)} ${formatValue(value)}`);
+            continue;
+          }
+          metric.buckets.forEach((b, i) => out.push(`${metric.name}_bucket${formatLabels([...pairs, ['le', formatValue(b)]])} ${value.counts[i]}`));
+          out.push(`${metric.name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${value.count}`);
+          out.push(`${metric.name}_sum${formatLabels(pairs)} ${formatValue(value.sum)}`);
+          out.push(`${metric.name}_count${formatLabels(pairs)} ${value.count}`);
+        }
+      }
+      return `${out.join('\n')}\n`;
+    }
+  };
+}
+
+module.exports = { createRegistry, DEFAULT_BUCKETS };
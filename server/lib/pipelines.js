@@ -0,0 +1,847 @@
+const { describeFetchError, isAbortError } = require('./http');
+const { parsePullRequestUrl, resolveProvider, resolveRequestRef } = require('./providers');
+const { withSnapshotCache } = require('./cache');
+const { loadOrBuildIndex } = require('./semantic-index');
+const { completeStructured, jsonFieldStreamer } = require('./llm');
+const { schemas, schemaShape } = require('./schema');
+const { verifyReferences } = require('./references');
+const { planContext, renderAreaMap } = require('./context');
+const { tokenCounter, contextWindow } = require('./tokens');
+const { collectDependencies, describeDependencies, keyFrameworks } = require('./manifests');
+const { loadOrBuildGraph, languageOf, renderEdges } = require('./graph');
+const { parsePatch, isTestPath, relatedTests, renderDiff, checkReview } = require('./review');
+const { diffTrees, diffDependencies, languageShift, excerptCandidates, describeChanges } = require('./compare');
+const { stage, meterFiles } = require('./usage');
+const { repoKey, loadRepoMarkers, selectFiles, selectionFingerprint, EMPTY_RULES } = require('./rules');
+
+// The analysis, walkthrough, review and comparison pipelines, shared by the server (index.js)
+// and the command line (scripts/repostack.js). Each takes send(event, data) for its progress
+// logs and `delta` events and resolves to the `result` event's data.
+
+const LLM_NOT_CONFIGURED = 'LLM provider not configured. Set OPENAI_API_KEY (or LLM_PROVIDER / LLM_BASE_URL) to enable';
+
+// Settings from the environment, read when the pipelines are created (after dotenv has run)
+function pipelineSettings(env = process.env) {
+  return {
+    // Optional allowlist for the per-request `model` override, e.g. ALLOWED_MODELS=gpt-4o-mini,gpt-4o
+    ALLOWED_MODELS: (env.ALLOWED_MODELS || '').split(',').map(s => s.trim()).filter(Boolean),
+    // Bounds on how much of a snapshot gets indexed
+    INDEX_MAX_FILES: parseInt(env.INDEX_MAX_FILES || '2000', 10),
+    INDEX_MAX_FILE_BYTES: parseInt(env.INDEX_MAX_FILE_BYTES || '200000', 10),
+    // Walkthrough context, in the chat model's tokens. The model's context window (less the prompt
+    // and the reply) caps it further. Snapshots that don't fit get the area summarization pass
+    // unless CONTEXT_HIERARCHICAL=off.
+    CONTEXT_MAX_TOKENS: parseInt(env.CONTEXT_MAX_TOKENS || '32000', 10),
+    CONTEXT_HIERARCHICAL: env.CONTEXT_HIERARCHICAL !== 'off',
+    // Conversation sessions: how many earlier turns are replayed to the model
+    SESSION_HISTORY_TURNS: parseInt(env.SESSION_HISTORY_TURNS || '6', 10),
+    // How many times a reply that fails schema validation is sent back to the model for repair
+    LLM_REPAIR_ATTEMPTS: parseInt(env.LLM_REPAIR_ATTEMPTS || '2', 10),
+    // Module graph neighbours of the top-ranked files to pull in (0 disables)
+    GRAPH_NEIGHBORS: parseInt(env.GRAPH_NEIGHBORS || '6', 10)
+  };
+}
+
+const WALKTHROUGH_MAX_TOKENS = 1500;
+// How much previously cited files are favoured during retrieval (scores are roughly 0..1)
+const CITED_FILE_BOOST = 0.15;
+// Module graph: how many top files the neighbours are taken from, their score boost, and the
+// prompt tokens kept for the import lines between the files sent
+const GRAPH_SEED_FILES = 3;
+const GRAPH_NEIGHBOR_BOOST = 0.2;
+const GRAPH_PROMPT_TOKENS = 300;
+// Pull request reviews: reply size, the share of the context budget the diff may take, and the
+// retrieval boost that puts the changed files' own chunks ahead of everything else
+const REVIEW_MAX_TOKENS = 3000;
+const REVIEW_DIFF_SHARE = 0.6;
+const REVIEW_CHANGED_FILE_BOOST = 1;
+// Comparisons: reply size, and how many changed files (their first lines) the model sees
+const COMPARE_MAX_TOKENS = 1500;
+const COMPARE_MAX_FILES = 40;
+const COMPARE_EXCERPT_LINES = 120;
+
+// llm and embedder come from lib/llm (llm may be null: the pipelines then fail with a
+// configuration error), ruleStore from lib/rules, snapshotCache from lib/cache (null: no cache).
+// ruleOwner() is the principal whose rule sets apply to the current run (null: the shared ones).
+function createPipelines({ llm, embedder = null, ruleStore, snapshotCache = null, ruleOwner = () => null, env = process.env }) {
+  const { ALLOWED_MODELS, INDEX_MAX_FILES, INDEX_MAX_FILE_BYTES, CONTEXT_MAX_TOKENS, CONTEXT_HIERARCHICAL, SESSION_HISTORY_TURNS, LLM_REPAIR_ATTEMPTS, GRAPH_NEIGHBORS } = pipelineSettings(env);
+
+  // Chat model for a request: the caller's override (if allowed) or the configured default
+  function resolveChatModel(requested) {
+    if (!requested) return llm ? llm.chatModel : null;
+    if (ALLOWED_MODELS.length && !ALLOWED_MODELS.includes(requested)) {
+      const err = new Error(`model "${requested}" is not allowed (ALLOWED_MODELS=${ALLOWED_MODELS.join(',')})`);
+      err.status = 400;
+      throw err;
+    }
+    return requested;
+  }
+
+  // The embedder unless the provider turned out not to support embeddings
+  function indexEmbedder() {
+    return embedder && embedder.available !== false ? embedder : null;
+  }
+
+  // Provider for a repo URL, wrapped with the snapshot cache and counting the files it reads.
+  // signal cancels its upstream requests.
+  function openProvider(repo, { signal = null } = {}) {
+    const httpCache = snapshotCache ? snapshotCache.http : null;
+    return meterFiles(withSnapshotCache(resolveProvider(repo, { signal, github: { httpCache } }), snapshotCache));
+  }
+
+  async function fetchRepoContents(provider, ref, { signal = null, log = () => {} } = {}) {
+    const result = { readme: null, languages: null, dependencies: null };
+    result.readme = await provider.getReadme(ref);
+    result.languages = await provider.getLanguages(ref);
+    // Every dependency manifest in the snapshot, outside vendor dirs and the rule set's excludes
+    const tree = await provider.listTree(ref);
+    const rules = ruleStore.get(repoKey(provider), ruleOwner()) || EMPTY_RULES;
+    result.dependencies = await collectDependencies(provider, ref, tree, { exclude: rules.exclude, signal, log });
+    return result;
+  }
+
+  // Apply the repo's rule set (or the built-in extension / vendor-dir defaults) plus its own
+  // .gitignore and linguist-generated/vendored markers. indexCandidates are the files that get
+  // indexed: shallowest first, bounded by INDEX_MAX_FILES and INDEX_MAX_FILE_BYTES.
+  async function snapshotSelection(provider, ref, tree) {
+    const rules = ruleStore.get(repoKey(provider), ruleOwner()) || EMPTY_RULES;
+    const markers = await loadRepoMarkers(provider, ref, tree, rules);
+    const selection = selectFiles(tree, rules, markers);
+    const candidates = selection.selected;
+    // Sort by path length (prefer top-level) and then by size if available
+    candidates.sort((a, b) => (a.path.split('/').length - b.path.split('/').length) || ((b.size || 0) - (a.size || 0)));
+    // Every candidate (bounded), so the index covers the whole snapshot rather than only the shallowest files
+    const indexCandidates = candidates.filter(t => !t.size || t.size <= INDEX_MAX_FILE_BYTES).slice(0, INDEX_MAX_FILES);
+    return { rules, selection, candidates, indexCandidates };
+  }
+
+  // [{ path, content }] for the given paths; unreadable files are skipped
+  async function readSnapshotFiles(provider, ref, paths, logger = null) {
+    if (provider.prefetch) {
+      try {
+        await provider.prefetch(paths, ref);
+      } catch (err) {
+        if (isAbortError(err)) throw err;
+        if (logger) try { logger('Snapshot tarball download failed, falling back to per-file fetches: ' + describeFetchError(err)); } catch(e){}
+      }
+    }
+    const files = [];
+    for (const p of paths) {
+      try {
+        const content = await provider.readFile(p, ref);
+        if (content !== null) files.push({ path: p, content });
+      } catch (err) {
+        if (isAbortError(err)) throw err;
+        if (logger) try { logger(`Skipped ${p} due to fetch error`); } catch(e){}
+        // skip file fetch errors
+      }
+    }
+    if (logger && provider.cacheSummary) try { logger('Snapshot cache: ' + provider.cacheSummary()); } catch(e){}
+    return files;
+  }
+
+  // Module graph over the indexed JS/TS/Python files, cached per commit like the index.
+  // readFiles() only runs when the graph isn't stored yet.
+  function snapshotGraph(provider, ref, indexCandidates, readFiles, logger = null) {
+    const paths = indexCandidates.filter(t => languageOf(t.path)).map(t => t.path);
+    const persistent = snapshotCache && /^[0-9a-f]{40}$/i.test(ref);
+    return loadOrBuildGraph({
+      key: { kind: provider.kind, id: provider.id, sha: ref, variant: selectionFingerprint(paths) },
+      store: persistent ? snapshotCache : null,
+      logger,
+      readFiles
+    });
+  }
+
+  // Boost the files the top GRAPH_SEED_FILES files import or are imported by (at most
+  // GRAPH_NEIGHBORS of them, best-ranked first) and re-sort
+  function pullNeighbors(hits, graph, logger = null) {
+    const best = new Map();
+    for (const h of hits) if (!best.has(h.path)) best.set(h.path, h.score);
+    const seeds = Array.from(best.keys()).slice(0, GRAPH_SEED_FILES);
+    const found = new Set();
+    for (const s of seeds) {
+      const { imports, importedBy } = graph.neighbors(s);
+      for (const p of imports.concat(importedBy)) if (!seeds.includes(p) && best.has(p)) found.add(p);
+    }
+    const pulled = new Set(Array.from(found).sort((a, b) => best.get(b) - best.get(a)).slice(0, GRAPH_NEIGHBORS));
+    if (!pulled.size) return;
+    // Neighbours move up, but never past the files that pulled them in
+    const floor = best.get(seeds[seeds.length - 1]);
+    const boost = new Map(Array.from(pulled, p => [p, Math.max(0, Math.min(GRAPH_NEIGHBOR_BOOST, floor - best.get(p) - 1e-6))]));
+    for (const h of hits) if (pulled.has(h.path)) h.score += boost.get(h.path);
+    hits.sort((a, b) => b.score - a.score);
+    if (logger) try { logger(`Module graph: pulled in ${Array.from(pulled).join(', ')} (imports of or imported by ${seeds.join(', ')})`); } catch (e) {}
+  }
+
+  async function fetchRepoTreeAndFiles(provider, opts = {}, logger = null, question = '') {
+    // opts: { ref, budget (tokens), counter (tokens.js), model, boostPaths, boostWeight, signal };
+    // ref should already be a resolved commit SHA
+    const result = { files: [], tokens: 0, plan: null, imports: [] };
+    try {
+      // Fall back to the default branch when the caller didn't pin a ref
+      let ref = opts.ref;
+      if (!ref) {
+        ref = await provider.getDefaultBranch();
+        if (logger) try { logger('Determined default branch: ' + ref) } catch(e){}
+      }
+      // Get the full tree recursively
+      let tree;
+      try {
+        tree = await provider.listTree(ref);
+      } catch (err) {
+        if (err.response && (err.response.status === 403 || err.response.status === 429)) {
+          const rlRemain = err.response.headers?.['x-ratelimit-remaining'];
+          const rlReset = err.response.headers?.['x-ratelimit-reset'];
+          const resetSeconds = rlReset ? Math.max(0, (parseInt(rlReset,10)*1000 - Date.now())/1000).toFixed(0) : null;
+          if (logger) try { logger(`${provider.kind} ${err.response.status} (tree fetch). Remaining=${rlRemain} reset_in_s=${resetSeconds || 'n/a'} – add or update the access token.`); } catch(e){}
+        }
+        throw err;
+      }
+      const { rules, selection, candidates: filteredCandidates, indexCandidates } = await snapshotSelection(provider, ref, tree);
+      const boostByPath = new Map(filteredCandidates.filter(t => t.boost).map(t => [t.path, t.boost]));
+      if (logger) try { logger(`File rules (${rules === EMPTY_RULES ? 'defaults' : 'repo rule set'}): ${filteredCandidates.length} selected, ${selection.excluded.length} excluded`); } catch(e){}
+      if (logger && indexCandidates.length < filteredCandidates.length) try { logger(`Indexing ${indexCandidates.length} of ${filteredCandidates.length} candidate files (INDEX_MAX_FILES=${INDEX_MAX_FILES}, INDEX_MAX_FILE_BYTES=${INDEX_MAX_FILE_BYTES})`); } catch(e){}
+
+      // Ensure dependency files (package.json, pyproject.toml, requirements.txt) and the rule set's
+      // always_include files are included later
+      const depFilesSet = new Set(['package.json','requirements.txt','pyproject.toml']);
+      for (const t of filteredCandidates) if (t.reason === 'always_include') depFilesSet.add(t.path);
+
+      // Chunk index for this snapshot; only read files when it isn't persisted yet. The module
+      // graph is built from the same reads.
+      const persistent = snapshotCache && /^[0-9a-f]{40}$/i.test(ref);
+      let reading = null;
+      const readIndexFiles = () => (reading = reading || readSnapshotFiles(provider, ref, indexCandidates.map(t => t.path), logger));
+      const index = await stage('retrieval.index', () => loadOrBuildIndex({
+        key: { kind: provider.kind, id: provider.id, sha: ref, variant: selectionFingerprint(indexCandidates.map(t => t.path)) },
+        store: persistent ? snapshotCache : null,
+        embedder: indexEmbedder(),
+        logger,
+        signal: opts.signal,
+        readFiles: readIndexFiles
+      }));
+
+      // Dependency manifests and always_include files go in whole, ahead of the ranked chunks
+      const pinned = [];
+      for (const dep of depFilesSet) {
+        try {
+          const content = await provider.readFile(dep, ref);
+          if (content !== null) pinned.push({ path: dep, content });
+        } catch (err) {
+          if (isAbortError(err)) throw err;
+          // ignore missing dep files
+        }
+      }
+
+      // Every chunk ranked; planContext takes them in order until the token budget is spent
+      const hits = await index.search(question, { topK: index.chunks.length, embedder: indexEmbedder(), logger, signal: opts.signal });
+      // Rule-set priority boosts, and files cited earlier in a conversation stay in view for follow-ups
+      const cited = opts.boostPaths && opts.boostPaths.size ? opts.boostPaths : null;
+      const citedBoost = opts.boostWeight || CITED_FILE_BOOST;
+      if (boostByPath.size || cited) {
+        for (const h of hits) {
+          h.score += (boostByPath.get(h.path) || 0) + (cited && cited.has(h.path) ? citedBoost : 0);
+        }
+        hits.sort((a, b) => b.score - a.score);
+      }
+
+      // Files the best-ranked files import, or are imported by, come along with them
+      let graph = null;
+      if (GRAPH_NEIGHBORS > 0) {
+        try {
+          graph = await snapshotGraph(provider, ref, indexCandidates, async () => (await readIndexFiles()).filter(f => languageOf(f.path)), logger);
+          pullNeighbors(hits, graph, logger);
+        } catch (err) {
+          if (isAbortError(err)) throw err;
+          if (logger) try { logger('Module graph unavailable: ' + (err.message || err)); } catch (e) {}
+        }
+      }
+
+      const summaryKey = { kind: provider.kind, id: provider.id, sha: ref, variant: selectionFingerprint(indexCandidates.map(t => t.path)), model: opts.model };
+      const plan = await stage('retrieval.plan', () => planContext({
+        chunks: index.chunks,
+        hits,
+        pinned,
+        question,
+        // Room for the import lines between the chosen files (see runWalkthrough)
+        budget: graph ? opts.budget - GRAPH_PROMPT_TOKENS : opts.budget,
+        counter: opts.counter,
+        llm,
+        model: opts.model,
+        hierarchical: CONTEXT_HIERARCHICAL,
+        summaryCache: persistent ? { get: () => snapshotCache.getSummaries(summaryKey), put: (data) => snapshotCache.putSummaries(summaryKey, data).catch(() => {}) } : null,
+        signal: opts.signal,
+        log: (m) => { if (logger) try { logger(m); } catch (e) {} }
+      }));
+      result.files = plan.files;
+      result.tokens = plan.tokens;
+      result.plan = plan;
+      result.imports = graph ? graph.between(plan.files.map(f => f.path)) : [];
+      if (logger) {
+        const ranking = `hybrid BM25${index.hasVectors ? ' + vector' : ''} ranking`;
+        const used = `${plan.tokens} of ${plan.budget} tokens, ${opts.counter.encoding}`;
+        const line = plan.mode === 'all'
+          ? `Context: the whole selection fits, ${plan.files.length} files included (${used})`
+          : `Context: ${plan.files.length} files included (${used}, ${ranking}${plan.pinned ? `, ${plan.pinned} pinned` : ''}); ${plan.dropped.chunks} chunks from ${plan.dropped.files} files dropped`;
+        try { logger(line); } catch (e) {}
+        if (plan.areas) try { logger(`Context: ${plan.areas.length} areas summarized, drilled into ${plan.areas.filter(a => a.selected).map(a => a.area).join(', ')}`); } catch (e) {}
+        const listed = plan.files.slice(0, 20).map(f => `${f.path}${f.partial ? ' (excerpts)' : ''}`).join(', ');
+        try { logger(`Context files: ${listed}${plan.files.length > 20 ? `, and ${plan.files.length - 20} more` : ''}`); } catch (e) {}
+      }
+    } catch (err) {
+      // Cancellation ends the request; anything else still yields what was collected
+      if (isAbortError(err) || (opts.signal && opts.signal.aborted)) throw err;
+      if (logger) {
+        try {
+          logger('Error while building file list: ' + describeFetchError(err));
+        } catch(e){}
+      }
+      // return partial result
+    }
+    return result;
+  }
+
+  // Static imports between the prompt's files as "importer -> imported" lines, within
+  // GRAPH_PROMPT_TOKENS, so traces can follow real call paths
+  function renderImports(imports, counter) {
+    const lines = [];
+    let used = 0;
+    for (const e of imports) {
+      const line = renderEdges([e]);
+      used += counter.count(line) + 1;
+      if (used > GRAPH_PROMPT_TOKENS) break;
+      lines.push(line);
+    }
+    return `Imports between these files (importer -> imported, with the names it imports):\n${lines.join('\n')}\n\n`;
+  }
+
+  function makePrompt(repoUrl, data) {
+    return `You are a repository analysis agent. Analyze the repository at ${repoUrl} and respond with ONLY valid JSON exactly matching the schema: ${schemaShape(schemas.AnalysisReply.schema)}.\n\nREADME:\n${data.readme || ''}\n\nDependencies (parsed from the repository's manifests; frameworks and dependencies are already reported separately, use them as facts):\n${describeDependencies(data.dependencies)}`;
+  }
+
+  // Analysis pipeline shared by /api/analyze and analyze jobs. send(event, data) receives progress
+  // logs and `delta` events for the summary; resolves to the `result` event's data.
+  // `commit` skips resolving `ref` when the caller already has its sha
+  async function runAnalysis({ repo, provider, ref: requestedRef, commit = null, model, signal = null }, send) {
+    const { ref, sha } = commit ? { ref: requestedRef, sha: commit } : await stage('resolve_ref', () => resolveRequestRef(provider, requestedRef));
+    if (!commit) send('log', { message: `Resolved ref ${ref} to commit ${sha}`, ref, commit: sha });
+    send('log', { message: 'Fetching repository contents' });
+    const data = await stage('fetch', () => fetchRepoContents(provider, sha, { signal, log: (message) => send('log', { message }) }));
+    send('log', { message: 'Fetched README and dependency manifests' });
+
+    const prompt = makePrompt(repo, data);
+    if (!llm) throw new Error(`${LLM_NOT_CONFIGURED} analysis.`);
+    send('log', { message: `Sending data to ${llm.name} (${model}) for structured analysis` });
+    let summary = jsonFieldStreamer('project_summary', (text) => send('delta', { field: 'project_summary', text }));
+
+    const completion = await stage('llm', () => completeStructured(llm, {
+      model,
+      messages: [{ role: 'system', content: 'You output strict JSON only.' }, { role: 'user', content: prompt }],
+      maxTokens: 800,
+      temperature: 0.1,
+      schema: schemas.AnalysisReply,
+      repairAttempts: LLM_REPAIR_ATTEMPTS,
+      onRepair: (errors, attempt) => {
+        send('log', { message: `Analysis did not match the schema (${errors.length} error(s)); asking ${llm.name} to repair it (attempt ${attempt}/${LLM_REPAIR_ATTEMPTS})` });
+        summary = jsonFieldStreamer('project_summary', (text) => send('delta', { field: 'project_summary', text }));
+        send('delta', { field: 'project_summary', reset: true });
+      },
+      // The summary streams in as it's written; the other fields arrive with `result`
+      onDelta: (delta) => summary.push(delta),
+      signal
+    }));
+
+    send('log', { message: `Received analysis from ${llm.name}` });
+    // Frameworks and dependencies are the parsed facts, not the model's guesses
+    const reply = completion.value;
+    const analysis = {
+      project_summary: reply.project_summary,
+      primary_languages: reply.primary_languages,
+      key_frameworks: keyFrameworks(data.dependencies.frameworks),
+      possible_use_cases: reply.possible_use_cases,
+      difficulty_rating: reply.difficulty_rating,
+      dependencies: data.dependencies
+    };
+    return { analysis, ref, commit: sha, model: completion.model };
+  }
+
+  // Walkthrough pipeline shared by the one-shot endpoint and conversation sessions.
+  // history: earlier turns [{ question, walkthrough }]; boostPaths: files cited earlier in the
+  // conversation, preferred during retrieval. send(event, data) receives progress logs and
+  // `delta` events ({ field: 'answer', text } or { field, reset: true }) as the answer streams in.
+  // signal cancels retrieval and the LLM call (the provider should be opened with it too).
+  // Returns { walkthrough, files }; throws on configuration or model output errors.
+  async function runWalkthrough({ provider, sha, question, model = null, history = [], boostPaths = null, signal = null }, send) {
+    if (!llm) {
+      throw new Error(`${LLM_NOT_CONFIGURED} walkthroughs.`);
+    }
+    const chatModel = model || llm.chatModel;
+
+    // Updated system instruction: allow partial answers & explicitly call out missing aspects.
+    // Schema now includes a "missing" array listing requested concepts/features not found.
+    // Only use repository files; NEVER invent functionality. Provide high-level summaries when asked.
+    const systemMsg = `You are a disciplined repository code analyst. You MUST use ONLY the repository files provided in the user's message.\nReturn ONLY valid JSON exactly matching the schema: ${schemaShape(schemas.Walkthrough.schema)}.\nGuidelines:\n- Always attempt to answer with what IS present in the provided files.\n- Never mention or reference a file path that is not EXACTLY one of the provided file paths.\n- For each explicit feature or concept the user asks about that is NOT present (e.g. authentication, payment, database), add a short phrase to the 'missing' array (e.g. "authentication") and DO NOT fabricate implementation details.\n- Do NOT hallucinate code, files, libraries, or frameworks.\n- If some relevant information exists, set cannot_answer=false even if some requested concepts are missing; list those missing concepts in 'missing'.\n- Only set cannot_answer=true when NOTHING in the repo can help answer ANY part of the question. In that case answer='', references=[], trace=[], missing=[], and give a concise reason.\n- Provide at least one reference and list each file you drew from in 'sources'.\n- References excerpts must be exact substrings from the file content.\n- Keep the answer concise and scoped strictly to the repository contents.`;
+    const conversationNote = history.length ? '\n- Earlier turns of this conversation precede the latest question. Use them to resolve follow-ups (e.g. "that token"), but cite only files provided in the latest message.' : '';
+    const replayed = historyMessages(history);
+
+    // Build a detailed prompt that includes the question and the collected files
+    let prompt = `You are an expert code reviewer and software engineer. The user asked: "${question}"\n\n`;
+    prompt += 'Use the provided repository files to answer the question in depth. When referencing code, include file paths and short code snippets. If you trace a request or function across files, show the step-by-step trace. If you cannot find an answer in the provided files, be explicit about what is missing and where to look. Output ONLY valid JSON matching the schema given in the system message.\n\n';
+
+    // Whatever the model's window leaves after the instructions, history and reply goes to files
+    const counter = tokenCounter(chatModel);
+    const window = contextWindow(chatModel);
+    const fixed = counter.count(systemMsg + conversationNote) + counter.count(prompt) + replayed.reduce((n, m) => n + counter.count(m.content) + 4, 0) + 64;
+    const budget = Math.min(CONTEXT_MAX_TOKENS, window - WALKTHROUGH_MAX_TOKENS - fixed);
+    if (budget < 500) {
+      throw new Error(`The context window of ${chatModel} (${window} tokens) leaves no room for repository files; set LLM_CONTEXT_TOKENS if the model accepts more`);
+    }
+
+    send('log', { message: `Fetching repository tree and source files (context budget ${budget} tokens for ${chatModel})` });
+    // Follow-ups ("where is that token validated?") lean on the previous question for retrieval
+    const previous = history.length ? history[history.length - 1].question : '';
+    const retrievalQuery = previous ? `${previous}\n${question}` : question;
+    const filesData = await stage('retrieval', () => fetchRepoTreeAndFiles(provider, { ref: sha, budget, counter, model: chatModel, boostPaths, signal }, (m)=>send('log',{message:m, commit: sha}), retrievalQuery));
+
+    // Early exit if no files were fetched (rate limit, private repo, invalid URL, etc.)
+    if (!filesData.files || filesData.files.length === 0) {
+      send('log', { message: 'No repository files fetched; cannot produce walkthrough.' });
+      const reason = `No files could be fetched from ${provider.kind} (possible 403 rate limit, missing access token for private repo, or invalid repository). Configure the token (e.g. GITHUB_TOKEN) and try again.`;
+      return { walkthrough: { answer: '', references: [], trace: [], sources: [], missing: [], cannot_answer: true, reason }, files: [] };
+    }
+
+    const areas = filesData.plan && filesData.plan.areas;
+    if (areas) {
+      prompt += `Repository map (a summary of every area; the files below come mostly from the areas marked "selected"):\n${renderAreaMap(areas)}\n\n`;
+    }
+    prompt += 'Repository files:\n';
+    for (const f of filesData.files) {
+      const label = f.partial ? ` (excerpts: lines ${f.ranges.map(r => r.join('-')).join(', ')})` : '';
+      prompt += `--- ${f.path}${label}\n${f.content}\n\n`;
+    }
+    if (filesData.imports.length) prompt += renderImports(filesData.imports, counter);
+
+    send('log', { message: `Sending data to ${llm.name} (${chatModel}) for walkthrough answer` });
+
+    // Schema-valid by construction (see lib/llm/structured.js); what's left is grounding
+    let answer = jsonFieldStreamer('answer', (text) => send('delta', { field: 'answer', text }));
+    const completion = await stage('llm', () => completeStructured(llm, {
+      model: chatModel,
+      messages: [{ role: 'system', content: systemMsg + conversationNote }, ...replayed, { role: 'user', content: prompt }],
+      maxTokens: WALKTHROUGH_MAX_TOKENS,
+      temperature: 0.0,
+      schema: schemas.Walkthrough,
+      repairAttempts: LLM_REPAIR_ATTEMPTS,
+      onRepair: (errors, attempt) => {
+        send('log', { message: `Walkthrough did not match the schema (${errors.length} error(s)); asking ${llm.name} to repair it (attempt ${attempt}/${LLM_REPAIR_ATTEMPTS})` });
+        answer = jsonFieldStreamer('answer', (text) => send('delta', { field: 'answer', text }));
+        send('delta', { field: 'answer', reset: true });
+      },
+      onDelta: (delta) => answer.push(delta),
+      signal
+    }));
+    const json = completion.value;
+
+    const availablePaths = new Set(filesData.files.map(f => f.path));
+    const allFetched = filesData.files.map(f => f.path);
+
+    // Filter sources not among the provided files
+    json.sources = json.sources.filter(s => availablePaths.has(s));
+    // Filter references to files that weren't provided
+    json.references = json.references.filter(r => availablePaths.has(r.path));
+
+    // Auto-populate sources if empty but we have fetched files
+    if (json.sources.length === 0 && allFetched.length > 0 && json.cannot_answer !== true) {
+      json.sources = allFetched.slice(0, Math.min(5, allFetched.length));
+    }
+
+    // Check every excerpt against the whole file at this commit, pinning it to line numbers
+    const fileByPath = new Map(filesData.files.map(f => [f.path, f]));
+    const verified = await stage('verify', () => verifyReferences(
+      json.references,
+      async (path) => {
+        const f = fileByPath.get(path);
+        if (f && !f.partial) return f.content;
+        try {
+          return await provider.readFile(path, sha);
+        } catch (err) {
+          if (isAbortError(err)) throw err;
+          return f ? f.content : null;
+        }
+      },
+      (path, start, end) => provider.permalink ? provider.permalink(path, sha, start, end) : null
+    ));
+    json.references = verified.references;
+    const corrected = verified.references.filter(r => r.match !== 'exact').length;
+    if (corrected || verified.dropped.length) {
+      send('log', { message: `References: ${corrected} excerpt(s) corrected to the file's text, ${verified.dropped.length} not found in the file and dropped${verified.dropped.length ? ` (${verified.dropped.map(r => r.path).join(', ')})` : ''}` });
+    }
+
+    // If references empty but sources exist, synthesize a simple reference (start of the first excerpt)
+    if (json.references.length === 0 && json.sources.length > 0 && json.cannot_answer !== true) {
+      const first = fileByPath.get(json.sources[0]);
+      if (first) {
+        const lines = (first.content || '').split('\n...\n')[0].split('\n').slice(0, 12);
+        const start = first.ranges && first.ranges.length ? first.ranges[0][0] : 1;
+        const end = start + lines.length - 1;
+        json.references.push({ path: first.path, excerpt: lines.join('\n'), start_line: start, end_line: end, permalink: provider.permalink ? provider.permalink(first.path, sha, start, end) : null, match: 'exact' });
+      }
+    }
+
+    // Decide final cannot_answer: only true if explicitly set OR still no references and answer is empty
+    if (json.cannot_answer === true || (json.references.length === 0 && (!json.answer || json.answer.trim()===''))) {
+      json.cannot_answer = true;
+      json.answer = '';
+      json.references = [];
+      json.trace = [];
+      json.missing = [];
+      if (!json.reason) json.reason = 'The information required to answer this question is not present in the provided repository files.';
+      send('log', { message: 'Walkthrough: no in-repo basis for answer (cannot_answer=true)' });
+      return { walkthrough: json, files: filesData.files, model: completion.model };
+    } else {
+      json.cannot_answer = false;
+    }
+
+    // Hallucination mitigation: detect file names mentioned in answer that were not fetched
+    const answerText = json.answer;
+    if (answerText) {
+      const fileLikeRegex = /[A-Za-z0-9_\-\.\/]+\.(?:js|jsx|ts|tsx|py|java|go|rb|php|rs|c|cpp|cs|json|md|html|css)/g;
+      const mentioned = Array.from(new Set(answerText.match(fileLikeRegex) || []));
+      const availablePaths = new Set(filesData.files.map(f => f.path));
+      const unknown = mentioned.filter(m => !availablePaths.has(m));
+      if (unknown.length > 0) {
+        // Remove paragraphs that solely describe unknown files
+        const paras = answerText.split(/\n\n+/);
+        const filteredParas = paras.filter(p => !unknown.some(u => p.includes(u)) || availablePaths.has(p.trim()));
+        let newAnswer = filteredParas.join('\n\n').trim();
+        if (!newAnswer) {
+          json.cannot_answer = false; // we still can provide partial high-level answer using existing files
+          newAnswer = 'Some requested components or files are not present in this repository.';
+        }
+        json.answer = newAnswer;
+        // Add unknown file concepts to missing (without duplicates, remove extensions to treat as concept?)
+        const additions = unknown.map(u => u.replace(/\.[^.]+$/, '')); // strip extension for concept tag
+        additions.forEach(a => { if (!json.missing.includes(a)) json.missing.push(a); });
+        // Add a short note in reason if reason empty
+        if (!json.reason) json.reason = 'Removed references to files not present in repository.';
+      }
+    }
+
+    send('log', { message: 'Walkthrough answer (repo-scoped) ready' });
+    return { walkthrough: json, files: filesData.files, model: completion.model };
+  }
+
+  // Earlier turns as chat messages, so follow-up questions can refer back to them
+  function historyMessages(history) {
+    const out = [];
+    for (const turn of history.slice(-SESSION_HISTORY_TURNS)) {
+      out.push({ role: 'user', content: turn.question });
+      const w = turn.walkthrough || {};
+      out.push({ role: 'assistant', content: JSON.stringify({ answer: w.answer || '', references: (w.references || []).map(r => ({ path: r.path })), missing: w.missing || [], cannot_answer: !!w.cannot_answer }) });
+    }
+    return out;
+  }
+
+  // One-shot walkthrough at a ref, shared by /api/walkthrough and walkthrough jobs
+  async function runRepoWalkthrough({ provider, ref: requestedRef, question, model, signal = null }, send) {
+    const { ref, sha } = await stage('resolve_ref', () => resolveRequestRef(provider, requestedRef));
+    send('log', { message: `Resolved ref ${ref} to commit ${sha}`, ref, commit: sha });
+    const result = await runWalkthrough({ provider, sha, question, model, signal }, send);
+    return { walkthrough: result.walkthrough, ref, commit: sha, model: result.model };
+  }
+
+  // Pull request review: the PR's diff first, then the changed files and the files around them
+  // (by retrieval and the module graph) at the head commit as context. Findings are checked to
+  // stay on the PR's files and hunks, and their references go through the same verification as
+  // walkthrough references. Shared by /api/review and review jobs; pr must be a valid PR URL.
+  async function runReview({ pr, model = null, signal = null }, send) {
+    if (!llm) throw new Error(`${LLM_NOT_CONFIGURED} pull request reviews.`);
+    const chatModel = model || llm.chatModel;
+    const target = parsePullRequestUrl(pr);
+    const provider = openProvider(target.repoUrl, { signal });
+    if (!provider.getPullRequest) throw new Error(`Pull request review is not supported for ${provider.kind} repositories`);
+
+    send('log', { message: `Fetching pull request #${target.number} from ${target.repoUrl}` });
+    const pull = await stage('fetch', () => provider.getPullRequest(target.number));
+    const sha = pull.head.sha;
+    send('log', { message: `Pull request #${pull.number} "${pull.title}": ${pull.files.length} file(s) changed, ${pull.head.ref} at ${sha.slice(0, 7)} into ${pull.base.ref}`, commit: sha });
+    const pullFiles = pull.files.map(f => ({ ...f, hunks: parsePatch(f.patch) }));
+    const pullView = { ...pull, files: pullFiles.map(({ patch, ...f }) => f) };
+    if (pullFiles.length === 0) {
+      const review = { summary: '', risk: 'low', files: [], cannot_review: true, reason: 'The pull request does not change any files.' };
+      return { review, pull: pullView, repo: target.repoUrl, commit: sha, model: chatModel };
+    }
+
+    const systemMsg = `You are a careful code reviewer. Review ONLY the changes in the pull request's diff; the repository files provided are context at the head commit.\nReturn ONLY valid JSON exactly matching the schema: ${schemaShape(schemas.Review.schema)}.\nGuidelines:\n- Add one entry to 'files' per changed file, with the path exactly as in its "=== path" line. Files with nothing to flag still get a one-sentence summary.\n- 'hunk' must be a hunk header copied from the diff (e.g. "@@ -12,6 +12,8 @@"), or null when a note is about the whole file.\n- 'risks' are concrete ways the change can break: bugs, regressions, unhandled errors, security or performance problems. Rate each one's severity.\n- 'missing_tests' are changed behaviours no test covers; use the test files listed in the message.\n- 'questions' are things the author should clarify before merging.\n- Do NOT invent problems. Empty arrays are fine.\n- Reference excerpts must be exact substrings of the provided repository files (the head version). Never cite removed lines or files that were not provided.\n- Set 'risk' to the most severe risk overall.\n- Only set cannot_review=true when the diff cannot be reviewed at all (e.g. only binary files), with a concise reason.`;
+    let header = `Pull request #${pull.number}: "${pull.title}" (${pull.head.ref} into ${pull.base.ref})\nDescription:\n${pull.body.trim() || '(none)'}\n\n`;
+
+    // Which tests the change touches, and which exist next to the changed code
+    const touched = new Set(pullFiles.filter(f => f.status !== 'removed').map(f => f.path));
+    let treePaths = [];
+    try {
+      treePaths = (await stage('fetch', () => provider.listTree(sha))).filter(t => t.type === 'blob').map(t => t.path);
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      send('log', { message: `Could not list the head commit's files: ${describeFetchError(err)}` });
+    }
+    const changedTests = pullFiles.filter(f => isTestPath(f.path)).map(f => f.path);
+    const testLines = [`Test files changed in this pull request: ${changedTests.join(', ') || 'none'}`];
+    for (const [p, tests] of relatedTests(Array.from(touched), treePaths)) {
+      testLines.push(`${p}: ${tests.length ? `existing tests ${tests.join(', ')}` : 'no test file found by name'}`);
+    }
+    header += `Tests:\n${testLines.join('\n')}\n\n`;
+
+    const counter = tokenCounter(chatModel);
+    const window = contextWindow(chatModel);
+    const fixed = counter.count(systemMsg) + counter.count(header) + 64;
+    const budget = Math.min(CONTEXT_MAX_TOKENS, window - REVIEW_MAX_TOKENS - fixed);
+    if (budget < 1000) {
+      throw new Error(`The context window of ${chatModel} (${window} tokens) leaves no room for the diff; set LLM_CONTEXT_TOKENS if the model accepts more`);
+    }
+
+    // The diff comes first; repository context gets what it leaves
+    const diff = renderDiff(pullFiles, { counter, budget: Math.floor(budget * REVIEW_DIFF_SHARE) });
+    if (diff.omitted.length) send('log', { message: `Diff: ${diff.omitted.length} file(s) left out over the budget (${diff.omitted.join(', ')})` });
+    const contextBudget = budget - diff.tokens;
+    let filesData = { files: [], imports: [] };
+    if (contextBudget >= 500 && touched.size) {
+      send('log', { message: `Fetching the changed files and related context at ${sha.slice(0, 7)} (context budget ${contextBudget} tokens for ${chatModel})` });
+      const query = [pull.title, pull.body, ...touched].join('\n');
+      filesData = await stage('retrieval', () => fetchRepoTreeAndFiles(provider, { ref: sha, budget: contextBudget, counter, model: chatModel, boostPaths: touched, boostWeight: REVIEW_CHANGED_FILE_BOOST, signal }, (m) => send('log', { message: m, commit: sha }), query));
+    }
+
+    let prompt = header;
+    prompt += `Diff (one "=== path (status, +added -removed)" block per changed file; lines starting with + were added, - removed):\n${diff.text}\n\n`;
+    prompt += 'Repository files at the head commit (context for the review; cite these):\n';
+    for (const f of filesData.files) {
+      const label = f.partial ? ` (excerpts: lines ${f.ranges.map(r => r.join('-')).join(', ')})` : '';
+      prompt += `--- ${f.path}${label}\n${f.content}\n\n`;
+    }
+    if (filesData.imports.length) prompt += renderImports(filesData.imports, counter);
+
+    send('log', { message: `Sending the diff to ${llm.name} (${chatModel}) for review` });
+    let summary = jsonFieldStreamer('summary', (text) => send('delta', { field: 'summary', text }));
+    const completion = await stage('llm', () => completeStructured(llm, {
+      model: chatModel,
+      messages: [{ role: 'system', content: systemMsg }, { role: 'user', content: prompt }],
+      maxTokens: REVIEW_MAX_TOKENS,
+      temperature: 0.0,
+      schema: schemas.Review,
+      repairAttempts: LLM_REPAIR_ATTEMPTS,
+      onRepair: (errors, attempt) => {
+        send('log', { message: `Review did not match the schema (${errors.length} error(s)); asking ${llm.name} to repair it (attempt ${attempt}/${LLM_REPAIR_ATTEMPTS})` });
+        summary = jsonFieldStreamer('summary', (text) => send('delta', { field: 'summary', text }));
+        send('delta', { field: 'summary', reset: true });
+      },
+      onDelta: (delta) => summary.push(delta),
+      signal
+    }));
+
+    const checked = checkReview(completion.value, pullFiles);
+    const review = checked.review;
+    if (checked.droppedFiles.length || checked.unmatchedHunks) {
+      send('log', { message: `Review: ${checked.droppedFiles.length} entry(ies) for files the pull request doesn't change dropped${checked.droppedFiles.length ? ` (${checked.droppedFiles.join(', ')})` : ''}, ${checked.unmatchedHunks} finding(s) with an unknown hunk kept as whole-file notes` });
+    }
+    if (review.cannot_review) {
+      review.files = [];
+      if (!review.reason) review.reason = 'The model could not review this diff.';
+      send('log', { message: 'Review: nothing reviewable in the diff (cannot_review=true)' });
+      return { review, pull: pullView, repo: target.repoUrl, commit: sha, model: completion.model };
+    }
+
+    // References may cite the provided files and the changed files, checked at the head commit
+    const fileByPath = new Map(filesData.files.map(f => [f.path, f]));
+    const allowed = new Set([...fileByPath.keys(), ...touched]);
+    const reads = new Map();
+    const readFile = (path) => {
+      if (!reads.has(path)) {
+        const f = fileByPath.get(path);
+        reads.set(path, f && !f.partial ? Promise.resolve(f.content) : provider.readFile(path, sha).catch((err) => {
+          if (isAbortError(err)) throw err;
+          return f ? f.content : null;
+        }));
+      }
+      return reads.get(path);
+    };
+    let corrected = 0;
+    let dropped = 0;
+    for (const file of review.files) {
+      for (const note of [...file.risks, ...file.missing_tests, ...file.questions]) {
+        const cited = note.references.filter(r => allowed.has(r.path));
+        const verified = await stage('verify', () => verifyReferences(cited, readFile, (path, start, end) => provider.permalink ? provider.permalink(path, sha, start, end) : null));
+        dropped += note.references.length - verified.references.length;
+        corrected += verified.references.filter(r => r.match !== 'exact').length;
+        note.references = verified.references;
+      }
+    }
+    if (corrected || dropped) {
+      send('log', { message: `References: ${corrected} excerpt(s) corrected to the file's text, ${dropped} not among the provided files or not found in the file and dropped` });
+    }
+
+    const count = (k) => review.files.reduce((n, f) => n + f[k].length, 0);
+    send('log', { message: `Review ready: ${review.files.length} file(s), ${count('risks')} risk(s), ${count('missing_tests')} missing test(s), ${count('questions')} question(s)` });
+    return { review, pull: pullView, repo: target.repoUrl, commit: sha, model: completion.model };
+  }
+
+  // Comparison of two snapshots: a fork and its upstream, or two refs of one repository. Both
+  // sides are analysed as usual, the file, dependency and language differences are computed from
+  // their trees and manifests (lib/compare.js), and the model summarizes them with references
+  // into either side, verified like walkthrough references. Shared by /api/compare and compare jobs.
+  async function runCompare({ base, head, model = null, signal = null }, send) {
+    if (!llm) throw new Error(`${LLM_NOT_CONFIGURED} comparisons.`);
+    const chatModel = model || llm.chatModel;
+    // One side failing cancels the other's upstream fetches and LLM call
+    const controller = new AbortController();
+    const shared = signal ? AbortSignal.any([signal, controller.signal]) : controller.signal;
+    const bothSides = (work) => Promise.all(['base', 'head'].map(async (side) => {
+      try {
+        await work(side);
+      } catch (err) {
+        controller.abort(err);
+        throw err;
+      }
+    }));
+    // Only the logs; each side's summary arrives with the result
+    const tagged = (side) => (event, data) => { if (event === 'log') send('log', { ...data, message: `[${side}] ${data.message}`, side }); };
+    const view = (s) => ({ repo: s.repo, ref: s.ref, commit: s.commit, analysis: s.analysis });
+
+    // Both refs first: the same commit on both sides needs no analysis
+    const sides = {};
+    await bothSides(async (side) => {
+      const { repo, ref } = side === 'base' ? base : head;
+      const provider = openProvider(repo, { signal: shared });
+      const resolved = await stage('resolve_ref', () => resolveRequestRef(provider, ref));
+      tagged(side)('log', { message: `Resolved ref ${resolved.ref} to commit ${resolved.sha}`, ref: resolved.ref, commit: resolved.sha });
+      sides[side] = { repo, provider, ref: resolved.ref, commit: resolved.sha, analysis: null };
+    });
+    const b = sides.base;
+    const h = sides.head;
+    if (b.provider.kind === h.provider.kind && b.provider.id === h.provider.id && b.commit === h.commit) {
+      send('log', { message: `Both sides are commit ${b.commit}; nothing to compare` });
+      const tree = await stage('fetch', () => b.provider.listTree(b.commit));
+      const comparison = { summary: '', highlights: [], cannot_compare: true, reason: `Both sides are commit ${b.commit}.` };
+      return { comparison, base: view(b), head: view(h), files: diffTrees(tree, tree), dependencies: diffDependencies(null, null), languages: languageShift(tree, tree), model: chatModel };
+    }
+
+    await bothSides(async (side) => {
+      const s = sides[side];
+      const result = await runAnalysis({ repo: s.repo, provider: s.provider, ref: s.ref, commit: s.commit, model: chatModel, signal: shared }, tagged(side));
+      s.analysis = result.analysis;
+      s.tree = await stage('fetch', () => s.provider.listTree(s.commit));
+    });
+
+    const files = diffTrees(b.tree, h.tree);
+    const dependencies = diffDependencies(b.analysis.dependencies, h.analysis.dependencies);
+    const languages = languageShift(b.tree, h.tree);
+    const c = files.counts;
+    send('log', { message: `Differences: ${c.added} added, ${c.removed} removed, ${c.changed} changed and ${c.renamed} renamed file(s), ${dependencies.dependencies.length} dependency change(s)` });
+
+    const systemMsg = `You compare two snapshots of a codebase: the base and the head. Use ONLY the facts and files provided in the user's message.\nReturn ONLY valid JSON exactly matching the schema: ${schemaShape(schemas.Comparison.schema)}.\nGuidelines:\n- 'summary' explains how the head differs from the base overall: purpose, architecture, features, dependencies and languages.\n- Each highlight is one notable difference (a new subsystem, a replaced framework, removed functionality, a changed API...), most important first.\n- The computed differences are facts; do not contradict them or invent others.\n- References name their side ("base" or "head") and a path provided for that side, and their excerpts must be exact substrings of that side's file.\n- Only set cannot_compare=true when nothing meaningful differs, with a concise reason.`;
+    const analysisText = (a) => JSON.stringify({ project_summary: a.project_summary, primary_languages: a.primary_languages, key_frameworks: a.key_frameworks, possible_use_cases: a.possible_use_cases, difficulty_rating: a.difficulty_rating });
+    let prompt = `Base: ${b.repo} at ${b.ref} (${b.commit})\nHead: ${h.repo} at ${h.ref} (${h.commit})\n\n`;
+    prompt += `Base analysis: ${analysisText(b.analysis)}\nHead analysis: ${analysisText(h.analysis)}\n\n`;
+    prompt += `Computed differences:\n${describeChanges({ files, dependencies, languages })}\n\n`;
+
+    const counter = tokenCounter(chatModel);
+    const window = contextWindow(chatModel);
+    const budget = Math.min(CONTEXT_MAX_TOKENS, window - COMPARE_MAX_TOKENS - counter.count(systemMsg) - counter.count(prompt) - 64);
+    if (budget < 0) {
+      throw new Error(`The context window of ${chatModel} (${window} tokens) can't hold the differences; set LLM_CONTEXT_TOKENS if the model accepts more`);
+    }
+
+    // The start of the most telling changed files, from each side they exist on
+    const provided = { base: new Map(), head: new Map() };
+    const blocks = [];
+    let used = 0;
+    for (const { path, sides: on } of excerptCandidates(files, b.tree, h.tree).slice(0, COMPARE_MAX_FILES)) {
+      if (budget - used < 200) break;
+      for (const side of on) {
+        const s = sides[side];
+        let content = null;
+        try {
+          content = await stage('fetch', () => s.provider.readFile(path, s.commit));
+        } catch (err) {
+          if (isAbortError(err)) throw err;
+        }
+        if (content === null) continue;
+        const lines = content.split('\n');
+        const label = lines.length > COMPARE_EXCERPT_LINES ? `${side}, lines 1-${COMPARE_EXCERPT_LINES} of ${lines.length}` : side;
+        const block = `--- ${path} (${label})\n${lines.slice(0, COMPARE_EXCERPT_LINES).join('\n')}\n\n`;
+        const cost = counter.count(block);
+        if (used + cost > budget) continue;
+        used += cost;
+        blocks.push(block);
+        provided[side].set(path, content);
+      }
+    }
+    if (blocks.length) {
+      prompt += `Files from both sides (cite them with their side):\n${blocks.join('')}`;
+      send('log', { message: `Context: ${provided.base.size} base and ${provided.head.size} head file(s) (${used} of ${budget} tokens, ${counter.encoding})` });
+    }
+
+    send('log', { message: `Sending the differences to ${llm.name} (${chatModel}) for a summary` });
+    let summary = jsonFieldStreamer('summary', (text) => send('delta', { field: 'summary', text }));
+    const completion = await stage('llm', () => completeStructured(llm, {
+      model: chatModel,
+      messages: [{ role: 'system', content: systemMsg }, { role: 'user', content: prompt }],
+      maxTokens: COMPARE_MAX_TOKENS,
+      temperature: 0.1,
+      schema: schemas.Comparison,
+      repairAttempts: LLM_REPAIR_ATTEMPTS,
+      onRepair: (errors, attempt) => {
+        send('log', { message: `Comparison did not match the schema (${errors.length} error(s)); asking ${llm.name} to repair it (attempt ${attempt}/${LLM_REPAIR_ATTEMPTS})` });
+        summary = jsonFieldStreamer('summary', (text) => send('delta', { field: 'summary', text }));
+        send('delta', { field: 'summary', reset: true });
+      },
+      onDelta: (delta) => summary.push(delta),
+      signal
+    }));
+
+    // References must cite a file provided for their side, checked against that side's commit
+    const comparison = completion.value;
+    let corrected = 0;
+    let dropped = 0;
+    for (const highlight of comparison.highlights) {
+      const references = [];
+      for (const side of ['base', 'head']) {
+        const s = sides[side];
+        const cited = highlight.references.filter(r => r.side === side && provided[side].has(r.path)).map(({ path, excerpt }) => ({ path, excerpt }));
+        const verified = await stage('verify', () => verifyReferences(cited, async (path) => provided[side].get(path), (path, start, end) => s.provider.permalink ? s.provider.permalink(path, s.commit, start, end) : null));
+        references.push(...verified.references.map(r => ({ side, ...r })));
+      }
+      dropped += highlight.references.length - references.length;
+      corrected += references.filter(r => r.match !== 'exact').length;
+      highlight.references = references;
+    }
+    if (corrected || dropped) {
+      send('log', { message: `References: ${corrected} excerpt(s) corrected to the file's text, ${dropped} not among the provided files or not found in the file and dropped` });
+    }
+    if (comparison.cannot_compare) {
+      comparison.highlights = [];
+      if (!comparison.reason) comparison.reason = 'No meaningful differences were found.';
+    }
+
+    send('log', { message: `Comparison ready: ${comparison.highlights.length} highlight(s)` });
+    return { comparison, base: view(b), head: view(h), files, dependencies, languages, model: completion.model };
+  }
+
+  return {
+    llm,
+    resolveChatModel,
+    indexEmbedder,
+    openProvider,
+    fetchRepoContents,
+    snapshotSelection,
+    readSnapshotFiles,
+    snapshotGraph,
+    fetchRepoTreeAndFiles,
+    runAnalysis,
+    runWalkthrough,
+    runRepoWalkthrough,
+    runReview,
+    runCompare
+  };
+}
+
+module.exports = { createPipelines, LLM_NOT_CONFIGURED };
@@ -0,0 +1,100 @@
+const { axiosGetWithRetry, encodePath } = require('../http');
+
+const bitbucketApiUrl = (env = process.env) => (env.BITBUCKET_API_URL || 'https://api.bitbucket.org/2.0').replace(/\/+$/, '');
+
+function createBitbucketProvider({ workspace, repo, token = process.env.BITBUCKET_TOKEN, apiBase = bitbucketApiUrl(), signal = null }) {
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  const base = `${apiBase}/repositories/${workspace}/${repo}`;
+  let repository = null;
+
+  async function getRepository() {
+    if (!repository) repository = (await axiosGetWithRetry(base, { headers, signal })).data;
+    return repository;
+  }
+
+  async function readRaw(path, ref) {
+    try {
+      const r = await axiosGetWithRetry(`${base}/src/${encodeURIComponent(ref)}/${path.split('/').map(encodeURIComponent).join('/')}`, { headers, signal, responseType: 'text', transformResponse: [d => d] });
+      return typeof r.data === 'string' ? r.data : String(r.data);
+    } catch (err) {
+      if (err.response && err.response.status === 404) return null;
+      throw err;
+    }
+  }
+
+  const webUrl = `https://bitbucket.org/${workspace}/${repo}`;
+
+  return {
+    kind: 'bitbucket',
+    owner: workspace,
+    repo,
+    id: `${workspace}/${repo}`,
+    webUrl,
+
+    permalink(path, sha, startLine, endLine) {
+      const lines = startLine ? `#lines-${startLine}${endLine && endLine !== startLine ? `:${endLine}` : ''}` : '';
+      return `${webUrl}/src/${sha}/${encodePath(path)}${lines}`;
+    },
+
+    async getDefaultBranch() {
+      const r = await getRepository();
+      return r.mainbranch?.name || 'main';
+    },
+
+    async resolveRef(ref) {
+      const r = await axiosGetWithRetry(`${base}/commit/${encodeURIComponent(ref)}`, { headers, signal });
+      return r.data.hash;
+    },
+
+    async listRefs() {
+      const [branches, tags] = await Promise.all([
+        axiosGetWithRetry(`${base}/refs/branches?pagelen=100`, { headers, signal }),
+        axiosGetWithRetry(`${base}/refs/tags?pagelen=100`, { headers, signal })
+      ]);
+      const toRef = (b) => ({ name: b.name, sha: b.target?.hash });
+      return { branches: (branches.data.values || []).map(toRef), tags: (tags.data.values || []).map(toRef) };
+    },
+
+    async listTree(ref) {
+      // Directory listings are paginated; max_depth makes them recursive
+      const out = [];
+      let next = `${base}/src/${encodeURIComponent(ref)}/?max_depth=50&pagelen=100`;
+      while (next) {
+        const r = await axiosGetWithRetry(next, { headers, signal });
+        for (const v of r.data.values || []) {
+          // Bitbucket doesn't expose blob ids in listings
+          out.push({ path: v.path, type: v.type === 'commit_directory' ? 'tree' : 'blob', size: v.size, sha: undefined });
+        }
+        next = r.data.next || null;
+      }
+      return out;
+    },
+
+    readFile: readRaw,
+
+    async getReadme(ref) {
+      const branch = ref || await this.getDefaultBranch();
+      for (const name of ['README.md', 'README.rst', 'README.txt', 'README']) {
+        try {
+          const content = await readRaw(name, branch);
+          if (content !== null) return content;
+        } catch (err) {
+          return null;
+        }
+      }
+      return null;
+    },
+
+    async getLanguages() {
+      // Bitbucket only records a single, user-declared language per repository
+      try {
+        const r = await getRepository();
+        return r.language ? [r.language] : [];
+      } catch (err) {
+        return null;
+      }
+    }
+  };
+}
+
+module.exports = { createBitbucketProvider };
@@ -0,0 +1,162 @@
+const { axiosGetWithRetry, conditionalGet, encodePath } = require('../http');
+const { readTarEntries } = require('../tar');
+
+const githubApiUrl = (env = process.env) => (env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+
+// Helper to build GitHub headers with version + auth
+function buildGitHubHeaders(token) {
+  const headers = {
+    'Accept': 'application/vnd.github+json',
+    'X-GitHub-Api-Version': '2022-11-28'
+  };
+  if (token) headers.Authorization = `token ${token}`;
+  return headers;
+}
+
+function decodeContent(data) {
+  if (!data || typeof data.content !== 'string') return null;
+  return Buffer.from(data.content, data.encoding || 'base64').toString('utf8');
+}
+
+// Tarballs larger than this are not downloaded (bytes)
+const tarballMaxBytes = (env = process.env) => parseInt(env.SNAPSHOT_TARBALL_MAX_BYTES || String(100 * 1024 * 1024), 10);
+
+// GitHub lists at most 3000 changed files per pull request, 100 per page
+const PULL_FILES_MAX_PAGES = 30;
+
+// httpCache (optional) enables ETag revalidation of the repo, commit and tree calls
+function createGitHubProvider({ owner, repo, token = process.env.GITHUB_TOKEN, apiBase = githubApiUrl(), httpCache = null, signal = null }) {
+  const headers = buildGitHubHeaders(token);
+  const base = `${apiBase}/repos/${owner}/${repo}`;
+  const withRef = (ref) => ref ? `?ref=${encodeURIComponent(ref)}` : '';
+
+  const webUrl = `https://github.com/${owner}/${repo}`;
+
+  return {
+    kind: 'github',
+    owner,
+    repo,
+    id: `${owner}/${repo}`,
+    webUrl,
+
+    // Commit-pinned link to a line range
+    permalink(path, sha, startLine, endLine) {
+      const lines = startLine ? `#L${startLine}${endLine && endLine !== startLine ? `-L${endLine}` : ''}` : '';
+      return `${webUrl}/blob/${sha}/${encodePath(path)}${lines}`;
+    },
+
+    async getDefaultBranch() {
+      const repoRes = await conditionalGet(base, { headers, signal }, httpCache);
+      return repoRes.data.default_branch || 'main';
+    },
+
+    // Resolve a branch, tag or (short) commit SHA to the full commit SHA
+    async resolveRef(ref) {
+      const r = await conditionalGet(`${base}/commits/${encodeURIComponent(ref)}`, { headers, signal }, httpCache);
+      return r.data.sha;
+    },
+
+    async listRefs() {
+      const [branches, tags] = await Promise.all([
+        axiosGetWithRetry(`${base}/branches?per_page=100`, { headers, signal }),
+        axiosGetWithRetry(`${base}/tags?per_page=100`, { headers, signal })
+      ]);
+      const toRef = (b) => ({ name: b.name, sha: b.commit?.sha });
+      return { branches: (branches.data || []).map(toRef), tags: (tags.data || []).map(toRef) };
+    },
+
+    async listTree(ref) {
+      const treeRes = await conditionalGet(`${base}/git/trees/${encodeURIComponent(ref)}?recursive=1`, { headers, signal }, httpCache);
+      return (treeRes.data.tree || []).map(t => ({ path: t.path, type: t.type, size: t.size, sha: t.sha }));
+    },
+
+    // Whole snapshot in one request; entries are prefixed with "<owner>-<repo>-<sha>/"
+    async downloadSnapshot(ref) {
+      const r = await axiosGetWithRetry(`${base}/tarball/${encodeURIComponent(ref)}`, { headers, signal, responseType: 'arraybuffer', maxContentLength: tarballMaxBytes() });
+      return readTarEntries(Buffer.from(r.data)).map(e => ({ path: e.path.split('/').slice(1).join('/'), content: e.content })).filter(e => e.path);
+    },
+
+    async readFile(path, ref) {
+      try {
+        const fileRes = await axiosGetWithRetry(`${base}/contents/${encodeURIComponent(path)}${withRef(ref)}`, { headers, signal });
+        return decodeContent(fileRes.data);
+      } catch (err) {
+        if (err.response && err.response.status === 404) return null;
+        throw err;
+      }
+    },
+
+    async getReadme(ref) {
+      try {
+        const readmeRes = await axiosGetWithRetry(`${base}/readme${withRef(ref)}`, { headers, signal });
+        return decodeContent(readmeRes.data);
+      } catch (err) {
+        return null;
+      }
+    },
+
+    // Pull request metadata and its changed files. `patch` is the file's unified diff hunks;
+    // GitHub leaves it out for binary files and very large diffs.
+    async getPullRequest(number) {
+      const pr = (await axiosGetWithRetry(`${base}/pulls/${number}`, { headers, signal })).data;
+      const files = [];
+      for (let page = 1; page <= PULL_FILES_MAX_PAGES; page++) {
+        const r = await axiosGetWithRetry(`${base}/pulls/${number}/files?per_page=100&page=${page}`, { headers, signal });
+        files.push(...(r.data || []));
+        if (!r.data || r.data.length < 100) break;
+      }
+      return {
+        number: pr.number,
+        title: pr.title || '',
+        body: pr.body || '',
+        state: pr.state,
+        url: pr.html_url || `${webUrl}/pull/${number}`,
+        author: pr.user ? pr.user.login : null,
+        base: { ref: pr.base.ref, sha: pr.base.sha },
+        head: { ref: pr.head.ref, sha: pr.head.sha },
+        files: files.map(f => ({
+          path: f.filename,
+          previous_path: f.previous_filename || null,
+          status: f.status,
+          additions: f.additions || 0,
+          deletions: f.deletions || 0,
+          patch: typeof f.patch === 'string' ? f.patch : null
+        }))
+      };
+    },
+
+    async getLanguages() {
+      try {
+        const langRes = await axiosGetWithRetry(`${base}/languages`, { headers, signal });
+        return Object.keys(langRes.data || {});
+      } catch (err) {
+        return null;
+      }
+    }
+  };
+}
+
+// An organization's repositories (org) or a user's (user), 100 per page:
+// [{ full_name, url, default_branch, description, fork, archived, private }]
+async function listGitHubRepos({ org = null, user = null, token = process.env.GITHUB_TOKEN, apiBase = githubApiUrl(), signal = null }) {
+  if (!org === !user) throw new Error('give an organization or a user');
+  const headers = buildGitHubHeaders(token);
+  const url = org ? `${apiBase}/orgs/${encodeURIComponent(org)}/repos?type=all` : `${apiBase}/users/${encodeURIComponent(user)}/repos?type=owner`;
+  const repos = [];
+  for (let page = 1; ; page++) {
+    const r = await axiosGetWithRetry(`${url}&per_page=100&page=${page}`, { headers, signal });
+    repos.push(...(r.data || []));
+    if (!r.data || r.data.length < 100) break;
+  }
+  return repos.map(r => ({
+    full_name: r.full_name,
+    url: r.html_url || `https://github.com/${r.full_name}`,
+    default_branch: r.default_branch || null,
+    description: r.description || null,
+    fork: !!r.fork,
+    archived: !!r.archived,
+    private: !!r.private
+  }));
+}
+
+module.exports = { createGitHubProvider, listGitHubRepos, buildGitHubHeaders, githubApiUrl };
@@ -0,0 +1,94 @@
+const { axiosGetWithRetry, encodePath } = require('../http');
+
+function createGitLabProvider({ host = 'gitlab.com', projectPath, token = process.env.GITLAB_TOKEN, apiBase, signal = null }) {
+  const headers = token ? { 'PRIVATE-TOKEN': token } : {};
+  const base = `${apiBase || `https://${host}/api/v4`}/projects/${encodeURIComponent(projectPath)}`;
+  const parts = projectPath.split('/');
+  let project = null;
+
+  async function getProject() {
+    if (!project) project = (await axiosGetWithRetry(base, { headers, signal })).data;
+    return project;
+  }
+
+  async function readRaw(path, ref) {
+    try {
+      const refQuery = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+      const r = await axiosGetWithRetry(`${base}/repository/files/${encodeURIComponent(path)}/raw${refQuery}`, { headers, signal, responseType: 'text', transformResponse: [d => d] });
+      return typeof r.data === 'string' ? r.data : String(r.data);
+    } catch (err) {
+      if (err.response && err.response.status === 404) return null;
+      throw err;
+    }
+  }
+
+  const webUrl = `https://${host}/${projectPath}`;
+
+  return {
+    kind: 'gitlab',
+    owner: parts.slice(0, -1).join('/'),
+    repo: parts[parts.length - 1],
+    id: projectPath,
+    webUrl,
+
+    permalink(path, sha, startLine, endLine) {
+      const lines = startLine ? `#L${startLine}${endLine && endLine !== startLine ? `-${endLine}` : ''}` : '';
+      return `${webUrl}/-/blob/${sha}/${encodePath(path)}${lines}`;
+    },
+
+    async getDefaultBranch() {
+      const p = await getProject();
+      return p.default_branch || 'main';
+    },
+
+    async resolveRef(ref) {
+      const r = await axiosGetWithRetry(`${base}/repository/commits/${encodeURIComponent(ref)}`, { headers, signal });
+      return r.data.id;
+    },
+
+    async listRefs() {
+      const [branches, tags] = await Promise.all([
+        axiosGetWithRetry(`${base}/repository/branches?per_page=100`, { headers, signal }),
+        axiosGetWithRetry(`${base}/repository/tags?per_page=100`, { headers, signal })
+      ]);
+      const toRef = (b) => ({ name: b.name, sha: b.commit?.id });
+      return { branches: (branches.data || []).map(toRef), tags: (tags.data || []).map(toRef) };
+    },
+
+    async listTree(ref) {
+      // The tree endpoint is paginated; follow x-next-page until exhausted
+      const out = [];
+      let page = '1';
+      while (page) {
+        const r = await axiosGetWithRetry(`${base}/repository/tree?recursive=true&per_page=100&page=${page}&ref=${encodeURIComponent(ref)}`, { headers, signal });
+        for (const t of r.data || []) out.push({ path: t.path, type: t.type, size: undefined, sha: t.id });
+        page = r.headers?.['x-next-page'] || '';
+      }
+      return out;
+    },
+
+    readFile: readRaw,
+
+    async getReadme(ref) {
+      try {
+        const p = await getProject();
+        const name = p.readme_url ? p.readme_url.split('/').pop() : 'README.md';
+        return await readRaw(name, ref || p.default_branch);
+      } catch (err) {
+        return null;
+      }
+    },
+
+    async getLanguages() {
+      try {
+        const r = await axiosGetWithRetry(`${base}/languages`, { headers, signal });
+        // GitLab returns percentages; order by share like GitHub does by bytes
+        return Object.entries(r.data || {}).sort((a, b) => b[1] - a[1]).map(([lang]) => lang);
+      } catch (err) {
+        return null;
+      }
+    }
+  };
+}
+
+module.exports = { createGitLabProvider };
@@ -0,0 +1,110 @@
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { createGitHubProvider } = require('./github');
+const { createGitLabProvider } = require('./gitlab');
+const { createBitbucketProvider } = require('./bitbucket');
+const { createLocalProvider } = require('./local');
+
+// Self-hosted GitLab instances, e.g. GITLAB_HOSTS=gitlab.example.com,git.corp.local
+function gitlabHosts(env = process.env) {
+  return ['gitlab.com'].concat((env.GITLAB_HOSTS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean));
+}
+
+// Work out which source a repo string points at. Returns null when unrecognized.
+// Browser URLs that pin a ref (github.com/o/r/tree/<ref>, gitlab .../-/tree/<ref>,
+// bitbucket .../src/<ref>) carry it through as `ref`.
+function parseRepoUrl(input) {
+  const raw = String(input || '').trim();
+  if (!raw) return null;
+
+  if (/^file:\/\//i.test(raw)) {
+    try { return { kind: 'local', dir: fileURLToPath(raw) }; } catch (err) { return null; }
+  }
+  if (path.isAbsolute(raw) && !/^\/\//.test(raw)) return { kind: 'local', dir: raw };
+
+  let url;
+  try {
+    url = new URL(/^[a-z]+:\/\//i.test(raw) ? raw : `https://${raw}`);
+  } catch (err) {
+    return null;
+  }
+  const host = url.hostname.toLowerCase();
+  const segments = url.pathname.split('/').filter(Boolean);
+  const stripGit = (s) => s.replace(/\.git$/i, '');
+  // Branch names may contain slashes, so everything after tree/ is taken as the ref
+  const decodeRef = (rest) => rest.length ? rest.map(decodeURIComponent).join('/') : null;
+
+  if (host === 'github.com' || host === 'www.github.com') {
+    if (segments.length < 2) return null;
+    const ref = ['tree', 'commit'].includes(segments[2]) ? decodeRef(segments.slice(3)) : null;
+    return { kind: 'github', owner: segments[0], repo: stripGit(segments[1]), ref };
+  }
+  if (host === 'bitbucket.org' || host === 'www.bitbucket.org') {
+    if (segments.length < 2) return null;
+    const ref = ['src', 'branch', 'commits'].includes(segments[2]) ? decodeRef(segments.slice(3)) : null;
+    return { kind: 'bitbucket', workspace: segments[0], repo: stripGit(segments[1]), ref };
+  }
+  if (gitlabHosts().includes(host)) {
+    // Group paths can be nested; GitLab separates them from sub-pages with /-/
+    const dash = segments.indexOf('-');
+    const projectSegments = dash === -1 ? segments : segments.slice(0, dash);
+    if (projectSegments.length < 2) return null;
+    projectSegments[projectSegments.length - 1] = stripGit(projectSegments[projectSegments.length - 1]);
+    const ref = dash !== -1 && ['tree', 'commit'].includes(segments[dash + 1]) ? decodeRef(segments.slice(dash + 2)) : null;
+    return { kind: 'gitlab', host, projectPath: projectSegments.join('/'), ref };
+  }
+  return null;
+}
+
+// A pull request URL (github.com/<owner>/<repo>/pull/<n>, optionally with /files etc.) as
+// { repoUrl, number }; null for anything else
+function parsePullRequestUrl(input) {
+  let url;
+  try {
+    const raw = String(input || '').trim();
+    url = new URL(/^[a-z]+:\/\//i.test(raw) ? raw : `https://${raw}`);
+  } catch (err) {
+    return null;
+  }
+  const segments = url.pathname.split('/').filter(Boolean);
+  if (!['github.com', 'www.github.com'].includes(url.hostname.toLowerCase()) || segments[2] !== 'pull' || !/^\d+$/.test(segments[3] || '')) return null;
+  return { repoUrl: `https://github.com/${segments[0]}/${segments[1].replace(/\.git$/i, '')}`, number: parseInt(segments[3], 10) };
+}
+
+// Build a provider for a repo string; throws if the source is unsupported or not allowed.
+// opts.signal (AbortSignal) cancels every upstream request the provider makes.
+function resolveProvider(input, opts = {}) {
+  const signal = opts.signal || null;
+  const parsed = parseRepoUrl(input);
+  if (!parsed) throw new Error('unsupported repository url (expected GitHub, GitLab, Bitbucket or file:// path)');
+  let provider;
+  switch (parsed.kind) {
+    case 'github': provider = createGitHubProvider({ ...parsed, signal, ...opts.github }); break;
+    case 'gitlab': provider = createGitLabProvider({ ...parsed, signal, ...opts.gitlab }); break;
+    case 'bitbucket': provider = createBitbucketProvider({ ...parsed, signal, ...opts.bitbucket }); break;
+    case 'local': provider = createLocalProvider({ ...parsed, signal, ...opts.local }); break;
+    default: throw new Error(`unsupported repository source: ${parsed.kind}`);
+  }
+  provider.urlRef = parsed.ref || null;
+  return provider;
+}
+
+// Pin a request to one commit: an explicit ref wins over one embedded in the URL,
+// which wins over the default branch. Throws with status 404 for unknown refs.
+async function resolveRequestRef(provider, requested) {
+  const ref = requested || provider.urlRef || await provider.getDefaultBranch();
+  let sha;
+  try {
+    sha = await provider.resolveRef(ref);
+  } catch (err) {
+    if (err.response && (err.response.status === 404 || err.response.status === 422) || err.code === 128) {
+      const notFound = new Error(`unknown ref "${ref}" for ${provider.id}`);
+      notFound.status = 404;
+      throw notFound;
+    }
+    throw err;
+  }
+  return { ref, sha };
+}
+
+module.exports = { parseRepoUrl, parsePullRequestUrl, resolveProvider, resolveRequestRef };
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { isAbortError } = require('../http');
+
+// Repositories on disk are only served from explicitly allowed roots. Read when a provider is
+// opened, so a .env loaded after this module still applies.
+function localRepoRoots(env = process.env) {
+  return (env.LOCAL_REPO_ROOTS || '').split(',').map(s => s.trim()).filter(Boolean).map(p => path.resolve(p));
+}
+
+const EXT_LANGUAGES = {
+  '.js': 'JavaScript', '.jsx': 'JavaScript', '.mjs': 'JavaScript', '.cjs': 'JavaScript',
+  '.ts': 'TypeScript', '.tsx': 'TypeScript', '.py': 'Python', '.java': 'Java', '.go': 'Go',
+  '.rs': 'Rust', '.c': 'C', '.h': 'C', '.cpp': 'C++', '.hpp': 'C++', '.cs': 'C#', '.rb': 'Ruby',
+  '.php': 'PHP', '.kt': 'Kotlin', '.swift': 'Swift', '.scala': 'Scala', '.html': 'HTML',
+  '.css': 'CSS', '.scss': 'SCSS', '.vue': 'Vue', '.sh': 'Shell'
+};
+
+function git(root, args, opts = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', ['-C', root, ...args], { maxBuffer: 64 * 1024 * 1024, encoding: opts.encoding || 'utf8', signal: opts.signal || undefined }, (err, stdout) => {
+      if (err) return reject(err);
+      resolve(stdout);
+    });
+  });
+}
+
+const isInside = (p, dir) => p === dir || p.startsWith(dir + path.sep);
+
+function isAllowedRoot(dir) {
+  return localRepoRoots().some(r => isInside(dir, r));
+}
+
+// Resolve a repo-relative path, refusing anything that escapes the checkout, symlinks
+// included: the target's real path must be inside the root's
+async function resolveInside(root, rel) {
+  const full = path.resolve(root, rel);
+  if (!isInside(full, root)) return null;
+  const [real, realRoot] = await Promise.all([fs.promises.realpath(full), fs.promises.realpath(root)]);
+  return isInside(real, realRoot) ? real : null;
+}
+
+async function walk(root, dir = root, out = []) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  for (const e of entries) {
+    if (e.name === '.git') continue;
+    const full = path.join(dir, e.name);
+    const rel = path.relative(root, full).split(path.sep).join('/');
+    if (e.isDirectory()) {
+      out.push({ path: rel, type: 'tree' });
+      await walk(root, full, out);
+    } else if (e.isFile()) {
+      const stat = await fs.promises.stat(full);
+      out.push({ path: rel, type: 'blob', size: stat.size });
+    }
+  }
+  return out;
+}
+
+function createLocalProvider({ dir, signal = null }) {
+  const root = path.resolve(dir);
+  if (!isAllowedRoot(root)) {
+    throw new Error(`local repository ${root} is outside LOCAL_REPO_ROOTS`);
+  }
+  let isGit = null;
+  async function checkGit() {
+    if (isGit === null) {
+      try {
+        isGit = (await git(root, ['rev-parse', '--is-inside-work-tree'], { signal })).trim() === 'true';
+      } catch (err) {
+        isGit = false;
+      }
+    }
+    return isGit;
+  }
+
+  const provider = {
+    kind: 'local',
+    owner: path.basename(path.dirname(root)),
+    repo: path.basename(root),
+    id: root,
+    webUrl: null,
+
+    // No web UI to link to
+    permalink() {
+      return null;
+    },
+
+    async getDefaultBranch() {
+      if (!(await checkGit())) return 'HEAD';
+      try {
+        return (await git(root, ['rev-parse', '--abbrev-ref', 'HEAD'], { signal })).trim() || 'HEAD';
+      } catch (err) {
+        return 'HEAD';
+      }
+    },
+
+    // Plain directories have no history; their only "commit" is the working tree
+    async resolveRef(ref) {
+      if (!(await checkGit())) return 'WORKTREE';
+      return (await git(root, ['rev-parse', '--verify', `${ref || 'HEAD'}^{commit}`], { signal })).trim();
+    },
+
+    async listRefs() {
+      if (!(await checkGit())) return { branches: [], tags: [] };
+      const out = await git(root, ['for-each-ref', '--format=%(refname)%09%(objectname)%09%(*objectname)', 'refs/heads', 'refs/tags'], { signal });
+      const branches = [];
+      const tags = [];
+      for (const line of out.split('\n').filter(Boolean)) {
+        const [refname, sha, peeled] = line.split('\t');
+        if (refname.startsWith('refs/heads/')) branches.push({ name: refname.slice('refs/heads/'.length), sha });
+        else tags.push({ name: refname.slice('refs/tags/'.length), sha: peeled || sha });
+      }
+      return { branches, tags };
+    },
+
+    // For git checkouts the tree comes from the ref; plain directories are read as-is
+    async listTree(ref) {
+      if (!(await checkGit())) return walk(root);
+      const out = await git(root, ['ls-tree', '-r', '-t', '-l', '-z', ref || 'HEAD'], { signal });
+      return out.split('\0').filter(Boolean).map(line => {
+        const tab = line.indexOf('\t');
+        const [, type, sha, size] = line.slice(0, tab).split(/\s+/);
+        return { path: line.slice(tab + 1), type, sha, size: size === '-' ? undefined : parseInt(size, 10) };
+      }).filter(t => t.type === 'blob' || t.type === 'tree');
+    },
+
+    async readFile(rel, ref) {
+      if (await checkGit()) {
+        try {
+          return await git(root, ['show', `${ref || 'HEAD'}:${rel}`], { signal });
+        } catch (err) {
+          if (isAbortError(err)) throw err;
+          return null;
+        }
+      }
+      try {
+        const full = await resolveInside(root, rel);
+        if (!full) return null;
+        return await fs.promises.readFile(full, 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'EISDIR') return null;
+        throw err;
+      }
+    },
+
+    async getReadme(ref) {
+      try {
+        const tree = await provider.listTree(ref);
+        const readme = tree.find(t => t.type === 'blob' && !t.path.includes('/') && /^readme(\.|$)/i.test(t.path));
+        return readme ? await provider.readFile(readme.path, ref) : null;
+      } catch (err) {
+        return null;
+      }
+    },
+
+    // No hosting API to ask, so approximate GitHub's byte-weighted language list
+    async getLanguages(ref) {
+      try {
+        const totals = {};
+        for (const t of await provider.listTree(ref)) {
+          const lang = t.type === 'blob' && EXT_LANGUAGES[path.extname(t.path).toLowerCase()];
+          if (lang) totals[lang] = (totals[lang] || 0) + (t.size || 0);
+        }
+        return Object.entries(totals).sort((a, b) => b[1] - a[1]).map(([lang]) => lang);
+      } catch (err) {
+        return null;
+      }
+    }
+  };
+  return provider;
+}
+
+module.exports = { createLocalProvider, localRepoRoots };
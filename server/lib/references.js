@@ -0,0 +1,150 @@
+// Check model-cited excerpts against the real file content. Exact substrings are kept,
+// near misses (whitespace, a mistyped identifier, an elided line) are replaced by the lines
+// they were meant to quote, and excerpts with no close match in the file are dropped.
+
+// Minimum similarity (0..1) for a fuzzy match to count as the same code
+const FUZZY_THRESHOLD = 0.8;
+// Longest excerpt (in lines) that is fuzzy-matched; longer ones must match exactly
+const MAX_FUZZY_LINES = 80;
+
+function lineStarts(content) {
+  const starts = [0];
+  for (let i = 0; i < content.length; i++) if (content[i] === '\n') starts.push(i + 1);
+  return starts;
+}
+
+// 1-based line number of a character offset
+function lineAt(starts, offset) {
+  let lo = 0;
+  let hi = starts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (starts[mid] <= offset) lo = mid; else hi = mid - 1;
+  }
+  return lo + 1;
+}
+
+function bigrams(line) {
+  const out = [];
+  for (let i = 0; i < line.length - 1; i++) out.push(line.slice(i, i + 2));
+  return out;
+}
+
+// Best window of `size` consecutive lines by Dice coefficient over character bigram
+// multisets, sliding the window so each line's bigrams are counted in and out once
+function bestWindow(lineGrams, target, targetTotal, size) {
+  const counts = new Map();
+  let shared = 0;
+  let total = 0;
+  const update = (grams, delta) => {
+    for (const g of grams) {
+      const t = target.get(g) || 0;
+      const before = counts.get(g) || 0;
+      counts.set(g, before + delta);
+      shared += Math.min(before + delta, t) - Math.min(before, t);
+    }
+    total += delta * grams.length;
+  };
+  let best = null;
+  for (let i = 0; i < lineGrams.length; i++) {
+    update(lineGrams[i], 1);
+    if (i >= size) update(lineGrams[i - size], -1);
+    if (i < size - 1) continue;
+    const score = targetTotal + total ? (2 * shared) / (targetTotal + total) : 0;
+    if (!best || score > best.score) best = { score, first: i - size + 1, last: i };
+  }
+  return best;
+}
+
+const squash = (line) => line.replace(/\s+/g, ' ').trim();
+
+// Locate an excerpt in a file. Returns { startLine, endLine, excerpt, match } or null,
+// where match is 'exact', 'whitespace' or 'fuzzy' and excerpt is the file's own text.
+function locateExcerpt(content, excerpt) {
+  if (!excerpt || !excerpt.trim()) return null;
+  const starts = lineStarts(content);
+  const trimmed = excerpt.replace(/^\s*\n|\n\s*$/g, '');
+
+  const at = content.indexOf(trimmed);
+  if (at !== -1) {
+    return { startLine: lineAt(starts, at), endLine: lineAt(starts, at + Math.max(0, trimmed.length - 1)), excerpt: trimmed, match: 'exact' };
+  }
+
+  const fileLines = content.split('\n');
+  const wanted = trimmed.split('\n').map(squash).filter(Boolean);
+  if (!wanted.length) return null;
+  const squashed = fileLines.map(squash);
+  const slice = (s, e) => fileLines.slice(s, e + 1).join('\n');
+
+  // Same lines modulo indentation / spacing (blank lines in the file are skipped over)
+  for (let i = 0; i < squashed.length; i++) {
+    if (!squashed[i] || !squashed[i].includes(wanted[0])) continue;
+    let j = i;
+    let k = 0;
+    while (j < squashed.length && k < wanted.length) {
+      if (!squashed[j]) { j++; continue; }
+      // The first and last lines may be quoted partially
+      const ok = wanted.length === 1 ? squashed[j].includes(wanted[k])
+        : k === 0 ? squashed[j].endsWith(wanted[k])
+        : k === wanted.length - 1 ? squashed[j].startsWith(wanted[k]) : squashed[j] === wanted[k];
+      if (!ok) break;
+      j++;
+      k++;
+    }
+    if (k === wanted.length) return { startLine: i + 1, endLine: j, excerpt: slice(i, j - 1), match: 'whitespace' };
+  }
+
+  if (wanted.length > MAX_FUZZY_LINES) return null;
+  // Closest window of non-blank lines, by bigram similarity
+  const nonBlank = [];
+  for (let i = 0; i < squashed.length; i++) if (squashed[i]) nonBlank.push(i);
+  const target = new Map();
+  let targetTotal = 0;
+  for (const line of wanted) {
+    for (const g of bigrams(line)) target.set(g, (target.get(g) || 0) + 1);
+    targetTotal += Math.max(0, line.length - 1);
+  }
+  const lineGrams = nonBlank.map(i => bigrams(squashed[i]));
+  let best = null;
+  // One line more or fewer than quoted covers an elided or invented line
+  for (const size of [wanted.length, wanted.length - 1, wanted.length + 1]) {
+    if (size < 1 || size > nonBlank.length) continue;
+    const w = bestWindow(lineGrams, target, targetTotal, size);
+    if (w && (!best || w.score > best.score)) best = w;
+  }
+  if (!best || best.score < FUZZY_THRESHOLD) return null;
+  const start = nonBlank[best.first];
+  const end = nonBlank[best.last];
+  return { startLine: start + 1, endLine: end + 1, excerpt: slice(start, end), match: 'fuzzy' };
+}
+
+// references: [{ path, excerpt }]; readFile(path) resolves to the full content or null.
+// permalink(path, startLine, endLine) builds a link or returns null.
+// Resolves to { references: [{ path, excerpt, start_line, end_line, permalink, match }], dropped: [{ path, excerpt }] }
+async function verifyReferences(references, readFile, permalink) {
+  const contents = new Map();
+  const out = [];
+  const dropped = [];
+  for (const r of references) {
+    if (!contents.has(r.path)) contents.set(r.path, await readFile(r.path));
+    const content = contents.get(r.path);
+    const found = content === null ? null : locateExcerpt(content, r.excerpt);
+    if (!found) {
+      dropped.push(r);
+      continue;
+    }
+    // The same lines cited twice collapse into one reference
+    if (out.some(o => o.path === r.path && o.start_line === found.startLine && o.end_line === found.endLine)) continue;
+    out.push({
+      path: r.path,
+      excerpt: found.excerpt,
+      start_line: found.startLine,
+      end_line: found.endLine,
+      permalink: permalink(r.path, found.startLine, found.endLine),
+      match: found.match
+    });
+  }
+  return { references: out, dropped };
+}
+
+module.exports = { locateExcerpt, verifyReferences };
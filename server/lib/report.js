@@ -0,0 +1,221 @@
+// Reports of saved runs (lib/history) as Markdown or as one self-contained HTML page. Each run
+// becomes a list of blocks first, so both formats say the same things:
+//   { heading, level } | { text } | { items, ordered } | { fields: [[label, value]] }
+//   | { code, caption } | { table: { head, rows } }
+// Text and list items are a string, { text, href }, or an array of those.
+
+const TYPE_LABELS = { analyze: 'Analysis', walkthrough: 'Walkthrough', review: 'Pull request review', compare: 'Comparison' };
+
+// Only http(s) links make it into a report
+const link = (text, href) => (/^https?:\/\//.test(href || '') ? { text, href } : text);
+const lines = (r) => (r.start_line ? `${r.start_line === r.end_line ? `L${r.start_line}` : `L${r.start_line}-L${r.end_line}`}` : '');
+const percent = (x) => `${(x * 100).toFixed(1)}%`;
+
+function referenceBlocks(references) {
+  return references.map(r => ({
+    code: r.excerpt,
+    caption: [link(`${r.side ? `${r.side}: ` : ''}${r.path}${r.start_line ? `:${lines(r)}` : ''}`, r.permalink), r.match && r.match !== 'exact' ? ` (${r.match} match)` : '']
+  }));
+}
+
+function section(heading, blocks, level = 3) {
+  return blocks.length ? [{ heading, level }, ...blocks] : [];
+}
+
+function analysisBlocks(a) {
+  const deps = a.dependencies || { manifests: [], licenses: [] };
+  return [
+    { text: a.project_summary },
+    { fields: [['Languages', a.primary_languages.join(', ') || '-'], ['Frameworks', a.key_frameworks.join(', ') || '-'], ['Difficulty', a.difficulty_rating]] },
+    ...section('Use cases', a.possible_use_cases.length ? [{ items: a.possible_use_cases }] : []),
+    ...section('Dependency manifests', deps.manifests.length ? [{
+      items: deps.manifests.map(m => `${m.path} (${[m.ecosystem, m.manager].filter(Boolean).join(', ')}): ${m.dependencies.length} dependencies${m.error ? `, could not be parsed: ${m.error}` : ''}`)
+    }] : []),
+    ...section('Licenses', deps.licenses.length ? [{ items: deps.licenses.map(l => `${l.license} (${l.source})`) }] : [])
+  ];
+}
+
+function walkthroughBlocks(w) {
+  return [
+    ...(w.cannot_answer ? [{ text: `Could not answer: ${w.reason || 'no reason given'}` }] : []),
+    ...w.answer.split(/\n{2,}/).filter(Boolean).map(text => ({ text })),
+    ...section('Trace', w.trace.length ? [{ items: w.trace, ordered: true }] : []),
+    ...section('References', referenceBlocks(w.references)),
+    ...section('Sources', w.sources.length ? [{ items: w.sources }] : []),
+    ...section('Missing', w.missing.length ? [{ items: w.missing }] : [])
+  ];
+}
+
+function reviewBlocks({ review, pull }) {
+  const notes = (title, list) => section(title, list.flatMap(n => [
+    { items: [`${n.severity ? `[${n.severity}] ` : ''}${n.detail}${n.hunk ? ` (${n.hunk})` : ''}`] },
+    ...referenceBlocks(n.references)
+  ]), 4);
+  return [
+    { fields: [['Pull request', link(`#${pull.number} ${pull.title}`, pull.url)], ['Branches', `${pull.head.ref} → ${pull.base.ref}`], ['Author', pull.author || '-'], ['Overall risk', review.cannot_review ? '-' : review.risk]] },
+    { text: review.cannot_review ? `Could not review: ${review.reason || 'no reason given'}` : review.summary },
+    ...review.files.flatMap(f => [
+      { heading: f.path, level: 3 },
+      ...(f.summary ? [{ text: f.summary }] : []),
+      ...notes('Risks', f.risks),
+      ...notes('Missing tests', f.missing_tests),
+      ...notes('Questions', f.questions)
+    ])
+  ];
+}
+
+function compareBlocks({ comparison, base, head, files, dependencies, languages }) {
+  const side = (s) => `${s.repo} @ ${s.ref} (${String(s.commit).slice(0, 12)})`;
+  return [
+    { fields: [['Base', side(base)], ['Head', side(head)]] },
+    { text: comparison.cannot_compare ? `Could not compare: ${comparison.reason || 'no reason given'}` : comparison.summary },
+    ...comparison.highlights.flatMap(h => [{ heading: h.title, level: 3 }, { text: h.detail }, ...referenceBlocks(h.references)]),
+    ...section('Files', [{ table: { head: ['Added', 'Removed', 'Changed', 'Renamed', 'Unchanged'], rows: [[files.counts.added, files.counts.removed, files.counts.changed, files.counts.renamed, files.counts.unchanged].map(String)] } }]),
+    ...section('Dependencies', dependencies.dependencies.length ? [{
+      table: {
+        head: ['Ecosystem', 'Package', 'Change', 'Base', 'Head'],
+        rows: dependencies.dependencies.map(d => [d.ecosystem, d.name, d.change, d.base_version || '-', d.head_version || '-'])
+      }
+    }] : []),
+    ...section(`Languages (by ${languages.measure})`, languages.languages.length ? [{
+      table: { head: ['Language', 'Base', 'Head', 'Change'], rows: languages.languages.map(l => [l.language, percent(l.base), percent(l.head), `${l.change >= 0 ? '+' : ''}${percent(l.change)}`]) }
+    }] : [])
+  ];
+}
+
+// One saved run as blocks, headed by what it was run on
+// e.g. "4.2 s, 12 upstream requests, 34 files, 5100 + 420 tokens, ~$0.0012"
+function describeUsage(u) {
+  const cost = u.cost.unpriced_models.length ? `cost unknown for ${u.cost.unpriced_models.join(', ')}` : `~$${u.cost.usd}`;
+  return `${(u.duration_ms / 1000).toFixed(1)} s, ${u.upstream.requests} upstream requests, ${u.files.read} files, ${u.llm.prompt_tokens} + ${u.llm.completion_tokens} tokens${u.embeddings.tokens ? `, ${u.embeddings.tokens} embedding tokens` : ''}, ${cost}`;
+}
+
+function runBlocks(run, level = 2) {
+  const fields = [
+    ['Type', TYPE_LABELS[run.type] || run.type],
+    ['Repository', run.repo],
+    ['Ref', run.ref],
+    ['Commit', run.commit],
+    ['Model', run.model || '-'],
+    ['Run at', run.created_at]
+  ];
+  if (run.question) fields.push(['Question', run.question]);
+  const usage = run.result && run.result.usage;
+  if (usage) fields.push(['Usage', describeUsage(usage)]);
+  const body = { analyze: () => analysisBlocks(run.result.analysis), walkthrough: () => walkthroughBlocks(run.result.walkthrough), review: () => reviewBlocks(run.result), compare: () => compareBlocks(run.result) }[run.type];
+  return [{ heading: `${TYPE_LABELS[run.type] || run.type}: ${run.title}`, level }, { fields }, ...(body ? body() : [])];
+}
+
+// A report of one run, or of several (e.g. a repository's whole history) under one title
+function reportBlocks(runs, title = null) {
+  if (runs.length === 1 && !title) return runBlocks(runs[0], 1);
+  return [
+    { heading: title || 'RepoStackAI report', level: 1 },
+    { text: `${runs.length} run${runs.length === 1 ? '' : 's'}, exported ${new Date().toISOString()}` },
+    ...runs.flatMap(run => runBlocks(run, 2))
+  ];
+}
+
+const mdEscape = (s) => String(s).replace(/([\\`*_[\]<>|])/g, '\\$1');
+function mdInline(x) {
+  if (Array.isArray(x)) return x.map(mdInline).join('');
+  if (x && typeof x === 'object') return x.href ? `[${mdEscape(x.text)}](${x.href})` : mdEscape(x.text);
+  return mdEscape(x == null ? '' : x);
+}
+
+function renderMarkdown(blocks) {
+  const out = [];
+  for (const b of blocks) {
+    if (b.heading !== undefined) out.push(`${'#'.repeat(Math.min(6, b.level))} ${mdInline(b.heading)}`);
+    else if (b.text !== undefined) out.push(mdInline(b.text));
+    else if (b.items) out.push(b.items.map((item, i) => `${b.ordered ? `${i + 1}.` : '-'} ${mdInline(item)}`).join('\n'));
+    else if (b.fields) out.push(b.fields.map(([label, value]) => `- **${label}:** ${mdInline(value)}`).join('\n'));
+    else if (b.code !== undefined) {
+      // A fence longer than any backtick run inside the excerpt
+      const fence = '`'.repeat(Math.max(3, ...(String(b.code).match(/`+/g) || []).map(s => s.length + 1)));
+      out.push(`${b.caption ? `${mdInline(b.caption)}\n\n` : ''}${fence}\n${b.code}\n${fence}`);
+    } else if (b.table) {
+      const row = (cells) => `| ${cells.map(mdInline).join(' | ')} |`;
+      out.push([row(b.table.head), `|${b.table.head.map(() => ' --- |').join('')}`, ...b.table.rows.map(row)].join('\n'));
+    }
+  }
+  return `${out.join('\n\n')}\n`;
+}
+
+const htmlEscape = (s) => String(s == null ? '' : s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+function htmlInline(x) {
+  if (Array.isArray(x)) return x.map(htmlInline).join('');
+  if (x && typeof x === 'object') return x.href ? `<a href="${htmlEscape(x.href)}">${htmlEscape(x.text)}</a>` : htmlEscape(x.text);
+  return htmlEscape(x);
+}
+
+const STYLE = `body{font:15px/1.5 system-ui,sans-serif;max-width:56rem;margin:2rem auto;padding:0 1rem;color:#1d2330}
+h1,h2{border-bottom:1px solid #dde1e7;padding-bottom:.3rem}h2{margin-top:2.5rem}
+pre{background:#f5f7fa;border:1px solid #dde1e7;border-radius:6px;padding:.75rem;overflow:auto;font-size:13px}
+figure{margin:1rem 0}figcaption{font:13px ui-monospace,monospace;margin-bottom:.25rem}
+table{border-collapse:collapse}td,th{border:1px solid #dde1e7;padding:.25rem .6rem;text-align:left}
+dl{display:grid;grid-template-columns:max-content 1fr;gap:.15rem 1rem}dt{font-weight:600}dd{margin:0}a{color:#00675b}`;
+
+function renderHtml(blocks, title) {
+  const out = [];
+  for (const b of blocks) {
+    if (b.heading !== undefined) {
+      const level = Math.min(6, b.level);
+      out.push(`<h${level}>${htmlInline(b.heading)}</h${level}>`);
+    } else if (b.text !== undefined) {
+      out.push(`<p>${htmlInline(b.text)}</p>`);
+    } else if (b.items) {
+      const tag = b.ordered ? 'ol' : 'ul';
+      out.push(`<${tag}>${b.items.map(item => `<li>${htmlInline(item)}</li>`).join('')}</${tag}>`);
+    } else if (b.fields) {
+      out.push(`<dl>${b.fields.map(([label, value]) => `<dt>${htmlEscape(label)}</dt><dd>${htmlInline(value)}</dd>`).join('')}</dl>`);
+    } else if (b.code !== undefined) {
+      out.push(`<figure>${b.caption ? `<figcaption>${htmlInline(b.caption)}</figcaption>` : ''}<pre><code>${htmlEscape(b.code)}</code></pre></figure>`);
+    } else if (b.table) {
+      const row = (cells, tag) => `<tr>${cells.map(c => `<${tag}>${htmlInline(c)}</${tag}>`).join('')}</tr>`;
+      out.push(`<table><thead>${row(b.table.head, 'th')}</thead><tbody>${b.table.rows.map(r => row(r, 'td')).join('')}</tbody></table>`);
+    }
+  }
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${htmlEscape(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${out.join('\n')}
+</body>
+</html>
+`;
+}
+
+const FORMATS = {
+  markdown: { extension: 'md', type: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', type: 'text/html; charset=utf-8' },
+  json: { extension: 'json', type: 'application/json; charset=utf-8' }
+};
+const ALIASES = { md: 'markdown' };
+
+// The export of `runs` as { format, body, type, filename }; title names a multi-run report.
+// JSON is the saved runs themselves. Throws (status 400) for an unknown format.
+function exportRuns(runs, { format = 'markdown', title = null, name = 'report' } = {}) {
+  const f = ALIASES[format] || format;
+  if (!FORMATS[f]) {
+    const err = new Error(`format must be one of ${[...Object.keys(FORMATS), ...Object.keys(ALIASES)].join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+  const filename = `repostack-${String(name).replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80) || 'report'}.${FORMATS[f].extension}`;
+  let body;
+  if (f === 'json') {
+    body = `${JSON.stringify({ exported_at: new Date().toISOString(), runs }, null, 2)}\n`;
+  } else {
+    const blocks = reportBlocks(runs, title);
+    body = f === 'markdown' ? renderMarkdown(blocks) : renderHtml(blocks, title || (runs[0] ? `${TYPE_LABELS[runs[0].type] || runs[0].type}: ${runs[0].title}` : 'RepoStackAI report'));
+  }
+  return { format: f, body, type: FORMATS[f].type, filename };
+}
+
+module.exports = { exportRuns, reportBlocks, runBlocks, renderMarkdown, renderHtml, FORMATS };
@@ -0,0 +1,123 @@
+const path = require('path');
+
+// Pull request review helpers: the diff as hunks, the diff as prompt text, tests that sit next
+// to the changed files, and checks that keep the model's findings on the PR's own files and hunks.
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+const TEST_PATH = /(^|\/)(__tests__|tests?|spec|specs)\/|[._-](test|spec)\.[^/]+$|(^|\/)test_[^/]+\.py$|_test\.(go|py|rb|exs?)$|(Test|Tests|Spec)\.(java|kt|cs|scala|swift|php)$/;
+
+// One file's unified diff (GitHub's `patch`) as hunks:
+// [{ header, old_start, old_lines, new_start, new_lines, text }]; header is "@@ -a,b +c,d @@"
+// without the trailing section name, text is the whole hunk including its header line.
+function parsePatch(patch) {
+  const hunks = [];
+  if (!patch) return hunks;
+  let current = null;
+  for (const line of patch.split('\n')) {
+    const m = HUNK_HEADER.exec(line);
+    if (m) {
+      current = {
+        header: m[0],
+        old_start: parseInt(m[1], 10),
+        old_lines: m[2] === undefined ? 1 : parseInt(m[2], 10),
+        new_start: parseInt(m[3], 10),
+        new_lines: m[4] === undefined ? 1 : parseInt(m[4], 10),
+        lines: [line]
+      };
+      hunks.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+  return hunks.map(({ lines, ...h }) => ({ ...h, text: lines.join('\n').replace(/\n+$/, '') }));
+}
+
+// "@@ -12,6 +12,8 @@ function x()" and "@@ -12,6 +12,8 @@" name the same hunk
+function hunkKey(header) {
+  const m = HUNK_HEADER.exec(String(header || '').trim());
+  return m ? `${m[1]},${m[2] === undefined ? 1 : m[2]} ${m[3]},${m[4] === undefined ? 1 : m[4]}` : null;
+}
+
+const isTestPath = (p) => TEST_PATH.test(p);
+
+// Test files in the tree that look like they cover each changed source file, by name
+// (foo.js -> foo.test.js, test_foo.py, foo_test.go, FooTest.java, __tests__/foo.js).
+// Returns a Map of changed path -> test paths; changed test files are left out.
+function relatedTests(changedPaths, treePaths) {
+  const tests = treePaths.filter(isTestPath);
+  const stemOf = (p) => path.posix.basename(p).replace(/\.[^.]+$/, '').toLowerCase();
+  const testStem = (p) => stemOf(p).replace(/^test_/, '').replace(/([._-](test|spec)|_test|tests?|spec)$/, '');
+  const related = new Map();
+  for (const p of changedPaths) {
+    if (isTestPath(p)) continue;
+    const stem = stemOf(p);
+    if (stem.length < 2) continue;
+    related.set(p, tests.filter(t => testStem(t) === stem || (stem === 'index' && testStem(t) === stemOf(path.posix.dirname(p)))).slice(0, 5));
+  }
+  return related;
+}
+
+// The diff as prompt text, one "=== path (status, +a -d)" block per file, spending at most
+// `budget` tokens. Returns { text, tokens, omitted } where omitted lists the files whose diff
+// did not fit.
+function renderDiff(files, { counter, budget }) {
+  const blocks = [];
+  const omitted = [];
+  let tokens = 0;
+  for (const f of files) {
+    const head = `=== ${f.path} (${f.status}${f.previous_path ? ` from ${f.previous_path}` : ''}, +${f.additions} -${f.deletions})`;
+    let body = f.patch === null ? '(no textual diff: binary file or diff too large)' : f.patch.replace(/\n+$/, '');
+    let cost = counter.count(`${head}\n${body}\n`);
+    if (tokens + cost > budget) {
+      body = '(diff omitted: over the context budget)';
+      cost = counter.count(`${head}\n${body}\n`);
+      omitted.push(f.path);
+    }
+    tokens += cost;
+    blocks.push(`${head}\n${body}`);
+  }
+  return { text: blocks.join('\n\n'), tokens, omitted };
+}
+
+// Keep findings on the PR: file entries for files the PR doesn't change are dropped (duplicates
+// are merged), and a hunk that isn't one of the file's hunks becomes null (a whole-file note).
+// pullFiles: [{ path, hunks }]. Returns { review, droppedFiles, unmatchedHunks }.
+function checkReview(review, pullFiles) {
+  const hunksByPath = new Map(pullFiles.map(f => [f.path, new Map(f.hunks.map(h => [hunkKey(h.header), h.header]))]));
+  const droppedFiles = [];
+  let unmatchedHunks = 0;
+  const byPath = new Map();
+  const anchor = (note, hunks) => {
+    if (note.hunk === null) return note;
+    const header = hunks.get(hunkKey(note.hunk));
+    if (!header) unmatchedHunks++;
+    return { ...note, hunk: header || null };
+  };
+  for (const file of review.files) {
+    const hunks = hunksByPath.get(file.path);
+    if (!hunks) {
+      droppedFiles.push(file.path);
+      continue;
+    }
+    const entry = {
+      path: file.path,
+      summary: file.summary,
+      risks: file.risks.map(n => anchor(n, hunks)),
+      missing_tests: file.missing_tests.map(n => anchor(n, hunks)),
+      questions: file.questions.map(n => anchor(n, hunks))
+    };
+    const seen = byPath.get(file.path);
+    if (seen) {
+      seen.summary = [seen.summary, entry.summary].filter(Boolean).join(' ');
+      for (const k of ['risks', 'missing_tests', 'questions']) seen[k].push(...entry[k]);
+    } else {
+      byPath.set(file.path, entry);
+    }
+  }
+  // In diff order
+  const order = new Map(pullFiles.map((f, i) => [f.path, i]));
+  const files = Array.from(byPath.values()).sort((a, b) => order.get(a.path) - order.get(b.path));
+  return { review: { ...review, files }, droppedFiles, unmatchedHunks };
+}
+
+module.exports = { parsePatch, hunkKey, isTestPath, relatedTests, renderDiff, checkReview };
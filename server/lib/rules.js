@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { globToRegExp, globMatcher } = require('./glob');
+
+// The server's data directory. Read when a store is created, so a .env loaded after this module
+// still applies.
+const dataDir = (env = process.env) => env.DATA_DIR || path.join(__dirname, '..', '.data');
+
+// Built-in selection used when a repo has no rule set of its own (and as the
+// fallback for `include` when a rule set leaves it empty)
+const DEFAULT_EXTENSIONS = ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.go', '.rs', '.c', '.cpp', '.cs', '.rb', '.php', '.json', '.md', '.html', '.css'];
+// Skip well-known vendor / third-party directories
+const DEFAULT_SKIP = ['node_modules/', 'vendor/', 'third_party/', 'site-packages/', 'dist/', 'build/', 'coverage/', '.pytest_cache/', '.venv/', '__pycache__/', '.git/'];
+const MAX_IGNORE_FILES = 20;
+
+const isVendorPath = (p) => DEFAULT_SKIP.some(s => p.includes(s));
+
+const EMPTY_RULES = { include: [], exclude: [], always_include: [], boosts: [], respect_gitignore: true, respect_gitattributes: true };
+
+// Rule sets are keyed per repository, independent of the URL spelling
+function repoKey(provider) {
+  return provider.kind === 'local' ? `local:${provider.id}` : `${provider.kind}:${provider.id.toLowerCase()}`;
+}
+
+// Validate and normalise a rule set from a request body; throws with status 400
+function normalizeRules(body) {
+  const b = body || {};
+  const list = (name) => {
+    const v = b[name] === undefined ? [] : b[name];
+    if (!Array.isArray(v) || v.some(x => typeof x !== 'string')) throw badRequest(`${name} must be an array of glob strings`);
+    return v.map(x => x.trim()).filter(Boolean).map(x => checkGlob(name, x));
+  };
+  const boosts = b.boosts === undefined ? [] : b.boosts;
+  if (!Array.isArray(boosts) || boosts.some(x => !x || typeof x.pattern !== 'string' || typeof x.weight !== 'number' || !isFinite(x.weight))) {
+    throw badRequest('boosts must be an array of { pattern: string, weight: number }');
+  }
+  for (const x of boosts) if (x.pattern.trim()) checkGlob('boosts', x.pattern.trim());
+  return {
+    include: list('include'),
+    exclude: list('exclude'),
+    always_include: list('always_include'),
+    boosts: boosts.map(x => ({ pattern: x.pattern.trim(), weight: x.weight })).filter(x => x.pattern),
+    respect_gitignore: b.respect_gitignore !== false,
+    respect_gitattributes: b.respect_gitattributes !== false
+  };
+}
+
+// A pattern is saved only if it compiles; otherwise every later selection would throw
+function checkGlob(name, pattern) {
+  try {
+    globToRegExp(pattern);
+  } catch (err) {
+    throw badRequest(`${name}: invalid glob "${pattern}" (${err.message})`);
+  }
+  return pattern;
+}
+
+// The repo's own marker files may hold patterns we can't compile; those lines are skipped
+function compileLine(pattern) {
+  try {
+    return globToRegExp(pattern);
+  } catch (err) {
+    return null;
+  }
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Persisted rule sets in a single JSON file. A rule set saved with an API key belongs to that
+// key's principal (owner) and only applies to its requests; the ones saved without a key
+// (owner null) are shared, and apply wherever the principal has none of its own.
+function createRuleStore({ file = path.join(dataDir(), 'rules.json') } = {}) {
+  const slot = (key, owner) => (owner ? `${owner} ${key}` : key);
+  let data = null;
+  function load() {
+    if (data) return data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      data = {};
+    }
+    return data;
+  }
+  // Writes are serialized: concurrent ones would share the temp file. Each writes every rule
+  // set as it is by then, and a failed one doesn't stop the next.
+  let writing = Promise.resolve();
+  function save() {
+    const next = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2));
+      await fs.promises.rename(tmp, file);
+    });
+    writing = next.catch(() => {});
+    return next;
+  }
+  return {
+    // The rule sets owner can see: its own and the shared ones
+    list: (owner = null) => Object.entries(load())
+      .map(([s, rules]) => ({ key: rules.owner ? s.slice(rules.owner.length + 1) : s, ...rules, owner: rules.owner || null }))
+      .filter(r => !r.owner || r.owner === owner),
+    get: (key, owner = null) => (owner && load()[slot(key, owner)]) || load()[key] || null,
+    async put(key, repo, rules, owner = null) {
+      load()[slot(key, owner)] = { repo, ...rules, owner, updated_at: new Date().toISOString() };
+      await save();
+      return data[slot(key, owner)];
+    },
+    // Only owner's own rule set (the shared one when owner is null)
+    async remove(key, owner = null) {
+      if (!load()[slot(key, owner)]) return false;
+      delete data[slot(key, owner)];
+      await save();
+      return true;
+    }
+  };
+}
+
+// .gitignore rules relative to the directory holding the file; last match wins
+function compileGitignore(content, baseDir) {
+  const rules = [];
+  for (const raw of content.split(/\r?\n/)) {
+    let line = raw.replace(/\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+    const negate = line.startsWith('!');
+    if (negate) line = line.slice(1);
+    const re = compileLine(line);
+    if (re) rules.push({ re, negate, baseDir });
+  }
+  return rules;
+}
+
+// linguist-generated / linguist-vendored markers from .gitattributes
+function compileGitattributes(content, baseDir) {
+  const rules = [];
+  for (const raw of content.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const [pattern, ...attrs] = line.split(/\s+/);
+    const re = compileLine(pattern);
+    if (!re) continue;
+    for (const a of attrs) {
+      const m = a.match(/^(-?)linguist-(generated|vendored)(?:=(true|false))?$/);
+      if (m) rules.push({ re, attr: m[2], value: !m[1] && m[3] !== 'false', baseDir });
+    }
+  }
+  return rules;
+}
+
+function relativeTo(baseDir, p) {
+  if (!baseDir) return p;
+  return p.startsWith(baseDir + '/') ? p.slice(baseDir.length + 1) : null;
+}
+
+function isIgnored(rules, p) {
+  let ignored = false;
+  for (const r of rules) {
+    const rel = relativeTo(r.baseDir, p);
+    if (rel !== null && r.re.test(rel)) ignored = !r.negate;
+  }
+  return ignored;
+}
+
+function linguistAttr(rules, p) {
+  const out = { generated: false, vendored: false };
+  for (const r of rules) {
+    const rel = relativeTo(r.baseDir, p);
+    if (rel !== null && r.re.test(rel)) out[r.attr] = r.value;
+  }
+  return out;
+}
+
+// Read the repo's own .gitignore / .gitattributes files (root first, then nested)
+async function loadRepoMarkers(provider, ref, tree, rules) {
+  const markers = { gitignore: [], gitattributes: [] };
+  const wanted = [];
+  if (rules.respect_gitignore) wanted.push('.gitignore');
+  if (rules.respect_gitattributes) wanted.push('.gitattributes');
+  if (!wanted.length) return markers;
+  const files = tree
+    .filter(t => t.type === 'blob' && wanted.includes(path.posix.basename(t.path)))
+    .sort((a, b) => a.path.split('/').length - b.path.split('/').length)
+    .slice(0, MAX_IGNORE_FILES);
+  for (const f of files) {
+    let content = null;
+    try { content = await provider.readFile(f.path, ref); } catch (err) { content = null; }
+    if (content === null) continue;
+    const dir = path.posix.dirname(f.path);
+    const baseDir = dir === '.' ? '' : dir;
+    if (f.path.endsWith('.gitignore')) markers.gitignore.push(...compileGitignore(content, baseDir));
+    else markers.gitattributes.push(...compileGitattributes(content, baseDir));
+  }
+  return markers;
+}
+
+// Decide which tree blobs are candidates for retrieval under a rule set.
+// Returns { selected: [{ path, size, sha, boost, reason }], excluded: [{ path, reason }] }
+function selectFiles(tree, rules, markers = { gitignore: [], gitattributes: [] }) {
+  const r = rules || EMPTY_RULES;
+  const always = globMatcher(r.always_include);
+  const exclude = globMatcher(r.exclude);
+  const include = r.include.length ? globMatcher(r.include) : (p) => DEFAULT_EXTENSIONS.some(e => p.endsWith(e));
+  const boosts = r.boosts.map(b => ({ re: globToRegExp(b.pattern), weight: b.weight }));
+
+  const selected = [];
+  const excluded = [];
+  for (const t of tree) {
+    if (t.type !== 'blob') continue;
+    const p = t.path;
+    let reason = null;
+    if (always(p)) {
+      reason = 'always_include';
+    } else if (exclude(p)) {
+      excluded.push({ path: p, reason: 'exclude' });
+      continue;
+    } else if (!include(p)) {
+      excluded.push({ path: p, reason: r.include.length ? 'not_included' : 'extension' });
+      continue;
+    } else if (isVendorPath(p)) {
+      excluded.push({ path: p, reason: 'vendor_dir' });
+      continue;
+    } else if (r.respect_gitignore && isIgnored(markers.gitignore, p)) {
+      excluded.push({ path: p, reason: 'gitignore' });
+      continue;
+    } else if (r.respect_gitattributes) {
+      const attr = linguistAttr(markers.gitattributes, p);
+      if (attr.generated || attr.vendored) {
+        excluded.push({ path: p, reason: attr.generated ? 'linguist-generated' : 'linguist-vendored' });
+        continue;
+      }
+      reason = r.include.length ? 'include' : 'default';
+    } else {
+      reason = r.include.length ? 'include' : 'default';
+    }
+    const boost = boosts.reduce((sum, b) => sum + (b.re.test(p) ? b.weight : 0), 0);
+    selected.push({ path: p, size: t.size, sha: t.sha, boost, reason });
+  }
+  return { selected, excluded };
+}
+
+// Stable id of a selection, so indexes built from different rule sets don't collide
+function selectionFingerprint(paths) {
+  return crypto.createHash('sha1').update(paths.slice().sort().join('\n')).digest('hex').slice(0, 12);
+}
+
+module.exports = { repoKey, normalizeRules, createRuleStore, loadRepoMarkers, selectFiles, selectionFingerprint, isVendorPath, EMPTY_RULES, dataDir };
@@ -0,0 +1,100 @@
+const definitions = require('../../shared/schemas.json');
+
+// Response schemas shared with the client (shared/schemas.json; the client's TypeScript
+// types are generated from the same file by scripts/generate-types.js).
+// "$ref": "#/<Name>" points at another top-level definition.
+
+function resolveRefs(node) {
+  if (Array.isArray(node)) return node.map(resolveRefs);
+  if (!node || typeof node !== 'object') return node;
+  if (node.$ref) {
+    const name = node.$ref.replace(/^#\//, '');
+    if (!definitions[name]) throw new Error(`unknown schema reference ${node.$ref}`);
+    return resolveRefs(definitions[name]);
+  }
+  const out = {};
+  for (const [k, v] of Object.entries(node)) out[k] = resolveRefs(v);
+  return out;
+}
+
+const schemas = {};
+for (const name of Object.keys(definitions)) schemas[name] = { name, schema: resolveRefs(definitions[name]) };
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+// Validate against the JSON Schema subset used in shared/schemas.json (type, properties,
+// required, additionalProperties, items, enum, minLength, minItems).
+// Returns a list of messages like "$.references[0].path: expected string, got number".
+function validate(schema, value, at = '$', errors = []) {
+  if (schema.type) {
+    const actual = typeOf(value);
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const ok = types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+    if (!ok) {
+      errors.push(`${at}: expected ${types.join(' or ')}, got ${actual}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  if (typeof value === 'string' && schema.minLength && value.length < schema.minLength) errors.push(`${at}: must not be empty`);
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} item(s)`);
+    if (schema.items) value.forEach((v, i) => validate(schema.items, v, `${at}[${i}]`, errors));
+  }
+  if (typeOf(value) === 'object') {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing required property "${key}"`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) validate(props[key], v, `${at}.${key}`, errors);
+      else if (schema.additionalProperties === false) errors.push(`${at}: unexpected property "${key}"`);
+    }
+  }
+  return errors;
+}
+
+// Compact shape for prompts, e.g. {"answer":string,"references":[{"path":string,...}],...}
+function schemaShape(schema) {
+  switch (schema.type) {
+    case 'object':
+      return `{${Object.entries(schema.properties || {}).map(([k, v]) => `"${k}":${schemaShape(v)}`).join(',')}}`;
+    case 'array':
+      return `[${schema.items ? schemaShape(schema.items) : 'any'}]`;
+    default:
+      return schema.enum ? schema.enum.map(v => JSON.stringify(v)).join('|') : (schema.type || 'any');
+  }
+}
+
+// Copy without the keywords strict structured-output modes reject (descriptions are kept)
+function providerSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(providerSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  for (const [k, v] of Object.entries(schema)) {
+    if (k === 'minLength' || k === 'minItems') continue;
+    out[k] = providerSchema(v);
+  }
+  return out;
+}
+
+// JSON.parse, falling back to the outermost {...} for replies wrapped in prose or fences
+function parseModelJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      try { return JSON.parse(text.slice(start, end + 1)); } catch (e) { }
+    }
+  }
+  return undefined;
+}
+
+module.exports = { definitions, schemas, validate, schemaShape, providerSchema, parseModelJson };
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { chunkFile } = require('./chunker');
+const { isAbortError } = require('./http');
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Weight of the vector score in the hybrid score (the rest is normalised BM25), read per search.
+// Clamped to [0, 1]; anything that isn't a number means the default, 0.6.
+function vectorWeight(env = process.env) {
+  const weight = parseFloat(env.INDEX_VECTOR_WEIGHT);
+  return Number.isFinite(weight) ? Math.min(1, Math.max(0, weight)) : 0.6;
+}
+
+const STOPWORDS = new Set(['the', 'and', 'for', 'with', 'this', 'that', 'from', 'are', 'was', 'how', 'what', 'where', 'does', 'which', 'into', 'when', 'then', 'than', 'there', 'here', 'have', 'has', 'use', 'used', 'give', 'show', 'me', 'is', 'it', 'of', 'to', 'in', 'on', 'an', 'be', 'do', 'or', 'as', 'by', 'at', 'if']);
+
+// Lowercased terms, with camelCase / snake_case identifiers also split into parts
+function tokenize(text) {
+  const out = [];
+  for (const raw of String(text).split(/[^A-Za-z0-9_$]+/)) {
+    if (!raw) continue;
+    const lower = raw.toLowerCase();
+    const parts = raw.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[\s_$]+/).map(p => p.toLowerCase());
+    for (const t of new Set([lower, ...parts])) {
+      if (t.length > 1 && !STOPWORDS.has(t)) out.push(t);
+    }
+  }
+  return out;
+}
+
+function encodeVector(v) {
+  return Buffer.from(new Float32Array(v).buffer).toString('base64');
+}
+
+function decodeVector(s) {
+  const buf = Buffer.from(s, 'base64');
+  return new Float32Array(buf.buffer, buf.byteOffset, buf.length / 4);
+}
+
+function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) { dot += a[i] * b[i]; na += a[i] * a[i]; nb += b[i] * b[i]; }
+  return na === 0 || nb === 0 ? 0 : dot / Math.sqrt(na * nb);
+}
+
+// Build the searchable structure from stored chunks (BM25 statistics are cheap to recompute)
+function hydrate(data) {
+  const docs = data.chunks.map(c => {
+    // Path terms count double: a file named auth.js is strong evidence
+    const terms = tokenize(c.text).concat(tokenize(c.path), tokenize(c.path));
+    const tf = new Map();
+    for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+    return { tf, length: terms.length };
+  });
+  const df = new Map();
+  for (const d of docs) for (const t of d.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const avgLength = docs.reduce((s, d) => s + d.length, 0) / (docs.length || 1);
+  const vectors = data.vectors ? data.vectors.map(decodeVector) : null;
+
+  function bm25(queryTerms, i) {
+    const d = docs[i];
+    let score = 0;
+    for (const t of queryTerms) {
+      const f = d.tf.get(t);
+      if (!f) continue;
+      const n = df.get(t);
+      const idf = Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+      score += idf * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * d.length / avgLength));
+    }
+    return score;
+  }
+
+  return {
+    embedderId: data.embedderId,
+    chunks: data.chunks,
+    hasVectors: !!vectors,
+
+    // Top chunks for a question: [{ ...chunk, score, bm25, similarity }]. If the question
+    // can't be embedded, BM25 ranks alone, as when building.
+    async search(question, { topK = 50, embedder = null, logger = null, signal = null } = {}) {
+      const queryTerms = Array.from(new Set(tokenize(question)));
+      const lexical = data.chunks.map((_, i) => bm25(queryTerms, i));
+      const maxLexical = Math.max(0, ...lexical);
+      let qVec = null;
+      if (vectors && embedder && embedder.id === data.embedderId && question) {
+        try {
+          qVec = (await embedder.embed([question], { signal }))[0];
+        } catch (err) {
+          if (isAbortError(err)) throw err;
+          if (logger) try { logger('Embedding the question failed, using keyword (BM25) ranking only: ' + (err.message || err)); } catch (e) {}
+        }
+      }
+      const weight = qVec ? vectorWeight() : 0;
+      const scored = data.chunks.map((c, i) => {
+        const similarity = qVec ? cosine(qVec, vectors[i]) : 0;
+        const lexicalNorm = maxLexical > 0 ? lexical[i] / maxLexical : 0;
+        return { ...c, bm25: lexical[i], similarity, score: weight * Math.max(0, similarity) + (1 - weight) * lexicalNorm };
+      });
+      scored.sort((a, b) => (b.score - a.score) || (a.path.split('/').length - b.path.split('/').length) || (a.startLine - b.startLine));
+      return scored.slice(0, topK);
+    }
+  };
+}
+
+// Build (or load) the chunk index for one snapshot.
+// readFiles: () => Promise<[{ path, content }]>, only called when building;
+// store: { getIndex(key), putIndex(key, data) } or null; embedder: see embedders.js, or null for BM25 only.
+// signal (AbortSignal) cancels the embedding requests; a cancelled build is not stored.
+async function loadOrBuildIndex({ key, readFiles, store = null, embedder = null, logger = null, signal = null }) {
+  const embedderId = embedder ? embedder.id : 'none';
+  const storeKey = { ...key, embedderId };
+  const log = (m) => { if (logger) try { logger(m); } catch (e) {} };
+
+  if (store) {
+    const existing = await store.getIndex(storeKey);
+    if (existing) {
+      log(`Semantic index loaded (${existing.chunks.length} chunks, ${embedderId})`);
+      return hydrate(existing);
+    }
+  }
+
+  const files = await readFiles();
+  const chunks = [];
+  for (const f of files) {
+    for (const c of chunkFile(f.path, f.content)) {
+      chunks.push({ ...c, hash: crypto.createHash('sha1').update(c.text).digest('hex') });
+    }
+  }
+  let data = { version: 1, embedderId, chunks, vectors: null };
+  if (embedder && chunks.length > 0) {
+    try {
+      const vecs = await embedder.embed(chunks.map(c => `${c.path}\n${c.text}`), { signal });
+      data.vectors = vecs.map(encodeVector);
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      log('Embedding failed, using keyword (BM25) ranking only: ' + (err.message || err));
+      data = { ...data, embedderId: 'none' };
+    }
+  }
+  log(`Semantic index built (${chunks.length} chunks from ${files.length} files, ${data.embedderId})`);
+  if (store) await store.putIndex({ ...key, embedderId: data.embedderId }, data).catch(() => {});
+  return hydrate(data);
+}
+
+module.exports = { loadOrBuildIndex, tokenize };
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+// Defaults from SESSION_TTL_MS (idle expiry, 1 hour) and SESSION_MAX. Read when a store is
+// created, so a .env loaded after this module still applies.
+const setting = (name, fallback) => parseInt(process.env[name] || String(fallback), 10);
+
+// In-memory conversation sessions. Each session pins one repo snapshot (repo + commit) and
+// keeps the turns so far and every file cited.
+function createSessionStore({ ttlMs = setting('SESSION_TTL_MS', 60 * 60 * 1000), max = setting('SESSION_MAX', 200) } = {}) {
+  const sessions = new Map();
+
+  function sweep() {
+    const now = Date.now();
+    for (const [id, s] of sessions) {
+      if (!s.busy && now - s.updatedAt > ttlMs) sessions.delete(id);
+    }
+    // Still over capacity: drop the least recently used idle sessions
+    if (sessions.size > max) {
+      const idle = Array.from(sessions.values()).filter(s => !s.busy).sort((a, b) => a.updatedAt - b.updatedAt);
+      for (const s of idle.slice(0, sessions.size - max)) sessions.delete(s.id);
+    }
+  }
+
+  return {
+    create({ repo, ref, commit, model = null, owner = null }) {
+      sweep();
+      const now = Date.now();
+      const session = { id: crypto.randomUUID(), repo, ref, commit, model, owner, createdAt: new Date(now).toISOString(), updatedAt: now, turns: [], citedFiles: new Set(), busy: false };
+      sessions.set(session.id, session);
+      return session;
+    },
+
+    get(id) {
+      const session = sessions.get(id);
+      if (!session) return null;
+      if (!session.busy && Date.now() - session.updatedAt > ttlMs) {
+        sessions.delete(id);
+        return null;
+      }
+      session.updatedAt = Date.now();
+      return session;
+    },
+
+    remove: (id) => sessions.delete(id),
+
+    // Record a finished turn and remember the files it cited
+    addTurn(session, { question, model = null, walkthrough, context }) {
+      const turn = { id: session.turns.length + 1, question, model, walkthrough, context, created_at: new Date().toISOString() };
+      session.turns.push(turn);
+      for (const p of walkthrough.sources || []) session.citedFiles.add(p);
+      for (const r of walkthrough.references || []) if (r && r.path) session.citedFiles.add(r.path);
+      session.updatedAt = Date.now();
+      return turn;
+    }
+  };
+}
+
+module.exports = { createSessionStore };
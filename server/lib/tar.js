@@ -0,0 +1,37 @@
+const zlib = require('zlib');
+
+// Minimal reader for (gzipped) ustar archives as produced by GitHub/GitLab tarball
+// endpoints. Handles pax ('x') and GNU ('L') long names; returns regular files only.
+function readTarEntries(buffer, opts = {}) {
+  const data = opts.gzip === false ? buffer : zlib.gunzipSync(buffer);
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+  while (offset + 512 <= data.length) {
+    const header = data.subarray(offset, offset + 512);
+    if (header.every(b => b === 0)) break;
+    const field = (start, len) => header.subarray(start, start + len).toString('utf8').replace(/\0.*$/s, '');
+    const size = parseInt(field(124, 12).trim() || '0', 8);
+    const type = field(156, 1) || '0';
+    const prefix = field(345, 155);
+    let name = prefix ? `${prefix}/${field(0, 100)}` : field(0, 100);
+    const body = data.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    if (type === 'x') {
+      const m = body.toString('utf8').match(/^\d+ path=(.*)$/m);
+      if (m) longName = m[1];
+      continue;
+    }
+    if (type === 'L') {
+      longName = body.toString('utf8').replace(/\0.*$/s, '');
+      continue;
+    }
+    if (type === 'g') continue;
+    if (longName) { name = longName; longName = null; }
+    if (type === '0' || type === '7') entries.push({ path: name, content: Buffer.from(body) });
+  }
+  return entries;
+}
+
+module.exports = { readTarEntries };
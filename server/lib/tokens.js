@@ -0,0 +1,59 @@
+// Token counts and context window sizes for chat models. OpenAI models are counted with their
+// own encoding; other vendors' tokenizers aren't available offline, so cl100k_base stands in
+// with a safety margin (their counts for code are usually within 10-15% of it).
+const ESTIMATE_MARGIN = 1.15;
+// Context window for models we know nothing about; set LLM_CONTEXT_TOKENS for local servers
+// (Ollama, llama.cpp, ...) whose window depends on how they were started
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+const CONTEXT_WINDOWS = [
+  [/^claude-/, 200000],
+  [/^mock/, 128000]
+];
+
+let openaiModels = null;
+const encoders = new Map();
+
+function encodingFor(model) {
+  const m = String(model || '').replace(/^openai\//, '');
+  if (/^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|chatgpt-4o|o[1-9])/.test(m)) return 'o200k_base';
+  if (/^(gpt-4|gpt-3\.5|text-embedding-)/.test(m)) return 'cl100k_base';
+  return null;
+}
+
+// Loaded on first use: each encoding is a few MB of merge tables
+function encoder(name) {
+  if (!encoders.has(name)) encoders.set(name, require(`gpt-tokenizer/encoding/${name}`));
+  return encoders.get(name);
+}
+
+// { encoding, exact, count(text) } for a model. Inexact counts already include the margin.
+function tokenCounter(model) {
+  const encoding = encodingFor(model);
+  const enc = encoder(encoding || 'cl100k_base');
+  return {
+    encoding: encoding || 'cl100k_base (estimate)',
+    exact: !!encoding,
+    count(text) {
+      if (!text) return 0;
+      const n = enc.countTokens(String(text));
+      return encoding ? n : Math.ceil(n * ESTIMATE_MARGIN);
+    }
+  };
+}
+
+// Input + output tokens the model accepts. LLM_CONTEXT_TOKENS overrides the lookup.
+function contextWindow(model, env = process.env) {
+  if (env.LLM_CONTEXT_TOKENS) return parseInt(env.LLM_CONTEXT_TOKENS, 10);
+  const m = String(model || '');
+  if (encodingFor(m)) {
+    if (!openaiModels) openaiModels = require('gpt-tokenizer/cjs/models');
+    // Dated snapshots (gpt-4o-2024-08-06) share their family's window
+    const known = openaiModels[m] || openaiModels[m.replace(/-\d{4}-\d{2}-\d{2}$/, '')];
+    if (known && known.context_window) return known.context_window;
+  }
+  for (const [re, size] of CONTEXT_WINDOWS) if (re.test(m)) return size;
+  return DEFAULT_CONTEXT_WINDOW;
+}
+
+module.exports = { tokenCounter, contextWindow };
@@ -0,0 +1,233 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-run accounting: upstream (GitHub/GitLab/Bitbucket) requests and their rate limits, files
+// read, embedding and completion tokens, estimated cost and time per stage. The code that does
+// the work records into whatever run is current (see trackUsage), so nothing has to be threaded
+// through the pipelines. Every record also goes to the onRecord listeners, run or not (metrics).
+
+// USD per million tokens: [prompt, completion] for chat models, [input] for embedding models.
+// Matched by the longest prefix, so dated names (gpt-4o-mini-2024-07-18) find their model.
+// LLM_PRICES adds or overrides entries: "my-model=0.5:1.5,my-embedder=0.02".
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4.1-nano': [0.1, 0.4],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1': [2, 8],
+  'o4-mini': [1.1, 4.4],
+  'o3-mini': [1.1, 4.4],
+  'claude-3-5-haiku': [0.8, 4],
+  'claude-3-5-sonnet': [3, 15],
+  'claude-3-7-sonnet': [3, 15],
+  'claude-sonnet-4': [3, 15],
+  'claude-opus-4': [15, 75],
+  'text-embedding-3-small': [0.02],
+  'text-embedding-3-large': [0.13],
+  'text-embedding-ada-002': [0.1]
+};
+
+function parsePrices(spec) {
+  const prices = {};
+  for (const entry of String(spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const m = /^([^=]+)=([\d.]+)(?::([\d.]+))?$/.exec(entry);
+    if (!m) throw new Error(`LLM_PRICES: expected <model>=<prompt>[:<completion>], got "${entry}"`);
+    prices[m[1].trim()] = m[3] === undefined ? [Number(m[2])] : [Number(m[2]), Number(m[3])];
+  }
+  return prices;
+}
+
+let prices = { ...DEFAULT_PRICES };
+function configurePrices(spec = process.env.LLM_PRICES) {
+  prices = { ...DEFAULT_PRICES, ...parsePrices(spec) };
+}
+
+// [prompt, completion] USD per million tokens for a model, or null when unknown
+function priceOf(model) {
+  if (!model) return null;
+  const name = String(model).replace(/^.*\//, '');
+  let best = null;
+  for (const key of Object.keys(prices)) {
+    if (name.startsWith(key) && (!best || key.length > best.length)) best = key;
+  }
+  return best ? prices[best] : null;
+}
+
+function createUsage() {
+  const startedAt = Date.now();
+  const unpriced = new Set();
+  const data = {
+    duration_ms: 0,
+    stages: {},
+    upstream: { requests: 0, errors: 0, not_modified: 0, bytes: 0, rate_limit: null },
+    files: { read: 0, bytes: 0 },
+    embeddings: { requests: 0, inputs: 0, tokens: 0 },
+    llm: { calls: 0, prompt_tokens: 0, completion_tokens: 0 },
+    cost: { usd: 0, estimated: true, unpriced_models: [] }
+  };
+  const addCost = (model, usd) => {
+    if (usd === null) unpriced.add(model || 'unknown');
+    else data.cost.usd += usd;
+  };
+  return {
+    data,
+    addCost,
+    // The plain record for the `result` event; duration runs until this is called
+    finish() {
+      data.duration_ms = Date.now() - startedAt;
+      data.cost.usd = Math.round(data.cost.usd * 1e6) / 1e6;
+      data.cost.unpriced_models = Array.from(unpriced);
+      return JSON.parse(JSON.stringify(data));
+    }
+  };
+}
+
+const usageContext = new AsyncLocalStorage();
+const listeners = new Set();
+
+// listener(kind, fields) for every record: 'upstream', 'file', 'embeddings' or 'completion'
+function onRecord(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function emit(kind, fields) {
+  for (const listener of listeners) {
+    try {
+      listener(kind, fields);
+    } catch (err) {
+      console.warn(`Usage listener failed on ${kind}:`, err.message || err);
+    }
+  }
+}
+
+const current = () => usageContext.getStore() || null;
+
+// Run fn(usage) with usage as the current run; everything fn starts (awaits, timers, streams)
+// records into it
+function trackUsage(usage, fn) {
+  return usageContext.run(usage, () => fn(usage));
+}
+
+// Rate-limit headers as GitHub (x-ratelimit-*), GitLab (ratelimit-*) and Bitbucket send them
+function rateLimitOf(headers) {
+  if (!headers) return null;
+  const get = (name) => headers[`x-ratelimit-${name}`] ?? headers[`ratelimit-${name}`];
+  const remaining = parseInt(get('remaining'), 10);
+  if (Number.isNaN(remaining)) return null;
+  const limit = parseInt(get('limit'), 10);
+  const reset = parseInt(get('reset'), 10);
+  return { remaining, limit: Number.isNaN(limit) ? null : limit, reset_at: Number.isNaN(reset) ? null : new Date(reset * 1000).toISOString() };
+}
+
+function bodyBytes(res) {
+  const length = parseInt(res.headers?.['content-length'], 10);
+  if (!Number.isNaN(length)) return length;
+  const body = res.data;
+  if (body == null) return 0;
+  if (body.byteLength !== undefined) return body.byteLength;
+  return Buffer.byteLength(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+// One upstream HTTP attempt: the axios response, or the error for failed ones
+function recordUpstream(url, { res = null, err = null } = {}) {
+  let host = 'unknown';
+  try {
+    host = new URL(url).host;
+  } catch (e) {
+    // leave it unknown
+  }
+  const response = res || (err && err.response) || null;
+  const status = response ? response.status : null;
+  const bytes = res ? bodyBytes(res) : 0;
+  const rateLimit = response ? rateLimitOf(response.headers) : null;
+  const usage = current();
+  if (usage) {
+    const u = usage.data.upstream;
+    u.requests += 1;
+    u.bytes += bytes;
+    if (err) u.errors += 1;
+    if (status === 304) u.not_modified += 1;
+    // The tightest limit seen, which is what a caller has to watch
+    if (rateLimit && (!u.rate_limit || rateLimit.remaining <= u.rate_limit.remaining)) u.rate_limit = { host, ...rateLimit };
+  }
+  emit('upstream', { host, status, error: !!err, bytes, rate_limit: rateLimit });
+}
+
+function recordFileRead(bytes) {
+  const usage = current();
+  if (usage) {
+    usage.data.files.read += 1;
+    usage.data.files.bytes += bytes;
+  }
+  emit('file', { bytes });
+}
+
+function recordEmbeddings({ model, inputs, tokens = 0 }) {
+  const price = priceOf(model);
+  const usd = price ? tokens * price[0] / 1e6 : null;
+  const usage = current();
+  if (usage) {
+    const e = usage.data.embeddings;
+    e.requests += 1;
+    e.inputs += inputs;
+    e.tokens += tokens;
+    usage.addCost(model, usd);
+  }
+  emit('embeddings', { model, inputs, tokens, usd });
+}
+
+function recordCompletion({ model, prompt_tokens: prompt = 0, completion_tokens: completion = 0 }) {
+  const price = priceOf(model);
+  const usd = price ? (prompt * price[0] + completion * (price[1] ?? price[0])) / 1e6 : null;
+  const usage = current();
+  if (usage) {
+    const l = usage.data.llm;
+    l.calls += 1;
+    l.prompt_tokens += prompt;
+    l.completion_tokens += completion;
+    usage.addCost(model, usd);
+  }
+  emit('completion', { model, prompt_tokens: prompt, completion_tokens: completion, usd });
+}
+
+// Time fn as a stage of the current run. Stages of the same name add up (both sides of a
+// comparison fetch at once, so theirs can exceed the run's duration).
+async function stage(name, fn) {
+  const usage = current();
+  // Listed in the order stages start, so retrieval comes before the steps inside it
+  if (usage && !(name in usage.data.stages)) usage.data.stages[name] = 0;
+  const started = Date.now();
+  try {
+    return await fn();
+  } finally {
+    const ms = Date.now() - started;
+    if (usage) usage.data.stages[name] = (usage.data.stages[name] || 0) + ms;
+  }
+}
+
+// The LLM with every completion's tokens (and cost) recorded
+function meterCompletions(llm) {
+  if (!llm) return llm;
+  return {
+    ...llm,
+    async complete(params) {
+      const completion = await llm.complete(params);
+      recordCompletion({ model: completion.model || params.model || llm.chatModel, ...(completion.usage || {}) });
+      return completion;
+    }
+  };
+}
+
+// The provider with the files it returns counted
+function meterFiles(provider) {
+  return {
+    ...provider,
+    async readFile(filePath, ref) {
+      const content = await provider.readFile(filePath, ref);
+      if (content !== null) recordFileRead(Buffer.byteLength(content));
+      return content;
+    }
+  };
+}
+
+module.exports = { createUsage, trackUsage, onRecord, stage, recordUpstream, recordFileRead, recordEmbeddings, recordCompletion, meterCompletions, meterFiles, priceOf, configurePrices, rateLimitOf };
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Issue, list and revoke API keys (see lib/auth):
+//
+//   node scripts/api-keys.js add alice --team platform --limit quota_llm_tokens_per_day=2000000
+//   node scripts/api-keys.js list
+//   node scripts/api-keys.js remove alice
+//
+// `add` prints the new key once; only its hash is stored. Writes API_KEYS_FILE
+// (default .data/api-keys.json); a running server picks changes up within a second.
+require('dotenv').config();
+const { createKeyStore, LIMIT_NAMES } = require('../lib/auth');
+
+const USAGE = `usage: api-keys.js add <id> [--team <team>] [--limit <name>=<n>]...
+       api-keys.js list
+       api-keys.js remove <id>
+limits: ${LIMIT_NAMES.join(', ')}`;
+
+async function main(argv) {
+  const store = createKeyStore();
+  const [command, id, ...rest] = argv;
+  if (command === 'add' && id) {
+    let team = null;
+    const limits = {};
+    for (let i = 0; i < rest.length; i++) {
+      const [flag, value] = [rest[i], rest[i + 1]];
+      if (flag === '--team' && value) {
+        team = value;
+      } else if (flag === '--limit' && /^\w+=\d+$/.test(value || '')) {
+        const [name, n] = value.split('=');
+        limits[name] = n;
+      } else {
+        throw new Error(`unexpected argument ${flag}\n${USAGE}`);
+      }
+      i++;
+    }
+    const { key, entry } = await store.add({ id, team, limits });
+    console.log(key);
+    console.error(`Added key "${entry.id}"${team ? ` for team ${team}` : ''} to ${store.file}. Keep the key above: it is not stored and can't be shown again.`);
+  } else if (command === 'list') {
+    const keys = store.list();
+    if (!keys.length) console.error(`No keys in ${store.file}`);
+    for (const k of keys) {
+      const limits = Object.entries(k.limits || {}).map(([name, n]) => `${name}=${n}`).join(' ');
+      console.log([k.id, k.team || '-', k.created_at || '-', k.disabled ? 'disabled' : '', limits].filter(Boolean).join('\t'));
+    }
+  } else if (command === 'remove' && id) {
+    if (!(await store.remove(id))) throw new Error(`no key with id "${id}"`);
+    console.error(`Removed key "${id}"`);
+  } else {
+    throw new Error(USAGE);
+  }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+// Offline evaluation of the walkthrough pipeline: retrieval, reference verification and the
+// hallucination guards, measured against a golden question set (eval/questions.json) over
+// fixture repositories (eval/fixtures/<name>), served through the GitHub stand-in as
+// https://github.com/eval/<name>.
+//
+//   node scripts/eval.js                                    # mock LLM, every question
+//   node scripts/eval.js --only shop-total,notes-search --verbose
+//   node scripts/eval.js --llm record                       # the configured model; replies saved
+//   node scripts/eval.js --llm replay                       # the saved replies, offline
+//   node scripts/eval.js --json report.json --baseline before.json
+//
+// A question is { id, repo, question, expected_files, missing, cannot_answer, reply }. missing
+// lists the concepts the answer should report as absent ("a|b" accepts either); reply, when
+// given, is the model's walkthrough in mock mode, e.g. one that cites files that don't exist.
+// Retrieval uses the hash embedder and a small context budget (--budget), so ranking decides
+// what the model sees. Replies are recorded per question and call (eval/recording.json);
+// replaying them after a ranking or prompt change reports them as stale.
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createStandin } = require('./github-standin');
+
+const EVAL_DIR = path.join(__dirname, '..', 'eval');
+const USAGE = `usage: eval.js [--llm mock|record|replay] [--recording <file>] [--questions <file>] [--fixtures <dir>]
+               [--budget <tokens>] [--model <model>] [--only <id,...>] [--json <file>] [--baseline <file>] [--verbose]`;
+
+// File paths as the walkthrough guard looks for them, plus a few more extensions
+const FILE_MENTION = /[\w./-]+\.(?:js|jsx|mjs|cjs|ts|tsx|py|java|go|rb|php|rs|c|cpp|cs|json|md|html|css|ya?ml|toml|txt|sql|sh)\b/g;
+
+function parseArgs(argv) {
+  const opts = {
+    llm: 'mock',
+    recording: path.join(EVAL_DIR, 'recording.json'),
+    questions: path.join(EVAL_DIR, 'questions.json'),
+    fixtures: path.join(EVAL_DIR, 'fixtures'),
+    budget: 1200,
+    model: null,
+    only: null,
+    json: null,
+    baseline: null,
+    verbose: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    const name = flag.replace(/^--/, '');
+    if (flag === '--verbose') {
+      opts.verbose = true;
+      continue;
+    }
+    if (!flag.startsWith('--') || !(name in opts) || value === undefined) throw new Error(`unexpected argument ${flag}\n${USAGE}`);
+    opts[name] = value;
+    i++;
+  }
+  if (!['mock', 'record', 'replay'].includes(opts.llm)) throw new Error(`--llm must be mock, record or replay\n${USAGE}`);
+  opts.budget = parseInt(opts.budget, 10);
+  if (!(opts.budget >= 500)) throw new Error('--budget must be at least 500 tokens');
+  if (opts.only) opts.only = opts.only.split(',').map(s => s.trim()).filter(Boolean);
+  return opts;
+}
+
+// Every file of a fixture: path -> content
+function readFixture(dir) {
+  const files = new Map();
+  const walk = (rel) => {
+    for (const entry of fs.readdirSync(path.join(dir, rel), { withFileTypes: true })) {
+      const p = rel ? `${rel}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) walk(p);
+      else files.set(p, fs.readFileSync(path.join(dir, p), 'utf8'));
+    }
+  };
+  walk('');
+  return files;
+}
+
+// The fixture as a one-commit git repository under root, with a fixed author and date so its
+// commit (and everything cached per commit) stays the same between runs
+function fixtureRepo(fixtureDir, root) {
+  fs.cpSync(fixtureDir, root, { recursive: true });
+  const env = { ...process.env, GIT_AUTHOR_NAME: 'eval', GIT_AUTHOR_EMAIL: 'eval@example.com', GIT_AUTHOR_DATE: '2024-01-01T00:00:00Z', GIT_COMMITTER_NAME: 'eval', GIT_COMMITTER_EMAIL: 'eval@example.com', GIT_COMMITTER_DATE: '2024-01-01T00:00:00Z' };
+  const git = (...args) => execFileSync('git', ['-C', root, '-c', 'commit.gpgsign=false', ...args], { env, stdio: 'pipe' });
+  git('init', '-q', '-b', 'main');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'fixture');
+}
+
+// The LLM for the run: the mock (scripted replies where a question has one), the configured
+// model with its replies recorded, or the recorded replies. Each call is keyed <id>#<n>.
+// The current question's Walkthrough reply is kept as `raw`, before any guard touches it.
+function createEvalLLM(mode, recordingFile, state) {
+  const { createLLMFromEnv, createMockLLM } = require('../lib/llm');
+  const { defaultRespond } = require('../lib/llm/mock');
+  const recording = { entries: {} };
+  if (mode === 'replay') {
+    try {
+      Object.assign(recording, JSON.parse(fs.readFileSync(recordingFile, 'utf8')));
+    } catch (err) {
+      throw new Error(`Cannot replay ${recordingFile}: ${err.message}. Record it first with --llm record.`);
+    }
+  }
+  let inner = null;
+  if (mode === 'mock') {
+    inner = createMockLLM({ respond: (messages, params) => (params.schema && params.schema.name === 'Walkthrough' && state.question.reply ? JSON.stringify(state.question.reply) : defaultRespond(messages, params)) });
+  } else if (mode === 'record') {
+    inner = createLLMFromEnv();
+    if (!inner) throw new Error('--llm record needs a configured LLM provider (OPENAI_API_KEY, or LLM_PROVIDER / LLM_BASE_URL)');
+  }
+  const chatModel = inner ? inner.chatModel : recording.model || 'recorded';
+
+  return {
+    name: mode === 'replay' ? 'recording' : inner.name,
+    chatModel,
+    embedder: null,
+    capabilities: inner ? inner.capabilities : { chat: true, embeddings: false, jsonMode: true, structuredOutput: false },
+    recording,
+
+    async complete(params) {
+      state.calls += 1;
+      const key = `${state.question.id}#${state.calls}`;
+      const promptSha = crypto.createHash('sha1').update(JSON.stringify(params.messages)).digest('hex');
+      let completion;
+      if (mode === 'replay') {
+        const entry = recording.entries[key];
+        if (!entry) throw new Error(`no recorded reply for ${key}; record again with --llm record`);
+        if (entry.prompt_sha !== promptSha) state.stale += 1;
+        if (params.onDelta) params.onDelta(entry.text);
+        completion = { text: entry.text, model: entry.model, usage: entry.usage };
+      } else {
+        completion = await inner.complete(params);
+        if (mode === 'record') recording.entries[key] = { prompt_sha: promptSha, text: completion.text, model: completion.model, usage: completion.usage };
+      }
+      if (params.schema && params.schema.name === 'Walkthrough') state.raw = completion.text;
+      return completion;
+    }
+  };
+}
+
+const squash = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+
+// The excerpt is in the file (at its lines, when it has them)
+function referenceValid(ref, files) {
+  const content = files.get(ref.path);
+  const excerpt = squash(ref.excerpt);
+  if (content === undefined || !excerpt) return false;
+  if (!ref.start_line) return squash(content).includes(excerpt);
+  return squash(content.split('\n').slice(ref.start_line - 1, ref.end_line).join('\n')).includes(excerpt);
+}
+
+// Paths a walkthrough names (answer, trace, references, sources) that aren't in the repository.
+// A bare file name counts as known when some file has it.
+function unknownPaths(w, files) {
+  const paths = Array.from(files.keys());
+  const known = (p) => files.has(p) || paths.some(f => f.endsWith(`/${p}`));
+  const mentioned = new Set([
+    ...(String(w.answer || '').match(FILE_MENTION) || []),
+    ...(w.trace || []).flatMap(t => String(t).match(FILE_MENTION) || []),
+    ...(w.references || []).map(r => r.path),
+    ...(w.sources || [])
+  ]);
+  return Array.from(mentioned).filter(p => !known(p));
+}
+
+const share = (found, total) => (total ? found / total : null);
+
+// What one walkthrough got right, against the question's expectations
+function score(q, files, result, raw) {
+  const w = result.walkthrough;
+  const expected = q.expected_files || [];
+  const context = result.files.map(f => f.path);
+  const cited = new Set([...w.references.map(r => r.path), ...w.sources]);
+  const expectedMissing = q.missing || [];
+  const missingFound = expectedMissing.filter(concept => concept.toLowerCase().split('|').some(alt => w.missing.some(m => m.toLowerCase().includes(alt.trim()))));
+  const rawRefs = raw && Array.isArray(raw.references) ? raw.references : [];
+  return {
+    context_files: context,
+    recall: expected.length ? share(expected.filter(p => context.includes(p)).length, expected.length) : null,
+    cited_recall: expected.length ? share(expected.filter(p => cited.has(p)).length, expected.length) : null,
+    references: w.references.length,
+    valid_references: w.references.filter(r => referenceValid(r, files)).length,
+    raw_references: rawRefs.length,
+    raw_valid_references: rawRefs.filter(r => r && referenceValid(r, files)).length,
+    hallucinated: unknownPaths(w, files),
+    raw_hallucinated: raw ? unknownPaths(raw, files) : [],
+    missing_expected: expectedMissing,
+    missing_found: missingFound,
+    missing_reported: w.missing,
+    cannot_answer: { expected: !!q.cannot_answer, actual: !!w.cannot_answer }
+  };
+}
+
+function summarize(results) {
+  const ok = results.filter(r => r.status === 'ok');
+  const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+  const sum = (k) => ok.reduce((n, r) => n + r[k], 0);
+  return {
+    questions: results.length,
+    errors: results.length - ok.length,
+    retrieval_recall: mean(ok.filter(r => r.recall !== null).map(r => r.recall)),
+    citation_recall: mean(ok.filter(r => r.cited_recall !== null).map(r => r.cited_recall)),
+    reference_validity: share(sum('valid_references'), sum('references')),
+    model_reference_validity: share(sum('raw_valid_references'), sum('raw_references')),
+    hallucination_rate: share(ok.filter(r => r.hallucinated.length).length, ok.length),
+    model_hallucination_rate: share(ok.filter(r => r.raw_hallucinated.length).length, ok.length),
+    missing_recall: share(ok.reduce((n, r) => n + r.missing_found.length, 0), ok.reduce((n, r) => n + r.missing_expected.length, 0)),
+    cannot_answer_accuracy: share(ok.filter(r => r.cannot_answer.expected === r.cannot_answer.actual).length, ok.length),
+    stale_replies: ok.reduce((n, r) => n + r.stale_replies, 0)
+  };
+}
+
+const METRIC_LABELS = {
+  retrieval_recall: 'Retrieval recall (expected files in context)',
+  citation_recall: 'Citation recall (expected files cited)',
+  reference_validity: 'Reference validity (after verification)',
+  model_reference_validity: 'Reference validity (model reply)',
+  hallucination_rate: 'Answers naming unknown paths (after guards)',
+  model_hallucination_rate: 'Answers naming unknown paths (model reply)',
+  missing_recall: 'Missing concepts reported',
+  cannot_answer_accuracy: 'cannot_answer as expected'
+};
+const fmt = (x) => (x === null || x === undefined ? '-' : x.toFixed(2));
+
+function printReport(report, baseline) {
+  for (const r of report.results) {
+    if (r.status !== 'ok') {
+      console.log(`${r.id.padEnd(30)} ERROR ${r.error}`);
+      continue;
+    }
+    const missing = r.missing_expected.length ? `${r.missing_found.length}/${r.missing_expected.length}` : '-';
+    const ca = r.cannot_answer.expected === r.cannot_answer.actual ? 'ok' : `expected ${r.cannot_answer.expected}`;
+    console.log(`${r.id.padEnd(30)} recall ${fmt(r.recall)}  cited ${fmt(r.cited_recall)}  refs ${r.valid_references}/${r.references} valid (model ${r.raw_valid_references}/${r.raw_references})  unknown paths ${r.raw_hallucinated.length} -> ${r.hallucinated.length}  missing ${missing}  cannot_answer ${ca}`);
+    for (const p of r.hallucinated) console.log(`${''.padEnd(30)} unknown path left in the answer: ${p}`);
+  }
+  const s = report.summary;
+  console.log(`\n${s.questions} question(s), ${s.errors} error(s); LLM ${report.llm} (${report.model}), context budget ${report.budget} tokens${s.stale_replies ? `; ${s.stale_replies} recorded reply(ies) are stale (the prompt changed since recording)` : ''}`);
+  for (const [key, label] of Object.entries(METRIC_LABELS)) {
+    let line = `  ${label.padEnd(46)} ${fmt(s[key])}`;
+    const before = baseline && baseline.summary ? baseline.summary[key] : undefined;
+    if (typeof before === 'number' && typeof s[key] === 'number') {
+      const delta = s[key] - before;
+      line += `  (baseline ${fmt(before)}, ${delta >= 0 ? '+' : ''}${delta.toFixed(2)})`;
+    }
+    console.log(line);
+  }
+}
+
+async function main(argv) {
+  const opts = parseArgs(argv);
+  let questions = JSON.parse(fs.readFileSync(opts.questions, 'utf8'));
+  if (opts.only) questions = questions.filter(q => opts.only.includes(q.id));
+  if (!questions.length) throw new Error('no questions to run');
+  const baseline = opts.baseline ? JSON.parse(fs.readFileSync(opts.baseline, 'utf8')) : null;
+
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'repostack-eval-'));
+  let server = null;
+  try {
+    const fixtures = new Map();
+    for (const name of new Set(questions.map(q => q.repo))) {
+      const dir = path.join(opts.fixtures, name);
+      if (!fs.existsSync(dir)) throw new Error(`no fixture ${dir}`);
+      fixtureRepo(dir, path.join(tmp, name));
+      fixtures.set(name, readFixture(dir));
+    }
+    const standin = createStandin({ repos: new Map(Array.from(fixtures.keys(), name => [`eval/${name}`, path.join(tmp, name)])), pulls: new Map() });
+    server = await new Promise((resolve) => { const s = standin.listen(0, '127.0.0.1', () => resolve(s)); });
+
+    // The GitHub provider reads its API base when it is loaded, so the pipelines come after this
+    process.env.GITHUB_API_URL = `http://127.0.0.1:${server.address().port}`;
+    const { createPipelines } = require('../lib/pipelines');
+    const { createRuleStore } = require('../lib/rules');
+    const { createHashEmbedder } = require('../lib/embedders');
+    const { resolveRequestRef } = require('../lib/providers');
+
+    const state = { question: null, calls: 0, stale: 0, raw: null };
+    const llm = createEvalLLM(opts.llm, opts.recording, state);
+    const pipelines = createPipelines({
+      llm,
+      embedder: createHashEmbedder(),
+      ruleStore: createRuleStore({ file: path.join(tmp, 'rules.json') }),
+      snapshotCache: null,
+      env: { ...process.env, CONTEXT_MAX_TOKENS: String(opts.budget) }
+    });
+    const model = opts.model || llm.chatModel;
+
+    const results = [];
+    for (const q of questions) {
+      Object.assign(state, { question: q, calls: 0, stale: 0, raw: null });
+      const send = (event, data) => { if (event === 'log' && opts.verbose) console.error(`[${q.id}] ${data.message}`); };
+      try {
+        const provider = pipelines.openProvider(`https://github.com/eval/${q.repo}`);
+        const { sha } = await resolveRequestRef(provider, null);
+        const result = await pipelines.runWalkthrough({ provider, sha, question: q.question, model }, send);
+        let raw = null;
+        try {
+          raw = state.raw ? JSON.parse(state.raw) : null;
+        } catch (err) {
+          // an unparseable reply has nothing to score
+        }
+        results.push({ id: q.id, repo: q.repo, question: q.question, status: 'ok', ...score(q, fixtures.get(q.repo), result, raw), llm_calls: state.calls, stale_replies: state.stale, walkthrough: result.walkthrough });
+      } catch (err) {
+        results.push({ id: q.id, repo: q.repo, question: q.question, status: 'error', error: err.message || String(err) });
+      }
+    }
+
+    if (opts.llm === 'record') {
+      fs.writeFileSync(opts.recording, `${JSON.stringify({ recorded_at: new Date().toISOString(), model, entries: llm.recording.entries }, null, 2)}\n`);
+      console.error(`Recorded ${Object.keys(llm.recording.entries).length} replies to ${opts.recording}`);
+    }
+    const report = { generated_at: new Date().toISOString(), llm: opts.llm, model, budget: opts.budget, summary: summarize(results), results };
+    printReport(report, baseline);
+    if (opts.json) fs.writeFileSync(opts.json, `${JSON.stringify(report, null, 2)}\n`);
+    if (report.summary.errors) process.exitCode = 1;
+  } finally {
+    if (server) server.close();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
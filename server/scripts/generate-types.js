@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Regenerates shared/types.ts from shared/schemas.json so the client's types can't drift from
+// what the server validates. `--check` exits non-zero when the file is out of date.
+const fs = require('fs');
+const path = require('path');
+const { definitions } = require('../lib/schema');
+
+const OUT = path.join(__dirname, '..', '..', 'shared', 'types.ts');
+
+function tsType(schema, indent) {
+  if (schema.$ref) return schema.$ref.replace(/^#\//, '');
+  if (schema.enum) return schema.enum.map(v => JSON.stringify(v)).join(' | ');
+  if (Array.isArray(schema.type)) return schema.type.map(type => tsType({ ...schema, type }, indent)).join(' | ');
+  switch (schema.type) {
+    case 'string': return 'string';
+    case 'number':
+    case 'integer': return 'number';
+    case 'boolean': return 'boolean';
+    case 'null': return 'null';
+    case 'array': {
+      const item = schema.items ? tsType(schema.items, indent) : 'unknown';
+      return item.includes(' | ') ? `Array<${item}>` : `${item}[]`;
+    }
+    case 'object': {
+      const required = new Set(schema.required || []);
+      const pad = '  '.repeat(indent + 1);
+      const fields = Object.entries(schema.properties || {}).map(([k, v]) => {
+        const doc = v.description ? `${pad}/** ${v.description} */\n` : '';
+        return `${doc}${pad}${k}${required.has(k) ? '' : '?'}: ${tsType(v, indent + 1)}`;
+      });
+      return `{\n${fields.join('\n')}\n${'  '.repeat(indent)}}`;
+    }
+    default: return 'unknown';
+  }
+}
+
+function render() {
+  let out = '// Generated from shared/schemas.json by server/scripts/generate-types.js. Do not edit.\n';
+  for (const [name, schema] of Object.entries(definitions)) {
+    out += '\n';
+    if (schema.description) out += `/** ${schema.description} */\n`;
+    out += `export interface ${name} ${tsType(schema, 0)}\n`;
+  }
+  return out;
+}
+
+const content = render();
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(OUT) ? fs.readFileSync(OUT, 'utf8') : '';
+  if (current !== content) {
+    console.error(`${path.relative(process.cwd(), OUT)} is out of date; run npm run generate:types`);
+    process.exit(1);
+  }
+} else {
+  fs.writeFileSync(OUT, content);
+  console.log(`Wrote ${path.relative(process.cwd(), OUT)}`);
+}
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+// Local stand-in for the parts of the GitHub REST API the server uses, backed by git
+// repositories on disk, so analyses, walkthroughs and pull request reviews can run offline.
+//
+//   node scripts/github-standin.js --port 4100 \
+//     --repo acme/shop=/path/to/checkout \
+//     --pull 'acme/shop#1=main...feature/cart'
+//
+// then start the server with GITHUB_API_URL=http://localhost:4100 and use
+// https://github.com/acme/shop (or .../pull/1) as usual. A pull request is the diff from the
+// merge base of base and head to head, like GitHub's; its title and body come from head's
+// last commit message. An owner's repos are listed both as an organization's and as a user's
+// (for repostack.js catalog --org acme).
+const express = require('express');
+const { execFile } = require('child_process');
+
+const LANGUAGES = { js: 'JavaScript', jsx: 'JavaScript', mjs: 'JavaScript', cjs: 'JavaScript', ts: 'TypeScript', tsx: 'TypeScript', py: 'Python', go: 'Go', rs: 'Rust', java: 'Java', kt: 'Kotlin', rb: 'Ruby', php: 'PHP', cs: 'C#', c: 'C', cpp: 'C++', css: 'CSS', html: 'HTML', sh: 'Shell' };
+const STATUS = { A: 'added', M: 'modified', D: 'removed', R: 'renamed', C: 'copied', T: 'changed' };
+
+function parseArgs(argv) {
+  const opts = { port: 4100, repos: new Map(), pulls: new Map() };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (flag === '--port') {
+      opts.port = parseInt(value, 10);
+      i++;
+    } else if (flag === '--repo') {
+      const m = /^([^/\s]+\/[^=\s]+)=(.+)$/.exec(value || '');
+      if (!m) throw new Error(`--repo expects owner/name=/path, got "${value}"`);
+      opts.repos.set(m[1], m[2]);
+      i++;
+    } else if (flag === '--pull') {
+      const m = /^([^/\s]+\/[^#\s]+)#(\d+)=(.+?)\.\.\.(.+)$/.exec(value || '');
+      if (!m) throw new Error(`--pull expects owner/name#number=base...head, got "${value}"`);
+      opts.pulls.set(`${m[1]}#${m[2]}`, { base: m[3], head: m[4] });
+      i++;
+    } else {
+      throw new Error(`unknown argument ${flag}`);
+    }
+  }
+  for (const key of opts.pulls.keys()) {
+    if (!opts.repos.has(key.split('#')[0])) throw new Error(`--pull ${key}: no --repo for ${key.split('#')[0]}`);
+  }
+  return opts;
+}
+
+function git(root, args, { encoding = 'utf8' } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', ['-C', root, ...args], { maxBuffer: 256 * 1024 * 1024, encoding }, (err, stdout) => (err ? reject(err) : resolve(stdout)));
+  });
+}
+
+const revParse = (root, ref) => git(root, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]).then(s => s.trim());
+
+// The changed files of base...head in the shape of GET /pulls/:n/files
+async function pullFiles(root, base, head) {
+  const range = `${base}...${head}`;
+  const [nameStatus, numstat] = await Promise.all([
+    git(root, ['diff', '-M', '--name-status', '-z', range]),
+    git(root, ['diff', '-M', '--numstat', '-z', range])
+  ]);
+  const fields = nameStatus.split('\0').filter(Boolean);
+  const files = [];
+  for (let i = 0; i < fields.length;) {
+    const code = fields[i++];
+    const renamed = code[0] === 'R' || code[0] === 'C';
+    const previous = renamed ? fields[i++] : null;
+    files.push({ filename: fields[i++], previous_filename: previous, status: STATUS[code[0]] || 'modified' });
+  }
+  // numstat -z: "added\tdeleted\tpath\0", or "added\tdeleted\t\0old\0new\0" for renames
+  const counts = new Map();
+  const parts = numstat.split('\0');
+  for (let i = 0; i < parts.length; i++) {
+    const m = /^(\d+|-)\t(\d+|-)\t(.*)$/.exec(parts[i]);
+    if (!m) continue;
+    let file = m[3];
+    if (!file) {
+      file = parts[i + 2];
+      i += 2;
+    }
+    counts.set(file, m[1] === '-' ? null : { additions: parseInt(m[1], 10), deletions: parseInt(m[2], 10) });
+  }
+  for (const f of files) {
+    const c = counts.get(f.filename);
+    f.additions = c ? c.additions : 0;
+    f.deletions = c ? c.deletions : 0;
+    f.changes = f.additions + f.deletions;
+    // Binary files have no patch, as on GitHub
+    if (c === null) continue;
+    const paths = f.previous_filename ? [f.previous_filename, f.filename] : [f.filename];
+    const diff = await git(root, ['diff', '-M', range, '--', ...paths]);
+    const at = diff.indexOf('\n@@ ');
+    if (at !== -1) f.patch = diff.slice(at + 1).replace(/\n$/, '');
+  }
+  return files;
+}
+
+function createStandin({ repos, pulls }) {
+  const app = express();
+  const notFound = (res) => res.status(404).json({ message: 'Not Found' });
+  const fileResponse = (path, content) => ({ type: 'file', path, name: path.split('/').pop(), size: content.length, encoding: 'base64', content: content.toString('base64') });
+
+  app.use('/repos/:owner/:repo', (req, res, next) => {
+    req.fullName = `${req.params.owner}/${req.params.repo}`;
+    req.root = repos.get(req.fullName);
+    if (!req.root) return notFound(res);
+    next();
+  });
+  // Any git failure (unknown ref, missing path) reads as a 404
+  const route = (handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      notFound(res);
+    }
+  };
+
+  app.get('/repos/:owner/:repo', route(async (req, res) => {
+    const branch = (await git(req.root, ['symbolic-ref', '--short', 'HEAD'])).trim();
+    res.json({ full_name: req.fullName, default_branch: branch, private: false, html_url: `https://github.com/${req.fullName}` });
+  }));
+
+  app.get('/repos/:owner/:repo/commits/:ref', route(async (req, res) => {
+    const sha = await revParse(req.root, req.params.ref);
+    if (!sha) return notFound(res);
+    res.json({ sha });
+  }));
+
+  const listRefs = (namespace) => route(async (req, res) => {
+    const out = await git(req.root, ['for-each-ref', '--format=%(refname:short) %(objectname) %(*objectname)', namespace]);
+    res.json(out.split('\n').filter(Boolean).map((line) => {
+      const [name, sha, peeled] = line.split(' ');
+      return { name, commit: { sha: peeled || sha } };
+    }));
+  });
+  app.get('/repos/:owner/:repo/branches', listRefs('refs/heads'));
+  app.get('/repos/:owner/:repo/tags', listRefs('refs/tags'));
+
+  app.get('/repos/:owner/:repo/git/trees/:ref', route(async (req, res) => {
+    const sha = await revParse(req.root, req.params.ref);
+    if (!sha) return notFound(res);
+    const out = await git(req.root, ['ls-tree', '-r', '-t', '-l', '-z', sha]);
+    const tree = out.split('\0').filter(Boolean).map((entry) => {
+      const [meta, path] = entry.split('\t');
+      const [mode, type, objectSha, size] = meta.split(/\s+/);
+      return { path, mode, type, sha: objectSha, ...(type === 'blob' ? { size: parseInt(size, 10) } : {}) };
+    });
+    res.json({ sha, tree, truncated: false });
+  }));
+
+  app.get('/repos/:owner/:repo/tarball/:ref', route(async (req, res) => {
+    const sha = await revParse(req.root, req.params.ref);
+    if (!sha) return notFound(res);
+    const prefix = `${req.fullName.replace('/', '-')}-${sha.slice(0, 7)}/`;
+    const archive = await git(req.root, ['archive', '--format=tar.gz', `--prefix=${prefix}`, sha], { encoding: 'buffer' });
+    res.type('application/x-gzip').send(archive);
+  }));
+
+  app.get('/repos/:owner/:repo/contents/*', route(async (req, res) => {
+    const path = req.params[0];
+    const content = await git(req.root, ['show', `${req.query.ref || 'HEAD'}:${path}`], { encoding: 'buffer' });
+    res.json(fileResponse(path, content));
+  }));
+
+  app.get('/repos/:owner/:repo/readme', route(async (req, res) => {
+    const ref = req.query.ref || 'HEAD';
+    const names = (await git(req.root, ['ls-tree', '--name-only', ref])).split('\n');
+    const readme = names.find(n => /^readme(\.|$)/i.test(n));
+    if (!readme) return notFound(res);
+    res.json(fileResponse(readme, await git(req.root, ['show', `${ref}:${readme}`], { encoding: 'buffer' })));
+  }));
+
+  app.get('/repos/:owner/:repo/languages', route(async (req, res) => {
+    const out = await git(req.root, ['ls-tree', '-r', '-l', 'HEAD']);
+    const bytes = {};
+    for (const line of out.split('\n').filter(Boolean)) {
+      const [meta, path] = line.split('\t');
+      const language = LANGUAGES[(path.match(/\.([^./]+)$/) || [])[1]];
+      if (language) bytes[language] = (bytes[language] || 0) + (parseInt(meta.split(/\s+/)[3], 10) || 0);
+    }
+    res.json(bytes);
+  }));
+
+  const findPull = async (req) => {
+    const number = parseInt(req.params.number, 10);
+    const pull = pulls.get(`${req.fullName}#${number}`);
+    if (!pull) return null;
+    const [baseSha, headSha] = await Promise.all([revParse(req.root, pull.base), revParse(req.root, pull.head)]);
+    return { number, ...pull, baseSha, headSha };
+  };
+
+  app.get('/repos/:owner/:repo/pulls/:number', route(async (req, res) => {
+    const pull = await findPull(req);
+    if (!pull) return notFound(res);
+    const [subject, author, ...body] = (await git(req.root, ['log', '-1', '--format=%s%n%an%n%b', pull.headSha])).split('\n');
+    res.json({
+      number: pull.number,
+      state: 'open',
+      title: subject,
+      body: body.join('\n').trim() || null,
+      html_url: `https://github.com/${req.fullName}/pull/${pull.number}`,
+      user: { login: author },
+      base: { ref: pull.base, sha: pull.baseSha },
+      head: { ref: pull.head, sha: pull.headSha }
+    });
+  }));
+
+  app.get('/repos/:owner/:repo/pulls/:number/files', route(async (req, res) => {
+    const pull = await findPull(req);
+    if (!pull) return notFound(res);
+    const perPage = Math.min(100, parseInt(req.query.per_page || '30', 10));
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const files = await pullFiles(req.root, pull.baseSha, pull.headSha);
+    res.json(files.slice((page - 1) * perPage, page * perPage));
+  }));
+
+  // An owner's repositories: every --repo under that owner, as an organization's or a user's
+  const listOwned = route(async (req, res) => {
+    const names = Array.from(repos.keys()).filter(name => name.split('/')[0] === req.params.owner).sort();
+    if (!names.length) return notFound(res);
+    const perPage = Math.min(100, parseInt(req.query.per_page || '30', 10));
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    res.json(await Promise.all(names.slice((page - 1) * perPage, page * perPage).map(async (name) => ({
+      full_name: name,
+      html_url: `https://github.com/${name}`,
+      default_branch: (await git(repos.get(name), ['symbolic-ref', '--short', 'HEAD'])).trim(),
+      description: null,
+      fork: false,
+      archived: false,
+      private: false
+    }))));
+  });
+  app.get('/orgs/:owner/repos', listOwned);
+  app.get('/users/:owner/repos', listOwned);
+
+  app.use((req, res) => notFound(res));
+  return app;
+}
+
+if (require.main === module) {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  createStandin(opts).listen(opts.port, () => {
+    console.log(`GitHub stand-in listening on ${opts.port}; set GITHUB_API_URL=http://localhost:${opts.port}`);
+    for (const [name, root] of opts.repos) console.log(`  ${name} -> ${root}`);
+    for (const [key, { base, head }] of opts.pulls) console.log(`  pull ${key}: ${base}...${head}`);
+  });
+}
+
+module.exports = { createStandin, parseArgs };
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+// Command line for the server's analysis and walkthrough pipelines (lib/pipelines), configured
+// from the same environment / .env as the server:
+//
+//   node scripts/repostack.js analyze https://github.com/acme/shop --format markdown
+//   node scripts/repostack.js ask https://github.com/acme/shop 'How is the discount computed?'
+//   node scripts/repostack.js catalog --org acme --out catalog.csv --concurrency 4
+//   node scripts/repostack.js catalog --repos repos.txt --out catalog.json --resume
+//
+// analyze and ask print the `result` event's data as JSON, or the run as Markdown (as the
+// history export renders it); progress goes to stderr. catalog analyzes every repository of a
+// GitHub organization (--org) or user (--user), of a list file (--repos, one URL per line) and
+// of the URLs given, and writes one row each as CSV or JSON. Progress is saved next to the
+// output (<out>.state.json) after every repository; --resume skips the ones done and retries
+// the ones that failed. Exits 1 when a repository failed.
+require('dotenv').config();
+const fs = require('fs');
+const { createLLMFromEnv, createEmbedderFromEnv } = require('../lib/llm');
+const { createPipelines, LLM_NOT_CONFIGURED } = require('../lib/pipelines');
+const { createRuleStore } = require('../lib/rules');
+const { createSnapshotCache } = require('../lib/cache');
+const { createUsage, trackUsage, meterCompletions, configurePrices } = require('../lib/usage');
+const { describeRun } = require('../lib/history');
+const { exportRuns } = require('../lib/report');
+const { listGitHubRepos } = require('../lib/providers/github');
+const { parseRepoList, catalogRow, renderCatalog, createCatalogState, runCatalog, FORMATS: CATALOG_FORMATS } = require('../lib/catalog');
+
+const USAGE = `usage: repostack.js analyze <repo> [--ref <ref>] [--model <model>] [--format json|markdown] [--out <file>] [--quiet]
+       repostack.js ask <repo> <question> [--ref <ref>] [--model <model>] [--format json|markdown] [--out <file>] [--quiet]
+       repostack.js catalog [--org <name>] [--user <name>] [--repos <file>] [<repo>...]
+                            [--out <file>] [--format csv|json] [--concurrency <n>] [--resume]
+                            [--forks] [--archived] [--model <model>] [--verbose]`;
+
+const VALUE_FLAGS = ['ref', 'model', 'format', 'out', 'org', 'user', 'repos', 'concurrency', 'state'];
+const BOOLEAN_FLAGS = ['quiet', 'verbose', 'resume', 'forks', 'archived'];
+
+function parseArgs(argv) {
+  const opts = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const name = arg.startsWith('--') ? arg.slice(2) : null;
+    if (name === null) {
+      opts.positional.push(arg);
+    } else if (BOOLEAN_FLAGS.includes(name)) {
+      opts[name] = true;
+    } else if (VALUE_FLAGS.includes(name) && i + 1 < argv.length) {
+      opts[name] = argv[++i];
+    } else {
+      throw new Error(`unexpected argument ${arg}\n${USAGE}`);
+    }
+  }
+  return opts;
+}
+
+function openPipelines() {
+  try {
+    configurePrices();
+  } catch (err) {
+    console.warn(`Ignoring LLM_PRICES: ${err.message}`);
+  }
+  const llm = meterCompletions(createLLMFromEnv());
+  if (!llm) throw new Error(`${LLM_NOT_CONFIGURED} the command line.`);
+  const embedder = createEmbedderFromEnv(llm, process.env, (err) => {
+    console.warn('Embeddings unavailable from the configured provider, using BM25 ranking only:', err && err.message ? err.message : err);
+  });
+  return createPipelines({
+    llm,
+    embedder,
+    ruleStore: createRuleStore(),
+    snapshotCache: process.env.SNAPSHOT_CACHE === 'off' ? null : createSnapshotCache()
+  });
+}
+
+// fn's result with `usage`, as the server's results have it
+async function measured(fn) {
+  const usage = createUsage();
+  const result = await trackUsage(usage, fn);
+  return { ...result, usage: usage.finish() };
+}
+
+function write(body, out) {
+  if (out) fs.writeFileSync(out, body);
+  else process.stdout.write(body);
+}
+
+// One analysis or walkthrough, printed as JSON or as a Markdown report
+async function runOne(type, opts, signal) {
+  const [repo, question] = opts.positional;
+  if (!repo || (type === 'walkthrough' && !question)) throw new Error(USAGE);
+  const format = opts.format || 'json';
+  if (!['json', 'markdown', 'md'].includes(format)) throw new Error('--format must be json or markdown');
+  const pipelines = openPipelines();
+  const model = pipelines.resolveChatModel(opts.model);
+  const provider = pipelines.openProvider(repo, { signal });
+  const send = (event, data) => { if (event === 'log' && !opts.quiet) console.error(data.message); };
+  const params = type === 'analyze' ? { repo, ref: opts.ref || null } : { repo, ref: opts.ref || null, question };
+  const result = await measured(() => (type === 'analyze'
+    ? pipelines.runAnalysis({ repo, provider, ref: opts.ref, model, signal }, send)
+    : pipelines.runRepoWalkthrough({ provider, ref: opts.ref, question, model, signal }, send)));
+  if (format === 'json') return write(`${JSON.stringify(result, null, 2)}\n`, opts.out);
+  const run = { type, ...describeRun(type, params, result), model: result.model || null, params, result, created_at: new Date().toISOString() };
+  write(exportRuns([run], { format: 'markdown' }).body, opts.out);
+}
+
+// The repositories to catalog, in order and without duplicates
+async function catalogRepos(opts, signal) {
+  const repos = [...opts.positional];
+  if (opts.repos) repos.push(...parseRepoList(fs.readFileSync(opts.repos, 'utf8')));
+  for (const [kind, owner] of [['org', opts.org], ['user', opts.user]]) {
+    if (!owner) continue;
+    const listed = await listGitHubRepos({ [kind]: owner, signal });
+    const kept = listed.filter(r => (opts.forks || !r.fork) && (opts.archived || !r.archived));
+    console.error(`${kind === 'org' ? 'Organization' : 'User'} ${owner}: ${listed.length} repositories, ${kept.length} to catalog${kept.length < listed.length ? ' (forks and archived ones left out; see --forks, --archived)' : ''}`);
+    repos.push(...kept.map(r => r.url));
+  }
+  return Array.from(new Set(repos));
+}
+
+async function catalog(opts, signal) {
+  const format = opts.format || (opts.out && /\.json$/i.test(opts.out) ? 'json' : 'csv');
+  if (!CATALOG_FORMATS.includes(format)) throw new Error(`--format must be one of ${CATALOG_FORMATS.join(', ')}`);
+  const concurrency = parseInt(opts.concurrency || '3', 10);
+  if (!(concurrency >= 1)) throw new Error('--concurrency must be at least 1');
+  const out = opts.out || `catalog.${format}`;
+  const state = createCatalogState(opts.state || `${out}.state.json`, { resume: !!opts.resume });
+
+  const repos = await catalogRepos(opts, signal);
+  if (!repos.length) throw new Error(`no repositories to catalog\n${USAGE}`);
+  const pipelines = openPipelines();
+  const model = pipelines.resolveChatModel(opts.model);
+
+  const analyze = (repo) => measured(async () => {
+    const provider = pipelines.openProvider(repo, { signal });
+    const send = (event, data) => { if (event === 'log' && opts.verbose) console.error(`[${repo}] ${data.message}`); };
+    const result = await pipelines.runAnalysis({ repo, provider, model, signal }, send);
+    return { ...result, languages: await provider.getLanguages(result.commit) };
+  }).then(result => catalogRow(repo, result, result.languages));
+
+  const { rows, skipped } = await runCatalog({
+    repos,
+    state,
+    analyze,
+    concurrency,
+    signal,
+    onProgress: ({ repo, row, finished, total }) => {
+      console.error(`[${finished}/${total}] ${repo}: ${row.status === 'done' ? `done (${row.difficulty}, ${row.frameworks.join(', ') || 'no frameworks'})` : `failed: ${row.error}`}`);
+    }
+  });
+  fs.writeFileSync(out, renderCatalog(rows, format));
+
+  const count = (status) => rows.filter(r => r.status === status).length;
+  const failed = count('failed');
+  const pending = count('pending');
+  console.error(`Catalog: ${count('done')} done${skipped ? ` (${skipped} from the earlier run)` : ''}, ${failed} failed${pending ? `, ${pending} not started` : ''}; wrote ${out}, progress in ${state.file}`);
+  if (failed || pending) {
+    console.error('Run again with --resume to retry the rest.');
+    process.exitCode = signal.aborted ? 130 : 1;
+  }
+}
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+  const opts = parseArgs(rest);
+  // Ctrl-C cancels the upstream fetches and LLM calls; a catalog saves its progress first
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    console.error('Interrupted, stopping');
+    controller.abort(new Error('cancelled'));
+  });
+  if (command === 'analyze') return runOne('analyze', opts, controller.signal);
+  if (command === 'ask') return runOne('walkthrough', opts, controller.signal);
+  if (command === 'catalog') return catalog(opts, controller.signal);
+  throw new Error(USAGE);
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSnapshotCache } = require('../lib/cache');
+
+const sha = (n) => String(n).repeat(40);
+const content = 'x'.repeat(2000);
+
+// Give the cache's files distinct last-use times, oldest first
+async function ageFiles(cache, shas) {
+  const start = Date.now() / 1000 - shas.length * 60;
+  for (const [i, s] of shas.entries()) {
+    const file = path.join(cache.dir, 'blobs', s.slice(0, 2), s);
+    await fs.promises.utimes(file, start + i * 60, start + i * 60);
+  }
+}
+
+test('prunes the least recently used files once the cache is over its size', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'repostack-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const cache = createSnapshotCache({ dir, maxBytes: 10000 });
+  for (let i = 0; i < 5; i++) await cache.putBlob(sha(i), content);
+  await cache.prune();
+  await ageFiles(cache, [0, 1, 2, 3, 4].map(sha));
+
+  // Reading a blob marks it as used, so it outlives the ones written after it
+  assert.equal(await cache.getBlob(sha(0)), content);
+  await new Promise(r => setTimeout(r, 20));
+  await cache.putBlob(sha(5), content);
+  const result = await cache.prune();
+  assert.ok(result.bytes <= 9000, `${result.bytes} bytes left`);
+  const kept = [];
+  for (let i = 0; i < 6; i++) if (await cache.hasBlob(sha(i))) kept.push(i);
+  assert.deepEqual(kept, [0, 3, 4, 5]);
+});
+
+test('a cache without a size limit is never pruned', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'repostack-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const cache = createSnapshotCache({ dir, maxBytes: 0 });
+  for (let i = 0; i < 6; i++) await cache.putBlob(sha(i), content);
+  assert.deepEqual(await cache.prune(), { files: 6, bytes: 12000, removed: 0, freed: 0 });
+});
+
+test('settings are read when the cache is created', async (t) => {
+  const saved = { ...process.env };
+  t.after(() => { process.env = saved; });
+  process.env.SNAPSHOT_CACHE_DIR = path.join(os.tmpdir(), 'repostack-cache-settings');
+  process.env.SNAPSHOT_TARBALL_THRESHOLD = '7';
+  process.env.SNAPSHOT_CACHE_MAX_MB = '1';
+  const cache = createSnapshotCache();
+  assert.deepEqual([cache.dir, cache.tarballThreshold, cache.maxBytes], [process.env.SNAPSHOT_CACHE_DIR, 7, 1024 * 1024]);
+});
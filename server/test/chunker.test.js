@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkFile } = require('../lib/chunker');
+
+const body = (n, indent = '  ') => Array.from({ length: n }, (_, i) => `${indent}step${i}();`);
+
+test('splits a JavaScript file at function and class boundaries', () => {
+  const content = [
+    "const fs = require('fs');",
+    '',
+    'function load(file) {', ...body(6), '}',
+    '',
+    'class Cart {', ...body(6), '}'
+  ].join('\n');
+  const chunks = chunkFile('src/cart.js', content);
+  assert.deepEqual(chunks.map(c => [c.startLine, c.endLine, c.symbol]), [
+    [1, 11, 'function load(file) {'],
+    [12, 19, 'class Cart {']
+  ]);
+  // Line numbers are 1-based and inclusive, and the text is exactly those lines
+  assert.equal(chunks[1].text, content.split('\n').slice(11, 19).join('\n'));
+});
+
+test('keeps doc comments and decorators with the declaration below them', () => {
+  const content = [
+    'import x from "x";', ...body(6, ''),
+    '/**', ' * Loads a file', ' */', 'export function load() {', ...body(6), '}'
+  ].join('\n');
+  const chunks = chunkFile('src/load.ts', content);
+  assert.equal(chunks.length, 2);
+  assert.equal(chunks[1].startLine, 8);
+  assert.match(chunks[1].text, /^\/\*\*/);
+  assert.equal(chunks[1].symbol, 'export function load() {');
+
+  const py = ['import os', ...body(6, ''), '@app.get("/")', 'def index():', ...body(6, '    ')].join('\n');
+  assert.deepEqual(chunkFile('app/main.py', py).map(c => c.startLine), [1, 8]);
+});
+
+test('merges segments shorter than six lines into the next one', () => {
+  const content = ['function a() {', '  return 1;', '}', 'function b() {', ...body(6), '}'].join('\n');
+  const chunks = chunkFile('src/small.js', content);
+  assert.equal(chunks.length, 1);
+  assert.deepEqual([chunks[0].startLine, chunks[0].endLine, chunks[0].symbol], [1, 11, 'function a() {']);
+});
+
+test('windows an oversized function and labels every window with it', () => {
+  const content = ['function huge() {', ...body(150), '}'].join('\n');
+  const chunks = chunkFile('src/huge.js', content);
+  assert.deepEqual(chunks.map(c => [c.startLine, c.endLine]), [[1, 60], [61, 120], [121, 152]]);
+  assert.ok(chunks.every(c => c.symbol === 'function huge() {'));
+});
+
+test('falls back to fixed windows without a symbol for unknown file types', () => {
+  const content = Array.from({ length: 130 }, (_, i) => `line ${i}`).join('\n');
+  const chunks = chunkFile('notes.txt', content);
+  assert.deepEqual(chunks.map(c => [c.startLine, c.endLine, c.symbol]), [[1, 60, null], [61, 120, null], [121, 130, null]]);
+});
+
+test('drops chunks that are only whitespace', () => {
+  assert.deepEqual(chunkFile('empty.js', '\n\n  \n'), []);
+});
@@ -0,0 +1,200 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { execFileSync } = require('child_process');
+const { createStandin } = require('../scripts/github-standin');
+const { createGitHubProvider } = require('../lib/providers/github');
+const { createSnapshotCache, withSnapshotCache, gitBlobSha } = require('../lib/cache');
+const { readTarEntries } = require('../lib/tar');
+
+// The GitHub provider and the snapshot cache against the GitHub stand-in, serving a git
+// repository made for the test. Every request the stand-in answers is logged with its status.
+
+const LONG_PATH = `src/${'deeply/nested/'.repeat(8)}module.js`;
+const FILES = {
+  'README.md': '# Shop\n',
+  'package.json': '{ "name": "shop" }\n',
+  'src/cart.js': 'function total(items) {\n  return items.length;\n}\n',
+  'src/prices.js': 'const TAX_RATE = 0.2;\n',
+  [LONG_PATH]: 'module.exports = 1;\n'
+};
+
+let tmp;
+let repoDir;
+let apiBase;
+let server;
+let requests = [];
+
+function git(...args) {
+  const env = { ...process.env, GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@example.com' };
+  return execFileSync('git', ['-C', repoDir, '-c', 'commit.gpgsign=false', ...args], { env, encoding: 'utf8' }).trim();
+}
+
+function writeFiles(files) {
+  for (const [p, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(repoDir, p)), { recursive: true });
+    fs.writeFileSync(path.join(repoDir, p), content);
+  }
+}
+
+const openProvider = (options = {}) => createGitHubProvider({ owner: 'acme', repo: 'shop', token: null, apiBase, ...options });
+const requested = (pattern) => requests.filter(r => pattern.test(r.url));
+
+test.before(async () => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'repostack-test-'));
+  repoDir = path.join(tmp, 'shop');
+  fs.mkdirSync(repoDir);
+  git('init', '-q', '-b', 'main');
+  writeFiles(FILES);
+  git('add', '-A');
+  git('commit', '-q', '-m', 'first');
+  git('tag', 'v1');
+  git('checkout', '-q', '-b', 'feature');
+  writeFiles({ 'src/cart.js': 'function total(items) {\n  return items.reduce((n, i) => n + i.qty, 0);\n}\n' });
+  git('commit', '-q', '-am', 'Count quantities\n\nTotals add up quantities.');
+  git('checkout', '-q', 'main');
+
+  const app = express();
+  app.use((req, res, next) => {
+    res.on('finish', () => requests.push({ url: req.url, status: res.statusCode }));
+    next();
+  });
+  app.use(createStandin({ repos: new Map([['acme/shop', repoDir]]), pulls: new Map([['acme/shop#1', { base: 'main', head: 'feature' }]]) }));
+  server = await new Promise((resolve) => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  apiBase = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  if (server) server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  requests = [];
+});
+
+test('reads the repository, its refs, tree and files', async () => {
+  const provider = openProvider();
+  const head = git('rev-parse', 'main');
+  assert.equal(await provider.getDefaultBranch(), 'main');
+  assert.equal(await provider.resolveRef('main'), head);
+  assert.equal(await provider.resolveRef('v1'), head);
+  assert.equal(await provider.resolveRef(head.slice(0, 7)), head);
+  await assert.rejects(provider.resolveRef('no-such-branch'), (err) => err.response && err.response.status === 404);
+
+  const refs = await provider.listRefs();
+  assert.deepEqual(refs.branches.map(b => b.name).sort(), ['feature', 'main']);
+  assert.deepEqual(refs.tags, [{ name: 'v1', sha: head }]);
+
+  const tree = await provider.listTree(head);
+  const blobs = tree.filter(t => t.type === 'blob');
+  assert.deepEqual(blobs.map(t => t.path).sort(), Object.keys(FILES).sort());
+  const cart = blobs.find(t => t.path === 'src/cart.js');
+  assert.equal(cart.sha, gitBlobSha(FILES['src/cart.js']));
+  assert.equal(cart.size, FILES['src/cart.js'].length);
+
+  assert.equal(await provider.readFile('src/cart.js', head), FILES['src/cart.js']);
+  assert.equal(await provider.readFile('src/cart.js', 'feature'), 'function total(items) {\n  return items.reduce((n, i) => n + i.qty, 0);\n}\n');
+  assert.equal(await provider.readFile('src/missing.js', head), null);
+  assert.equal(await provider.getReadme(head), FILES['README.md']);
+  assert.deepEqual(await provider.getLanguages(), ['JavaScript']);
+});
+
+test('reads a pull request with its changed files and patches', async () => {
+  const pr = await openProvider().getPullRequest(1);
+  assert.equal(pr.title, 'Count quantities');
+  assert.equal(pr.body, 'Totals add up quantities.');
+  assert.deepEqual([pr.base.ref, pr.base.sha, pr.head.ref, pr.head.sha], ['main', git('rev-parse', 'main'), 'feature', git('rev-parse', 'feature')]);
+  assert.equal(pr.files.length, 1);
+  assert.deepEqual({ ...pr.files[0], patch: undefined }, { path: 'src/cart.js', previous_path: null, status: 'modified', additions: 1, deletions: 1, patch: undefined });
+  assert.match(pr.files[0].patch, /^@@ .* @@\n function total\(items\) \{\n-  return items\.length;\n\+  return items\.reduce/);
+});
+
+test('revalidates repository, commit and tree calls with their ETags', async () => {
+  const cache = createSnapshotCache({ dir: path.join(tmp, 'cache-etag'), maxBytes: 0 });
+  const head = git('rev-parse', 'main');
+  const first = openProvider({ httpCache: cache.http });
+  await first.getDefaultBranch();
+  await first.resolveRef('main');
+  await first.listTree(head);
+  assert.deepEqual(requests.map(r => r.status), [200, 200, 200]);
+
+  requests = [];
+  const second = openProvider({ httpCache: cache.http });
+  assert.equal(await second.getDefaultBranch(), 'main');
+  assert.equal(await second.resolveRef('main'), head);
+  assert.equal((await second.listTree(head)).filter(t => t.type === 'blob').length, Object.keys(FILES).length);
+  assert.deepEqual(requests.map(r => r.status), [304, 304, 304]);
+
+  // A moved branch no longer matches the stored ETag and is answered in full
+  git('checkout', '-q', '-b', 'moving');
+  writeFiles({ 'src/prices.js': 'const TAX_RATE = 0.25;\n' });
+  git('commit', '-q', '-am', 'Raise tax');
+  git('checkout', '-q', 'main');
+  await second.resolveRef('moving');
+  requests = [];
+  const moved = git('rev-parse', 'moving');
+  assert.equal(await openProvider({ httpCache: cache.http }).resolveRef('moving'), moved);
+  assert.deepEqual(requests.map(r => r.status), [304]);
+  git('update-ref', 'refs/heads/moving', head);
+  requests = [];
+  assert.equal(await openProvider({ httpCache: cache.http }).resolveRef('moving'), head);
+  assert.deepEqual(requests.map(r => r.status), [200]);
+});
+
+test('caches trees per commit and files per blob', async () => {
+  const cache = createSnapshotCache({ dir: path.join(tmp, 'cache-blobs'), maxBytes: 0 });
+  const head = git('rev-parse', 'main');
+  const first = withSnapshotCache(openProvider({ httpCache: cache.http }), cache);
+  await first.listTree(head);
+  assert.equal(await first.readFile('src/cart.js', head), FILES['src/cart.js']);
+  assert.equal(await first.readFile('src/gone.js', head), null);
+  assert.deepEqual(first.cacheStats(), { commit: head, treeCached: false, blobsReused: 0, blobsFetched: 1, tarball: false });
+  // A path the tree doesn't have is answered without asking upstream
+  assert.equal(requested(/gone\.js/).length, 0);
+
+  requests = [];
+  const second = withSnapshotCache(openProvider({ httpCache: cache.http }), cache);
+  await second.listTree(head);
+  assert.equal(await second.readFile('src/cart.js', head), FILES['src/cart.js']);
+  assert.deepEqual(requests, []);
+  assert.equal(second.cacheSummary(), `tree cached at ${head.slice(0, 7)}, 1/1 blobs reused`);
+});
+
+test('prefetches a snapshot as one tarball once enough files are uncached', async () => {
+  const head = git('rev-parse', 'main');
+  const paths = Object.keys(FILES);
+
+  const below = createSnapshotCache({ dir: path.join(tmp, 'cache-below'), maxBytes: 0, tarballThreshold: paths.length + 1 });
+  const few = withSnapshotCache(openProvider(), below);
+  await few.listTree(head);
+  await few.prefetch(paths, head);
+  assert.equal(few.cacheStats().tarball, false);
+  assert.equal(requested(/tarball/).length, 0);
+
+  const cache = createSnapshotCache({ dir: path.join(tmp, 'cache-tarball'), maxBytes: 0, tarballThreshold: 2 });
+  const provider = withSnapshotCache(openProvider(), cache);
+  await provider.listTree(head);
+  requests = [];
+  await provider.prefetch(paths, head);
+  assert.deepEqual(requests.map(r => r.url), [`/repos/acme/shop/tarball/${head}`]);
+  for (const p of paths) assert.equal(await provider.readFile(p, head), FILES[p]);
+  // Every file, the one past the 100-character ustar name field included, came from the tarball
+  assert.equal(requested(/contents/).length, 0);
+  assert.deepEqual(provider.cacheStats(), { commit: head, treeCached: false, blobsReused: paths.length, blobsFetched: 0, tarball: true });
+});
+
+test('reads the stand-in tarball: prefix, pax long names and regular files only', async () => {
+  const head = git('rev-parse', 'main');
+  const archive = execFileSync('git', ['-C', repoDir, 'archive', '--format=tar.gz', `--prefix=acme-shop-${head.slice(0, 7)}/`, head]);
+  const entries = readTarEntries(archive);
+  assert.deepEqual(entries.map(e => e.path).sort(), Object.keys(FILES).map(p => `acme-shop-${head.slice(0, 7)}/${p}`).sort());
+  assert.ok(LONG_PATH.length > 100);
+  for (const e of entries) assert.equal(e.content.toString('utf8'), FILES[e.path.split('/').slice(1).join('/')]);
+
+  const files = await openProvider().downloadSnapshot(head);
+  assert.deepEqual(Object.fromEntries(files.map(f => [f.path, f.content.toString('utf8')])), FILES);
+});
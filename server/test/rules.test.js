@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { globToRegExp, globMatcher } = require('../lib/glob');
+const { normalizeRules, createRuleStore, loadRepoMarkers, selectFiles, EMPTY_RULES } = require('../lib/rules');
+
+const matches = (pattern, paths) => paths.filter(p => globToRegExp(pattern).test(p));
+
+test('* and ? stay within a segment, ** spans segments', () => {
+  const paths = ['a.js', 'src/a.js', 'src/lib/a.js', 'src/ab.js', 'test/a.js'];
+  assert.deepEqual(matches('*.js', paths), paths);
+  assert.deepEqual(matches('src/*.js', paths), ['src/a.js', 'src/ab.js']);
+  assert.deepEqual(matches('src/**/*.js', paths), ['src/a.js', 'src/lib/a.js', 'src/ab.js']);
+  assert.deepEqual(matches('src/**', paths), ['src/a.js', 'src/lib/a.js', 'src/ab.js']);
+  assert.deepEqual(matches('src/?.js', paths), ['src/a.js']);
+  assert.deepEqual(matches('**/lib/*.js', paths), ['src/lib/a.js']);
+});
+
+test('anchoring, directories and alternatives', () => {
+  const paths = ['build/out.js', 'src/build/out.js', 'build', 'docs/a.md', 'docs/a.txt'];
+  // A slash anywhere anchors the pattern to the base
+  assert.deepEqual(matches('/build', paths), ['build/out.js', 'build']);
+  assert.deepEqual(matches('build', paths), ['build/out.js', 'src/build/out.js', 'build']);
+  // A trailing slash matches directories only
+  assert.deepEqual(matches('build/', paths), ['build/out.js', 'src/build/out.js']);
+  assert.deepEqual(matches('docs/*.{md,txt}', paths), ['docs/a.md', 'docs/a.txt']);
+  assert.deepEqual(matches('docs/a\\.md', paths), ['docs/a.md']);
+});
+
+test('character classes, negated and with ranges', () => {
+  const paths = ['v1.js', 'v2.js', 'v9.js', 'va.js'];
+  assert.deepEqual(matches('v[12].js', paths), ['v1.js', 'v2.js']);
+  assert.deepEqual(matches('v[0-8].js', paths), ['v1.js', 'v2.js']);
+  assert.deepEqual(matches('v[!0-9].js', paths), ['va.js']);
+  // An unclosed bracket is a literal
+  assert.deepEqual(matches('v[.js', ['v[.js', 'v1.js']), ['v[.js']);
+  assert.throws(() => globToRegExp('src/[z-a].js'), /Range out of order/);
+  assert.equal(globMatcher(['', '  ', '*.md'])('README.md'), true);
+});
+
+test('normalizeRules trims and defaults, and rejects patterns that do not compile', () => {
+  assert.deepEqual(normalizeRules({ include: [' src/** ', ''], boosts: [{ pattern: 'src/core/**', weight: 2 }], respect_gitignore: false }), {
+    include: ['src/**'],
+    exclude: [],
+    always_include: [],
+    boosts: [{ pattern: 'src/core/**', weight: 2 }],
+    respect_gitignore: false,
+    respect_gitattributes: true
+  });
+  assert.deepEqual(normalizeRules(undefined), EMPTY_RULES);
+
+  const rejects = (body, pattern) => assert.throws(() => normalizeRules(body), (err) => err.status === 400 && err.message.includes(pattern));
+  rejects({ include: ['src/[z-a].js'] }, 'include: invalid glob "src/[z-a].js"');
+  rejects({ exclude: ['ok/**', 'x[9-0]'] }, 'exclude: invalid glob "x[9-0]"');
+  rejects({ always_include: ['[b-a]/README.md'] }, '[b-a]/README.md');
+  rejects({ boosts: [{ pattern: 'lib/[z-a]', weight: 1 }] }, 'boosts: invalid glob "lib/[z-a]"');
+  rejects({ include: 'src/**' }, 'include must be an array of glob strings');
+  rejects({ boosts: [{ pattern: 'src/**', weight: 'high' }] }, 'boosts must be an array');
+});
+
+const blob = (path) => ({ path, type: 'blob', size: 10, sha: null });
+const TREE = [
+  '.gitignore', '.gitattributes', 'README.md', 'package.json',
+  'src/app.js', 'src/app.generated.js', 'src/debug.log.js', 'src/keep.log.js',
+  'web/.gitignore', 'web/index.ts', 'web/tmp/cache.ts',
+  'vendor/lib.js', 'assets/logo.png'
+].map(blob).concat([{ path: 'src', type: 'tree' }]);
+const MARKER_FILES = {
+  '.gitignore': '# logs\n*.log.js\n!keep.log.js\nsrc/[z-a]*\n',
+  '.gitattributes': '*.generated.js linguist-generated\nREADME.md linguist-vendored=false\n[z-a].js linguist-generated\n',
+  'web/.gitignore': 'tmp/\n'
+};
+const provider = { readFile: async (p) => (p in MARKER_FILES ? MARKER_FILES[p] : null) };
+
+test('selectFiles follows .gitignore and linguist-generated markers, skipping lines that do not compile', async () => {
+  const markers = await loadRepoMarkers(provider, 'main', TREE, EMPTY_RULES);
+  // The [z-a] lines are dropped, the rest of each file still applies
+  assert.equal(markers.gitignore.length, 3);
+  assert.equal(markers.gitattributes.length, 2);
+
+  const { selected, excluded } = selectFiles(TREE, EMPTY_RULES, markers);
+  assert.deepEqual(selected.map(s => [s.path, s.reason]), [['README.md', 'default'], ['package.json', 'default'], ['src/app.js', 'default'], ['src/keep.log.js', 'default'], ['web/index.ts', 'default']]);
+  const reasons = Object.fromEntries(excluded.map(e => [e.path, e.reason]));
+  assert.equal(reasons['src/debug.log.js'], 'gitignore');
+  // A nested .gitignore applies beneath its own directory
+  assert.equal(reasons['web/tmp/cache.ts'], 'gitignore');
+  assert.equal(reasons['src/app.generated.js'], 'linguist-generated');
+  assert.equal(reasons['vendor/lib.js'], 'vendor_dir');
+  assert.equal(reasons['assets/logo.png'], 'extension');
+});
+
+test('rule sets include, exclude, always include and boost', async () => {
+  const rules = normalizeRules({ include: ['src/**', 'web/**'], exclude: ['**/*.generated.js', 'web/**'], always_include: ['web/index.ts'], boosts: [{ pattern: 'src/app.js', weight: 3 }], respect_gitignore: false, respect_gitattributes: false });
+  const markers = await loadRepoMarkers(provider, 'main', TREE, rules);
+  assert.deepEqual(markers, { gitignore: [], gitattributes: [] });
+  const { selected, excluded } = selectFiles(TREE, rules, markers);
+  assert.deepEqual(selected.map(s => [s.path, s.reason, s.boost]), [
+    ['src/app.js', 'include', 3], ['src/debug.log.js', 'include', 0], ['src/keep.log.js', 'include', 0], ['web/index.ts', 'always_include', 0]
+  ]);
+  const reasons = Object.fromEntries(excluded.map(e => [e.path, e.reason]));
+  assert.equal(reasons['src/app.generated.js'], 'exclude');
+  assert.equal(reasons['web/tmp/cache.ts'], 'exclude');
+  assert.equal(reasons['README.md'], 'not_included');
+});
+
+test('concurrent saves of the rule store all land on disk', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'repostack-rules-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'rules.json');
+  const store = createRuleStore({ file });
+  const rules = normalizeRules({ include: ['src/**'] });
+  await Promise.all([
+    ...['a', 'b', 'c', 'd'].map(k => store.put(`github:acme/${k}`, `https://github.com/acme/${k}`, rules)),
+    store.put('github:acme/a', 'https://github.com/acme/a', rules, 'key:alice'),
+    store.remove('github:acme/b')
+  ]);
+  assert.deepEqual(fs.readdirSync(dir), ['rules.json']);
+  const reopened = createRuleStore({ file });
+  assert.deepEqual(reopened.list().map(r => r.key).sort(), ['github:acme/a', 'github:acme/c', 'github:acme/d']);
+  assert.equal(reopened.get('github:acme/a', 'key:alice').owner, 'key:alice');
+});
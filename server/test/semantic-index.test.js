@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadOrBuildIndex, tokenize } = require('../lib/semantic-index');
+const { createHashEmbedder } = require('../lib/embedders');
+
+const FILES = [
+  { path: 'src/discount.js', content: 'function applyDiscount(cart, code) {\n  const rate = DISCOUNTS[code];\n  return cart.total * (1 - rate);\n}' },
+  { path: 'src/prices.js', content: 'function withTax(amount) {\n  return Math.round(amount * (1 + TAX_RATE));\n}' },
+  { path: 'src/logger.js', content: 'function log(message) {\n  console.log(new Date().toISOString(), message);\n}' },
+  { path: 'README.md', content: '# Shop\n\nA small shop with carts, prices and a logger.' }
+];
+
+const build = (options = {}) => loadOrBuildIndex({ key: { kind: 'test', id: 'shop', sha: 'a'.repeat(40) }, readFiles: async () => FILES, ...options });
+
+// BM25 (k1 1.2, b 0.75) of one term in one document
+const bm25 = ({ f, n, docs, length, avgLength }) => Math.log(1 + (docs - n + 0.5) / (n + 0.5)) * (f * 2.2) / (f + 1.2 * (0.25 + 0.75 * length / avgLength));
+
+test('tokenize lowercases, splits identifiers and drops stopwords', () => {
+  assert.deepEqual(tokenize('How does applyDiscount use the TAX_RATE?'), ['applydiscount', 'apply', 'discount', 'tax_rate', 'tax', 'rate']);
+});
+
+test('BM25 ranks the chunks that contain the query terms, path terms counting double', async () => {
+  const index = await build();
+  assert.equal(index.hasVectors, false);
+  const results = await index.search('discount');
+  assert.equal(results[0].path, 'src/discount.js');
+  assert.equal(results[0].score, 1);
+  assert.ok(results.slice(1).every(r => r.bm25 === 0 && r.score === 0));
+
+  // discount.js: "applydiscount" yields apply + discount, and the path adds discount twice
+  const lengths = FILES.map(f => tokenize(f.content).length + 2 * tokenize(f.path).length);
+  const avgLength = lengths.reduce((a, b) => a + b, 0) / lengths.length;
+  const expected = bm25({ f: 3, n: 1, docs: 4, length: lengths[0], avgLength });
+  assert.ok(Math.abs(results[0].bm25 - expected) < 1e-9, `${results[0].bm25} != ${expected}`);
+});
+
+test('a term found in fewer chunks weighs more', async () => {
+  const index = await build();
+  const [top] = await index.search('logger rate');
+  // "rate" is in two chunks, "logger" in two (README, and the path of logger.js twice)
+  assert.equal(top.path, 'src/logger.js');
+  const tax = await index.search('tax');
+  assert.equal(tax[0].path, 'src/prices.js');
+});
+
+test('the hybrid score blends cosine similarity with normalised BM25', async () => {
+  const embedder = createHashEmbedder();
+  const index = await build({ embedder });
+  assert.equal(index.hasVectors, true);
+  const question = 'discount code for the cart total';
+  const results = await index.search(question, { embedder });
+  const maxBm25 = Math.max(...results.map(r => r.bm25));
+  for (const r of results) {
+    const expected = 0.6 * Math.max(0, r.similarity) + 0.4 * (r.bm25 / maxBm25);
+    assert.ok(Math.abs(r.score - expected) < 1e-9, `${r.path}: ${r.score} != ${expected}`);
+  }
+  assert.equal(results[0].path, 'src/discount.js');
+  assert.ok(results[0].similarity > 0);
+  // Sorted by score
+  assert.deepEqual(results.map(r => r.score), results.map(r => r.score).sort((a, b) => b - a));
+
+  // The same question twice gives the same ranking: the hash embedder is deterministic
+  assert.deepEqual((await index.search(question, { embedder })).map(r => [r.path, r.score]), results.map(r => [r.path, r.score]));
+});
+
+test('INDEX_VECTOR_WEIGHT is read per search, clamped to [0, 1], and falls back to 0.6 when not a number', async (t) => {
+  const saved = process.env.INDEX_VECTOR_WEIGHT;
+  t.after(() => { if (saved === undefined) delete process.env.INDEX_VECTOR_WEIGHT; else process.env.INDEX_VECTOR_WEIGHT = saved; });
+  const embedder = createHashEmbedder();
+  const index = await build({ embedder });
+  const question = 'discount code for the cart total';
+  const weightOf = async (value) => {
+    process.env.INDEX_VECTOR_WEIGHT = value;
+    const results = await index.search(question, { embedder });
+    const maxBm25 = Math.max(...results.map(r => r.bm25));
+    // Solve score = w * similarity + (1 - w) * bm25 for a result where the two differ
+    const r = results.find(x => Math.abs(Math.max(0, x.similarity) - x.bm25 / maxBm25) > 1e-3);
+    const lexical = r.bm25 / maxBm25;
+    return (r.score - lexical) / (Math.max(0, r.similarity) - lexical);
+  };
+  const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} != ${b}`);
+  close(await weightOf('0.25'), 0.25);
+  close(await weightOf('abc'), 0.6);
+  close(await weightOf(''), 0.6);
+  close(await weightOf('5'), 1);
+  close(await weightOf('-1'), 0);
+});
+
+test('vectors from another embedder are ignored and BM25 ranks alone', async () => {
+  const index = await build({ embedder: createHashEmbedder() });
+  const results = await index.search('discount', { embedder: createHashEmbedder({ dimensions: 64 }) });
+  assert.ok(results.every(r => r.similarity === 0));
+  assert.equal(results[0].score, 1);
+});
+
+test('a failed embedding falls back to BM25 and is stored as such', async () => {
+  const stored = [];
+  const store = { getIndex: async () => null, putIndex: async (key, data) => { stored.push({ key, data }); } };
+  const embedder = { id: 'broken', embed: async () => { throw new Error('rate limited'); } };
+  const logs = [];
+  const index = await build({ embedder, store, logger: (m) => logs.push(m) });
+  assert.equal(index.hasVectors, false);
+  assert.equal(index.embedderId, 'none');
+  assert.equal(stored[0].key.embedderId, 'none');
+  assert.ok(logs.some(m => /rate limited/.test(m)));
+});
+
+test('a question that cannot be embedded is ranked by BM25 alone', async () => {
+  const hash = createHashEmbedder();
+  let failing = false;
+  const embedder = { id: hash.id, embed: async (texts, opts) => { if (failing) throw new Error('rate limited'); return hash.embed(texts, opts); } };
+  const index = await build({ embedder });
+  assert.equal(index.hasVectors, true);
+  failing = true;
+  const logs = [];
+  const results = await index.search('discount', { embedder, logger: (m) => logs.push(m) });
+  const bm25Only = await (await build()).search('discount');
+  assert.deepEqual(results.map(r => [r.path, r.score]), bm25Only.map(r => [r.path, r.score]));
+  assert.ok(results.every(r => r.similarity === 0));
+  assert.ok(logs.some(m => /rate limited/.test(m)));
+
+  // A cancelled request is not a failure to fall back from
+  const controller = new AbortController();
+  controller.abort();
+  const aborting = { id: hash.id, embed: async (texts, { signal }) => { throw Object.assign(new Error('aborted'), { name: 'AbortError', signal }); } };
+  await assert.rejects(index.search('discount', { embedder: aborting, signal: controller.signal }), { name: 'AbortError' });
+});
+
+test('a stored index is loaded without reading the files again', async () => {
+  const saved = new Map();
+  const store = { getIndex: async (key) => saved.get(JSON.stringify(key)) || null, putIndex: async (key, data) => { saved.set(JSON.stringify(key), data); } };
+  const embedder = createHashEmbedder();
+  const first = await build({ embedder, store });
+  let read = false;
+  const second = await build({ embedder, store, readFiles: async () => { read = true; return []; } });
+  assert.equal(read, false);
+  assert.deepEqual(await second.search('tax', { embedder }), await first.search('tax', { embedder }));
+});
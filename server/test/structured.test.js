@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { completeStructured, jsonFieldStreamer } = require('../lib/llm/structured');
+const { createMockLLM } = require('../lib/llm/mock');
+const { schemas } = require('../lib/schema');
+
+const VALID = { answer: 'Totals are computed in src/cart.js.', references: [], trace: [], sources: ['src/cart.js'], missing: [], cannot_answer: false, reason: '' };
+const messages = [{ role: 'system', content: 'Answer as JSON.' }, { role: 'user', content: 'How is the total computed?' }];
+
+// A mock whose replies are taken from `replies` in order
+const scripted = (replies) => createMockLLM({ respond: () => replies.shift() });
+
+test('a valid reply is returned on the first attempt', async () => {
+  const llm = scripted([JSON.stringify(VALID)]);
+  const result = await completeStructured(llm, { messages, schema: schemas.Walkthrough });
+  assert.deepEqual(result.value, VALID);
+  assert.equal(result.attempts, 1);
+  assert.equal(result.model, 'mock-chat');
+  assert.equal(llm.calls.length, 1);
+  assert.equal(llm.calls[0].json, true);
+  assert.equal(llm.calls[0].schema, schemas.Walkthrough);
+});
+
+test('a schema-invalid reply is sent back with its errors and the repair is accepted', async () => {
+  const { cannot_answer: _, ...incomplete } = VALID;
+  const replies = [JSON.stringify({ ...incomplete, sources: 'src/cart.js' }), `Here you go:\n${JSON.stringify(VALID)}`];
+  const llm = scripted(replies.slice());
+  const repairs = [];
+  const result = await completeStructured(llm, { messages, schema: schemas.Walkthrough, onRepair: (errors, attempt) => repairs.push({ errors, attempt }) });
+  assert.deepEqual(result.value, VALID);
+  assert.equal(result.attempts, 2);
+  assert.equal(repairs.length, 1);
+  assert.equal(repairs[0].attempt, 1);
+  assert.ok(repairs[0].errors.some(e => /cannot_answer/.test(e)), repairs[0].errors.join('; '));
+  assert.ok(repairs[0].errors.some(e => /sources/.test(e)), repairs[0].errors.join('; '));
+
+  // The second call carries the bad reply and the errors after the original messages
+  const convo = llm.calls[1].messages;
+  assert.deepEqual(convo.slice(0, 2), messages);
+  assert.equal(convo[2].role, 'assistant');
+  assert.equal(convo[3].role, 'user');
+  assert.match(convo[3].content, /does not match the required JSON schema[\s\S]*cannot_answer/);
+  // The caller's messages are left alone
+  assert.equal(messages.length, 2);
+  // Usage adds up over both replies (the mock counts 4 characters a token)
+  assert.equal(result.usage.completion_tokens, replies.reduce((n, r) => n + Math.ceil(r.length / 4), 0));
+});
+
+test('a reply that is not JSON is repaired too', async () => {
+  const llm = scripted(['Sorry, I cannot produce JSON.', JSON.stringify(VALID)]);
+  const repairs = [];
+  const result = await completeStructured(llm, { messages, schema: schemas.Walkthrough, onRepair: (errors) => repairs.push(errors) });
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(repairs, [['reply is not valid JSON']]);
+});
+
+test('running out of repair attempts throws with the last reply and its errors', async () => {
+  const replies = ['not json', '{"answer": 1}', '{"answer": 2}'];
+  const llm = scripted(replies.slice());
+  await assert.rejects(
+    completeStructured(llm, { messages, schema: schemas.Walkthrough, repairAttempts: 2 }),
+    (err) => {
+      assert.match(err.message, /^mock did not return valid Walkthrough JSON/);
+      assert.equal(err.raw, '{"answer": 2}');
+      assert.ok(err.validationErrors.length > 0);
+      return true;
+    }
+  );
+  assert.equal(llm.calls.length, 3);
+
+  const once = scripted(['not json', JSON.stringify(VALID)]);
+  await assert.rejects(completeStructured(once, { messages, schema: schemas.Walkthrough, repairAttempts: 0 }), /did not return valid Walkthrough JSON \(reply is not valid JSON\)/);
+  assert.equal(once.calls.length, 1);
+});
+
+test('each attempt streams its reply through onDelta', async () => {
+  const bad = JSON.stringify({ answer: 'draft' });
+  const llm = scripted([bad, JSON.stringify(VALID)]);
+  let streamed = '';
+  await completeStructured(llm, { messages, schema: schemas.Walkthrough, onDelta: (d) => { streamed += d; } });
+  assert.equal(streamed, bad + JSON.stringify(VALID));
+});
+
+// Feed `text` to a streamer in pieces of `size` characters
+function streamField(field, text, size) {
+  const pieces = [];
+  const streamer = jsonFieldStreamer(field, (t) => pieces.push(t));
+  for (let i = 0; i < text.length; i += size) streamer.push(text.slice(i, i + size));
+  return pieces;
+}
+
+test('jsonFieldStreamer decodes one field whatever the chunk boundaries', () => {
+  const answer = 'Line one\nSays "hi" \\ café ✓ done';
+  const reply = JSON.stringify({ reason: 'not this', answer, sources: ['a.js'] }).replace('é', '\\u00e9');
+  for (let size = 1; size <= reply.length; size++) {
+    const pieces = streamField('answer', reply, size);
+    assert.equal(pieces.join(''), answer, `chunks of ${size}`);
+  }
+});
+
+test('jsonFieldStreamer waits for the field and stops at its closing quote', () => {
+  const pieces = [];
+  const streamer = jsonFieldStreamer('answer', (t) => pieces.push(t));
+  streamer.push('{"missing": [], "ans');
+  assert.deepEqual(pieces, []);
+  streamer.push('wer" : "Par');
+  streamer.push('tial');
+  assert.deepEqual(pieces, ['Par', 'tial']);
+  // An escape split across deltas is held back until it is complete
+  streamer.push('\\');
+  assert.deepEqual(pieces, ['Par', 'tial']);
+  streamer.push('n\\u00');
+  streamer.push('e9", "reason": "after"}');
+  assert.equal(pieces.join(''), 'Partial\né');
+  streamer.push(', "answer": "again"');
+  assert.equal(pieces.join(''), 'Partial\né');
+});
+
+test('the mock streams its replies in pieces that the streamer reassembles', async () => {
+  const answer = 'A longer answer that spans several sixteen character deltas, with "quotes".';
+  const llm = scripted([JSON.stringify({ ...VALID, answer })]);
+  const pieces = [];
+  const streamer = jsonFieldStreamer('answer', (t) => pieces.push(t));
+  await completeStructured(llm, { messages, schema: schemas.Walkthrough, onDelta: (d) => streamer.push(d) });
+  assert.ok(pieces.length > 1);
+  assert.equal(pieces.join(''), answer);
+});
@@ -0,0 +1,258 @@
+// Generated from shared/schemas.json by server/scripts/generate-types.js. Do not edit.
+
+/** A code excerpt the answer relies on */
+export interface Reference {
+  /** Repository-relative file path, exactly as provided */
+  path: string
+  /** Exact substring of the file content */
+  excerpt: string
+}
+
+/** A reference after the server checked its excerpt against the file at the answer's commit */
+export interface VerifiedReference {
+  path: string
+  /** The file's own text for the cited lines */
+  excerpt: string
+  /** 1-based, inclusive */
+  start_line: number
+  /** 1-based, inclusive */
+  end_line: number
+  /** Commit-pinned link to the lines on the hosting site; null for local repositories */
+  permalink: string | null
+  /** How the cited excerpt matched the file; non-exact excerpts were replaced by the file's text */
+  match: "exact" | "whitespace" | "fuzzy"
+}
+
+/** The model's part of an analysis; frameworks and dependencies come from the manifests */
+export interface AnalysisReply {
+  project_summary: string
+  primary_languages: string[]
+  possible_use_cases: string[]
+  difficulty_rating: string
+}
+
+/** Structured repository summary returned by /api/analyze */
+export interface Analysis {
+  project_summary: string
+  primary_languages: string[]
+  /** Detected framework names, excluding testing and build tooling */
+  key_frameworks: string[]
+  possible_use_cases: string[]
+  difficulty_rating: string
+  dependencies: Dependencies
+}
+
+export interface Dependency {
+  name: string
+  /** Version or constraint as written in the manifest */
+  version: string | null
+  /** managed: a version pin (dependencyManagement, catalogs, workspace tables), not a dependency by itself */
+  scope: "runtime" | "dev" | "peer" | "optional" | "build" | "test" | "indirect" | "managed"
+}
+
+/** One parsed manifest file */
+export interface DependencyManifest {
+  path: string
+  ecosystem: "npm" | "pypi" | "go" | "cargo" | "maven" | "packagist" | "rubygems" | "nuget"
+  /** npm, yarn, pnpm, bun, pip, poetry, pipenv, uv, pdm, hatch, go, cargo, maven, gradle, composer, bundler or nuget */
+  manager: string
+  name: string | null
+  version: string | null
+  license: string | null
+  /** Toolchain or target framework versions, e.g. go 1.22, net8.0 */
+  targets: string[]
+  scripts: {
+    name: string
+    command: string
+  }[]
+  dependencies: Dependency[]
+  /** Member package globs or paths declared by this manifest */
+  workspaces: string[]
+  /** Path of the manifest whose workspaces include this one */
+  workspace_root: string | null
+  error: string | null
+}
+
+export interface Framework {
+  name: string
+  category: "web" | "frontend" | "mobile" | "desktop" | "data" | "ml" | "orm" | "api" | "cli" | "styling" | "testing" | "tooling"
+  ecosystem: string
+  /** The dependency that identified it */
+  package: string
+  version: string | null
+  manifests: string[]
+}
+
+/** Dependency data parsed from every manifest in the snapshot */
+export interface Dependencies {
+  manifests: DependencyManifest[]
+  frameworks: Framework[]
+  ecosystems: string[]
+  licenses: {
+    /** SPDX expression when the source states one */
+    license: string
+    /** Manifest or license file it came from */
+    source: string
+  }[]
+  /** More manifests exist than MANIFEST_MAX_FILES */
+  truncated: boolean
+}
+
+/** Repository-scoped answer to a walkthrough question */
+export interface Walkthrough {
+  answer: string
+  references: Reference[]
+  trace: string[]
+  sources: string[]
+  missing: string[]
+  cannot_answer: boolean
+  reason: string
+}
+
+/** A missing test or an open question about a pull request's change */
+export interface ReviewNote {
+  /** Header of the hunk it is about, copied from the diff (e.g. "@@ -12,6 +12,8 @@"); null for the whole file */
+  hunk: string | null
+  detail: string
+  /** Code at the head commit the note relies on */
+  references: Reference[]
+}
+
+/** Something a pull request's change may break: a bug, regression, security or performance problem */
+export interface ReviewRisk {
+  /** Header of the hunk it is about, copied from the diff (e.g. "@@ -12,6 +12,8 @@"); null for the whole file */
+  hunk: string | null
+  severity: "high" | "medium" | "low"
+  detail: string
+  /** Code at the head commit the risk relies on */
+  references: Reference[]
+}
+
+/** Findings for one changed file */
+export interface ReviewFile {
+  /** Changed file path, exactly as in the diff */
+  path: string
+  /** What the change to this file does */
+  summary: string
+  risks: ReviewRisk[]
+  missing_tests: ReviewNote[]
+  questions: ReviewNote[]
+}
+
+/** Structured review of a pull request */
+export interface Review {
+  /** What the pull request does, in a few sentences */
+  summary: string
+  /** Overall risk of merging */
+  risk: "high" | "medium" | "low"
+  files: ReviewFile[]
+  cannot_review: boolean
+  reason: string
+}
+
+/** A code excerpt from one side of a comparison */
+export interface CompareReference {
+  side: "base" | "head"
+  /** File path on that side, exactly as provided */
+  path: string
+  /** Exact substring of that side's file content */
+  excerpt: string
+}
+
+/** One notable difference between the two sides */
+export interface ComparisonHighlight {
+  title: string
+  /** How the base and the head differ here, and why it matters */
+  detail: string
+  references: CompareReference[]
+}
+
+/** Summary of the differences between two repositories or two refs */
+export interface Comparison {
+  summary: string
+  highlights: ComparisonHighlight[]
+  cannot_compare: boolean
+  reason: string
+}
+
+/** File-level differences between the base and head trees, vendor directories skipped */
+export interface FileChanges {
+  counts: {
+    added: number
+    removed: number
+    changed: number
+    renamed: number
+    unchanged: number
+    /** Files on both sides that could not be compared (no blob ids, same size) */
+    uncertain: number
+  }
+  added: string[]
+  removed: string[]
+  changed: string[]
+  renamed: {
+    from: string
+    to: string
+  }[]
+  /** Some lists stop at 500 paths; counts are exact */
+  truncated: boolean
+  /** Changes per top-level directory, most changed first */
+  directories: {
+    directory: string
+    added: number
+    removed: number
+    changed: number
+  }[]
+}
+
+/** A direct dependency added, removed or with a different version requirement */
+export interface DependencyChange {
+  ecosystem: string
+  name: string
+  change: "added" | "removed" | "changed"
+  scope: string
+  base_version: string | null
+  head_version: string | null
+}
+
+/** Differences between the two sides' parsed manifests */
+export interface DependencyChanges {
+  dependencies: DependencyChange[]
+  frameworks_added: string[]
+  frameworks_removed: string[]
+  ecosystems_added: string[]
+  ecosystems_removed: string[]
+  licenses_added: string[]
+  licenses_removed: string[]
+}
+
+/** Share of each language on both sides */
+export interface LanguageShift {
+  /** Shares are by file size, or by file count when sizes are unknown */
+  measure: "bytes" | "files"
+  languages: {
+    language: string
+    /** 0..1 */
+    base: number
+    /** 0..1 */
+    head: number
+    /** head - base */
+    change: number
+  }[]
+}
+
+/** Map step of large-repository walkthroughs: one summary per directory area */
+export interface AreaSummaries {
+  areas: {
+    /** Area label, exactly as given */
+    area: string
+    /** What the code in this area does, in one or two sentences */
+    summary: string
+  }[]
+}
+
+/** Reduce step of large-repository walkthroughs: the areas worth reading in full for a question */
+export interface AreaSelection {
+  /** Area labels, most relevant first */
+  areas: string[]
+  reason: string
+}